@@ -1,337 +1,6 @@
-// Seeded PRNG (Mulberry32)
-function mulberry32(seed) {
-    return function() {
-        let t = seed += 0x6D2B79F5;
-        t = Math.imul(t ^ t >>> 15, t | 1);
-        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-        return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
-}
-
-// Convert string seed to integer
-function hashSeed(seed) {
-    if (typeof seed === 'number') return Math.floor(seed);
-    let hash = 0;
-    for (let i = 0; i < seed.length; i++) {
-        const char = seed.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
-    }
-    return Math.abs(hash);
-}
-
-// Box-Muller transform for normal distribution
-function boxMuller(rng) {
-    const u1 = rng();
-    const u2 = rng();
-    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-}
-
-// Distribution samplers — integer variants (>= 1)
-function sampleUniformInt(rng, min, max) {
-    return Math.floor(rng() * (max - min + 1)) + min;
-}
-
-function sampleNormalInt(rng, mean, sd) {
-    let val;
-    do {
-        val = Math.round(mean + sd * boxMuller(rng));
-    } while (val <= 0);
-    return val;
-}
-
-function sampleLognormalInt(rng, mu, sigma) {
-    let val;
-    do {
-        const normal = boxMuller(rng);
-        val = Math.round(Math.exp(mu + sigma * normal));
-    } while (val <= 0);
-    return val;
-}
-
-// Distribution samplers — continuous variants (> 0, rounded to 2 dp)
-function sampleUniformCont(rng, min, max) {
-    const val = min + rng() * (max - min);
-    return Math.max(0.01, parseFloat(val.toFixed(2)));
-}
-
-function sampleNormalCont(rng, mean, sd) {
-    let val;
-    do {
-        val = mean + sd * boxMuller(rng);
-    } while (val <= 0);
-    return parseFloat(val.toFixed(2));
-}
-
-function sampleLognormalCont(rng, mu, sigma) {
-    const normal = boxMuller(rng);
-    const val = Math.exp(mu + sigma * normal);
-    return parseFloat(Math.max(0.01, val).toFixed(2));
-}
-
-// Get sampler function based on distribution type and integer flag
-function getSampler(distType, params, isInt) {
-    if (isInt) {
-        switch (distType) {
-            case 'uniform': return (rng) => sampleUniformInt(rng, params.min, params.max);
-            case 'normal':  return (rng) => sampleNormalInt(rng, params.mean, params.sd);
-            case 'lognormal': return (rng) => sampleLognormalInt(rng, params.mu, params.sigma);
-        }
-    } else {
-        switch (distType) {
-            case 'uniform': return (rng) => sampleUniformCont(rng, params.min, params.max);
-            case 'normal':  return (rng) => sampleNormalCont(rng, params.mean, params.sd);
-            case 'lognormal': return (rng) => sampleLognormalCont(rng, params.mu, params.sigma);
-        }
-    }
-    throw new Error(`Unknown distribution: ${distType}`);
-}
-
-// Distribution name mapping
-function distName(type, isInt) {
-    const base = { 'uniform': 'Uniform', 'normal': 'Normal', 'lognormal': 'Lognormal' };
-    return base[type] + (isInt ? 'Int' : '');
-}
-
-const CORRELATION_NAMES = {
-    'independent': 'Independent',
-    'positive': 'PositiveLinear',
-    'negative': 'NegativeLinear'
-};
-
-// Generate raw items (no capacity logic)
-function generateItems(config, seedStr) {
-    const rng = mulberry32(hashSeed(seedStr));
-    
-    const weightSampler = getSampler(config.weightDist, config.weightParams, config.weightInt);
-    const valueSampler = getSampler(config.valueDist, config.valueParams, config.valueInt);
-    
-    const items = [];
-    let maxWeight = 0;
-    
-    // First pass: generate weights
-    for (let i = 0; i < config.nItems; i++) {
-        const weight = weightSampler(rng);
-        items.push({ id: i + 1, weight, value: 0 });
-        maxWeight = Math.max(maxWeight, weight);
-    }
-    
-    // Second pass: generate values based on correlation
-    for (let i = 0; i < config.nItems; i++) {
-        let value;
-        
-        if (config.correlation === 'independent') {
-            value = valueSampler(rng);
-        } else if (config.correlation === 'positive') {
-            const noise = config.noiseSd * boxMuller(rng);
-            value = config.alpha * items[i].weight + noise;
-            value = config.valueInt ? Math.round(value) : parseFloat(value.toFixed(2));
-        } else if (config.correlation === 'negative') {
-            const noise = config.noiseSd * boxMuller(rng);
-            value = config.alpha * (maxWeight - items[i].weight) + noise;
-            value = config.valueInt ? Math.round(value) : parseFloat(value.toFixed(2));
-        }
-        
-        items[i].value = Math.max(config.valueInt ? 1 : 0.01, value);
-    }
-    
-    // Apply ratio spread (compress/stretch V/P ratios around their mean)
-    if (config.ratioSpread !== 'medium') {
-        const lambda = config.ratioSpread === 'low' ? 0.3 : 2.0;
-        const ratios = items.map(it => it.value / it.weight);
-        const meanRatio = ratios.reduce((a, b) => a + b, 0) / ratios.length;
-        
-        for (let i = 0; i < items.length; i++) {
-            const newRatio = meanRatio + lambda * (ratios[i] - meanRatio);
-            const clampedRatio = Math.max(0.01, newRatio);
-            let newValue = clampedRatio * items[i].weight;
-            newValue = config.valueInt ? Math.max(1, Math.round(newValue)) : Math.max(0.01, parseFloat(newValue.toFixed(2)));
-            items[i].value = newValue;
-        }
-    }
-    
-    // Apply integer ratios: round each value to nearest multiple of its price
-    if (config.integerRatios) {
-        for (let i = 0; i < items.length; i++) {
-            const ratio = Math.max(1, Math.round(items[i].value / items[i].weight));
-            items[i].value = ratio * items[i].weight;
-        }
-    }
-    
-    return items;
-}
-
-// Find a valid capacity within [budgetMin, budgetMax] for items,
-// optionally targeting a specific optimal solution size and Sahni-k.
-// Returns { capacity, sahniK, found } or null.
-function findCapacityInRange(items, budgetMin, budgetMax, targetOptSize, targetSahniK) {
-    const sumWeights = items.reduce((s, it) => s + it.weight, 0);
-    const lo = Math.max(1, budgetMin);
-    const hi = Math.min(budgetMax, sumWeights - 1);
-    
-    if (lo > hi) return null;
-    
-    // Collect candidate capacities
-    let candidates = [];
-    
-    if (targetOptSize === 'no_filter') {
-        // Try midpoint first, then scan if Sahni-k is targeted
-        if (targetSahniK === 'no_filter') {
-            const cap = Math.round((lo + hi) / 2);
-            return { capacity: cap, found: true };
-        }
-        // Need to scan for Sahni-k match at any capacity
-        for (let c = lo; c <= hi; c++) candidates.push(c);
-    } else {
-        // Scan for capacities that give the target optimal count
-        for (let c = lo; c <= hi; c++) {
-            const sol = solveKnapsack(items, c);
-            if (sol.count === parseInt(targetOptSize)) candidates.push(c);
-        }
-    }
-    
-    if (candidates.length === 0) return null;
-    
-    // If no Sahni-k target, take the first (or middle) candidate
-    if (targetSahniK === 'no_filter') {
-        const cap = candidates[Math.floor(candidates.length / 2)];
-        return { capacity: cap, found: true };
-    }
-    
-    // Check Sahni-k for each candidate capacity
-    const targetK = parseInt(targetSahniK);
-    for (const c of candidates) {
-        const sol = solveKnapsack(items, c);
-        const k = computeSahniK(items, c, sol.value);
-        if (k === targetK) {
-            return { capacity: c, sahniK: k, found: true };
-        }
-    }
-    
-    return null;
-}
-
-// Main generation: iterate seeds until all constraints are satisfied
-function generateInstance(config) {
-    const baseSeed = config.seed;
-    const MAX_ATTEMPTS = 10000;
-    let usedSeed = baseSeed;
-    let items, capacity;
-    let foundGreedyRatio = null, foundN90 = null, foundFeasible = null;
-    let warning = null;
-    let found = false;
-    
-    // Parse greedy constraint
-    const greedyActive = config.greedyCap !== 'no_filter';
-    const greedyThreshold = greedyActive ? parseFloat(config.greedyCap) : null;
-    
-    // Parse forgiveness constraint (N90 share)
-    const forgivenessActive = config.forgivenessCap !== 'no_filter';
-    const forgivenessShare = forgivenessActive ? parseFloat(config.forgivenessCap) : null;
-    
-    // N90 brute-force is only feasible for small n (2^n subsets)
-    const canBruteForceN90 = config.nItems <= 20;
-    
-    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
-        usedSeed = attempt === 0 ? baseSeed : baseSeed + '_' + attempt;
-        items = generateItems(config, usedSeed);
-        
-        // Find capacity satisfying optimal-size + Sahni-k constraints
-        const capacityResult = findCapacityInRange(
-            items, config.budgetMin, config.budgetMax,
-            config.optimalSize, config.targetSahniK
-        );
-        if (!capacityResult || !capacityResult.found) continue;
-        capacity = capacityResult.capacity;
-        
-        // Compute OPT
-        const sol = solveKnapsack(items, capacity);
-        const optVal = sol.value;
-        
-        // Greedy constraint
-        if (greedyActive && optVal > 0) {
-            const g = greedyValue(items, capacity) / optVal;
-            if (g >= greedyThreshold) continue; // reject: greedy too close
-            foundGreedyRatio = g;
-        } else if (optVal > 0) {
-            foundGreedyRatio = greedyValue(items, capacity) / optVal;
-        } else {
-            foundGreedyRatio = 0;
-        }
-        
-        // Forgiveness constraint (N90 share) + feasible count + min feasible
-        if (canBruteForceN90) {
-            const bs = countBundleStats(items, capacity, optVal, 90);
-            if (forgivenessActive && bs.feasible > 0 && (bs.n90 / bs.feasible) > forgivenessShare) continue;
-            if (config.minFeasible !== null && bs.feasible < config.minFeasible) continue;
-            foundN90 = bs.n90;
-            foundFeasible = bs.feasible;
-        }
-        
-        found = true;
-        break;
-    }
-    
-    if (!found) {
-        // Fallback: use base seed, pick a capacity in range
-        usedSeed = baseSeed;
-        items = generateItems(config, usedSeed);
-        const sumWeights = items.reduce((s, it) => s + it.weight, 0);
-        capacity = Math.min(config.budgetMax, sumWeights - 1);
-        capacity = Math.max(config.budgetMin, capacity);
-        if (capacity < 1) capacity = 1;
-        
-        const sol = solveKnapsack(items, capacity);
-        foundGreedyRatio = sol.value > 0 ? greedyValue(items, capacity) / sol.value : 0;
-        if (canBruteForceN90) {
-            const bs = countBundleStats(items, capacity, sol.value, 90);
-            foundN90 = bs.n90;
-            foundFeasible = bs.feasible;
-        }
-        
-        const constraints = [];
-        if (config.optimalSize !== 'no_filter') constraints.push(`${config.optimalSize} items in optimal`);
-        if (config.targetSahniK !== 'no_filter') constraints.push(`Sahni-k = ${config.targetSahniK}`);
-        if (greedyActive) constraints.push(`greedy < ${(greedyThreshold * 100).toFixed(0)}% of OPT`);
-        if (forgivenessActive) constraints.push(`N90 share ≤ ${(forgivenessShare * 100).toFixed(1)}%`);
-        if (config.minFeasible !== null) constraints.push(`feasible ≥ ${config.minFeasible}`);
-        warning = `Could not satisfy constraints (${constraints.join(', ')}) after ${MAX_ATTEMPTS} attempts. Showing result for base seed. Try loosening Greedy proximity, increasing N90 share cap, widening budget range, or changing seed.`;
-    }
-    
-    // Build output object with full metadata
-    const result = {
-        problem: '0/1 knapsack',
-        n_items: config.nItems,
-        budget: capacity,
-        budget_range: [config.budgetMin, config.budgetMax],
-        seed: usedSeed,
-        seed_requested: baseSeed,
-        price_dist: {
-            name: distName(config.weightDist, config.weightInt),
-            params: config.weightParams
-        },
-        value_dist: config.correlation === 'independent' ? {
-            name: distName(config.valueDist, config.valueInt),
-            params: config.valueParams
-        } : null,
-        correlation: {
-            mode: CORRELATION_NAMES[config.correlation],
-            alpha: config.correlation !== 'independent' ? config.alpha : null,
-            noise_sd: config.correlation !== 'independent' ? config.noiseSd : null
-        },
-        ratio_spread: config.ratioSpread,
-        integer_ratios: config.integerRatios,
-        target_sahni_k: config.targetSahniK,
-        greedy_ratio: foundGreedyRatio,
-        n90: foundN90,
-        feasible_count: foundFeasible,
-        items
-    };
-    
-    if (warning) result.warning = warning;
-    
-    return result;
-}
+// Single-budget page UI. Generation and solving live in core/.
+import { generateInstance, solveKnapsack, computeSahniK, solveMultiKnapsack, computeMultiSahniK, budgetVector, isLinearCorrelation, hasOwnValueDist, countText, sahniKText, nAlphaParts, parseNumberList, parsePercentList, parsePercentBound, validateAlphaLevels, validateSahniK, validateDifficultyRanges, validateDistributions, validateResources, validateSizes, validateItemRules, validatePairBonuses, validateSearch, searchText, hasItemRules, rulePairs, itemRulesText, hasPairValues, pairBonusList, itemPairsText } from './core/index.js';
+import { ESTIMATE_NOTE } from './stats-ui.js';
 
 // Calculate statistics
 function calculateStats(instance) {
@@ -346,8 +15,23 @@ function calculateStats(instance) {
         seedUsed: instance.seed,
         seedRequested: instance.seed_requested,
         greedyRatio: instance.greedy_ratio,
-        n90: instance.n90,
-        feasibleCount: instance.feasible_count
+        nAlpha: instance.n_alpha,
+        feasibleCount: instance.feasible_count,
+        countsExact: instance.counts_exact,
+        optimalCount: instance.n_optimal_solutions,
+        search: searchText(instance.search),
+        realizedSpearman: instance.correlation.realized_spearman,
+        targetSpearman: instance.correlation.params ? instance.correlation.params.target_spearman : undefined,
+        // Conflict / precedence pairs (null without rules)
+        rules: hasItemRules(instance.items) ? rulePairs(instance.items) : null,
+        // Pair bonuses [a, b, bonus] (null without them)
+        pairs: hasPairValues(instance.items) ? pairBonusList(instance.items) : null,
+        // Extra resources: { name, budget, sum } each
+        resources: (instance.resources || []).map((r, i) => ({
+            name: r.name,
+            budget: r.budget,
+            sum: instance.items.reduce((s, it) => s + it.costs[i], 0)
+        }))
     };
 }
 
@@ -368,21 +52,60 @@ const elements = {
     weightSd: document.getElementById('weight_sd'),
     weightMu: document.getElementById('weight_mu'),
     weightSigma: document.getElementById('weight_sigma'),
+    weightShape: document.getElementById('weight_shape'),
+    weightScale: document.getElementById('weight_scale'),
+    weightBetaA: document.getElementById('weight_beta_a'),
+    weightBetaB: document.getElementById('weight_beta_b'),
+    weightBetaMin: document.getElementById('weight_beta_min'),
+    weightBetaMax: document.getElementById('weight_beta_max'),
+    weightXm: document.getElementById('weight_xm'),
+    weightParetoAlpha: document.getElementById('weight_pareto_alpha'),
+    weightEmpirical: document.getElementById('weight_empirical'),
+    weightEmpiricalReplace: document.getElementById('weight_empirical_replace'),
     valueMin: document.getElementById('value_min'),
     valueMax: document.getElementById('value_max'),
     valueMean: document.getElementById('value_mean'),
     valueSd: document.getElementById('value_sd'),
     valueMu: document.getElementById('value_mu'),
     valueSigma: document.getElementById('value_sigma'),
+    valueShape: document.getElementById('value_shape'),
+    valueScale: document.getElementById('value_scale'),
+    valueBetaA: document.getElementById('value_beta_a'),
+    valueBetaB: document.getElementById('value_beta_b'),
+    valueBetaMin: document.getElementById('value_beta_min'),
+    valueBetaMax: document.getElementById('value_beta_max'),
+    valueXm: document.getElementById('value_xm'),
+    valueParetoAlpha: document.getElementById('value_pareto_alpha'),
+    valueEmpirical: document.getElementById('value_empirical'),
+    valueEmpiricalReplace: document.getElementById('value_empirical_replace'),
     alpha: document.getElementById('alpha'),
     noiseSd: document.getElementById('noise_sd'),
+    copulaRho: document.getElementById('copula_rho'),
     optimalSize: document.getElementById('optimal_size'),
-    targetSahniK: document.getElementById('target_sahni_k'),
-    greedyCapSelect: document.getElementById('greedyCapSelect'),
-    forgivenessCapSelect: document.getElementById('forgivenessCapSelect'),
+    sahniKMin: document.getElementById('sahni_k_min'),
+    sahniKMax: document.getElementById('sahni_k_max'),
+    sahniKLimitInput: document.getElementById('sahniKLimitInput'),
+    greedyMin: document.getElementById('greedy_min'),
+    greedyMax: document.getElementById('greedy_max'),
+    forgivenessMin: document.getElementById('forgiveness_min'),
+    forgivenessMax: document.getElementById('forgiveness_max'),
     minFeasibleInput: document.getElementById('minFeasibleInput'),
+    forgivenessAlphaInput: document.getElementById('forgivenessAlphaInput'),
+    alphaLevelsInput: document.getElementById('alphaLevelsInput'),
+    uniqueOptimum: document.getElementById('unique_optimum'),
+    searchMode: document.getElementById('search_mode'),
+    searchSteps: document.getElementById('search_steps'),
     ratioSpread: document.getElementById('ratio_spread'),
     integerRatios: document.getElementById('integer_ratios'),
+    resourcesContainer: document.getElementById('resources_container'),
+    conflictDensity: document.getElementById('conflict_density'),
+    precedenceDensity: document.getElementById('precedence_density'),
+    pairDensity: document.getElementById('pair_density'),
+    pairDist: document.getElementById('pair_dist'),
+    pairInt: document.getElementById('pair_int'),
+    pairA: document.getElementById('pair_a'),
+    pairB: document.getElementById('pair_b'),
+    addResourceBtn: document.getElementById('add_resource_btn'),
     generateBtn: document.getElementById('generate_btn'),
     downloadCsvBtn: document.getElementById('download_csv_btn'),
     downloadJsonBtn: document.getElementById('download_json_btn'),
@@ -390,6 +113,7 @@ const elements = {
     outputSection: document.getElementById('output_section'),
     statsGrid: document.getElementById('stats_grid'),
     optimalGrid: document.getElementById('optimal_grid'),
+    previewHead: document.getElementById('preview_head'),
     previewBody: document.getElementById('preview_body'),
     weightParams: document.getElementById('weight_params'),
     valueParams: document.getElementById('value_params'),
@@ -414,15 +138,18 @@ function updateDistParams(selectId, paramsContainerId) {
 function updateCorrelationParams() {
     const correlation = elements.correlation.value;
     const correlationParamsDiv = elements.correlationParams.querySelector('.correlation-params');
+    const copulaParamsDiv = elements.correlationParams.querySelector('.copula-params');
     const valueDistGroup = elements.valueDist.closest('.form-group');
     const valueParamsGroup = elements.valueParams;
     
-    if (correlation === 'independent') {
+    copulaParamsDiv.classList.toggle('hidden', correlation !== 'copula');
+    if (hasOwnValueDist(correlation)) {
         correlationParamsDiv.classList.add('hidden');
         valueDistGroup.classList.remove('hidden');
         valueParamsGroup.classList.remove('hidden');
     } else {
-        correlationParamsDiv.classList.remove('hidden');
+        // α / noise only apply to the linear modes
+        correlationParamsDiv.classList.toggle('hidden', !isLinearCorrelation(correlation));
         valueDistGroup.classList.add('hidden');
         valueParamsGroup.classList.add('hidden');
     }
@@ -445,6 +172,18 @@ function getConfig() {
         case 'lognormal':
             weightParams = { mu: parseFloat(elements.weightMu.value), sigma: parseFloat(elements.weightSigma.value) };
             break;
+        case 'gamma':
+            weightParams = { shape: parseFloat(elements.weightShape.value), scale: parseFloat(elements.weightScale.value) };
+            break;
+        case 'beta':
+            weightParams = { a: parseFloat(elements.weightBetaA.value), b: parseFloat(elements.weightBetaB.value), min: parseFloat(elements.weightBetaMin.value), max: parseFloat(elements.weightBetaMax.value) };
+            break;
+        case 'pareto':
+            weightParams = { xm: parseFloat(elements.weightXm.value), alpha: parseFloat(elements.weightParetoAlpha.value) };
+            break;
+        case 'empirical':
+            weightParams = { values: parseNumberList(elements.weightEmpirical.value), replace: elements.weightEmpiricalReplace.checked };
+            break;
     }
     
     switch (valueDist) {
@@ -457,6 +196,18 @@ function getConfig() {
         case 'lognormal':
             valueParams = { mu: parseFloat(elements.valueMu.value), sigma: parseFloat(elements.valueSigma.value) };
             break;
+        case 'gamma':
+            valueParams = { shape: parseFloat(elements.valueShape.value), scale: parseFloat(elements.valueScale.value) };
+            break;
+        case 'beta':
+            valueParams = { a: parseFloat(elements.valueBetaA.value), b: parseFloat(elements.valueBetaB.value), min: parseFloat(elements.valueBetaMin.value), max: parseFloat(elements.valueBetaMax.value) };
+            break;
+        case 'pareto':
+            valueParams = { xm: parseFloat(elements.valueXm.value), alpha: parseFloat(elements.valueParetoAlpha.value) };
+            break;
+        case 'empirical':
+            valueParams = { values: parseNumberList(elements.valueEmpirical.value), replace: elements.valueEmpiricalReplace.checked };
+            break;
     }
     
     return {
@@ -473,164 +224,176 @@ function getConfig() {
         correlation: elements.correlation.value,
         alpha: parseFloat(elements.alpha.value),
         noiseSd: parseFloat(elements.noiseSd.value),
+        copulaRho: parseFloat(elements.copulaRho.value),
         optimalSize: elements.optimalSize.value,
         ratioSpread: elements.ratioSpread.value,
         integerRatios: elements.integerRatios.checked,
-        targetSahniK: elements.targetSahniK.value,
-        greedyCap: elements.greedyCapSelect.value,
-        forgivenessCap: elements.forgivenessCapSelect.value,
-        minFeasible: elements.minFeasibleInput.value ? parseInt(elements.minFeasibleInput.value) : null
+        sahniKMin: elements.sahniKMin.value ? parseInt(elements.sahniKMin.value) : null,
+        sahniKMax: elements.sahniKMax.value ? parseInt(elements.sahniKMax.value) : null,
+        sahniKLimit: parseInt(elements.sahniKLimitInput.value),
+        greedyMin: parsePercentBound(elements.greedyMin.value),
+        greedyMax: parsePercentBound(elements.greedyMax.value),
+        forgivenessMin: parsePercentBound(elements.forgivenessMin.value),
+        forgivenessMax: parsePercentBound(elements.forgivenessMax.value),
+        minFeasible: elements.minFeasibleInput.value ? parseInt(elements.minFeasibleInput.value) : null,
+        forgivenessAlpha: parseFloat(elements.forgivenessAlphaInput.value),
+        alphaLevels: parsePercentList(elements.alphaLevelsInput.value),
+        uniqueOptimum: elements.uniqueOptimum.checked,
+        searchMode: elements.searchMode.value,
+        searchSteps: parseInt(elements.searchSteps.value),
+        resources: readResources(),
+        conflictDensity: parseFloat(elements.conflictDensity.value) || 0,
+        precedenceDensity: parseFloat(elements.precedenceDensity.value) || 0,
+        ...readPairBonus()
     };
 }
 
-// Populate the optimal-size dropdown based on current n_items
-function updateOptimalSizeOptions() {
-    const n = parseInt(elements.nItems.value) || 1;
-    const current = elements.optimalSize.value;
-    elements.optimalSize.innerHTML = '<option value="no_filter">No filter</option>';
-    for (let i = 1; i < n; i++) {
-        elements.optimalSize.innerHTML += `<option value="${i}"${current === String(i) ? ' selected' : ''}>${i}</option>`;
-    }
+// ============================================================
+// Extra resources — one .resource-row per resource, ids prefixed
+// res1, res2, ... Any resource turns the instance into a
+// multidimensional knapsack.
+// ============================================================
+
+// Cost distributions a resource row offers, with their two params:
+// [key, label, default]
+const RESOURCE_PARAMS = {
+    uniform: [['min', 'Min', 1], ['max', 'Max', 20]],
+    normal: [['mean', 'Mean', 10], ['sd', 'SD', 3]],
+    lognormal: [['mu', 'μ', 2], ['sigma', 'σ', 0.5]],
+    gamma: [['shape', 'Shape', 2], ['scale', 'Scale', 5.2]],
+    pareto: [['xm', 'xm', 1], ['alpha', 'α', 1.5]]
+};
+
+function resourceRows() {
+    return [...elements.resourcesContainer.querySelectorAll('.resource-row')];
 }
 
-// Greedy knapsack: sort by value/weight ratio descending, pack greedily
-function greedyValue(items, capacity) {
-    const sorted = items.slice().sort((a, b) => (b.value / b.weight) - (a.value / a.weight));
-    let remCap = capacity;
-    let totalValue = 0;
-    for (const item of sorted) {
-        if (item.weight <= remCap) {
-            totalValue += item.value;
-            remCap -= item.weight;
-        }
-    }
-    return totalValue;
+function resourceRow(prefix, n) {
+    const row = document.createElement('div');
+    row.className = 'form-row resource-row';
+    row.dataset.prefix = prefix;
+    row.innerHTML = `
+        <div class="form-group">
+            <label for="${prefix}_name">Resource</label>
+            <input type="text" id="${prefix}_name" value="resource ${n}">
+        </div>
+        <div class="form-group">
+            <label for="${prefix}_cost_dist">Cost Distribution <span class="info-icon" tabindex="0">ⓘ<div class="info-tooltip">Each item's cost in this resource, drawn independently of its price and value. A bundle must fit the price budget and every resource budget.</div></span></label>
+            <select id="${prefix}_cost_dist" class="resource-dist">
+                ${Object.keys(RESOURCE_PARAMS).map(dist => `<option value="${dist}">${dist.charAt(0).toUpperCase() + dist.slice(1)}</option>`).join('')}
+            </select>
+            <label class="int-checkbox"><input type="checkbox" id="${prefix}_cost_int" checked> integer</label>
+        </div>
+        <div class="form-group">
+            <label for="${prefix}_cost_a"></label>
+            <input type="number" id="${prefix}_cost_a" step="any">
+        </div>
+        <div class="form-group">
+            <label for="${prefix}_cost_b"></label>
+            <input type="number" id="${prefix}_cost_b" step="any">
+        </div>
+        <div class="form-group">
+            <label for="${prefix}_budget_min">Min Budget</label>
+            <input type="number" id="${prefix}_budget_min" value="40" min="1">
+        </div>
+        <div class="form-group">
+            <label for="${prefix}_budget_max">Max Budget</label>
+            <input type="number" id="${prefix}_budget_max" value="80" min="1">
+        </div>
+        <button type="button" class="remove-resource-btn" title="Remove this resource">✕</button>`;
+    return row;
+}
+
+// Label the two param inputs for the row's distribution and reset them to its defaults
+function updateResourceParams(row) {
+    const prefix = row.dataset.prefix;
+    const params = RESOURCE_PARAMS[document.getElementById(`${prefix}_cost_dist`).value];
+    ['a', 'b'].forEach((slot, i) => {
+        const [, label, value] = params[i];
+        row.querySelector(`label[for="${prefix}_cost_${slot}"]`).textContent = label;
+        document.getElementById(`${prefix}_cost_${slot}`).value = value;
+    });
 }
 
-// Count feasible subsets and near-optimal subsets (brute-force bitmask, n<=20)
-// Returns { feasible, n90 } where feasible = all subsets fitting in capacity,
-// n90 = subsets with value >= alphaPercent% of optimal.
-function countBundleStats(items, capacity, optValue, alphaPercent) {
-    if (alphaPercent === undefined) alphaPercent = 90;
-    const n = items.length;
-    const threshold = alphaPercent * optValue; // compare against value*100
-    let feasible = 0, n90 = 0;
-    const total = 1 << n; // 2^n subsets
-    for (let mask = 1; mask < total; mask++) {
-        let w = 0, v = 0;
-        for (let i = 0; i < n; i++) {
-            if (mask & (1 << i)) {
-                w += items[i].weight;
-                v += items[i].value;
-            }
-        }
-        if (w <= capacity) {
-            feasible++;
-            if (v * 100 >= threshold) n90++;
-        }
-    }
-    return { feasible, n90 };
+function initResourceEditor() {
+    elements.resourcesContainer.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-resource-btn')) e.target.closest('.resource-row').remove();
+    });
+    elements.resourcesContainer.addEventListener('change', (e) => {
+        if (e.target.classList.contains('resource-dist')) updateResourceParams(e.target.closest('.resource-row'));
+    });
+    elements.addResourceBtn.addEventListener('click', () => {
+        const rows = resourceRows();
+        const n = rows.length === 0 ? 1 : Math.max(...rows.map(row => parseInt(row.dataset.prefix.slice(3)))) + 1;
+        const row = resourceRow(`res${n}`, n);
+        elements.resourcesContainer.appendChild(row);
+        updateResourceParams(row);
+    });
 }
 
-// Solve 0/1 knapsack with DP, return { value, items[] }
-function solveKnapsack(items, capacity) {
-    const n = items.length;
-    // dp[i][w] = best value using items 0..i-1 with capacity w
-    const dp = Array.from({ length: n + 1 }, () => new Int32Array(capacity + 1));
-    
-    for (let i = 1; i <= n; i++) {
-        const w = items[i - 1].weight;
-        const v = items[i - 1].value;
-        for (let c = 0; c <= capacity; c++) {
-            dp[i][c] = dp[i - 1][c];
-            if (w <= c && dp[i - 1][c - w] + v > dp[i][c]) {
-                dp[i][c] = dp[i - 1][c - w] + v;
-            }
-        }
-    }
-    
-    // Backtrack to find selected items
-    const selected = [];
-    let c = capacity;
-    for (let i = n; i >= 1; i--) {
-        if (dp[i][c] !== dp[i - 1][c]) {
-            selected.push(items[i - 1]);
-            c -= items[i - 1].weight;
-        }
-    }
-    selected.reverse();
-    
+// The config's resources list, read from the editor rows
+function readResources() {
+    return resourceRows().map(row => {
+        const field = (name) => document.getElementById(`${row.dataset.prefix}_${name}`);
+        const costDist = field('cost_dist').value;
+        // Uniform bounds are whole numbers, as on the price distribution
+        const read = costDist === 'uniform' ? parseInt : parseFloat;
+        const [[keyA], [keyB]] = RESOURCE_PARAMS[costDist];
+        return {
+            name: field('name').value.trim(),
+            costDist,
+            costParams: { [keyA]: read(field('cost_a').value), [keyB]: read(field('cost_b').value) },
+            costInt: field('cost_int').checked,
+            budgetMin: parseInt(field('budget_min').value),
+            budgetMax: parseInt(field('budget_max').value)
+        };
+    });
+}
+
+// ============================================================
+// Pair bonuses — a quadratic knapsack when the density is above 0.
+// The bonus distribution offers the resource rows' distributions.
+// ============================================================
+
+// Label the two bonus param inputs for the distribution and reset them to its defaults
+function updatePairParams() {
+    const params = RESOURCE_PARAMS[elements.pairDist.value];
+    [elements.pairA, elements.pairB].forEach((input, i) => {
+        const [, label, value] = params[i];
+        document.querySelector(`label[for="${input.id}"]`).textContent = label;
+        input.value = value;
+    });
+}
+
+// The config's pair bonus fields
+function readPairBonus() {
+    const pairDist = elements.pairDist.value;
+    // Uniform bounds are whole numbers, as on the price distribution
+    const read = pairDist === 'uniform' ? parseInt : parseFloat;
+    const [[keyA], [keyB]] = RESOURCE_PARAMS[pairDist];
     return {
-        value: dp[n][capacity],
-        weight: selected.reduce((s, it) => s + it.weight, 0),
-        count: selected.length,
-        items: selected
+        pairDensity: parseFloat(elements.pairDensity.value) || 0,
+        pairDist,
+        pairParams: { [keyA]: read(elements.pairA.value), [keyB]: read(elements.pairB.value) },
+        pairInt: elements.pairInt.checked
     };
 }
 
-// Compute Sahni-k: minimum k such that enumerating all subsets of size ≤ k
-// and greedily filling the rest achieves the optimal value.
-function computeSahniK(items, capacity, optimalValue) {
-    const n = items.length;
-    // Precompute items sorted by value/price ratio (descending) for greedy
-    const sortedIndices = items.map((_, i) => i).sort((a, b) =>
-        (items[b].value / items[b].weight) - (items[a].value / items[a].weight)
-    );
-    
-    // Greedy fill: given a set of forced-in indices and remaining capacity,
-    // greedily add items by V/P ratio
-    function greedyFill(forced, remCap) {
-        let val = 0;
-        for (const idx of sortedIndices) {
-            if (forced.has(idx)) continue;
-            if (items[idx].weight <= remCap) {
-                val += items[idx].value;
-                remCap -= items[idx].weight;
-            }
-        }
-        return val;
-    }
-    
-    // k=0: pure greedy
-    const greedyVal = greedyFill(new Set(), capacity);
-    if (greedyVal >= optimalValue) return 0;
-    
-    // For k=1,2,...  enumerate subsets of size k
-    // Use iterative deepening to keep it manageable
-    for (let k = 1; k <= Math.min(n, 6); k++) {
-        // Enumerate all subsets of size k
-        const subset = new Array(k);
-        let found = false;
-        
-        function enumerate(depth, start) {
-            if (found) return;
-            if (depth === k) {
-                // Check this subset
-                const forced = new Set(subset);
-                let forcedWeight = 0, forcedValue = 0;
-                for (const idx of subset) {
-                    forcedWeight += items[idx].weight;
-                    forcedValue += items[idx].value;
-                }
-                if (forcedWeight > capacity) return;
-                const totalVal = forcedValue + greedyFill(forced, capacity - forcedWeight);
-                if (totalVal >= optimalValue) {
-                    found = true;
-                }
-                return;
-            }
-            for (let i = start; i < n; i++) {
-                subset[depth] = i;
-                enumerate(depth + 1, i + 1);
-                if (found) return;
-            }
-        }
-        
-        enumerate(0, 0);
-        if (found) return k;
+// Populate the optimal-size dropdown based on current n_items
+function updateOptimalSizeOptions() {
+    const n = parseInt(elements.nItems.value) || 1;
+    const current = elements.optimalSize.value;
+    elements.optimalSize.innerHTML = '<option value="no_filter">No filter</option>';
+    for (let i = 1; i < n; i++) {
+        elements.optimalSize.innerHTML += `<option value="${i}"${current === String(i) ? ' selected' : ''}>${i}</option>`;
     }
-    
-    return '> 6'; // Safety cap for large instances
+}
+
+// Cap the Sahni-k range inputs at the Sahni-k limit
+function updateSahniKLimit() {
+    const limit = parseInt(elements.sahniKLimitInput.value);
+    if (!(limit >= 0)) return;
+    [elements.sahniKMin, elements.sahniKMax].forEach(input => { input.max = limit; });
 }
 
 // Render statistics
@@ -640,10 +403,25 @@ function renderStats(stats) {
         { label: 'Sum of Prices', value: stats.sumWeights },
         { label: 'Budget Ratio', value: `${stats.capacityRatio}%`, title: 'Budget as a percentage of total price. Always below 100% — not all items can be bought.' }
     ];
+    stats.resources.forEach(r => {
+        statItems.push({ label: `${r.name} Budget`, value: r.budget, title: `${(r.budget / r.sum * 100).toFixed(1)}% of the items' total ${r.name} (${parseFloat(r.sum.toFixed(2))}).` });
+    });
     
+    if (stats.rules) {
+        statItems.push({ label: 'Item Rules', value: `${stats.rules.conflicts.length} conflicts, ${stats.rules.precedences.length} requires`, title: 'Conflicting pairs cannot both be bought; an item that requires another can only be bought with it. The preview lists each item\'s rules.' });
+    }
+
+    if (stats.pairs) {
+        const total = parseFloat(stats.pairs.reduce((s, [, , bonus]) => s + bonus, 0).toFixed(2));
+        statItems.push({ label: 'Pair Bonuses', value: `${stats.pairs.length} pairs, +${total}`, title: 'Pairs of items worth more together: a bundle holding both gets the bonus on top of their values. The preview lists each item\'s bonuses.' });
+    }
+
     if (stats.seedUsed !== stats.seedRequested) {
         statItems.push({ label: 'Seed Used', value: stats.seedUsed, title: 'Seed was adjusted to satisfy budget range + optimal size constraints.' });
     }
+    if (stats.search) {
+        statItems.push({ label: 'Local Search', value: stats.search, title: "Item values were perturbed from the seed's items to meet the difficulty filters." });
+    }
     
     // Greedy ratio
     if (stats.greedyRatio !== null && stats.greedyRatio !== undefined) {
@@ -654,22 +432,41 @@ function renderStats(stats) {
         });
     }
     
+    // Realised price/value rank correlation
+    if (stats.realizedSpearman !== null && stats.realizedSpearman !== undefined) {
+        statItems.push({
+            label: 'Spearman ρ',
+            value: stats.realizedSpearman.toFixed(3) + (stats.targetSpearman !== undefined ? ` (target ${stats.targetSpearman})` : ''),
+            title: 'Realised rank correlation between price and value across the generated items.'
+        });
+    }
+    
+    // Distinct optimal bundles
+    if (stats.optimalCount !== null && stats.optimalCount !== undefined) {
+        statItems.push({
+            label: 'Optimal Bundles',
+            value: stats.optimalCount.toLocaleString(),
+            title: 'Number of distinct item subsets that reach the optimal value. 1 = unique optimum.'
+        });
+    }
+    
     // Feasible combinations
     if (stats.feasibleCount !== null && stats.feasibleCount !== undefined) {
         statItems.push({
             label: 'Feasible Combinations',
-            value: stats.feasibleCount.toLocaleString(),
-            title: 'Total number of item subsets that fit within the budget.'
+            value: countText(stats.feasibleCount.toLocaleString(), stats.countsExact),
+            title: 'Total number of item subsets that fit within the budget.' + (stats.countsExact ? '' : ESTIMATE_NOTE)
         });
     }
     
-    // N90 (forgiveness) + share
-    if (stats.n90 !== null && stats.n90 !== undefined) {
-        const shareStr = stats.feasibleCount > 0 ? ` (${(stats.n90 / stats.feasibleCount * 100).toFixed(1)}%)` : '';
-        statItems.push({
-            label: 'N90 (Forgiveness)',
-            value: `${stats.n90}${shareStr}`,
-            title: 'Number of feasible subsets achieving ≥ 90% of optimal value, and their share of all feasible combinations. Fewer = less forgiving instance.'
+    // Nα (forgiveness) + share, one card per α level
+    if (stats.nAlpha) {
+        nAlphaParts(stats.nAlpha, stats.feasibleCount, stats.countsExact).forEach(([label, text]) => {
+            statItems.push({
+                label: `${label} (Forgiveness)`,
+                value: text,
+                title: 'Number of feasible subsets achieving ≥ α% of optimal value, and their share of all feasible combinations. Fewer = less forgiving instance.' + (stats.countsExact ? '' : ESTIMATE_NOTE)
+            });
         });
     }
     
@@ -682,12 +479,13 @@ function renderStats(stats) {
 }
 
 // Render optimal solution stats
-function renderOptimal(optimal, sahniK) {
+function renderOptimal(optimal, sahniK, sahniKLimit, resources) {
     const statItems = [
         { label: 'Items Selected', value: `${optimal.count}` },
         { label: 'Total Price', value: optimal.weight },
         { label: 'Total Value', value: optimal.value },
-        { label: 'Sahni-k', value: sahniK, title: 'Minimum k for Sahni\'s algorithm: enumerate all subsets of size ≤ k, greedily fill the rest. k=0 means pure greedy is optimal. Higher k = harder instance.' }
+        ...resources.map((r, i) => ({ label: `Total ${r.name}`, value: optimal.costs[i] })),
+        { label: 'Sahni-k', value: sahniKText(sahniK, sahniKLimit), title: 'Minimum k for Sahni\'s algorithm: enumerate all subsets of size ≤ k, greedily fill the rest. k=0 means pure greedy is optimal. Higher k = harder instance.' }
     ];
     
     // Build item list text
@@ -726,15 +524,23 @@ function renderOptimal(optimal, sahniK) {
     elements.optimalGrid.innerHTML = html;
 }
 
-// Render preview table
-function renderPreview(items, optimalIds) {
+// Render preview table, with a cost column per resource, a rules column
+// (✕ conflicts with, → requires) when items have rules and a bonuses
+// column (partner:+bonus) when they have pair bonuses
+function renderPreview(items, optimalIds, resources) {
     const previewItems = items.slice(0, 25);
+    const rules = hasItemRules(items);
+    const pairs = hasPairValues(items);
+    elements.previewHead.innerHTML = ['Item', 'Price', ...resources.map(r => r.name), 'Value', 'Value/Price', ...(rules ? ['Rules'] : []), ...(pairs ? ['Bonuses'] : [])].map(h => `<th>${h}</th>`).join('');
     elements.previewBody.innerHTML = previewItems.map(item => `
         <tr${optimalIds.has(item.id) ? ' class="optimal-row"' : ''}>
             <td>${item.id}</td>
             <td>${item.weight}</td>
+            ${resources.map((_, i) => `<td>${item.costs[i]}</td>`).join('')}
             <td>${item.value}</td>
             <td>${(item.value / item.weight).toFixed(2)}</td>
+            ${rules ? `<td>${itemRulesText(item)}</td>` : ''}
+            ${pairs ? `<td>${itemPairsText(item)}</td>` : ''}
         </tr>
     `).join('');
 }
@@ -742,11 +548,56 @@ function renderPreview(items, optimalIds) {
 // Generate instance and update UI
 function generate() {
     const config = getConfig();
+    const sizeError = validateSizes('single', config);
+    if (sizeError) {
+        alert(sizeError);
+        return;
+    }
     // Validate budget range
     if (config.budgetMin > config.budgetMax) {
         alert('Min Budget must be ≤ Max Budget.');
         return;
     }
+    const alphaError = validateAlphaLevels(config);
+    if (alphaError) {
+        alert(alphaError);
+        return;
+    }
+    const sahniError = validateSahniK(config);
+    if (sahniError) {
+        alert(sahniError);
+        return;
+    }
+    const rangeError = validateDifficultyRanges(config);
+    if (rangeError) {
+        alert(rangeError);
+        return;
+    }
+    const distError = validateDistributions('single', config);
+    if (distError) {
+        alert(distError);
+        return;
+    }
+    const resourceError = validateResources(config);
+    if (resourceError) {
+        alert(resourceError);
+        return;
+    }
+    const rulesError = validateItemRules(config);
+    if (rulesError) {
+        alert(rulesError);
+        return;
+    }
+    const pairError = validatePairBonuses(config);
+    if (pairError) {
+        alert(pairError);
+        return;
+    }
+    const searchError = validateSearch(config);
+    if (searchError) {
+        alert(searchError);
+        return;
+    }
     
     elements.generateBtn.textContent = 'Generating…';
     elements.generateBtn.disabled = true;
@@ -755,8 +606,16 @@ function generate() {
     setTimeout(() => {
         currentInstance = generateInstance(config);
         const stats = calculateStats(currentInstance);
-        const optimal = solveKnapsack(currentInstance.items, currentInstance.budget);
-        const sahniK = computeSahniK(currentInstance.items, currentInstance.budget, optimal.value);
+        const resources = currentInstance.resources || [];
+        let optimal, sahniK;
+        if (resources.length > 0) {
+            const budgets = budgetVector(currentInstance);
+            optimal = solveMultiKnapsack(currentInstance.items, budgets);
+            sahniK = computeMultiSahniK(currentInstance.items, budgets, optimal.value, config.sahniKLimit);
+        } else {
+            optimal = solveKnapsack(currentInstance.items, currentInstance.budget);
+            sahniK = computeSahniK(currentInstance.items, currentInstance.budget, optimal.value, config.sahniKLimit);
+        }
         
         renderStats(stats);
         if (currentInstance.warning) {
@@ -766,9 +625,9 @@ function generate() {
                 </div>
             `;
         }
-        renderOptimal(optimal, sahniK);
+        renderOptimal(optimal, sahniK, config.sahniKLimit, resources);
         const optimalIds = new Set(optimal.items.map(it => it.id));
-        renderPreview(currentInstance.items, optimalIds);
+        renderPreview(currentInstance.items, optimalIds, resources);
         
         elements.outputSection.classList.remove('hidden');
         elements.downloadCsvBtn.disabled = false;
@@ -795,13 +654,25 @@ function downloadFile(content, filename, mimeType) {
 function downloadCSV() {
     if (!currentInstance) return;
     
-    let csv = 'id,price,value\n';
+    // One cost column per extra resource, between price and value
+    const resources = currentInstance.resources || [];
+    let csv = ['id', 'price', ...resources.map(r => r.name), 'value'].join(',') + '\n';
     currentInstance.items.forEach(item => {
-        csv += `${item.id},${item.weight},${item.value}\n`;
+        csv += [item.id, item.weight, ...(item.costs || []), item.value].join(',') + '\n';
     });
     
     // Add metadata as comments at the end
     csv += `# budget,${currentInstance.budget}\n`;
+    resources.forEach(r => {
+        csv += `# ${r.name} budget,${r.budget}\n`;
+    });
+    if (currentInstance.conflicts) {
+        csv += `# conflicts,${currentInstance.conflicts.map(([a, b]) => `${a}-${b}`).join(' ')}\n`;
+        csv += `# requires,${currentInstance.precedences.map(([a, b]) => `${a}>${b}`).join(' ')}\n`;
+    }
+    if (currentInstance.pair_bonus) {
+        csv += `# pair_bonus,${pairBonusList(currentInstance.items).map(([a, b, bonus]) => `${a}-${b}:${bonus}`).join(' ')}\n`;
+    }
     csv += `# n_items,${currentInstance.n_items}\n`;
     csv += `# seed,${currentInstance.seed}\n`;
     
@@ -858,11 +729,14 @@ function fallbackCopy(text) {
 elements.weightDist.addEventListener('change', () => updateDistParams('weight_dist', 'weight_params'));
 elements.valueDist.addEventListener('change', () => updateDistParams('value_dist', 'value_params'));
 elements.correlation.addEventListener('change', updateCorrelationParams);
+elements.pairDist.addEventListener('change', updatePairParams);
 elements.nItems.addEventListener('input', updateOptimalSizeOptions);
+elements.sahniKLimitInput.addEventListener('change', updateSahniKLimit);
 elements.generateBtn.addEventListener('click', generate);
 elements.downloadCsvBtn.addEventListener('click', downloadCSV);
 elements.downloadJsonBtn.addEventListener('click', downloadJSON);
 elements.copyJsonBtn.addEventListener('click', copyJSON);
+initResourceEditor();
 
 // Initialize
 elements.downloadCsvBtn.disabled = true;
@@ -871,4 +745,6 @@ elements.copyJsonBtn.disabled = true;
 updateDistParams('weight_dist', 'weight_params');
 updateDistParams('value_dist', 'value_params');
 updateCorrelationParams();
+updatePairParams();
 updateOptimalSizeOptions();
+updateSahniKLimit();
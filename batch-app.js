@@ -1,319 +1,7 @@
-// ============================================================
-// Batch Dual-Budget Knapsack Generator
-// Generates multiple instances with compact price,value output.
-// ============================================================
-
-// Seeded PRNG (Mulberry32)
-function mulberry32(seed) {
-    return function() {
-        let t = seed += 0x6D2B79F5;
-        t = Math.imul(t ^ t >>> 15, t | 1);
-        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-        return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
-}
-
-function hashSeed(seed) {
-    if (typeof seed === 'number') return Math.floor(seed);
-    let hash = 0;
-    for (let i = 0; i < seed.length; i++) {
-        const char = seed.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
-    }
-    return Math.abs(hash);
-}
-
-function boxMuller(rng) {
-    const u1 = rng();
-    const u2 = rng();
-    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-}
-
-// Distribution samplers — integer
-function sampleUniformInt(rng, min, max) { return Math.floor(rng() * (max - min + 1)) + min; }
-function sampleNormalInt(rng, mean, sd) { let v; do { v = Math.round(mean + sd * boxMuller(rng)); } while (v <= 0); return v; }
-function sampleLognormalInt(rng, mu, sigma) { let v; do { v = Math.round(Math.exp(mu + sigma * boxMuller(rng))); } while (v <= 0); return v; }
-
-// Distribution samplers — continuous
-function sampleUniformCont(rng, min, max) { return Math.max(0.01, parseFloat((min + rng() * (max - min)).toFixed(2))); }
-function sampleNormalCont(rng, mean, sd) { let v; do { v = mean + sd * boxMuller(rng); } while (v <= 0); return parseFloat(v.toFixed(2)); }
-function sampleLognormalCont(rng, mu, sigma) { return parseFloat(Math.max(0.01, Math.exp(mu + sigma * boxMuller(rng))).toFixed(2)); }
-
-function getSampler(distType, params, isInt) {
-    if (isInt) {
-        switch (distType) {
-            case 'uniform': return (rng) => sampleUniformInt(rng, params.min, params.max);
-            case 'normal':  return (rng) => sampleNormalInt(rng, params.mean, params.sd);
-            case 'lognormal': return (rng) => sampleLognormalInt(rng, params.mu, params.sigma);
-        }
-    } else {
-        switch (distType) {
-            case 'uniform': return (rng) => sampleUniformCont(rng, params.min, params.max);
-            case 'normal':  return (rng) => sampleNormalCont(rng, params.mean, params.sd);
-            case 'lognormal': return (rng) => sampleLognormalCont(rng, params.mu, params.sigma);
-        }
-    }
-}
-
-function distName(type, isInt) {
-    const base = { 'uniform': 'Uniform', 'normal': 'Normal', 'lognormal': 'Lognormal' };
-    return base[type] + (isInt ? 'Int' : '');
-}
-
-const CORRELATION_NAMES = { 'independent': 'Independent', 'positive': 'PositiveLinear', 'negative': 'NegativeLinear' };
-
-// Generate items
-function generateItems(config, seedStr) {
-    const rng = mulberry32(hashSeed(seedStr));
-    const weightSampler = getSampler(config.weightDist, config.weightParams, config.weightInt);
-    const valueSampler = getSampler(config.valueDist, config.valueParams, config.valueInt);
-
-    const premiumCount = config.premiumCount || 0;
-    const regularCount = config.nItems - premiumCount;
-
-    // Generate regular items first
-    const regularItems = [];
-    let maxWeight = 0;
-
-    for (let i = 0; i < regularCount; i++) {
-        const weight = weightSampler(rng);
-        regularItems.push({ id: 0, weight, value: 0, premium: false });
-        maxWeight = Math.max(maxWeight, weight);
-    }
-
-    for (let i = 0; i < regularCount; i++) {
-        let value;
-        if (config.correlation === 'independent') {
-            value = valueSampler(rng);
-        } else if (config.correlation === 'positive') {
-            value = config.alpha * regularItems[i].weight + config.noiseSd * boxMuller(rng);
-            value = config.valueInt ? Math.round(value) : parseFloat(value.toFixed(2));
-        } else if (config.correlation === 'negative') {
-            value = config.alpha * (maxWeight - regularItems[i].weight) + config.noiseSd * boxMuller(rng);
-            value = config.valueInt ? Math.round(value) : parseFloat(value.toFixed(2));
-        }
-        regularItems[i].value = Math.max(config.valueInt ? 1 : 0.01, value);
-    }
-
-    // Ratio spread (applied only to regular items)
-    if (config.ratioSpread !== 'medium') {
-        const lambda = config.ratioSpread === 'low' ? 0.3 : 2.0;
-        const ratios = regularItems.map(it => it.value / it.weight);
-        const meanR = ratios.reduce((a, b) => a + b, 0) / ratios.length;
-        for (let i = 0; i < regularItems.length; i++) {
-            const nr = Math.max(0.01, meanR + lambda * (ratios[i] - meanR));
-            let nv = nr * regularItems[i].weight;
-            regularItems[i].value = config.valueInt ? Math.max(1, Math.round(nv)) : Math.max(0.01, parseFloat(nv.toFixed(2)));
-        }
-    }
-
-    // Integer ratios (applied only to regular items)
-    if (config.integerRatios) {
-        for (let i = 0; i < regularItems.length; i++) {
-            const ratio = Math.max(1, Math.round(regularItems[i].value / regularItems[i].weight));
-            regularItems[i].value = ratio * regularItems[i].weight;
-        }
-    }
-
-    // Fraction ratios: ensure no regular item has an integer value/price ratio
-    if (config.fractionRatios && !config.integerRatios) {
-        for (let i = 0; i < regularItems.length; i++) {
-            const ratio = regularItems[i].value / regularItems[i].weight;
-            if (Number.isInteger(ratio)) {
-                // Nudge value by +1 or -1 to break the integer ratio
-                const nudged = regularItems[i].value + 1;
-                regularItems[i].value = Math.max(1, nudged);
-                // If still integer (unlikely), nudge the other way
-                if (Number.isInteger(regularItems[i].value / regularItems[i].weight)) {
-                    regularItems[i].value = Math.max(1, regularItems[i].value - 2);
-                }
-            }
-        }
-    }
-
-    // Create premium items
-    const premiumItems = [];
-    for (let i = 0; i < premiumCount; i++) {
-        premiumItems.push({
-            id: 0,
-            weight: config.premiumPrice,
-            value: config.premiumValue,
-            premium: true
-        });
-    }
-
-    // Merge: insert premium items at random positions among regular items
-    const items = [...regularItems];
-    for (const pItem of premiumItems) {
-        const pos = Math.floor(rng() * (items.length + 1));
-        items.splice(pos, 0, pItem);
-    }
-
-    // Assign final sequential IDs
-    for (let i = 0; i < items.length; i++) {
-        items[i].id = i + 1;
-    }
-
-    return items;
-}
-
-// DP knapsack solver
-function solveKnapsack(items, capacity) {
-    const n = items.length;
-    const dp = Array.from({ length: n + 1 }, () => new Int32Array(capacity + 1));
-
-    for (let i = 1; i <= n; i++) {
-        const w = items[i - 1].weight;
-        const v = items[i - 1].value;
-        for (let c = 0; c <= capacity; c++) {
-            dp[i][c] = dp[i - 1][c];
-            if (w <= c && dp[i - 1][c - w] + v > dp[i][c]) {
-                dp[i][c] = dp[i - 1][c - w] + v;
-            }
-        }
-    }
-
-    const selected = [];
-    let c = capacity;
-    for (let i = n; i >= 1; i--) {
-        if (dp[i][c] !== dp[i - 1][c]) {
-            selected.push(items[i - 1]);
-            c -= items[i - 1].weight;
-        }
-    }
-    selected.reverse();
-
-    return {
-        value: dp[n][capacity],
-        weight: selected.reduce((s, it) => s + it.weight, 0),
-        count: selected.length,
-        items: selected
-    };
-}
-
-// Sahni-k
-function computeSahniK(items, capacity, optimalValue) {
-    const n = items.length;
-    const sortedIndices = items.map((_, i) => i).sort((a, b) =>
-        (items[b].value / items[b].weight) - (items[a].value / items[a].weight)
-    );
-
-    function greedyFill(forced, remCap) {
-        let val = 0;
-        for (const idx of sortedIndices) {
-            if (forced.has(idx)) continue;
-            if (items[idx].weight <= remCap) { val += items[idx].value; remCap -= items[idx].weight; }
-        }
-        return val;
-    }
-
-    if (greedyFill(new Set(), capacity) >= optimalValue) return 0;
-
-    for (let k = 1; k <= Math.min(n, 6); k++) {
-        const subset = new Array(k);
-        let found = false;
-        function enumerate(depth, start) {
-            if (found) return;
-            if (depth === k) {
-                const forced = new Set(subset);
-                let fw = 0, fv = 0;
-                for (const idx of subset) { fw += items[idx].weight; fv += items[idx].value; }
-                if (fw > capacity) return;
-                if (fv + greedyFill(forced, capacity - fw) >= optimalValue) found = true;
-                return;
-            }
-            for (let i = start; i < n; i++) { subset[depth] = i; enumerate(depth + 1, i + 1); if (found) return; }
-        }
-        enumerate(0, 0);
-        if (found) return k;
-    }
-    return '> 6';
-}
-
-// ============================================================
-// Find a valid capacity within [budgetMin, budgetMax] that satisfies
-// optimal-size RANGE [optMin, optMax] + Sahni-k target + optional
-// optimal value range [minOptVal, maxOptVal].
-// Returns { capacity, sol, sahniK } or null.
-// ============================================================
-function findCapacityInRange(items, budgetMin, budgetMax, optMin, optMax, targetSahniK, minOptVal, maxOptVal) {
-    const sumWeights = items.reduce((s, it) => s + it.weight, 0);
-    const lo = Math.max(1, budgetMin);
-    const hi = Math.min(budgetMax, sumWeights - 1);
-    if (lo > hi) return null;
-
-    const anyOptTarget = (optMin !== null && optMax !== null);
-    const hasMinVal = minOptVal !== null && minOptVal !== undefined;
-    const hasMaxVal = maxOptVal !== null && maxOptVal !== undefined;
-
-    function valueInRange(v) {
-        if (hasMinVal && v < minOptVal) return false;
-        if (hasMaxVal && v > maxOptVal) return false;
-        return true;
-    }
-
-    // Collect candidate capacities whose optimal value falls in range
-    let candidates = [];
-
-    for (let c = lo; c <= hi; c++) {
-        const sol = solveKnapsack(items, c);
-        // Enforce optimal item count range (if set)
-        if (anyOptTarget && (sol.count < optMin || sol.count > optMax)) continue;
-        // Enforce optimal value range (if set)
-        if (!valueInRange(sol.value)) continue;
-        candidates.push(c);
-    }
-
-    if (candidates.length === 0) return null;
-
-    if (targetSahniK === 'no_filter') {
-        const cap = candidates[Math.floor(candidates.length / 2)];
-        const sol = solveKnapsack(items, cap);
-        return { capacity: cap, sol, sahniK: null };
-    }
-
-    const targetK = parseInt(targetSahniK);
-    for (const c of candidates) {
-        const sol = solveKnapsack(items, c);
-        const k = computeSahniK(items, c, sol.value);
-        if (k === targetK) {
-            return { capacity: c, sol, sahniK: k };
-        }
-    }
-
-    return null;
-}
-
-// ============================================================
-// Greedy value helper
-// ============================================================
-function greedyValue(items, capacity) {
-    const sorted = [...items].sort((a, b) => (b.value / b.weight) - (a.value / a.weight));
-    let remaining = capacity, total = 0;
-    for (const it of sorted) {
-        if (it.weight <= remaining) { total += it.value; remaining -= it.weight; }
-    }
-    return total;
-}
-
-// Count feasible subsets and near-optimal subsets (brute-force bitmask, n<=20)
-function countBundleStats(items, capacity, optValue, alphaPercent) {
-    const n = items.length;
-    let feasible = 0, n90 = 0;
-    const limit = 1 << n;
-    for (let mask = 1; mask < limit; mask++) {
-        let w = 0, v = 0;
-        for (let j = 0; j < n; j++) {
-            if (mask & (1 << j)) { w += items[j].weight; v += items[j].value; }
-        }
-        if (w <= capacity) {
-            feasible++;
-            if (v * 100 >= alphaPercent * optValue) n90++;
-        }
-    }
-    return { feasible, n90 };
-}
+// Batch page UI. Generation and solving live in core/.
+import { formatBatchInstanceBlock, buildBatchExport, tierOverlaps, quantityOf, hasQuantities, hasItemRules, itemRulesText, renumberItems, isLinearCorrelation, hasOwnValueDist, spearmanRho, countText, sahniKText, nAlphaParts, parseNumberList, parsePercentList, parsePercentBound, validateAlphaLevels, validateSahniK, validateDifficultyRanges, validateTiers, validateSizes, validateStrata, validateQuantities, validateItemRules, validateDistributions, validateSearch, searchText } from './core/index.js';
+import { generateBatchInWorkers } from './batch-pool.js';
+import { tierColor, initTierEditor, updateTierSahniKLimit, readTiers, initRelationEditor, syncRelationTiers, readRelations, overlapTexts, tierMembership, tierMarks, tierLegend } from './tiers-ui.js';
 
 // ============================================================
 // DOM & UI
@@ -325,23 +13,24 @@ const el = {
     premiumCount: document.getElementById('premium_count'),
     premiumPrice: document.getElementById('premium_price'),
     premiumValue: document.getElementById('premium_value'),
-    budgetLowMin: document.getElementById('budget_low_min'),
-    budgetLowMax: document.getElementById('budget_low_max'),
-    budgetHighMin: document.getElementById('budget_high_min'),
-    budgetHighMax: document.getElementById('budget_high_max'),
-    optLowMin: document.getElementById('opt_low_min'),
-    optLowMax: document.getElementById('opt_low_max'),
-    optHighMin: document.getElementById('opt_high_min'),
-    optHighMax: document.getElementById('opt_high_max'),
-    sahniKLow: document.getElementById('sahni_k_low'),
-    sahniKHigh: document.getElementById('sahni_k_high'),
-    minOptValLow: document.getElementById('min_opt_val_low'),
-    maxOptValLow: document.getElementById('max_opt_val_low'),
-    minOptValHigh: document.getElementById('min_opt_val_high'),
-    maxOptValHigh: document.getElementById('max_opt_val_high'),
-    greedyCapSelect: document.getElementById('greedyCapSelect'),
-    forgivenessCapSelect: document.getElementById('forgivenessCapSelect'),
-    minFeasibleInput: document.getElementById('minFeasibleInput'),
+    premiumAsQuantity: document.getElementById('premium_as_quantity'),
+    quantityMode: document.getElementById('quantity_mode'),
+    quantityMin: document.getElementById('quantity_min'),
+    quantityMax: document.getElementById('quantity_max'),
+    conflictDensity: document.getElementById('conflict_density'),
+    precedenceDensity: document.getElementById('precedence_density'),
+    tiersContainer: document.getElementById('tiers_container'),
+    addTierBtn: document.getElementById('add_tier_btn'),
+    relationsContainer: document.getElementById('relations_container'),
+    addRelationBtn: document.getElementById('add_relation_btn'),
+    strataContainer: document.getElementById('strata_container'),
+    addStratumBtn: document.getElementById('add_stratum_btn'),
+    sahniKLimitInput: document.getElementById('sahniKLimitInput'),
+    forgivenessAlphaInput: document.getElementById('forgivenessAlphaInput'),
+    alphaLevelsInput: document.getElementById('alphaLevelsInput'),
+    uniqueOptimum: document.getElementById('unique_optimum'),
+    searchMode: document.getElementById('search_mode'),
+    searchSteps: document.getElementById('search_steps'),
     maxRatioInput: document.getElementById('maxRatioInput'),
     seed: document.getElementById('seed'),
     weightDist: document.getElementById('weight_dist'),
@@ -355,18 +44,40 @@ const el = {
     weightSd: document.getElementById('weight_sd'),
     weightMu: document.getElementById('weight_mu'),
     weightSigma: document.getElementById('weight_sigma'),
+    weightShape: document.getElementById('weight_shape'),
+    weightScale: document.getElementById('weight_scale'),
+    weightBetaA: document.getElementById('weight_beta_a'),
+    weightBetaB: document.getElementById('weight_beta_b'),
+    weightBetaMin: document.getElementById('weight_beta_min'),
+    weightBetaMax: document.getElementById('weight_beta_max'),
+    weightXm: document.getElementById('weight_xm'),
+    weightParetoAlpha: document.getElementById('weight_pareto_alpha'),
+    weightEmpirical: document.getElementById('weight_empirical'),
+    weightEmpiricalReplace: document.getElementById('weight_empirical_replace'),
     valueMin: document.getElementById('value_min'),
     valueMax: document.getElementById('value_max'),
     valueMean: document.getElementById('value_mean'),
     valueSd: document.getElementById('value_sd'),
     valueMu: document.getElementById('value_mu'),
     valueSigma: document.getElementById('value_sigma'),
+    valueShape: document.getElementById('value_shape'),
+    valueScale: document.getElementById('value_scale'),
+    valueBetaA: document.getElementById('value_beta_a'),
+    valueBetaB: document.getElementById('value_beta_b'),
+    valueBetaMin: document.getElementById('value_beta_min'),
+    valueBetaMax: document.getElementById('value_beta_max'),
+    valueXm: document.getElementById('value_xm'),
+    valueParetoAlpha: document.getElementById('value_pareto_alpha'),
+    valueEmpirical: document.getElementById('value_empirical'),
+    valueEmpiricalReplace: document.getElementById('value_empirical_replace'),
     alpha: document.getElementById('alpha'),
     noiseSd: document.getElementById('noise_sd'),
+    copulaRho: document.getElementById('copula_rho'),
     ratioSpread: document.getElementById('ratio_spread'),
     integerRatios: document.getElementById('integer_ratios'),
     fractionRatios: document.getElementById('fraction_ratios'),
     generateBtn: document.getElementById('generate_btn'),
+    stopBtn: document.getElementById('stop_btn'),
     copyAllBtn: document.getElementById('copy_all_btn'),
     downloadJsonBtn: document.getElementById('download_json_btn'),
     outputSection: document.getElementById('output_section'),
@@ -379,6 +90,8 @@ const el = {
 };
 
 let allResults = [];
+let requestedInstances = 0;
+let abortController = null;
 
 function updateDistParams(selectId, paramsContainerId) {
     const dist = document.getElementById(selectId).value;
@@ -392,8 +105,116 @@ function updateCorrelationParams() {
     const corrDiv = el.correlationParams.querySelector('.correlation-params');
     const vDistG = el.valueDist.closest('.form-group');
     const vParamsG = el.valueParams;
-    if (corr === 'independent') { corrDiv.classList.add('hidden'); vDistG.classList.remove('hidden'); vParamsG.classList.remove('hidden'); }
-    else { corrDiv.classList.remove('hidden'); vDistG.classList.add('hidden'); vParamsG.classList.add('hidden'); }
+    el.correlationParams.querySelector('.copula-params').classList.toggle('hidden', corr !== 'copula');
+    if (hasOwnValueDist(corr)) { corrDiv.classList.add('hidden'); vDistG.classList.remove('hidden'); vParamsG.classList.remove('hidden'); }
+    else { corrDiv.classList.toggle('hidden', !isLinearCorrelation(corr)); vDistG.classList.add('hidden'); vParamsG.classList.add('hidden'); }
+}
+
+// Cap the tiers' and strata's Sahni-k range inputs at the Sahni-k limit
+function updateSahniKLimit() {
+    const limit = parseInt(el.sahniKLimitInput.value);
+    updateTierSahniKLimit(el.tiersContainer, limit);
+    if (limit >= 0) el.strataContainer.querySelectorAll('.stratum-sahni-k').forEach(input => { input.max = limit; });
+}
+
+// The max quantity range only applies to bounded quantities
+function updateQuantityInputs() {
+    const bounded = el.quantityMode.value === 'bounded';
+    el.quantityMin.disabled = !bounded;
+    el.quantityMax.disabled = !bounded;
+}
+
+// ============================================================
+// Difficulty strata — one .stratum-row per stratum, ids prefixed
+// s1, s2, ... While there are strata, the instance count is the
+// sum of their quotas.
+// ============================================================
+
+function stratumRows() {
+    return [...el.strataContainer.querySelectorAll('.stratum-row')];
+}
+
+function stratumRow(prefix, n) {
+    const limit = parseInt(el.sahniKLimitInput.value);
+    const row = document.createElement('div');
+    row.className = 'form-row stratum-row';
+    row.dataset.prefix = prefix;
+    const percent = (name, label) => `
+        <div class="form-group compact">
+            <label for="${prefix}_${name}">${label}</label>
+            <input type="number" id="${prefix}_${name}" placeholder="Tier's" min="0" max="100" step="any">
+        </div>`;
+    row.innerHTML = `
+        <div class="form-group compact">
+            <label for="${prefix}_name">Stratum</label>
+            <input type="text" id="${prefix}_name" value="stratum ${n}">
+        </div>
+        <div class="form-group compact">
+            <label for="${prefix}_count">Quota <span class="info-icon" tabindex="0">ⓘ<div class="info-tooltip">Instances in this stratum. Strata take consecutive instances of the batch, in order, from one seed stream.</div></span></label>
+            <input type="number" id="${prefix}_count" class="stratum-count" value="5" min="1">
+        </div>
+        <div class="form-group compact">
+            <label for="${prefix}_sahni_k_min">Sahni-k Min <span class="info-icon" tabindex="0">ⓘ<div class="info-tooltip">Ranges set here replace that range on every tier for this stratum's instances; empty ones keep the tiers' own.</div></span></label>
+            <input type="number" id="${prefix}_sahni_k_min" class="stratum-sahni-k" placeholder="Tier's" min="0" max="${limit}" step="1">
+        </div>
+        <div class="form-group compact">
+            <label for="${prefix}_sahni_k_max">Sahni-k Max</label>
+            <input type="number" id="${prefix}_sahni_k_max" class="stratum-sahni-k" placeholder="Tier's" min="0" max="${limit}" step="1">
+        </div>
+        ${percent('greedy_min', 'Greedy Min (%)')}
+        ${percent('greedy_max', 'Greedy Max (%)')}
+        ${percent('forgiveness_min', 'Nα Share Min (%)')}
+        ${percent('forgiveness_max', 'Nα Share Max (%)')}
+        <div class="form-group compact">
+            <label for="${prefix}_min_feasible">Min Feasible</label>
+            <input type="number" id="${prefix}_min_feasible" placeholder="Tier's" min="1">
+        </div>
+        <button type="button" class="remove-stratum-btn" title="Remove this stratum">✕</button>`;
+    return row;
+}
+
+// Instance count follows the quotas while there are strata
+function refreshStrata() {
+    const rows = stratumRows();
+    el.nInstances.readOnly = rows.length > 0;
+    if (rows.length > 0) el.nInstances.value = rows.reduce((s, row) => s + (parseInt(row.querySelector('.stratum-count').value) || 0), 0);
+}
+
+function initStrataEditor() {
+    el.strataContainer.addEventListener('click', (e) => {
+        if (!e.target.classList.contains('remove-stratum-btn')) return;
+        e.target.closest('.stratum-row').remove();
+        refreshStrata();
+    });
+    el.strataContainer.addEventListener('input', (e) => {
+        if (e.target.classList.contains('stratum-count')) refreshStrata();
+    });
+    el.addStratumBtn.addEventListener('click', () => {
+        const rows = stratumRows();
+        const n = rows.length === 0 ? 1 : Math.max(...rows.map(row => parseInt(row.dataset.prefix.slice(1)))) + 1;
+        el.strataContainer.appendChild(stratumRow(`s${n}`, n));
+        refreshStrata();
+    });
+}
+
+// The config's strata list, read from the editor rows
+function readStrata() {
+    return stratumRows().map(row => {
+        const field = (name) => document.getElementById(`${row.dataset.prefix}_${name}`);
+        const optional = (name) => field(name).value !== '' ? parseInt(field(name).value) : null;
+        const percent = (name) => parsePercentBound(field(name).value);
+        return {
+            name: field('name').value.trim(),
+            count: parseInt(field('count').value),
+            sahniKMin: optional('sahni_k_min'),
+            sahniKMax: optional('sahni_k_max'),
+            greedyMin: percent('greedy_min'),
+            greedyMax: percent('greedy_max'),
+            forgivenessMin: percent('forgiveness_min'),
+            forgivenessMax: percent('forgiveness_max'),
+            minFeasible: optional('min_feasible')
+        };
+    });
 }
 
 function getConfig() {
@@ -405,11 +226,19 @@ function getConfig() {
         case 'uniform': weightParams = { min: parseInt(el.weightMin.value), max: parseInt(el.weightMax.value) }; break;
         case 'normal': weightParams = { mean: parseFloat(el.weightMean.value), sd: parseFloat(el.weightSd.value) }; break;
         case 'lognormal': weightParams = { mu: parseFloat(el.weightMu.value), sigma: parseFloat(el.weightSigma.value) }; break;
+        case 'gamma': weightParams = { shape: parseFloat(el.weightShape.value), scale: parseFloat(el.weightScale.value) }; break;
+        case 'beta': weightParams = { a: parseFloat(el.weightBetaA.value), b: parseFloat(el.weightBetaB.value), min: parseFloat(el.weightBetaMin.value), max: parseFloat(el.weightBetaMax.value) }; break;
+        case 'pareto': weightParams = { xm: parseFloat(el.weightXm.value), alpha: parseFloat(el.weightParetoAlpha.value) }; break;
+        case 'empirical': weightParams = { values: parseNumberList(el.weightEmpirical.value), replace: el.weightEmpiricalReplace.checked }; break;
     }
     switch (valueDist) {
         case 'uniform': valueParams = { min: parseInt(el.valueMin.value), max: parseInt(el.valueMax.value) }; break;
         case 'normal': valueParams = { mean: parseFloat(el.valueMean.value), sd: parseFloat(el.valueSd.value) }; break;
         case 'lognormal': valueParams = { mu: parseFloat(el.valueMu.value), sigma: parseFloat(el.valueSigma.value) }; break;
+        case 'gamma': valueParams = { shape: parseFloat(el.valueShape.value), scale: parseFloat(el.valueScale.value) }; break;
+        case 'beta': valueParams = { a: parseFloat(el.valueBetaA.value), b: parseFloat(el.valueBetaB.value), min: parseFloat(el.valueBetaMin.value), max: parseFloat(el.valueBetaMax.value) }; break;
+        case 'pareto': valueParams = { xm: parseFloat(el.valueXm.value), alpha: parseFloat(el.valueParetoAlpha.value) }; break;
+        case 'empirical': valueParams = { values: parseNumberList(el.valueEmpirical.value), replace: el.valueEmpiricalReplace.checked }; break;
     }
 
     return {
@@ -418,23 +247,21 @@ function getConfig() {
         premiumCount: parseInt(el.premiumCount.value) || 0,
         premiumPrice: parseInt(el.premiumPrice.value) || 20,
         premiumValue: parseInt(el.premiumValue.value) || 100,
-        budgetLowMin: parseInt(el.budgetLowMin.value),
-        budgetLowMax: parseInt(el.budgetLowMax.value),
-        budgetHighMin: parseInt(el.budgetHighMin.value),
-        budgetHighMax: parseInt(el.budgetHighMax.value),
-        optLowMin: parseInt(el.optLowMin.value),
-        optLowMax: parseInt(el.optLowMax.value),
-        optHighMin: parseInt(el.optHighMin.value),
-        optHighMax: parseInt(el.optHighMax.value),
-        sahniKLow: el.sahniKLow.value,
-        sahniKHigh: el.sahniKHigh.value,
-        minOptValLow: el.minOptValLow.value ? parseInt(el.minOptValLow.value) : null,
-        maxOptValLow: el.maxOptValLow.value ? parseInt(el.maxOptValLow.value) : null,
-        minOptValHigh: el.minOptValHigh.value ? parseInt(el.minOptValHigh.value) : null,
-        maxOptValHigh: el.maxOptValHigh.value ? parseInt(el.maxOptValHigh.value) : null,
-        greedyCap: el.greedyCapSelect.value,
-        forgivenessCap: el.forgivenessCapSelect.value,
-        minFeasible: el.minFeasibleInput.value ? parseInt(el.minFeasibleInput.value) : null,
+        premiumAsQuantity: el.premiumAsQuantity.checked,
+        quantityMode: el.quantityMode.value,
+        quantityMin: parseInt(el.quantityMin.value),
+        quantityMax: parseInt(el.quantityMax.value),
+        conflictDensity: parseFloat(el.conflictDensity.value) || 0,
+        precedenceDensity: parseFloat(el.precedenceDensity.value) || 0,
+        tiers: readTiers(el.tiersContainer),
+        tierRelations: readRelations(el.relationsContainer, el.tiersContainer),
+        strata: readStrata(),
+        sahniKLimit: parseInt(el.sahniKLimitInput.value),
+        forgivenessAlpha: parseFloat(el.forgivenessAlphaInput.value),
+        alphaLevels: parsePercentList(el.alphaLevelsInput.value),
+        uniqueOptimum: el.uniqueOptimum.checked,
+        searchMode: el.searchMode.value,
+        searchSteps: parseInt(el.searchSteps.value),
         maxRatio: el.maxRatioInput.value ? parseFloat(el.maxRatioInput.value) : null,
         seed: el.seed.value,
         weightDist, weightParams, weightInt: el.weightInt.checked,
@@ -442,202 +269,48 @@ function getConfig() {
         correlation: el.correlation.value,
         alpha: parseFloat(el.alpha.value),
         noiseSd: parseFloat(el.noiseSd.value),
+        copulaRho: parseFloat(el.copulaRho.value),
         ratioSpread: el.ratioSpread.value,
         integerRatios: el.integerRatios.checked,
         fractionRatios: el.fractionRatios.checked
     };
 }
 
-// Generate a single instance with given base seed. Returns result object or null.
-function generateSingleInstance(config, instanceSeed) {
-    const MAX_ATTEMPTS = 10000;
-
-    const greedyActive = config.greedyCap !== 'no_filter';
-    const greedyThreshold = greedyActive ? parseFloat(config.greedyCap) : 1;
-    const forgivenessActive = config.forgivenessCap !== 'no_filter';
-    const forgivenessShare = forgivenessActive ? parseFloat(config.forgivenessCap) : Infinity;
-    const canBruteForceN90 = config.nItems <= 20;
-
-    // Track best near-miss: passed structural + value-cap but failed greedy/N90
-    let bestFallback = null;
-
-    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
-        const usedSeed = attempt === 0 ? instanceSeed : instanceSeed + '_' + attempt;
-        const items = generateItems(config, usedSeed);
-
-        // Max V/P ratio filter (applied to regular items only)
-        if (config.maxRatio !== null) {
-            const exceeded = items.some(it => !it.premium && (it.value / it.weight) > config.maxRatio);
-            if (exceeded) continue;
-        }
-
-        const lowResult = findCapacityInRange(
-            items, config.budgetLowMin, config.budgetLowMax,
-            config.optLowMin, config.optLowMax, config.sahniKLow, config.minOptValLow, config.maxOptValLow
-        );
-        if (!lowResult) continue;
-
-        const highResult = findCapacityInRange(
-            items, config.budgetHighMin, config.budgetHighMax,
-            config.optHighMin, config.optHighMax, config.sahniKHigh, config.minOptValHigh, config.maxOptValHigh
-        );
-        if (!highResult) continue;
-
-        const capLow = lowResult.capacity;
-        const capHigh = highResult.capacity;
-        const solLow = lowResult.sol || solveKnapsack(items, capLow);
-        const solHigh = highResult.sol || solveKnapsack(items, capHigh);
-
-        // This attempt passed structural + value constraints — remember it
-        // as a potential fallback even if greedy/N90 fail below.
-        if (!bestFallback) {
-            bestFallback = { usedSeed, items, lowResult, highResult, capLow, capHigh, solLow, solHigh };
-        }
-
-        // Greedy constraint — check BOTH budgets
-        if (greedyActive) {
-            const gLow = solLow.value > 0 ? greedyValue(items, capLow) / solLow.value : 0;
-            const gHigh = solHigh.value > 0 ? greedyValue(items, capHigh) / solHigh.value : 0;
-            if (gLow >= greedyThreshold || gHigh >= greedyThreshold) continue;
-        }
-
-        // Forgiveness constraint (N90 share) + min feasible — check BOTH budgets
-        if (canBruteForceN90) {
-            const bsL = countBundleStats(items, capLow, solLow.value, 90);
-            const bsH = countBundleStats(items, capHigh, solHigh.value, 90);
-            if (forgivenessActive) {
-                const shareLow = bsL.feasible > 0 ? bsL.n90 / bsL.feasible : 0;
-                const shareHigh = bsH.feasible > 0 ? bsH.n90 / bsH.feasible : 0;
-                if (shareLow > forgivenessShare || shareHigh > forgivenessShare) continue;
-            }
-            if (config.minFeasible !== null && (bsL.feasible < config.minFeasible || bsH.feasible < config.minFeasible)) continue;
-        }
-
-        // Compute Sahni-k if not done yet
-        const sahniLow = lowResult.sahniK !== null ? lowResult.sahniK : computeSahniK(items, capLow, solLow.value);
-        const sahniHigh = highResult.sahniK !== null ? highResult.sahniK : computeSahniK(items, capHigh, solHigh.value);
-
-        // Compute greedy ratio and N90 for display
-        const greedyRatioLow = solLow.value > 0 ? greedyValue(items, capLow) / solLow.value : 0;
-        const greedyRatioHigh = solHigh.value > 0 ? greedyValue(items, capHigh) / solHigh.value : 0;
-        let n90Low = null, n90High = null, feasibleLow = null, feasibleHigh = null;
-        if (canBruteForceN90) {
-            const bsLow = countBundleStats(items, capLow, solLow.value, 90);
-            const bsHigh = countBundleStats(items, capHigh, solHigh.value, 90);
-            n90Low = bsLow.n90;
-            n90High = bsHigh.n90;
-            feasibleLow = bsLow.feasible;
-            feasibleHigh = bsHigh.feasible;
-        }
-
-        return {
-            seed: usedSeed,
-            items,
-            budgetLow: capLow,
-            budgetHigh: capHigh,
-            optLow: solLow,
-            optHigh: solHigh,
-            sahniLow,
-            sahniHigh,
-            greedyRatioLow,
-            greedyRatioHigh,
-            n90Low,
-            n90High,
-            feasibleLow,
-            feasibleHigh
-        };
-    }
-
-    // Fallback — prefer a near-miss that at least satisfies the value cap
-    const fb = bestFallback || null;
-    const fbItems = fb ? fb.items : generateItems(config, instanceSeed);
-    const fbSumW = fbItems.reduce((s, it) => s + it.weight, 0);
-    const fbCapLow = fb ? fb.capLow : Math.max(1, Math.min(Math.round((config.budgetLowMin + config.budgetLowMax) / 2), fbSumW - 1));
-    const fbCapHigh = fb ? fb.capHigh : Math.max(1, Math.min(Math.round((config.budgetHighMin + config.budgetHighMax) / 2), fbSumW - 1));
-    const fbSolLow = fb ? fb.solLow : solveKnapsack(fbItems, fbCapLow);
-    const fbSolHigh = fb ? fb.solHigh : solveKnapsack(fbItems, fbCapHigh);
-    const fbSeed = fb ? fb.usedSeed : instanceSeed;
-
-    const greedyRatioLow = fbSolLow.value > 0 ? greedyValue(fbItems, fbCapLow) / fbSolLow.value : 0;
-    const greedyRatioHigh = fbSolHigh.value > 0 ? greedyValue(fbItems, fbCapHigh) / fbSolHigh.value : 0;
-    let n90Low = null, n90High = null, feasibleLow = null, feasibleHigh = null;
-    if (canBruteForceN90) {
-        const bsLow = countBundleStats(fbItems, fbCapLow, fbSolLow.value, 90);
-        const bsHigh = countBundleStats(fbItems, fbCapHigh, fbSolHigh.value, 90);
-        n90Low = bsLow.n90;
-        n90High = bsHigh.n90;
-        feasibleLow = bsLow.feasible;
-        feasibleHigh = bsHigh.feasible;
-    }
-
-    const fbSahniLow = fb && fb.lowResult.sahniK !== null ? fb.lowResult.sahniK : computeSahniK(fbItems, fbCapLow, fbSolLow.value);
-    const fbSahniHigh = fb && fb.highResult.sahniK !== null ? fb.highResult.sahniK : computeSahniK(fbItems, fbCapHigh, fbSolHigh.value);
-
-    return {
-        seed: fbSeed,
-        items: fbItems,
-        budgetLow: fbCapLow,
-        budgetHigh: fbCapHigh,
-        optLow: fbSolLow,
-        optHigh: fbSolHigh,
-        sahniLow: fbSahniLow,
-        sahniHigh: fbSahniHigh,
-        greedyRatioLow,
-        greedyRatioHigh,
-        n90Low,
-        n90High,
-        feasibleLow,
-        feasibleHigh,
-        warning: 'Could not satisfy all constraints after 10,000 attempts.' + (fb ? ' (value cap respected, greedy/N90 relaxed)' : '')
-    };
-}
-
-// Format compact price,value text for an instance
-function formatCompact(result) {
-    return result.items.map(it => `${it.weight},${it.value}${it.premium ? '  # premium' : ''}`).join('\n');
+// Copies of each item in a tier's optimum: item id -> count
+function optimalCopies(tier) {
+    const copies = new Map();
+    tier.opt.items.forEach(it => copies.set(it.id, (copies.get(it.id) || 0) + 1));
+    return copies;
 }
 
-// Build full text block for one instance (header + price,value)
-function formatInstanceBlock(result, index) {
-    const lines = [];
-    const premiumCount = result.items.filter(it => it.premium).length;
-    lines.push(`# Instance ${index + 1}  |  seed: ${result.seed}${premiumCount > 0 ? '  |  premium items: ' + premiumCount : ''}`);
-    let lowLine = `# Low budget: ${result.budgetLow}  |  optimal: ${result.optLow.count} items (value ${result.optLow.value})  |  Sahni-k: ${result.sahniLow}  |  Greedy: ${(result.greedyRatioLow * 100).toFixed(1)}%`;
-    if (result.feasibleLow !== null) lowLine += `  |  Feasible: ${result.feasibleLow}`;
-    if (result.n90Low !== null) {
-        const shareLow = result.feasibleLow > 0 ? ` (${(result.n90Low / result.feasibleLow * 100).toFixed(1)}%)` : '';
-        lowLine += `  |  N90: ${result.n90Low}${shareLow}`;
-    }
-    lines.push(lowLine);
-    let highLine = `# High budget: ${result.budgetHigh}  |  optimal: ${result.optHigh.count} items (value ${result.optHigh.value})  |  Sahni-k: ${result.sahniHigh}  |  Greedy: ${(result.greedyRatioHigh * 100).toFixed(1)}%`;
-    if (result.feasibleHigh !== null) highLine += `  |  Feasible: ${result.feasibleHigh}`;
-    if (result.n90High !== null) {
-        const shareHigh = result.feasibleHigh > 0 ? ` (${(result.n90High / result.feasibleHigh * 100).toFixed(1)}%)` : '';
-        highLine += `  |  N90: ${result.n90High}${shareHigh}`;
-    }
-    lines.push(highLine);
-    lines.push('# price,value');
-    result.items.forEach(it => lines.push(`${it.weight},${it.value}${it.premium ? '  # premium' : ''}`));
-    return lines.join('\n');
+// Quantity cell: the copies each tier's optimum takes (in the tier's
+// colour) over the item's max quantity
+function quantityCell(item, tierCopies, names) {
+    const chosen = tierCopies.map((copies, j) => copies.has(item.id) ? `<span style="color:${tierColor(j)}" title="copies in the ${names[j]} optimum">${copies.get(item.id)}</span>` : '').filter(Boolean);
+    const max = item.quantity === Infinity ? '∞' : quantityOf(item);
+    return `<td>${chosen.length > 0 ? chosen.join(' ') + ' / ' : ''}${max}</td>`;
 }
 
 // Build (or rebuild) item rows in a tbody with highlighting + drag handles + move arrows
-function buildItemRows(tbody, result, lowIdSet, highIdSet) {
+function buildItemRows(tbody, result) {
     tbody.innerHTML = '';
     const count = result.items.length;
+    const membership = tierMembership(result);
+    const names = result.tiers.map(t => t.name);
+    // Quantity column only when items may be taken more than once, rules column only with rules
+    const tierCopies = hasQuantities(result.items) ? result.tiers.map(optimalCopies) : null;
+    const rules = hasItemRules(result.items);
     result.items.forEach((item, idx) => {
-        const inLow = lowIdSet.has(item.id);
-        const inHigh = highIdSet.has(item.id);
-        let cls = '';
-        if (inLow && inHigh) cls = 'optimal-both';
-        else if (inLow) cls = 'optimal-low';
-        else if (inHigh) cls = 'optimal-high';
+        const tierIdxs = membership.get(item.id) || [];
         const premiumBadge = item.premium ? '<span class="premium-badge">★</span>' : '';
         const tr = document.createElement('tr');
         tr.draggable = true;
         tr.dataset.idx = idx;
-        if (cls) tr.className = cls;
-        tr.innerHTML = `<td class="drag-handle">⠿</td><td>${idx + 1}${premiumBadge}</td><td>${item.weight}</td><td>${item.value}</td><td>${(item.value / item.weight).toFixed(2)}</td><td class="move-btns"><button class="move-btn move-up" data-idx="${idx}" ${idx === 0 ? 'disabled' : ''}>▲</button><button class="move-btn move-down" data-idx="${idx}" ${idx === count - 1 ? 'disabled' : ''}>▼</button></td>`;
+        if (tierIdxs.length > 0) {
+            tr.className = 'in-tier';
+            tr.style.setProperty('--tier-color', tierColor(tierIdxs[0]));
+        }
+        tr.innerHTML = `<td class="drag-handle">⠿</td><td>${idx + 1}${premiumBadge}${tierMarks(tierIdxs, names)}</td><td>${item.weight}</td><td>${item.value}</td><td>${(item.value / item.weight).toFixed(2)}</td>${tierCopies ? quantityCell(item, tierCopies, names) : ''}${rules ? `<td>${itemRulesText(item)}</td>` : ''}<td class="move-btns"><button class="move-btn move-up" data-idx="${idx}" ${idx === 0 ? 'disabled' : ''}>▲</button><button class="move-btn move-down" data-idx="${idx}" ${idx === count - 1 ? 'disabled' : ''}>▼</button></td>`;
         tbody.appendChild(tr);
     });
 }
@@ -650,22 +323,11 @@ function reorderItem(tbody, instanceIdx, fromIdx, toIdx) {
     const [moved] = result.items.splice(fromIdx, 1);
     result.items.splice(toIdx, 0, moved);
 
-    // Preserve optimal membership by object identity
-    const lowItemObjs = new Set(result.optLow.items);
-    const highItemObjs = new Set(result.optHigh.items);
-
-    for (let j = 0; j < result.items.length; j++) {
-        result.items[j].id = j + 1;
-    }
-
-    const newLowIdSet = new Set();
-    const newHighIdSet = new Set();
-    for (const item of result.items) {
-        if (lowItemObjs.has(item)) newLowIdSet.add(item.id);
-        if (highItemObjs.has(item)) newHighIdSet.add(item.id);
-    }
+    // The tiers' optimal items are the same objects, so renumbering carries
+    // over; the items' rules are renumbered with them
+    renumberItems(result.items);
 
-    buildItemRows(tbody, result, newLowIdSet, newHighIdSet);
+    buildItemRows(tbody, result);
     setupDragAndDrop(tbody, instanceIdx);
 }
 
@@ -756,22 +418,40 @@ function setupDragAndDrop(tbody, instanceIdx) {
 function renderResults() {
     el.resultsContainer.innerHTML = '';
 
+    if (allResults.length < requestedInstances) {
+        const note = document.createElement('div');
+        note.style.cssText = 'color: #e67e22; font-size: 0.85rem; margin-bottom: 8px;';
+        note.textContent = `⚠️ Stopped after ${allResults.length} of ${requestedInstances} instances.`;
+        el.resultsContainer.appendChild(note);
+    }
+
     allResults.forEach((result, i) => {
+        // Strata are consecutive, so a heading opens each one
+        if (result.stratum && (i === 0 || allResults[i - 1].stratum !== result.stratum)) {
+            const heading = document.createElement('h3');
+            heading.className = 'stratum-heading';
+            heading.textContent = `Stratum: ${result.stratum}`;
+            el.resultsContainer.appendChild(heading);
+        }
+
         const card = document.createElement('div');
         card.className = 'instance-card';
 
         // Header
         const header = document.createElement('div');
         header.className = 'instance-header';
-        const premiumCount = result.items.filter(it => it.premium).length;
+        const premiumCount = result.items.filter(it => it.premium).reduce((s, it) => s + quantityOf(it), 0);
         const premiumTag = premiumCount > 0 ? `<span style="color:#e17055;font-weight:600;">★${premiumCount} premium</span>` : '';
+        const rho = spearmanRho(result.items);
         header.innerHTML = `
             <h3>Instance ${i + 1}</h3>
             <div class="meta">
+                ${result.stratum ? `<span>stratum: ${result.stratum}</span>` : ''}
                 <span>seed: ${result.seed}</span>
+                ${searchText(result.search) ? `<span title="Item values were perturbed from the seed's items to meet the difficulty filters">search: ${searchText(result.search)}</span>` : ''}
                 ${premiumTag}
-                <span class="low-tag">low ${result.budgetLow}: ${result.optLow.count} items, k=${result.sahniLow}, G=${(result.greedyRatioLow * 100).toFixed(0)}%</span>
-                <span class="high-tag">high ${result.budgetHigh}: ${result.optHigh.count} items, k=${result.sahniHigh}, G=${(result.greedyRatioHigh * 100).toFixed(0)}%</span>
+                <span title="Realised Spearman rank correlation of price and value (premium items excluded)">ρ=${rho === null ? '—' : rho.toFixed(2)}</span>
+                ${result.tiers.map((t, j) => `<span class="tier-tag" style="--tier-color: ${tierColor(j)}">${t.name} ${t.budget}: ${t.opt.count} items, k=${sahniKText(t.sahniK, result.sahniKLimit)}, G=${(t.greedyRatio * 100).toFixed(0)}%</span>`).join('')}
                 <button class="copy-instance-btn" data-index="${i}">Copy</button>
             </div>
         `;
@@ -780,55 +460,39 @@ function renderResults() {
         const body = document.createElement('div');
         body.className = 'instance-body';
 
-        // Dual meta panels
+        // One meta panel per tier
         const dualMeta = document.createElement('div');
         dualMeta.className = 'dual-meta';
-
-        const lowIds = result.optLow.items.map(it => it.id);
-        const highIds = result.optHigh.items.map(it => it.id);
-
-        const feasibleLowStr = result.feasibleLow !== null ? `, Feasible=${result.feasibleLow.toLocaleString()}` : '';
-        const feasibleHighStr = result.feasibleHigh !== null ? `, Feasible=${result.feasibleHigh.toLocaleString()}` : '';
-        const n90LowShare = (result.n90Low !== null && result.feasibleLow > 0) ? ` (${(result.n90Low / result.feasibleLow * 100).toFixed(1)}%)` : '';
-        const n90HighShare = (result.n90High !== null && result.feasibleHigh > 0) ? ` (${(result.n90High / result.feasibleHigh * 100).toFixed(1)}%)` : '';
-        const n90LowStr = result.n90Low !== null ? `, N90=${result.n90Low}${n90LowShare}` : '';
-        const n90HighStr = result.n90High !== null ? `, N90=${result.n90High}${n90HighShare}` : '';
-
-        dualMeta.innerHTML = `
-            <div class="panel low">
-                <strong>Low Budget: ${result.budgetLow}</strong>
-                Optimal: ${result.optLow.count} items, value ${result.optLow.value}, price ${result.optLow.weight}, Sahni-k=${result.sahniLow}<br>
-                Greedy Performance: ${(result.greedyRatioLow * 100).toFixed(1)}%${feasibleLowStr}${n90LowStr}<br>
-                Items: ${lowIds.join(', ')}
-            </div>
-            <div class="panel high">
-                <strong>High Budget: ${result.budgetHigh}</strong>
-                Optimal: ${result.optHigh.count} items, value ${result.optHigh.value}, price ${result.optHigh.weight}, Sahni-k=${result.sahniHigh}<br>
-                Greedy Performance: ${(result.greedyRatioHigh * 100).toFixed(1)}%${feasibleHighStr}${n90HighStr}<br>
-                Items: ${highIds.join(', ')}
-            </div>
-        `;
+        const overlaps = tierOverlaps(result.tiers);
+        const quantities = hasQuantities(result.items);
+        dualMeta.innerHTML = result.tiers.map((t, j) => {
+            const itemsStr = quantities
+                ? [...optimalCopies(t)].map(([id, copies]) => `${id}×${copies}`).join(', ')
+                : t.opt.items.map(it => it.id).join(', ');
+            const feasibleStr = `, Feasible=${countText(t.feasible.toLocaleString(), t.countsExact)}`;
+            const nAlphaStr = nAlphaParts(t.nAlpha, t.feasible, t.countsExact).map(([label, text]) => `, ${label}=${text}`).join('');
+            return `
+            <div class="panel" style="--tier-color: ${tierColor(j)}">
+                <strong>${t.name} budget: ${t.budget}</strong>
+                Optimal: ${t.opt.count} items, value ${t.opt.value}, price ${t.opt.weight}, Sahni-k=${sahniKText(t.sahniK, result.sahniKLimit)}<br>
+                Greedy Performance: ${(t.greedyRatio * 100).toFixed(1)}%${feasibleStr}${nAlphaStr}<br>
+                ${overlapTexts(overlaps, t.name).map(text => `${text}<br>`).join('')}Items: ${itemsStr}
+            </div>`;
+        }).join('');
         body.appendChild(dualMeta);
 
         // Items table with highlighting
-        const lowIdSet = new Set(result.optLow.items.map(it => it.id));
-        const highIdSet = new Set(result.optHigh.items.map(it => it.id));
-
         const legend = document.createElement('div');
         legend.className = 'items-legend';
-        legend.innerHTML = `
-            <span><span class="dot low"></span> Low budget optimal</span>
-            <span><span class="dot high"></span> High budget optimal</span>
-            <span><span class="dot both"></span> Both</span>
-        `;
+        legend.innerHTML = tierLegend(result.tiers.map(t => t.name));
         body.appendChild(legend);
 
         const table = document.createElement('table');
         table.className = 'instance-items-table';
         table.dataset.instance = i;
-        table.innerHTML = `<thead><tr><th></th><th>#</th><th>Price</th><th>Value</th><th>V/P</th><th></th></tr></thead>`;
+        table.innerHTML = `<thead><tr><th></th><th>#</th><th>Price</th><th>Value</th><th>V/P</th>${quantities ? '<th title="Copies each tier\'s optimum takes / max quantity">Qty</th>' : ''}${hasItemRules(result.items) ? '<th title="✕ cannot be bought with, → requires">Rules</th>' : ''}<th></th></tr></thead>`;
         const tbody = document.createElement('tbody');
-        buildItemRows(tbody, result, lowIdSet, highIdSet);
+        buildItemRows(tbody, result);
         table.appendChild(tbody);
         body.appendChild(table);
         setupDragAndDrop(tbody, i);
@@ -850,7 +514,7 @@ function renderResults() {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             const idx = parseInt(btn.dataset.index);
-            const text = formatInstanceBlock(allResults[idx], idx);
+            const text = formatBatchInstanceBlock(allResults[idx], idx);
             copyToClipboard(text, btn);
         });
     });
@@ -883,10 +547,26 @@ function generateBatch() {
     const config = getConfig();
 
     // Validations
-    if (config.budgetLowMin > config.budgetLowMax) { alert('Low Budget Min must be ≤ Max.'); return; }
-    if (config.budgetHighMin > config.budgetHighMax) { alert('High Budget Min must be ≤ Max.'); return; }
-    if (config.optLowMin > config.optLowMax) { alert('Low Optimal Items Min must be ≤ Max.'); return; }
-    if (config.optHighMin > config.optHighMax) { alert('High Optimal Items Min must be ≤ Max.'); return; }
+    const sizeError = validateSizes('batch', config);
+    if (sizeError) { alert(sizeError); return; }
+    const tierError = validateTiers(config);
+    if (tierError) { alert(tierError); return; }
+    const alphaError = validateAlphaLevels(config);
+    if (alphaError) { alert(alphaError); return; }
+    const sahniError = validateSahniK(config);
+    if (sahniError) { alert(sahniError); return; }
+    const rangeError = validateDifficultyRanges(config);
+    if (rangeError) { alert(rangeError); return; }
+    const strataError = validateStrata(config);
+    if (strataError) { alert(strataError); return; }
+    const quantityError = validateQuantities(config);
+    if (quantityError) { alert(quantityError); return; }
+    const rulesError = validateItemRules(config);
+    if (rulesError) { alert(rulesError); return; }
+    const distError = validateDistributions('batch', config);
+    if (distError) { alert(distError); return; }
+    const searchError = validateSearch(config);
+    if (searchError) { alert(searchError); return; }
 
     el.generateBtn.textContent = 'Generating…';
     el.generateBtn.disabled = true;
@@ -895,78 +575,38 @@ function generateBatch() {
     el.progressFill.style.width = '0%';
     el.progressBar.style.display = '';
     allResults = [];
-
-    const total = config.nInstances;
-    let idx = 0;
-
-    function nextInstance() {
-        if (idx >= total) {
-            // Done
-            el.progressFill.style.width = '100%';
-            setTimeout(() => { el.progressBar.style.display = 'none'; }, 400);
-            el.generateBtn.textContent = 'Generate Batch';
-            el.generateBtn.disabled = false;
-            renderResults();
-            return;
-        }
-
-        el.progressFill.style.width = ((idx / total) * 100) + '%';
-
-        // Each instance gets a different base seed
-        const baseSeed = config.seed;
-        const instanceSeed = idx === 0 ? baseSeed : baseSeed + '_inst' + idx;
-
-        const result = generateSingleInstance(config, instanceSeed);
-        allResults.push(result);
-        idx++;
-
-        // Use setTimeout to allow UI to update between instances
-        setTimeout(nextInstance, 5);
-    }
-
-    setTimeout(nextInstance, 10);
+    requestedInstances = config.nInstances;
+    abortController = new AbortController();
+    el.stopBtn.style.display = '';
+
+    generateBatchInWorkers('batch', config, (done, total) => {
+        el.progressFill.style.width = ((done / total) * 100) + '%';
+    }, abortController.signal).then(({ results, stopped, error }) => {
+        allResults = results;
+        if (!stopped) el.progressFill.style.width = '100%';
+        renderResults();
+        if (error) alert(`Batch generation failed after ${results.length} instances: ${error.message}`);
+    }).catch(err => {
+        alert('Batch generation failed: ' + err.message);
+    }).finally(() => {
+        abortController = null;
+        setTimeout(() => { el.progressBar.style.display = 'none'; }, 400);
+        el.stopBtn.style.display = 'none';
+        el.generateBtn.textContent = 'Generate Batch';
+        el.generateBtn.disabled = false;
+    });
 }
 
 function copyAll() {
     if (allResults.length === 0) return;
-    const text = allResults.map((r, i) => formatInstanceBlock(r, i)).join('\n\n');
+    const text = allResults.map((r, i) => formatBatchInstanceBlock(r, i)).join('\n\n');
     copyToClipboard(text, el.copyAllBtn);
 }
 
 function downloadJSON() {
     if (allResults.length === 0) return;
     const config = getConfig();
-    const exportData = {
-        problem: '0/1 knapsack (batch dual budget)',
-        n_instances: allResults.length,
-        n_items: config.nItems,
-        starting_seed: config.seed,
-        budget_low_range: [config.budgetLowMin, config.budgetLowMax],
-        budget_high_range: [config.budgetHighMin, config.budgetHighMax],
-        target_optimal_low: [config.optLowMin, config.optLowMax],
-        target_optimal_high: [config.optHighMin, config.optHighMax],
-        target_sahni_k_low: config.sahniKLow,
-        target_sahni_k_high: config.sahniKHigh,
-        optimal_value_range_low: [config.minOptValLow, config.maxOptValLow],
-        optimal_value_range_high: [config.minOptValHigh, config.maxOptValHigh],
-        price_dist: { name: distName(config.weightDist, config.weightInt), params: config.weightParams },
-        value_dist: config.correlation === 'independent' ? { name: distName(config.valueDist, config.valueInt), params: config.valueParams } : null,
-        correlation: { mode: CORRELATION_NAMES[config.correlation] },
-        ratio_spread: config.ratioSpread,
-        integer_ratios: config.integerRatios,
-        fraction_ratios: config.fractionRatios,
-        premium_items: { count: config.premiumCount, price: config.premiumPrice, value: config.premiumValue },
-        instances: allResults.map((r, i) => ({
-            instance: i + 1,
-            seed: r.seed,
-            budget_low: r.budgetLow,
-            budget_high: r.budgetHigh,
-            optimal_low: { count: r.optLow.count, value: r.optLow.value, weight: r.optLow.weight, sahni_k: r.sahniLow, greedy_ratio: parseFloat((r.greedyRatioLow * 100).toFixed(1)), feasible: r.feasibleLow, n90: r.n90Low, item_ids: r.optLow.items.map(it => it.id) },
-            optimal_high: { count: r.optHigh.count, value: r.optHigh.value, weight: r.optHigh.weight, sahni_k: r.sahniHigh, greedy_ratio: parseFloat((r.greedyRatioHigh * 100).toFixed(1)), feasible: r.feasibleHigh, n90: r.n90High, item_ids: r.optHigh.items.map(it => it.id) },
-            items: r.items.map(it => ({ id: it.id, price: it.weight, value: it.value, ...(it.premium ? { premium: true } : {}) })),
-            ...(r.warning ? { warning: r.warning } : {})
-        }))
-    };
+    const exportData = buildBatchExport(config, allResults, requestedInstances);
 
     const json = JSON.stringify(exportData, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
@@ -990,11 +630,19 @@ el.fractionRatios.addEventListener('change', () => {
 el.weightDist.addEventListener('change', () => updateDistParams('weight_dist', 'weight_params'));
 el.valueDist.addEventListener('change', () => updateDistParams('value_dist', 'value_params'));
 el.correlation.addEventListener('change', updateCorrelationParams);
+el.sahniKLimitInput.addEventListener('change', updateSahniKLimit);
+el.quantityMode.addEventListener('change', updateQuantityInputs);
 el.generateBtn.addEventListener('click', generateBatch);
+el.stopBtn.addEventListener('click', () => { if (abortController) abortController.abort(); });
 el.copyAllBtn.addEventListener('click', copyAll);
 el.downloadJsonBtn.addEventListener('click', downloadJSON);
 
 // Init
+initTierEditor(el.tiersContainer, el.addTierBtn, () => syncRelationTiers(el.relationsContainer, el.tiersContainer));
+initRelationEditor(el.relationsContainer, el.addRelationBtn, el.tiersContainer);
+initStrataEditor();
 updateDistParams('weight_dist', 'weight_params');
 updateDistParams('value_dist', 'value_params');
 updateCorrelationParams();
+updateSahniKLimit();
+updateQuantityInputs();
@@ -0,0 +1,122 @@
+// ============================================================
+// Worker pool for the batch pages. Instances are independent (each
+// has its own seed), so they are handed out one at a time to idle
+// workers and collected back into index order. Output is identical
+// to generating them one after another on the main thread.
+// ============================================================
+
+import { generateBatchInstanceAt, generateSpecificInstance, instanceSeedFor } from './core/index.js';
+
+// Instance `idx` of a run, by mode
+const GENERATORS = {
+    batch: generateBatchInstanceAt,
+    specific: (config, idx) => generateSpecificInstance(config, instanceSeedFor(config.seed, idx))
+};
+
+// Longest run of finished instances starting at index 0. A stopped batch
+// keeps only this prefix so instance numbers and seeds still line up.
+function completedPrefix(results) {
+    const prefix = [];
+    for (const r of results) {
+        if (r === undefined) break;
+        prefix.push(r);
+    }
+    return prefix;
+}
+
+// Main-thread fallback for browsers without module workers (no Worker at
+// all, or a worker that fails to load). Can only stop between instances,
+// not in the middle of one.
+function generateSequential(mode, config, onProgress, signal) {
+    const total = config.nInstances;
+    const results = [];
+    return new Promise((resolve, reject) => {
+        function nextInstance() {
+            if (signal && signal.aborted) { resolve({ results, stopped: true }); return; }
+            if (results.length >= total) { resolve({ results, stopped: false }); return; }
+            try {
+                results.push(GENERATORS[mode](config, results.length));
+            } catch (err) {
+                reject(err);
+                return;
+            }
+            onProgress(results.length, total);
+            // Use setTimeout to allow UI to update between instances
+            setTimeout(nextInstance, 5);
+        }
+        setTimeout(nextInstance, 10);
+    });
+}
+
+// Generate config.nInstances instances for `mode` ('batch' or 'specific').
+// onProgress(done, total) fires as each instance completes. Aborting
+// `signal` terminates the workers mid-search. Resolves to
+// { results, stopped } with results in instance order. When a worker fails
+// after loading, resolves to the finished prefix with stopped and the
+// `error`.
+export function generateBatchInWorkers(mode, config, onProgress, signal) {
+    if (typeof Worker === 'undefined') return generateSequential(mode, config, onProgress, signal);
+
+    const total = config.nInstances;
+    const results = new Array(total);
+    if (total <= 0) return Promise.resolve({ results: [], stopped: false });
+    if (signal && signal.aborted) return Promise.resolve({ results: [], stopped: true });
+
+    return new Promise((resolve, reject) => {
+        const poolSize = Math.max(1, Math.min(total, navigator.hardwareConcurrency || 4));
+        const workers = [];
+        let nextIdx = 0;
+        let done = 0;
+        let loaded = false;
+        let settled = false;
+
+        function finish() {
+            settled = true;
+            workers.forEach(w => w.terminate());
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+
+        function onAbort() {
+            if (settled) return;
+            finish();
+            resolve({ results: completedPrefix(results), stopped: true });
+        }
+
+        function dispatch(worker) {
+            if (nextIdx >= total) {
+                worker.terminate();
+                return;
+            }
+            worker.postMessage({ mode, config, idx: nextIdx++ });
+        }
+
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        for (let i = 0; i < poolSize; i++) {
+            const worker = new Worker(new URL('./batch-worker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (e) => {
+                if (settled) return;
+                if (e.data.ready) { loaded = true; return; }
+                results[e.data.idx] = e.data.result;
+                done++;
+                onProgress(done, total);
+                if (done === total) {
+                    finish();
+                    resolve({ results, stopped: false });
+                    return;
+                }
+                dispatch(worker);
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                if (settled) return;
+                finish();
+                // Failed before loading: no module worker support
+                if (!loaded) resolve(generateSequential(mode, config, onProgress, signal));
+                else resolve({ results: completedPrefix(results), stopped: true, error: new Error(e.message || 'Worker failed') });
+            };
+            workers.push(worker);
+        }
+        workers.forEach(dispatch);
+    });
+}
@@ -1,333 +1,7 @@
-// ============================================================
-// Batch Specific Dual-Budget Knapsack Generator
-// Two item categories (expensive + cheap) with separate distributions.
-// ============================================================
-
-// Seeded PRNG (Mulberry32)
-function mulberry32(seed) {
-    return function() {
-        let t = seed += 0x6D2B79F5;
-        t = Math.imul(t ^ t >>> 15, t | 1);
-        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-        return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
-}
-
-function hashSeed(seed) {
-    if (typeof seed === 'number') return Math.floor(seed);
-    let hash = 0;
-    for (let i = 0; i < seed.length; i++) {
-        const char = seed.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
-    }
-    return Math.abs(hash);
-}
-
-function boxMuller(rng) {
-    const u1 = rng();
-    const u2 = rng();
-    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-}
-
-// Distribution samplers — integer
-function sampleUniformInt(rng, min, max) { return Math.floor(rng() * (max - min + 1)) + min; }
-function sampleNormalInt(rng, mean, sd) { let v; do { v = Math.round(mean + sd * boxMuller(rng)); } while (v <= 0); return v; }
-function sampleLognormalInt(rng, mu, sigma) { let v; do { v = Math.round(Math.exp(mu + sigma * boxMuller(rng))); } while (v <= 0); return v; }
-
-// Distribution samplers — continuous
-function sampleUniformCont(rng, min, max) { return Math.max(0.01, parseFloat((min + rng() * (max - min)).toFixed(2))); }
-function sampleNormalCont(rng, mean, sd) { let v; do { v = mean + sd * boxMuller(rng); } while (v <= 0); return parseFloat(v.toFixed(2)); }
-function sampleLognormalCont(rng, mu, sigma) { return parseFloat(Math.max(0.01, Math.exp(mu + sigma * boxMuller(rng))).toFixed(2)); }
-
-function getSampler(distType, params, isInt) {
-    if (isInt) {
-        switch (distType) {
-            case 'uniform': return (rng) => sampleUniformInt(rng, params.min, params.max);
-            case 'normal':  return (rng) => sampleNormalInt(rng, params.mean, params.sd);
-            case 'lognormal': return (rng) => sampleLognormalInt(rng, params.mu, params.sigma);
-        }
-    } else {
-        switch (distType) {
-            case 'uniform': return (rng) => sampleUniformCont(rng, params.min, params.max);
-            case 'normal':  return (rng) => sampleNormalCont(rng, params.mean, params.sd);
-            case 'lognormal': return (rng) => sampleLognormalCont(rng, params.mu, params.sigma);
-        }
-    }
-}
-
-function distName(type, isInt) {
-    const base = { 'uniform': 'Uniform', 'normal': 'Normal', 'lognormal': 'Lognormal' };
-    return base[type] + (isInt ? 'Int' : '');
-}
-
-const CORRELATION_NAMES = { 'independent': 'Independent', 'positive': 'PositiveLinear', 'negative': 'NegativeLinear' };
-
-// ============================================================
-// Generate a category of items from its own distribution
-// ============================================================
-function generateCategoryItems(rng, count, weightDist, weightParams, weightInt, valueDist, valueParams, valueInt, correlation, alpha, noiseSd) {
-    const weightSampler = getSampler(weightDist, weightParams, weightInt);
-    const valueSampler = getSampler(valueDist, valueParams, valueInt);
-
-    const items = [];
-    let maxWeight = 0;
-
-    for (let i = 0; i < count; i++) {
-        const weight = weightSampler(rng);
-        items.push({ id: 0, weight, value: 0 });
-        maxWeight = Math.max(maxWeight, weight);
-    }
-
-    for (let i = 0; i < count; i++) {
-        let value;
-        if (correlation === 'independent') {
-            value = valueSampler(rng);
-        } else if (correlation === 'positive') {
-            value = alpha * items[i].weight + noiseSd * boxMuller(rng);
-            value = valueInt ? Math.round(value) : parseFloat(value.toFixed(2));
-        } else if (correlation === 'negative') {
-            value = alpha * (maxWeight - items[i].weight) + noiseSd * boxMuller(rng);
-            value = valueInt ? Math.round(value) : parseFloat(value.toFixed(2));
-        }
-        items[i].value = Math.max(valueInt ? 1 : 0.01, value);
-    }
-
-    return items;
-}
-
-// ============================================================
-// Generate items: expensive + cheap, shuffled together
-// ============================================================
-function generateItems(config, seedStr) {
-    const rng = mulberry32(hashSeed(seedStr));
-
-    const chpCount = config.nItems - config.expCount;
-
-    // Generate expensive items
-    const expItems = generateCategoryItems(
-        rng, config.expCount,
-        config.expWeightDist, config.expWeightParams, config.expWeightInt,
-        config.expValueDist, config.expValueParams, config.expValueInt,
-        config.expCorrelation, config.expAlpha, config.expNoiseSd
-    );
-    expItems.forEach(it => it.category = 'expensive');
-
-    // Generate cheap items
-    const chpItems = generateCategoryItems(
-        rng, chpCount,
-        config.chpWeightDist, config.chpWeightParams, config.chpWeightInt,
-        config.chpValueDist, config.chpValueParams, config.chpValueInt,
-        config.chpCorrelation, config.chpAlpha, config.chpNoiseSd
-    );
-    chpItems.forEach(it => it.category = 'cheap');
-
-    // Apply ratio spread within each category separately
-    if (config.ratioSpread !== 'medium') {
-        const lambda = config.ratioSpread === 'low' ? 0.3 : 2.0;
-        for (const catItems of [expItems, chpItems]) {
-            if (catItems.length === 0) continue;
-            const ratios = catItems.map(it => it.value / it.weight);
-            const meanR = ratios.reduce((a, b) => a + b, 0) / ratios.length;
-            for (let i = 0; i < catItems.length; i++) {
-                const nr = Math.max(0.01, meanR + lambda * (ratios[i] - meanR));
-                const isInt = catItems[i].category === 'expensive' ? config.expValueInt : config.chpValueInt;
-                let nv = nr * catItems[i].weight;
-                catItems[i].value = isInt ? Math.max(1, Math.round(nv)) : Math.max(0.01, parseFloat(nv.toFixed(2)));
-            }
-        }
-    }
-
-    // Integer ratios
-    if (config.integerRatios) {
-        for (const catItems of [expItems, chpItems]) {
-            for (let i = 0; i < catItems.length; i++) {
-                const ratio = Math.max(1, Math.round(catItems[i].value / catItems[i].weight));
-                catItems[i].value = ratio * catItems[i].weight;
-            }
-        }
-    }
-
-    // Fraction ratios: ensure no item has an integer V/P ratio
-    if (config.fractionRatios && !config.integerRatios) {
-        for (const catItems of [expItems, chpItems]) {
-            for (let i = 0; i < catItems.length; i++) {
-                const ratio = catItems[i].value / catItems[i].weight;
-                if (Number.isInteger(ratio)) {
-                    const nudged = catItems[i].value + 1;
-                    catItems[i].value = Math.max(1, nudged);
-                    if (Number.isInteger(catItems[i].value / catItems[i].weight)) {
-                        catItems[i].value = Math.max(1, catItems[i].value - 2);
-                    }
-                }
-            }
-        }
-    }
-
-    // Merge and Fisher-Yates shuffle
-    const items = [...expItems, ...chpItems];
-    for (let i = items.length - 1; i > 0; i--) {
-        const j = Math.floor(rng() * (i + 1));
-        [items[i], items[j]] = [items[j], items[i]];
-    }
-
-    // Assign sequential IDs
-    for (let i = 0; i < items.length; i++) {
-        items[i].id = i + 1;
-    }
-
-    return items;
-}
-
-// ============================================================
-// DP knapsack solver
-// ============================================================
-function solveKnapsack(items, capacity) {
-    const n = items.length;
-    const dp = Array.from({ length: n + 1 }, () => new Int32Array(capacity + 1));
-
-    for (let i = 1; i <= n; i++) {
-        const w = items[i - 1].weight;
-        const v = items[i - 1].value;
-        for (let c = 0; c <= capacity; c++) {
-            dp[i][c] = dp[i - 1][c];
-            if (w <= c && dp[i - 1][c - w] + v > dp[i][c]) {
-                dp[i][c] = dp[i - 1][c - w] + v;
-            }
-        }
-    }
-
-    const selected = [];
-    let c = capacity;
-    for (let i = n; i >= 1; i--) {
-        if (dp[i][c] !== dp[i - 1][c]) {
-            selected.push(items[i - 1]);
-            c -= items[i - 1].weight;
-        }
-    }
-    selected.reverse();
-
-    return {
-        value: dp[n][capacity],
-        weight: selected.reduce((s, it) => s + it.weight, 0),
-        count: selected.length,
-        items: selected
-    };
-}
-
-// ============================================================
-// Sahni-k
-// ============================================================
-function computeSahniK(items, capacity, optimalValue) {
-    const n = items.length;
-    const sortedIndices = items.map((_, i) => i).sort((a, b) =>
-        (items[b].value / items[b].weight) - (items[a].value / items[a].weight)
-    );
-
-    function greedyFill(forced, remCap) {
-        let val = 0;
-        for (const idx of sortedIndices) {
-            if (forced.has(idx)) continue;
-            if (items[idx].weight <= remCap) { val += items[idx].value; remCap -= items[idx].weight; }
-        }
-        return val;
-    }
-
-    if (greedyFill(new Set(), capacity) >= optimalValue) return 0;
-
-    for (let k = 1; k <= Math.min(n, 6); k++) {
-        const subset = new Array(k);
-        let found = false;
-        function enumerate(depth, start) {
-            if (found) return;
-            if (depth === k) {
-                const forced = new Set(subset);
-                let fw = 0, fv = 0;
-                for (const idx of subset) { fw += items[idx].weight; fv += items[idx].value; }
-                if (fw > capacity) return;
-                if (fv + greedyFill(forced, capacity - fw) >= optimalValue) found = true;
-                return;
-            }
-            for (let i = start; i < n; i++) { subset[depth] = i; enumerate(depth + 1, i + 1); if (found) return; }
-        }
-        enumerate(0, 0);
-        if (found) return k;
-    }
-    return '> 6';
-}
-
-// ============================================================
-// Find a valid capacity within [budgetMin, budgetMax]
-// ============================================================
-function findCapacityInRange(items, budgetMin, budgetMax, optMin, optMax, targetSahniK, minOptVal, maxOptVal) {
-    const sumWeights = items.reduce((s, it) => s + it.weight, 0);
-    const lo = Math.max(1, budgetMin);
-    const hi = Math.min(budgetMax, sumWeights - 1);
-    if (lo > hi) return null;
-
-    const anyOptTarget = (optMin !== null && optMax !== null);
-    const hasMinVal = minOptVal !== null && minOptVal !== undefined;
-    const hasMaxVal = maxOptVal !== null && maxOptVal !== undefined;
-
-    function valueInRange(v) {
-        if (hasMinVal && v < minOptVal) return false;
-        if (hasMaxVal && v > maxOptVal) return false;
-        return true;
-    }
-
-    let candidates = [];
-    for (let c = lo; c <= hi; c++) {
-        const sol = solveKnapsack(items, c);
-        if (anyOptTarget && (sol.count < optMin || sol.count > optMax)) continue;
-        if (!valueInRange(sol.value)) continue;
-        candidates.push(c);
-    }
-    if (candidates.length === 0) return null;
-
-    if (targetSahniK === 'no_filter') {
-        const cap = candidates[Math.floor(candidates.length / 2)];
-        const sol = solveKnapsack(items, cap);
-        return { capacity: cap, sol, sahniK: null };
-    }
-
-    const targetK = parseInt(targetSahniK);
-    for (const c of candidates) {
-        const sol = solveKnapsack(items, c);
-        const k = computeSahniK(items, c, sol.value);
-        if (k === targetK) return { capacity: c, sol, sahniK: k };
-    }
-    return null;
-}
-
-// ============================================================
-// Greedy value helper
-// ============================================================
-function greedyValue(items, capacity) {
-    const sorted = [...items].sort((a, b) => (b.value / b.weight) - (a.value / a.weight));
-    let remaining = capacity, total = 0;
-    for (const it of sorted) {
-        if (it.weight <= remaining) { total += it.value; remaining -= it.weight; }
-    }
-    return total;
-}
-
-// Count feasible subsets and near-optimal subsets (brute-force bitmask, n<=20)
-function countBundleStats(items, capacity, optValue, alphaPercent) {
-    const n = items.length;
-    let feasible = 0, n90 = 0;
-    const limit = 1 << n;
-    for (let mask = 1; mask < limit; mask++) {
-        let w = 0, v = 0;
-        for (let j = 0; j < n; j++) {
-            if (mask & (1 << j)) { w += items[j].weight; v += items[j].value; }
-        }
-        if (w <= capacity) {
-            feasible++;
-            if (v * 100 >= alphaPercent * optValue) n90++;
-        }
-    }
-    return { feasible, n90 };
-}
+// Batch-specific page UI. Generation and solving live in core/.
+import { formatSpecificInstanceBlock, buildSpecificExport, categoryCounts, tierOverlaps, isLinearCorrelation, hasOwnValueDist, spearmanRho, countText, sahniKText, nAlphaParts, parseNumberList, parsePercentList, validateAlphaLevels, validateSahniK, validateDifficultyRanges, validateTiers, validateSizes, validateDistributions, validateSearch, searchText, validateGroups } from './core/index.js';
+import { generateBatchInWorkers } from './batch-pool.js';
+import { tierColor, tierRows, initTierEditor, updateTierSahniKLimit, readTiers, initRelationEditor, syncRelationTiers, readRelations, overlapTexts, tierMembership, tierMarks, tierLegend } from './tiers-ui.js';
 
 // ============================================================
 // DOM & UI
@@ -336,75 +10,22 @@ function countBundleStats(items, capacity, optValue, alphaPercent) {
 const el = {
     nInstances: document.getElementById('n_instances'),
     nItems: document.getElementById('n_items'),
-    // Expensive items
-    expCount: document.getElementById('exp_count'),
-    expWeightDist: document.getElementById('exp_weight_dist'),
-    expWeightInt: document.getElementById('exp_weight_int'),
-    expWeightMin: document.getElementById('exp_weight_min'),
-    expWeightMax: document.getElementById('exp_weight_max'),
-    expWeightMean: document.getElementById('exp_weight_mean'),
-    expWeightSd: document.getElementById('exp_weight_sd'),
-    expWeightMu: document.getElementById('exp_weight_mu'),
-    expWeightSigma: document.getElementById('exp_weight_sigma'),
-    expValueDist: document.getElementById('exp_value_dist'),
-    expValueInt: document.getElementById('exp_value_int'),
-    expValueMin: document.getElementById('exp_value_min'),
-    expValueMax: document.getElementById('exp_value_max'),
-    expValueMean: document.getElementById('exp_value_mean'),
-    expValueSd: document.getElementById('exp_value_sd'),
-    expValueMu: document.getElementById('exp_value_mu'),
-    expValueSigma: document.getElementById('exp_value_sigma'),
-    expCorrelation: document.getElementById('exp_correlation'),
-    expAlpha: document.getElementById('exp_alpha'),
-    expNoiseSd: document.getElementById('exp_noise_sd'),
-    expOptLowMin: document.getElementById('exp_opt_low_min'),
-    expOptLowMax: document.getElementById('exp_opt_low_max'),
-    expOptHighMin: document.getElementById('exp_opt_high_min'),
-    expOptHighMax: document.getElementById('exp_opt_high_max'),
-    // Cheap items
-    chpCount: document.getElementById('chp_count'),
-    chpWeightDist: document.getElementById('chp_weight_dist'),
-    chpWeightInt: document.getElementById('chp_weight_int'),
-    chpWeightMin: document.getElementById('chp_weight_min'),
-    chpWeightMax: document.getElementById('chp_weight_max'),
-    chpWeightMean: document.getElementById('chp_weight_mean'),
-    chpWeightSd: document.getElementById('chp_weight_sd'),
-    chpWeightMu: document.getElementById('chp_weight_mu'),
-    chpWeightSigma: document.getElementById('chp_weight_sigma'),
-    chpValueDist: document.getElementById('chp_value_dist'),
-    chpValueInt: document.getElementById('chp_value_int'),
-    chpValueMin: document.getElementById('chp_value_min'),
-    chpValueMax: document.getElementById('chp_value_max'),
-    chpValueMean: document.getElementById('chp_value_mean'),
-    chpValueSd: document.getElementById('chp_value_sd'),
-    chpValueMu: document.getElementById('chp_value_mu'),
-    chpValueSigma: document.getElementById('chp_value_sigma'),
-    chpCorrelation: document.getElementById('chp_correlation'),
-    chpAlpha: document.getElementById('chp_alpha'),
-    chpNoiseSd: document.getElementById('chp_noise_sd'),
-    chpOptLowMin: document.getElementById('chp_opt_low_min'),
-    chpOptLowMax: document.getElementById('chp_opt_low_max'),
-    chpOptHighMin: document.getElementById('chp_opt_high_min'),
-    chpOptHighMax: document.getElementById('chp_opt_high_max'),
-    // Budget constraints
-    budgetLowMin: document.getElementById('budget_low_min'),
-    budgetLowMax: document.getElementById('budget_low_max'),
-    budgetHighMin: document.getElementById('budget_high_min'),
-    budgetHighMax: document.getElementById('budget_high_max'),
-    optLowMin: document.getElementById('opt_low_min'),
-    optLowMax: document.getElementById('opt_low_max'),
-    optHighMin: document.getElementById('opt_high_min'),
-    optHighMax: document.getElementById('opt_high_max'),
-    sahniKLow: document.getElementById('sahni_k_low'),
-    sahniKHigh: document.getElementById('sahni_k_high'),
-    minOptValLow: document.getElementById('min_opt_val_low'),
-    maxOptValLow: document.getElementById('max_opt_val_low'),
-    minOptValHigh: document.getElementById('min_opt_val_high'),
-    maxOptValHigh: document.getElementById('max_opt_val_high'),
+    // Item groups
+    groupsContainer: document.getElementById('groups_container'),
+    addGroupBtn: document.getElementById('add_group_btn'),
+    onePerGroup: document.getElementById('one_per_group'),
+    // Budget tiers
+    tiersContainer: document.getElementById('tiers_container'),
+    addTierBtn: document.getElementById('add_tier_btn'),
+    relationsContainer: document.getElementById('relations_container'),
+    addRelationBtn: document.getElementById('add_relation_btn'),
+    sahniKLimitInput: document.getElementById('sahniKLimitInput'),
     // Global settings
-    greedyCapSelect: document.getElementById('greedyCapSelect'),
-    forgivenessCapSelect: document.getElementById('forgivenessCapSelect'),
-    minFeasibleInput: document.getElementById('minFeasibleInput'),
+    forgivenessAlphaInput: document.getElementById('forgivenessAlphaInput'),
+    alphaLevelsInput: document.getElementById('alphaLevelsInput'),
+    uniqueOptimum: document.getElementById('unique_optimum'),
+    searchMode: document.getElementById('search_mode'),
+    searchSteps: document.getElementById('search_steps'),
     maxRatioInput: document.getElementById('maxRatioInput'),
     seed: document.getElementById('seed'),
     ratioSpread: document.getElementById('ratio_spread'),
@@ -412,22 +33,41 @@ const el = {
     fractionRatios: document.getElementById('fraction_ratios'),
     // Buttons & output
     generateBtn: document.getElementById('generate_btn'),
+    stopBtn: document.getElementById('stop_btn'),
     copyAllBtn: document.getElementById('copy_all_btn'),
     downloadJsonBtn: document.getElementById('download_json_btn'),
     outputSection: document.getElementById('output_section'),
     resultsContainer: document.getElementById('results_container'),
     progressFill: document.getElementById('progress_fill'),
-    progressBar: document.getElementById('progress_bar'),
-    // Dist param containers
-    expWeightParams: document.getElementById('exp_weight_params'),
-    expValueParams: document.getElementById('exp_value_params'),
-    expCorrelationParams: document.getElementById('exp_correlation_params'),
-    chpWeightParams: document.getElementById('chp_weight_params'),
-    chpValueParams: document.getElementById('chp_value_params'),
-    chpCorrelationParams: document.getElementById('chp_correlation_params')
+    progressBar: document.getElementById('progress_bar')
 };
 
 let allResults = [];
+let requestedInstances = 0;
+let abortController = null;
+// Next free id prefix for an added group (g1, g2 ship with the page)
+let nextGroupId = 3;
+
+// Group colours, by position
+const GROUP_COLORS = ['#e17055', '#00b894', '#0984e3', '#e84393', '#6c5ce7', '#fdcb6e', '#00cec9', '#636e72'];
+
+function groupColor(index) {
+    return GROUP_COLORS[index % GROUP_COLORS.length];
+}
+
+// Short badge labels: initials when they are unique, full names otherwise
+function groupLabels(names) {
+    const initials = names.map(name => name.charAt(0).toUpperCase());
+    const unique = new Set(initials).size === initials.length;
+    const labels = {};
+    names.forEach((name, i) => { labels[name] = unique ? initials[i] : name; });
+    return labels;
+}
+
+// "3E", or "3 expensive" when labels are full names
+function countLabel(n, label) {
+    return label.length === 1 ? `${n}${label}` : `${n} ${label}`;
+}
 
 // ============================================================
 // UI helpers — generic dist param show/hide
@@ -442,22 +82,106 @@ function updateDistParams(selectId, paramsContainerId) {
 function updateCorrelationParams(corrSelect, corrParamsContainer, vDistGroup, vParamsContainer) {
     const corr = corrSelect.value;
     const corrDiv = corrParamsContainer.querySelector('.correlation-params');
-    if (corr === 'independent') {
+    corrParamsContainer.querySelector('.copula-params').classList.toggle('hidden', corr !== 'copula');
+    if (hasOwnValueDist(corr)) {
         corrDiv.classList.add('hidden');
         if (vDistGroup) vDistGroup.classList.remove('hidden');
         if (vParamsContainer) vParamsContainer.classList.remove('hidden');
     } else {
-        corrDiv.classList.remove('hidden');
+        // α / noise only apply to the linear modes
+        corrDiv.classList.toggle('hidden', !isLinearCorrelation(corr));
         if (vDistGroup) vDistGroup.classList.add('hidden');
         if (vParamsContainer) vParamsContainer.classList.add('hidden');
     }
 }
 
-// Update cheap count when expensive count or total items changes
-function updateCheapCount() {
-    const total = parseInt(el.nItems.value) || 0;
-    const exp = parseInt(el.expCount.value) || 0;
-    el.chpCount.value = Math.max(0, total - exp);
+// ============================================================
+// Item groups — one .category-section per group, ids prefixed
+// with the section's data-prefix
+// ============================================================
+function groupSections() {
+    return [...el.groupsContainer.querySelectorAll('.category-section')];
+}
+
+// Colours, remove buttons and the item total after groups change
+function refreshGroups() {
+    const sections = groupSections();
+    sections.forEach((section, i) => section.style.setProperty('--group-color', groupColor(i)));
+    sections.forEach(section => { section.querySelector('.remove-group-btn').disabled = sections.length === 1; });
+    el.nItems.value = sections.reduce((s, section) => s + (parseInt(section.querySelector('.group-count').value) || 0), 0);
+}
+
+function updateGroupParams(prefix) {
+    updateDistParams(`${prefix}_weight_dist`, `${prefix}_weight_params`);
+    updateDistParams(`${prefix}_value_dist`, `${prefix}_value_params`);
+    updateCorrelationParams(
+        document.getElementById(`${prefix}_correlation`), document.getElementById(`${prefix}_correlation_params`),
+        document.getElementById(`${prefix}_value_dist`).closest('.form-group'), document.getElementById(`${prefix}_value_params`)
+    );
+}
+
+// New group: a copy of the last one (current values included) under a fresh prefix
+function addGroup() {
+    const source = groupSections().at(-1);
+    const oldPrefix = source.dataset.prefix;
+    const prefix = `g${nextGroupId++}`;
+    const section = source.cloneNode(true);
+    section.dataset.prefix = prefix;
+    section.querySelectorAll('[id]').forEach(node => { node.id = node.id.replace(`${oldPrefix}_`, `${prefix}_`); });
+    section.querySelectorAll('label[for]').forEach(node => { node.htmlFor = node.htmlFor.replace(`${oldPrefix}_`, `${prefix}_`); });
+
+    const names = new Set(groupSections().map(s => s.querySelector('.group-name').value.trim()));
+    let n = groupSections().length + 1;
+    while (names.has(`group ${n}`)) n++;
+    section.querySelector('.group-name').value = `group ${n}`;
+
+    el.groupsContainer.appendChild(section);
+    refreshGroups();
+    syncGroupTierRanges();
+}
+
+// Empty per-tier optimal-count inputs of one group
+function tierRangeBlock(groupPrefix, tierPrefix) {
+    const block = document.createElement('div');
+    block.className = 'tier-range';
+    block.dataset.tier = tierPrefix;
+    block.innerHTML = `
+        <div class="cat-opt-label"></div>
+        <div class="form-group compact">
+            <label for="${groupPrefix}_${tierPrefix}_opt_min">Min</label>
+            <input type="number" id="${groupPrefix}_${tierPrefix}_opt_min" placeholder="Any" min="0">
+        </div>
+        <div class="form-group compact">
+            <label for="${groupPrefix}_${tierPrefix}_opt_max">Max</label>
+            <input type="number" id="${groupPrefix}_${tierPrefix}_opt_max" placeholder="Any" min="0">
+        </div>`;
+    return block;
+}
+
+// Give every group one optimal-count range per tier, in tier order,
+// labelled and coloured like the tier
+function syncGroupTierRanges() {
+    const rows = tierRows(el.tiersContainer);
+    const tierPrefixes = rows.map(row => row.dataset.prefix);
+    groupSections().forEach(section => {
+        const container = section.querySelector('.group-tier-ranges');
+        container.querySelectorAll('.tier-range').forEach(block => {
+            if (!tierPrefixes.includes(block.dataset.tier)) block.remove();
+        });
+        rows.forEach((row, i) => {
+            const tierPrefix = row.dataset.prefix;
+            const block = container.querySelector(`.tier-range[data-tier="${tierPrefix}"]`) || tierRangeBlock(section.dataset.prefix, tierPrefix);
+            const label = block.querySelector('.cat-opt-label');
+            label.textContent = `${row.querySelector('.tier-name').value.trim()} optimal`;
+            label.style.setProperty('--tier-color', tierColor(i));
+            container.appendChild(block);
+        });
+    });
+}
+
+// Cap the tiers' Sahni-k range inputs at the Sahni-k limit
+function updateSahniKLimit() {
+    updateTierSahniKLimit(el.tiersContainer, parseInt(el.sahniKLimitInput.value));
 }
 
 // ============================================================
@@ -475,6 +199,10 @@ function readDistParams(prefix) {
         case 'uniform': weightParams = { min: parseInt(document.getElementById(`${prefix}_weight_min`).value), max: parseInt(document.getElementById(`${prefix}_weight_max`).value) }; break;
         case 'normal': weightParams = { mean: parseFloat(document.getElementById(`${prefix}_weight_mean`).value), sd: parseFloat(document.getElementById(`${prefix}_weight_sd`).value) }; break;
         case 'lognormal': weightParams = { mu: parseFloat(document.getElementById(`${prefix}_weight_mu`).value), sigma: parseFloat(document.getElementById(`${prefix}_weight_sigma`).value) }; break;
+        case 'gamma': weightParams = { shape: parseFloat(document.getElementById(`${prefix}_weight_shape`).value), scale: parseFloat(document.getElementById(`${prefix}_weight_scale`).value) }; break;
+        case 'beta': weightParams = { a: parseFloat(document.getElementById(`${prefix}_weight_beta_a`).value), b: parseFloat(document.getElementById(`${prefix}_weight_beta_b`).value), min: parseFloat(document.getElementById(`${prefix}_weight_beta_min`).value), max: parseFloat(document.getElementById(`${prefix}_weight_beta_max`).value) }; break;
+        case 'pareto': weightParams = { xm: parseFloat(document.getElementById(`${prefix}_weight_xm`).value), alpha: parseFloat(document.getElementById(`${prefix}_weight_pareto_alpha`).value) }; break;
+        case 'empirical': weightParams = { values: parseNumberList(document.getElementById(`${prefix}_weight_empirical`).value), replace: document.getElementById(`${prefix}_weight_empirical_replace`).checked }; break;
     }
 
     let valueParams;
@@ -482,75 +210,61 @@ function readDistParams(prefix) {
         case 'uniform': valueParams = { min: parseInt(document.getElementById(`${prefix}_value_min`).value), max: parseInt(document.getElementById(`${prefix}_value_max`).value) }; break;
         case 'normal': valueParams = { mean: parseFloat(document.getElementById(`${prefix}_value_mean`).value), sd: parseFloat(document.getElementById(`${prefix}_value_sd`).value) }; break;
         case 'lognormal': valueParams = { mu: parseFloat(document.getElementById(`${prefix}_value_mu`).value), sigma: parseFloat(document.getElementById(`${prefix}_value_sigma`).value) }; break;
+        case 'gamma': valueParams = { shape: parseFloat(document.getElementById(`${prefix}_value_shape`).value), scale: parseFloat(document.getElementById(`${prefix}_value_scale`).value) }; break;
+        case 'beta': valueParams = { a: parseFloat(document.getElementById(`${prefix}_value_beta_a`).value), b: parseFloat(document.getElementById(`${prefix}_value_beta_b`).value), min: parseFloat(document.getElementById(`${prefix}_value_beta_min`).value), max: parseFloat(document.getElementById(`${prefix}_value_beta_max`).value) }; break;
+        case 'pareto': valueParams = { xm: parseFloat(document.getElementById(`${prefix}_value_xm`).value), alpha: parseFloat(document.getElementById(`${prefix}_value_pareto_alpha`).value) }; break;
+        case 'empirical': valueParams = { values: parseNumberList(document.getElementById(`${prefix}_value_empirical`).value), replace: document.getElementById(`${prefix}_value_empirical_replace`).checked }; break;
     }
 
     const correlation = document.getElementById(`${prefix}_correlation`).value;
     const alpha = parseFloat(document.getElementById(`${prefix}_alpha`).value);
     const noiseSd = parseFloat(document.getElementById(`${prefix}_noise_sd`).value);
+    const copulaRho = parseFloat(document.getElementById(`${prefix}_copula_rho`).value);
 
-    return { weightDist, weightParams, weightInt, valueDist, valueParams, valueInt, correlation, alpha, noiseSd };
+    return { weightDist, weightParams, weightInt, valueDist, valueParams, valueInt, correlation, alpha, noiseSd, copulaRho };
 }
 
 // ============================================================
 // Build full config from DOM
 // ============================================================
 function getConfig() {
-    const expDist = readDistParams('exp');
-    const chpDist = readDistParams('chp');
+    const optional = (id) => {
+        const v = document.getElementById(id).value;
+        return v !== '' ? parseInt(v) : null;
+    };
+    const tiers = readTiers(el.tiersContainer);
+    const tierPrefixes = tierRows(el.tiersContainer).map(row => row.dataset.prefix);
+    const groups = groupSections().map(section => {
+        const prefix = section.dataset.prefix;
+        // { tierName: [min, max] }, only for tiers with a bound set
+        const optRanges = {};
+        tierPrefixes.forEach((tierPrefix, i) => {
+            const range = [optional(`${prefix}_${tierPrefix}_opt_min`), optional(`${prefix}_${tierPrefix}_opt_max`)];
+            if (range[0] !== null || range[1] !== null) optRanges[tiers[i].name] = range;
+        });
+        return {
+            name: document.getElementById(`${prefix}_name`).value.trim(),
+            count: parseInt(document.getElementById(`${prefix}_count`).value) || 0,
+            ...readDistParams(prefix),
+            optRanges
+        };
+    });
 
     return {
         nInstances: parseInt(el.nInstances.value),
-        nItems: parseInt(el.nItems.value),
-        expCount: parseInt(el.expCount.value) || 0,
-        // Expensive distributions
-        expWeightDist: expDist.weightDist,
-        expWeightParams: expDist.weightParams,
-        expWeightInt: expDist.weightInt,
-        expValueDist: expDist.valueDist,
-        expValueParams: expDist.valueParams,
-        expValueInt: expDist.valueInt,
-        expCorrelation: expDist.correlation,
-        expAlpha: expDist.alpha,
-        expNoiseSd: expDist.noiseSd,
-        // Expensive optimal targets
-        expOptLowMin: el.expOptLowMin.value !== '' ? parseInt(el.expOptLowMin.value) : null,
-        expOptLowMax: el.expOptLowMax.value !== '' ? parseInt(el.expOptLowMax.value) : null,
-        expOptHighMin: el.expOptHighMin.value !== '' ? parseInt(el.expOptHighMin.value) : null,
-        expOptHighMax: el.expOptHighMax.value !== '' ? parseInt(el.expOptHighMax.value) : null,
-        // Cheap distributions
-        chpWeightDist: chpDist.weightDist,
-        chpWeightParams: chpDist.weightParams,
-        chpWeightInt: chpDist.weightInt,
-        chpValueDist: chpDist.valueDist,
-        chpValueParams: chpDist.valueParams,
-        chpValueInt: chpDist.valueInt,
-        chpCorrelation: chpDist.correlation,
-        chpAlpha: chpDist.alpha,
-        chpNoiseSd: chpDist.noiseSd,
-        // Cheap optimal targets
-        chpOptLowMin: el.chpOptLowMin.value !== '' ? parseInt(el.chpOptLowMin.value) : null,
-        chpOptLowMax: el.chpOptLowMax.value !== '' ? parseInt(el.chpOptLowMax.value) : null,
-        chpOptHighMin: el.chpOptHighMin.value !== '' ? parseInt(el.chpOptHighMin.value) : null,
-        chpOptHighMax: el.chpOptHighMax.value !== '' ? parseInt(el.chpOptHighMax.value) : null,
-        // Budget constraints
-        budgetLowMin: parseInt(el.budgetLowMin.value),
-        budgetLowMax: parseInt(el.budgetLowMax.value),
-        budgetHighMin: parseInt(el.budgetHighMin.value),
-        budgetHighMax: parseInt(el.budgetHighMax.value),
-        optLowMin: parseInt(el.optLowMin.value),
-        optLowMax: parseInt(el.optLowMax.value),
-        optHighMin: parseInt(el.optHighMin.value),
-        optHighMax: parseInt(el.optHighMax.value),
-        sahniKLow: el.sahniKLow.value,
-        sahniKHigh: el.sahniKHigh.value,
-        minOptValLow: el.minOptValLow.value ? parseInt(el.minOptValLow.value) : null,
-        maxOptValLow: el.maxOptValLow.value ? parseInt(el.maxOptValLow.value) : null,
-        minOptValHigh: el.minOptValHigh.value ? parseInt(el.minOptValHigh.value) : null,
-        maxOptValHigh: el.maxOptValHigh.value ? parseInt(el.maxOptValHigh.value) : null,
+        nItems: groups.reduce((s, g) => s + g.count, 0),
+        groups,
+        onePerGroup: el.onePerGroup.checked,
+        // Budget tiers
+        tiers,
+        tierRelations: readRelations(el.relationsContainer, el.tiersContainer),
+        sahniKLimit: parseInt(el.sahniKLimitInput.value),
         // Global settings
-        greedyCap: el.greedyCapSelect.value,
-        forgivenessCap: el.forgivenessCapSelect.value,
-        minFeasible: el.minFeasibleInput.value ? parseInt(el.minFeasibleInput.value) : null,
+        forgivenessAlpha: parseFloat(el.forgivenessAlphaInput.value),
+        alphaLevels: parsePercentList(el.alphaLevelsInput.value),
+        uniqueOptimum: el.uniqueOptimum.checked,
+        searchMode: el.searchMode.value,
+        searchSteps: parseInt(el.searchSteps.value),
         maxRatio: el.maxRatioInput.value ? parseFloat(el.maxRatioInput.value) : null,
         seed: el.seed.value,
         ratioSpread: el.ratioSpread.value,
@@ -560,243 +274,57 @@ function getConfig() {
 }
 
 // ============================================================
-// Generate a single instance
+// Build item rows with highlighting + drag handles + group badges
 // ============================================================
-function generateSingleInstance(config, instanceSeed) {
-    const MAX_ATTEMPTS = 10000;
-
-    const greedyActive = config.greedyCap !== 'no_filter';
-    const greedyThreshold = greedyActive ? parseFloat(config.greedyCap) : 1;
-    const forgivenessActive = config.forgivenessCap !== 'no_filter';
-    const forgivenessShare = forgivenessActive ? parseFloat(config.forgivenessCap) : Infinity;
-    const canBruteForceN90 = config.nItems <= 20;
-
-    // Category composition filters active?
-    const hasExpLow = config.expOptLowMin !== null || config.expOptLowMax !== null;
-    const hasExpHigh = config.expOptHighMin !== null || config.expOptHighMax !== null;
-    const hasChpLow = config.chpOptLowMin !== null || config.chpOptLowMax !== null;
-    const hasChpHigh = config.chpOptHighMin !== null || config.chpOptHighMax !== null;
-    const hasCategoryFilter = hasExpLow || hasExpHigh || hasChpLow || hasChpHigh;
-
-    function checkCategoryRange(count, min, max) {
-        if (min !== null && count < min) return false;
-        if (max !== null && count > max) return false;
-        return true;
-    }
-
-    let bestFallback = null;
-
-    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
-        const usedSeed = attempt === 0 ? instanceSeed : instanceSeed + '_' + attempt;
-        const items = generateItems(config, usedSeed);
-
-        // Max V/P ratio filter
-        if (config.maxRatio !== null) {
-            const exceeded = items.some(it => (it.value / it.weight) > config.maxRatio);
-            if (exceeded) continue;
-        }
-
-        const lowResult = findCapacityInRange(
-            items, config.budgetLowMin, config.budgetLowMax,
-            config.optLowMin, config.optLowMax, config.sahniKLow, config.minOptValLow, config.maxOptValLow
-        );
-        if (!lowResult) continue;
-
-        const highResult = findCapacityInRange(
-            items, config.budgetHighMin, config.budgetHighMax,
-            config.optHighMin, config.optHighMax, config.sahniKHigh, config.minOptValHigh, config.maxOptValHigh
-        );
-        if (!highResult) continue;
-
-        const capLow = lowResult.capacity;
-        const capHigh = highResult.capacity;
-        const solLow = lowResult.sol || solveKnapsack(items, capLow);
-        const solHigh = highResult.sol || solveKnapsack(items, capHigh);
-
-        // Category composition filter
-        if (hasCategoryFilter) {
-            const expInLow = solLow.items.filter(it => it.category === 'expensive').length;
-            const chpInLow = solLow.items.filter(it => it.category === 'cheap').length;
-            const expInHigh = solHigh.items.filter(it => it.category === 'expensive').length;
-            const chpInHigh = solHigh.items.filter(it => it.category === 'cheap').length;
-
-            if (!checkCategoryRange(expInLow, config.expOptLowMin, config.expOptLowMax)) continue;
-            if (!checkCategoryRange(chpInLow, config.chpOptLowMin, config.chpOptLowMax)) continue;
-            if (!checkCategoryRange(expInHigh, config.expOptHighMin, config.expOptHighMax)) continue;
-            if (!checkCategoryRange(chpInHigh, config.chpOptHighMin, config.chpOptHighMax)) continue;
-        }
-
-        // Remember as fallback
-        if (!bestFallback) {
-            bestFallback = { usedSeed, items, lowResult, highResult, capLow, capHigh, solLow, solHigh };
-        }
-
-        // Greedy constraint
-        if (greedyActive) {
-            const gLow = solLow.value > 0 ? greedyValue(items, capLow) / solLow.value : 0;
-            const gHigh = solHigh.value > 0 ? greedyValue(items, capHigh) / solHigh.value : 0;
-            if (gLow >= greedyThreshold || gHigh >= greedyThreshold) continue;
-        }
-
-        // Forgiveness + min feasible
-        if (canBruteForceN90) {
-            const bsL = countBundleStats(items, capLow, solLow.value, 90);
-            const bsH = countBundleStats(items, capHigh, solHigh.value, 90);
-            if (forgivenessActive) {
-                const shareLow = bsL.feasible > 0 ? bsL.n90 / bsL.feasible : 0;
-                const shareHigh = bsH.feasible > 0 ? bsH.n90 / bsH.feasible : 0;
-                if (shareLow > forgivenessShare || shareHigh > forgivenessShare) continue;
-            }
-            if (config.minFeasible !== null && (bsL.feasible < config.minFeasible || bsH.feasible < config.minFeasible)) continue;
-        }
-
-        // Compute display stats
-        const sahniLow = lowResult.sahniK !== null ? lowResult.sahniK : computeSahniK(items, capLow, solLow.value);
-        const sahniHigh = highResult.sahniK !== null ? highResult.sahniK : computeSahniK(items, capHigh, solHigh.value);
-        const greedyRatioLow = solLow.value > 0 ? greedyValue(items, capLow) / solLow.value : 0;
-        const greedyRatioHigh = solHigh.value > 0 ? greedyValue(items, capHigh) / solHigh.value : 0;
-
-        let n90Low = null, n90High = null, feasibleLow = null, feasibleHigh = null;
-        if (canBruteForceN90) {
-            const bsLow = countBundleStats(items, capLow, solLow.value, 90);
-            const bsHigh = countBundleStats(items, capHigh, solHigh.value, 90);
-            n90Low = bsLow.n90; n90High = bsHigh.n90;
-            feasibleLow = bsLow.feasible; feasibleHigh = bsHigh.feasible;
-        }
-
-        return {
-            seed: usedSeed, items,
-            budgetLow: capLow, budgetHigh: capHigh,
-            optLow: solLow, optHigh: solHigh,
-            sahniLow, sahniHigh,
-            greedyRatioLow, greedyRatioHigh,
-            n90Low, n90High, feasibleLow, feasibleHigh
-        };
-    }
-
-    // Fallback
-    const fb = bestFallback || null;
-    const fbItems = fb ? fb.items : generateItems(config, instanceSeed);
-    const fbSumW = fbItems.reduce((s, it) => s + it.weight, 0);
-    const fbCapLow = fb ? fb.capLow : Math.max(1, Math.min(Math.round((config.budgetLowMin + config.budgetLowMax) / 2), fbSumW - 1));
-    const fbCapHigh = fb ? fb.capHigh : Math.max(1, Math.min(Math.round((config.budgetHighMin + config.budgetHighMax) / 2), fbSumW - 1));
-    const fbSolLow = fb ? fb.solLow : solveKnapsack(fbItems, fbCapLow);
-    const fbSolHigh = fb ? fb.solHigh : solveKnapsack(fbItems, fbCapHigh);
-    const fbSeed = fb ? fb.usedSeed : instanceSeed;
-
-    const greedyRatioLow = fbSolLow.value > 0 ? greedyValue(fbItems, fbCapLow) / fbSolLow.value : 0;
-    const greedyRatioHigh = fbSolHigh.value > 0 ? greedyValue(fbItems, fbCapHigh) / fbSolHigh.value : 0;
-    let n90Low = null, n90High = null, feasibleLow = null, feasibleHigh = null;
-    if (canBruteForceN90) {
-        const bsLow = countBundleStats(fbItems, fbCapLow, fbSolLow.value, 90);
-        const bsHigh = countBundleStats(fbItems, fbCapHigh, fbSolHigh.value, 90);
-        n90Low = bsLow.n90; n90High = bsHigh.n90;
-        feasibleLow = bsLow.feasible; feasibleHigh = bsHigh.feasible;
-    }
-
-    const fbSahniLow = fb && fb.lowResult.sahniK !== null ? fb.lowResult.sahniK : computeSahniK(fbItems, fbCapLow, fbSolLow.value);
-    const fbSahniHigh = fb && fb.highResult.sahniK !== null ? fb.highResult.sahniK : computeSahniK(fbItems, fbCapHigh, fbSolHigh.value);
-
-    return {
-        seed: fbSeed, items: fbItems,
-        budgetLow: fbCapLow, budgetHigh: fbCapHigh,
-        optLow: fbSolLow, optHigh: fbSolHigh,
-        sahniLow: fbSahniLow, sahniHigh: fbSahniHigh,
-        greedyRatioLow, greedyRatioHigh,
-        n90Low, n90High, feasibleLow, feasibleHigh,
-        warning: 'Could not satisfy all constraints after 10,000 attempts.' + (fb ? ' (structural constraints respected, greedy/N90 relaxed)' : '')
-    };
-}
-
-// ============================================================
-// Format helpers
-// ============================================================
-function formatCompact(result) {
-    return result.items.map(it => `${it.weight},${it.value}  # ${it.category}`).join('\n');
-}
-
-function formatInstanceBlock(result, index) {
-    const lines = [];
-    const expCount = result.items.filter(it => it.category === 'expensive').length;
-    const chpCount = result.items.filter(it => it.category === 'cheap').length;
-    const expInLow = result.optLow.items.filter(it => it.category === 'expensive').length;
-    const chpInLow = result.optLow.items.filter(it => it.category === 'cheap').length;
-    const expInHigh = result.optHigh.items.filter(it => it.category === 'expensive').length;
-    const chpInHigh = result.optHigh.items.filter(it => it.category === 'cheap').length;
-
-    lines.push(`# Instance ${index + 1}  |  seed: ${result.seed}  |  ${expCount} expensive, ${chpCount} cheap`);
-
-    let lowLine = `# Low budget: ${result.budgetLow}  |  optimal: ${result.optLow.count} items (value ${result.optLow.value})  [${expInLow}E + ${chpInLow}C]  |  Sahni-k: ${result.sahniLow}  |  Greedy: ${(result.greedyRatioLow * 100).toFixed(1)}%`;
-    if (result.feasibleLow !== null) lowLine += `  |  Feasible: ${result.feasibleLow}`;
-    if (result.n90Low !== null) {
-        const shareLow = result.feasibleLow > 0 ? ` (${(result.n90Low / result.feasibleLow * 100).toFixed(1)}%)` : '';
-        lowLine += `  |  N90: ${result.n90Low}${shareLow}`;
-    }
-    lines.push(lowLine);
-
-    let highLine = `# High budget: ${result.budgetHigh}  |  optimal: ${result.optHigh.count} items (value ${result.optHigh.value})  [${expInHigh}E + ${chpInHigh}C]  |  Sahni-k: ${result.sahniHigh}  |  Greedy: ${(result.greedyRatioHigh * 100).toFixed(1)}%`;
-    if (result.feasibleHigh !== null) highLine += `  |  Feasible: ${result.feasibleHigh}`;
-    if (result.n90High !== null) {
-        const shareHigh = result.feasibleHigh > 0 ? ` (${(result.n90High / result.feasibleHigh * 100).toFixed(1)}%)` : '';
-        highLine += `  |  N90: ${result.n90High}${shareHigh}`;
-    }
-    lines.push(highLine);
-
-    lines.push('# price,value');
-    result.items.forEach(it => lines.push(`${it.weight},${it.value}  # ${it.category}`));
-    return lines.join('\n');
-}
-
-// ============================================================
-// Build item rows with highlighting + drag handles + category badges
-// ============================================================
-function buildItemRows(tbody, result, lowIdSet, highIdSet) {
+function buildItemRows(tbody, result) {
     tbody.innerHTML = '';
     const count = result.items.length;
+    const labels = groupLabels(result.groupNames);
+    const membership = tierMembership(result);
+    const tierNames = result.tiers.map(t => t.name);
     result.items.forEach((item, idx) => {
-        const inLow = lowIdSet.has(item.id);
-        const inHigh = highIdSet.has(item.id);
-        let cls = '';
-        if (inLow && inHigh) cls = 'optimal-both';
-        else if (inLow) cls = 'optimal-low';
-        else if (inHigh) cls = 'optimal-high';
+        const tierIdxs = membership.get(item.id) || [];
 
-        const catBadge = item.category === 'expensive'
-            ? '<span class="category-badge expensive">E</span>'
-            : '<span class="category-badge cheap">C</span>';
+        const groupIdx = result.groupNames.indexOf(item.category);
+        const catBadge = `<span class="category-badge" style="color:${groupColor(groupIdx)}" title="${item.category}">${labels[item.category]}</span>`;
 
         const tr = document.createElement('tr');
         tr.draggable = true;
         tr.dataset.idx = idx;
-        if (cls) tr.className = cls;
-        tr.innerHTML = `<td class="drag-handle">⠿</td><td>${idx + 1}${catBadge}</td><td>${item.weight}</td><td>${item.value}</td><td>${(item.value / item.weight).toFixed(2)}</td><td class="move-btns"><button class="move-btn move-up" data-idx="${idx}" ${idx === 0 ? 'disabled' : ''}>▲</button><button class="move-btn move-down" data-idx="${idx}" ${idx === count - 1 ? 'disabled' : ''}>▼</button></td>`;
+        if (tierIdxs.length > 0) {
+            tr.className = 'in-tier';
+            tr.style.setProperty('--tier-color', tierColor(tierIdxs[0]));
+        }
+        // Multiple-choice classes: rule a line where the class changes
+        if (result.onePerGroup && idx > 0 && item.category !== result.items[idx - 1].category) tr.classList.add('class-start');
+        const canMoveUp = idx > 0 && canReorder(result, idx, idx - 1);
+        const canMoveDown = idx < count - 1 && canReorder(result, idx, idx + 1);
+        tr.innerHTML = `<td class="drag-handle">⠿</td><td>${idx + 1}${catBadge}${tierMarks(tierIdxs, tierNames)}</td><td>${item.weight}</td><td>${item.value}</td><td>${(item.value / item.weight).toFixed(2)}</td><td class="move-btns"><button class="move-btn move-up" data-idx="${idx}" ${canMoveUp ? '' : 'disabled'}>▲</button><button class="move-btn move-down" data-idx="${idx}" ${canMoveDown ? '' : 'disabled'}>▼</button></td>`;
         tbody.appendChild(tr);
     });
 }
 
+// May the item at fromIdx move to toIdx? Multiple-choice classes must stay
+// contiguous blocks, so their items only move within their own class.
+function canReorder(result, fromIdx, toIdx) {
+    return !result.onePerGroup || result.items[fromIdx].category === result.items[toIdx].category;
+}
+
 // Reorder item
 function reorderItem(tbody, instanceIdx, fromIdx, toIdx) {
     const result = allResults[instanceIdx];
     if (fromIdx === toIdx || fromIdx < 0 || toIdx < 0 || fromIdx >= result.items.length || toIdx >= result.items.length) return;
+    if (!canReorder(result, fromIdx, toIdx)) return;
 
     const [moved] = result.items.splice(fromIdx, 1);
     result.items.splice(toIdx, 0, moved);
 
-    const lowItemObjs = new Set(result.optLow.items);
-    const highItemObjs = new Set(result.optHigh.items);
-
+    // The tiers' optimal items are the same objects, so renumbering carries over
     for (let j = 0; j < result.items.length; j++) {
         result.items[j].id = j + 1;
     }
 
-    const newLowIdSet = new Set();
-    const newHighIdSet = new Set();
-    for (const item of result.items) {
-        if (lowItemObjs.has(item)) newLowIdSet.add(item.id);
-        if (highItemObjs.has(item)) newHighIdSet.add(item.id);
-    }
-
-    buildItemRows(tbody, result, newLowIdSet, newHighIdSet);
+    buildItemRows(tbody, result);
     setupDragAndDrop(tbody, instanceIdx);
 }
 
@@ -823,9 +351,11 @@ function setupDragAndDrop(tbody, instanceIdx) {
     });
 
     tbody.addEventListener('dragover', (e) => {
+        const tr = e.target.closest('tr');
+        // No drop target outside the dragged item's class
+        if (tr && dragRow && !canReorder(allResults[instanceIdx], parseInt(dragRow.dataset.idx), parseInt(tr.dataset.idx))) return;
         e.preventDefault();
         e.dataTransfer.dropEffect = 'move';
-        const tr = e.target.closest('tr');
         if (!tr || tr === dragRow) return;
 
         const rect = tr.getBoundingClientRect();
@@ -887,16 +417,28 @@ function setupDragAndDrop(tbody, instanceIdx) {
 function renderResults() {
     el.resultsContainer.innerHTML = '';
 
+    if (allResults.length < requestedInstances) {
+        const note = document.createElement('div');
+        note.style.cssText = 'color: #e67e22; font-size: 0.85rem; margin-bottom: 8px;';
+        note.textContent = `⚠️ Stopped after ${allResults.length} of ${requestedInstances} instances.`;
+        el.resultsContainer.appendChild(note);
+    }
+
     allResults.forEach((result, i) => {
         const card = document.createElement('div');
         card.className = 'instance-card';
 
-        const expCount = result.items.filter(it => it.category === 'expensive').length;
-        const chpCount = result.items.filter(it => it.category === 'cheap').length;
-        const expInLow = result.optLow.items.filter(it => it.category === 'expensive').length;
-        const chpInLow = result.optLow.items.filter(it => it.category === 'cheap').length;
-        const expInHigh = result.optHigh.items.filter(it => it.category === 'expensive').length;
-        const chpInHigh = result.optHigh.items.filter(it => it.category === 'cheap').length;
+        const labels = groupLabels(result.groupNames);
+        const colored = (name, text) => `<span style="color:${groupColor(result.groupNames.indexOf(name))}">${text}</span>`;
+        // "3E+9C" style composition, one coloured part per group
+        const composition = (items, separator) => Object.entries(categoryCounts(items, result.groupNames))
+            .map(([name, n]) => colored(name, countLabel(n, labels[name]))).join(separator);
+        const rhoText = (name) => {
+            const rho = spearmanRho(result.items.filter(it => it.category === name));
+            return rho === null ? '—' : rho.toFixed(2);
+        };
+        const groupTags = Object.entries(categoryCounts(result.items, result.groupNames))
+            .map(([name, n]) => `<span style="color:${groupColor(result.groupNames.indexOf(name))};font-weight:600;" title="${name}">${countLabel(n, labels[name])}</span>`).join('\n                ');
 
         // Header
         const header = document.createElement('div');
@@ -905,10 +447,10 @@ function renderResults() {
             <h3>Instance ${i + 1}</h3>
             <div class="meta">
                 <span>seed: ${result.seed}</span>
-                <span style="color:#e17055;font-weight:600;">${expCount}E</span>
-                <span style="color:#00b894;font-weight:600;">${chpCount}C</span>
-                <span class="low-tag">low ${result.budgetLow}: ${result.optLow.count} items [${expInLow}E+${chpInLow}C], k=${result.sahniLow}, G=${(result.greedyRatioLow * 100).toFixed(0)}%</span>
-                <span class="high-tag">high ${result.budgetHigh}: ${result.optHigh.count} items [${expInHigh}E+${chpInHigh}C], k=${result.sahniHigh}, G=${(result.greedyRatioHigh * 100).toFixed(0)}%</span>
+                ${searchText(result.search) ? `<span title="Item values were perturbed from the seed's items to meet the difficulty filters">search: ${searchText(result.search)}</span>` : ''}
+                ${groupTags}
+                <span title="Realised Spearman rank correlation of price and value within each group">ρ ${result.groupNames.map(name => countLabel(rhoText(name), labels[name])).join(' / ')}</span>
+                ${result.tiers.map((t, j) => `<span class="tier-tag" style="--tier-color: ${tierColor(j)}">${t.name} ${t.budget}: ${t.opt.count} items [${composition(t.opt.items, '+')}], k=${sahniKText(t.sahniK, result.sahniKLimit)}, G=${(t.greedyRatio * 100).toFixed(0)}%</span>`).join('')}
                 <button class="copy-instance-btn" data-index="${i}">Copy</button>
             </div>
         `;
@@ -917,48 +459,29 @@ function renderResults() {
         const body = document.createElement('div');
         body.className = 'instance-body';
 
-        // Dual meta panels
+        // One meta panel per tier
         const dualMeta = document.createElement('div');
         dualMeta.className = 'dual-meta';
-
-        const lowIds = result.optLow.items.map(it => it.id);
-        const highIds = result.optHigh.items.map(it => it.id);
-
-        const feasibleLowStr = result.feasibleLow !== null ? `, Feasible=${result.feasibleLow.toLocaleString()}` : '';
-        const feasibleHighStr = result.feasibleHigh !== null ? `, Feasible=${result.feasibleHigh.toLocaleString()}` : '';
-        const n90LowShare = (result.n90Low !== null && result.feasibleLow > 0) ? ` (${(result.n90Low / result.feasibleLow * 100).toFixed(1)}%)` : '';
-        const n90HighShare = (result.n90High !== null && result.feasibleHigh > 0) ? ` (${(result.n90High / result.feasibleHigh * 100).toFixed(1)}%)` : '';
-        const n90LowStr = result.n90Low !== null ? `, N90=${result.n90Low}${n90LowShare}` : '';
-        const n90HighStr = result.n90High !== null ? `, N90=${result.n90High}${n90HighShare}` : '';
-
-        dualMeta.innerHTML = `
-            <div class="panel low">
-                <strong>Low Budget: ${result.budgetLow}</strong>
-                Optimal: ${result.optLow.count} items [<span style="color:#e17055">${expInLow}E</span> + <span style="color:#00b894">${chpInLow}C</span>], value ${result.optLow.value}, price ${result.optLow.weight}, Sahni-k=${result.sahniLow}<br>
-                Greedy: ${(result.greedyRatioLow * 100).toFixed(1)}%${feasibleLowStr}${n90LowStr}<br>
-                Items: ${lowIds.join(', ')}
-            </div>
-            <div class="panel high">
-                <strong>High Budget: ${result.budgetHigh}</strong>
-                Optimal: ${result.optHigh.count} items [<span style="color:#e17055">${expInHigh}E</span> + <span style="color:#00b894">${chpInHigh}C</span>], value ${result.optHigh.value}, price ${result.optHigh.weight}, Sahni-k=${result.sahniHigh}<br>
-                Greedy: ${(result.greedyRatioHigh * 100).toFixed(1)}%${feasibleHighStr}${n90HighStr}<br>
-                Items: ${highIds.join(', ')}
-            </div>
-        `;
+        const overlaps = tierOverlaps(result.tiers);
+        dualMeta.innerHTML = result.tiers.map((t, j) => {
+            const feasibleStr = `, Feasible=${countText(t.feasible.toLocaleString(), t.countsExact)}`;
+            const nAlphaStr = nAlphaParts(t.nAlpha, t.feasible, t.countsExact).map(([label, text]) => `, ${label}=${text}`).join('');
+            return `
+            <div class="panel" style="--tier-color: ${tierColor(j)}">
+                <strong>${t.name} budget: ${t.budget}</strong>
+                Optimal: ${t.opt.count} items [${composition(t.opt.items, ' + ')}], value ${t.opt.value}, price ${t.opt.weight}, Sahni-k=${sahniKText(t.sahniK, result.sahniKLimit)}<br>
+                Greedy: ${(t.greedyRatio * 100).toFixed(1)}%${feasibleStr}${nAlphaStr}<br>
+                ${overlapTexts(overlaps, t.name).map(text => `${text}<br>`).join('')}Items: ${t.opt.items.map(it => it.id).join(', ')}
+            </div>`;
+        }).join('');
         body.appendChild(dualMeta);
 
         // Legend
-        const lowIdSet = new Set(result.optLow.items.map(it => it.id));
-        const highIdSet = new Set(result.optHigh.items.map(it => it.id));
-
         const legend = document.createElement('div');
         legend.className = 'items-legend';
         legend.innerHTML = `
-            <span><span class="dot low"></span> Low optimal</span>
-            <span><span class="dot high"></span> High optimal</span>
-            <span><span class="dot both"></span> Both</span>
-            <span style="margin-left:8px;"><span style="color:#e17055;font-weight:700;">E</span> = expensive</span>
-            <span><span style="color:#00b894;font-weight:700;">C</span> = cheap</span>
+            ${tierLegend(result.tiers.map(t => t.name))}
+            ${result.groupNames.map((name, g) => `<span${g === 0 ? ' style="margin-left:8px;"' : ''}><span style="color:${groupColor(g)};font-weight:700;">${labels[name]}</span> = ${name}</span>`).join('\n            ')}
         `;
         body.appendChild(legend);
 
@@ -968,7 +491,7 @@ function renderResults() {
         table.dataset.instance = i;
         table.innerHTML = `<thead><tr><th></th><th>#</th><th>Price</th><th>Value</th><th>V/P</th><th></th></tr></thead>`;
         const tbody = document.createElement('tbody');
-        buildItemRows(tbody, result, lowIdSet, highIdSet);
+        buildItemRows(tbody, result);
         table.appendChild(tbody);
         body.appendChild(table);
         setupDragAndDrop(tbody, i);
@@ -990,7 +513,7 @@ function renderResults() {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             const idx = parseInt(btn.dataset.index);
-            const text = formatInstanceBlock(allResults[idx], idx);
+            const text = formatSpecificInstanceBlock(allResults[idx], idx);
             copyToClipboard(text, btn);
         });
     });
@@ -1028,11 +551,22 @@ function generateBatch() {
     const config = getConfig();
 
     // Validations
-    if (config.expCount < 0 || config.expCount > config.nItems) { alert('Expensive count must be between 0 and total items.'); return; }
-    if (config.budgetLowMin > config.budgetLowMax) { alert('Low Budget Min must be ≤ Max.'); return; }
-    if (config.budgetHighMin > config.budgetHighMax) { alert('High Budget Min must be ≤ Max.'); return; }
-    if (config.optLowMin > config.optLowMax) { alert('Low Optimal Items Min must be ≤ Max.'); return; }
-    if (config.optHighMin > config.optHighMax) { alert('High Optimal Items Min must be ≤ Max.'); return; }
+    const sizeError = validateSizes('specific', config);
+    if (sizeError) { alert(sizeError); return; }
+    const tierError = validateTiers(config);
+    if (tierError) { alert(tierError); return; }
+    const groupError = validateGroups(config);
+    if (groupError) { alert(groupError); return; }
+    const alphaError = validateAlphaLevels(config);
+    if (alphaError) { alert(alphaError); return; }
+    const sahniError = validateSahniK(config);
+    if (sahniError) { alert(sahniError); return; }
+    const rangeError = validateDifficultyRanges(config);
+    if (rangeError) { alert(rangeError); return; }
+    const distError = validateDistributions('specific', config);
+    if (distError) { alert(distError); return; }
+    const searchError = validateSearch(config);
+    if (searchError) { alert(searchError); return; }
 
     el.generateBtn.textContent = 'Generating…';
     el.generateBtn.disabled = true;
@@ -1041,108 +575,38 @@ function generateBatch() {
     el.progressFill.style.width = '0%';
     el.progressBar.style.display = '';
     allResults = [];
-
-    const total = config.nInstances;
-    let idx = 0;
-
-    function nextInstance() {
-        if (idx >= total) {
-            el.progressFill.style.width = '100%';
-            setTimeout(() => { el.progressBar.style.display = 'none'; }, 400);
-            el.generateBtn.textContent = 'Generate Batch';
-            el.generateBtn.disabled = false;
-            renderResults();
-            return;
-        }
-
-        el.progressFill.style.width = ((idx / total) * 100) + '%';
-
-        const baseSeed = config.seed;
-        const instanceSeed = idx === 0 ? baseSeed : baseSeed + '_inst' + idx;
-
-        const result = generateSingleInstance(config, instanceSeed);
-        allResults.push(result);
-        idx++;
-
-        setTimeout(nextInstance, 5);
-    }
-
-    setTimeout(nextInstance, 10);
+    requestedInstances = config.nInstances;
+    abortController = new AbortController();
+    el.stopBtn.style.display = '';
+
+    generateBatchInWorkers('specific', config, (done, total) => {
+        el.progressFill.style.width = ((done / total) * 100) + '%';
+    }, abortController.signal).then(({ results, stopped, error }) => {
+        allResults = results;
+        if (!stopped) el.progressFill.style.width = '100%';
+        renderResults();
+        if (error) alert(`Batch generation failed after ${results.length} instances: ${error.message}`);
+    }).catch(err => {
+        alert('Batch generation failed: ' + err.message);
+    }).finally(() => {
+        abortController = null;
+        setTimeout(() => { el.progressBar.style.display = 'none'; }, 400);
+        el.stopBtn.style.display = 'none';
+        el.generateBtn.textContent = 'Generate Batch';
+        el.generateBtn.disabled = false;
+    });
 }
 
 function copyAll() {
     if (allResults.length === 0) return;
-    const text = allResults.map((r, i) => formatInstanceBlock(r, i)).join('\n\n');
+    const text = allResults.map((r, i) => formatSpecificInstanceBlock(r, i)).join('\n\n');
     copyToClipboard(text, el.copyAllBtn);
 }
 
 function downloadJSON() {
     if (allResults.length === 0) return;
     const config = getConfig();
-    const chpCount = config.nItems - config.expCount;
-
-    const exportData = {
-        problem: '0/1 knapsack (batch specific dual budget)',
-        n_instances: allResults.length,
-        n_items: config.nItems,
-        expensive_count: config.expCount,
-        cheap_count: chpCount,
-        starting_seed: config.seed,
-        budget_low_range: [config.budgetLowMin, config.budgetLowMax],
-        budget_high_range: [config.budgetHighMin, config.budgetHighMax],
-        target_optimal_low: [config.optLowMin, config.optLowMax],
-        target_optimal_high: [config.optHighMin, config.optHighMax],
-        target_sahni_k_low: config.sahniKLow,
-        target_sahni_k_high: config.sahniKHigh,
-        optimal_value_range_low: [config.minOptValLow, config.maxOptValLow],
-        optimal_value_range_high: [config.minOptValHigh, config.maxOptValHigh],
-        expensive_items: {
-            price_dist: { name: distName(config.expWeightDist, config.expWeightInt), params: config.expWeightParams },
-            value_dist: config.expCorrelation === 'independent' ? { name: distName(config.expValueDist, config.expValueInt), params: config.expValueParams } : null,
-            correlation: { mode: CORRELATION_NAMES[config.expCorrelation] },
-            target_in_low_optimal: [config.expOptLowMin, config.expOptLowMax],
-            target_in_high_optimal: [config.expOptHighMin, config.expOptHighMax]
-        },
-        cheap_items: {
-            price_dist: { name: distName(config.chpWeightDist, config.chpWeightInt), params: config.chpWeightParams },
-            value_dist: config.chpCorrelation === 'independent' ? { name: distName(config.chpValueDist, config.chpValueInt), params: config.chpValueParams } : null,
-            correlation: { mode: CORRELATION_NAMES[config.chpCorrelation] },
-            target_in_low_optimal: [config.chpOptLowMin, config.chpOptLowMax],
-            target_in_high_optimal: [config.chpOptHighMin, config.chpOptHighMax]
-        },
-        ratio_spread: config.ratioSpread,
-        integer_ratios: config.integerRatios,
-        fraction_ratios: config.fractionRatios,
-        instances: allResults.map((r, idx) => {
-            const expInLow = r.optLow.items.filter(it => it.category === 'expensive').length;
-            const chpInLow = r.optLow.items.filter(it => it.category === 'cheap').length;
-            const expInHigh = r.optHigh.items.filter(it => it.category === 'expensive').length;
-            const chpInHigh = r.optHigh.items.filter(it => it.category === 'cheap').length;
-
-            return {
-                instance: idx + 1,
-                seed: r.seed,
-                budget_low: r.budgetLow,
-                budget_high: r.budgetHigh,
-                optimal_low: {
-                    count: r.optLow.count, value: r.optLow.value, weight: r.optLow.weight,
-                    sahni_k: r.sahniLow, greedy_ratio: parseFloat((r.greedyRatioLow * 100).toFixed(1)),
-                    feasible: r.feasibleLow, n90: r.n90Low,
-                    expensive_in_opt: expInLow, cheap_in_opt: chpInLow,
-                    item_ids: r.optLow.items.map(it => it.id)
-                },
-                optimal_high: {
-                    count: r.optHigh.count, value: r.optHigh.value, weight: r.optHigh.weight,
-                    sahni_k: r.sahniHigh, greedy_ratio: parseFloat((r.greedyRatioHigh * 100).toFixed(1)),
-                    feasible: r.feasibleHigh, n90: r.n90High,
-                    expensive_in_opt: expInHigh, cheap_in_opt: chpInHigh,
-                    item_ids: r.optHigh.items.map(it => it.id)
-                },
-                items: r.items.map(it => ({ id: it.id, price: it.weight, value: it.value, category: it.category })),
-                ...(r.warning ? { warning: r.warning } : {})
-            };
-        })
-    };
+    const exportData = buildSpecificExport(config, allResults, requestedInstances);
 
     const json = JSON.stringify(exportData, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
@@ -1168,40 +632,35 @@ el.fractionRatios.addEventListener('change', () => {
 // Event listeners
 // ============================================================
 
-// Expensive dist toggles
-el.expWeightDist.addEventListener('change', () => updateDistParams('exp_weight_dist', 'exp_weight_params'));
-el.expValueDist.addEventListener('change', () => updateDistParams('exp_value_dist', 'exp_value_params'));
-el.expCorrelation.addEventListener('change', () => {
-    updateCorrelationParams(
-        el.expCorrelation, el.expCorrelationParams,
-        el.expValueDist.closest('.form-group'), el.expValueParams
-    );
+// Group dist toggles, counts and removal (delegated: groups come and go)
+el.groupsContainer.addEventListener('change', (e) => {
+    const section = e.target.closest('.category-section');
+    if (section && e.target.tagName === 'SELECT') updateGroupParams(section.dataset.prefix);
 });
-
-// Cheap dist toggles
-el.chpWeightDist.addEventListener('change', () => updateDistParams('chp_weight_dist', 'chp_weight_params'));
-el.chpValueDist.addEventListener('change', () => updateDistParams('chp_value_dist', 'chp_value_params'));
-el.chpCorrelation.addEventListener('change', () => {
-    updateCorrelationParams(
-        el.chpCorrelation, el.chpCorrelationParams,
-        el.chpValueDist.closest('.form-group'), el.chpValueParams
-    );
+el.groupsContainer.addEventListener('input', (e) => {
+    if (e.target.classList.contains('group-count')) refreshGroups();
 });
-
-// Auto-update cheap count
-el.nItems.addEventListener('input', updateCheapCount);
-el.expCount.addEventListener('input', updateCheapCount);
+el.groupsContainer.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('remove-group-btn') || groupSections().length === 1) return;
+    e.target.closest('.category-section').remove();
+    refreshGroups();
+});
+el.addGroupBtn.addEventListener('click', addGroup);
+el.sahniKLimitInput.addEventListener('change', updateSahniKLimit);
 
 // Main actions
 el.generateBtn.addEventListener('click', generateBatch);
+el.stopBtn.addEventListener('click', () => { if (abortController) abortController.abort(); });
 el.copyAllBtn.addEventListener('click', copyAll);
 el.downloadJsonBtn.addEventListener('click', downloadJSON);
 
 // Init — show correct dist param groups
-updateDistParams('exp_weight_dist', 'exp_weight_params');
-updateDistParams('exp_value_dist', 'exp_value_params');
-updateCorrelationParams(el.expCorrelation, el.expCorrelationParams, el.expValueDist.closest('.form-group'), el.expValueParams);
-updateDistParams('chp_weight_dist', 'chp_weight_params');
-updateDistParams('chp_value_dist', 'chp_value_params');
-updateCorrelationParams(el.chpCorrelation, el.chpCorrelationParams, el.chpValueDist.closest('.form-group'), el.chpValueParams);
-updateCheapCount();
+initTierEditor(el.tiersContainer, el.addTierBtn, () => {
+    syncGroupTierRanges();
+    syncRelationTiers(el.relationsContainer, el.tiersContainer);
+});
+initRelationEditor(el.relationsContainer, el.addRelationBtn, el.tiersContainer);
+groupSections().forEach(section => updateGroupParams(section.dataset.prefix));
+refreshGroups();
+syncGroupTierRanges();
+updateSahniKLimit();
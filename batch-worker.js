@@ -0,0 +1,23 @@
+// ============================================================
+// Batch generation worker. Posts { ready: true } once loaded, then
+// receives { mode, config, idx } and replies { idx, result } for that
+// instance. Used by batch-pool.js.
+// ============================================================
+
+import { generateBatchInstanceAt, generateSpecificInstance, instanceSeedFor } from './core/index.js';
+
+// Instance `idx` of a run, by mode
+const GENERATORS = {
+    batch: generateBatchInstanceAt,
+    specific: (config, idx) => generateSpecificInstance(config, instanceSeedFor(config.seed, idx))
+};
+
+self.onmessage = (e) => {
+    const { mode, config, idx } = e.data;
+    const result = GENERATORS[mode](config, idx);
+    self.postMessage({ idx, result });
+};
+
+// Module imports resolved: the pool can tell a load failure from an error
+// in generation
+self.postMessage({ ready: true });
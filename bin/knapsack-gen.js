@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+// ============================================================
+// knapsack-gen — headless generator. Runs the same core code as
+// the pages and writes the same JSON their "Download JSON"
+// buttons produce, byte for byte.
+//
+//   knapsack-gen --mode batch --config batch.yaml --output-dir out/
+//   knapsack-gen --mode single --n-items 15 --seed abc > inst.json
+// ============================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+    MODES, normalizeConfig, validateConfig,
+    generateInstance, generateDualInstance, buildDualExport,
+    generateBatchInstanceAt, buildBatchExport,
+    generateSpecificInstance, buildSpecificExport, instanceSeedFor
+} from '../core/index.js';
+
+const USAGE = `Usage: knapsack-gen --mode <${MODES.join('|')}> [options] [--<config-key> <value> ...]
+
+Options:
+  -m, --mode <mode>        Which page to reproduce (default: single)
+  -c, --config <file>      JSON or YAML config file (keys as in the page's getConfig())
+  -o, --output <file>      Write JSON to <file> (default: stdout)
+  -d, --output-dir <dir>   Write JSON into <dir> using the page's download filename
+  -q, --quiet              No progress output on stderr
+  -h, --help               Show this help
+
+Any other --flag sets a config key, in kebab-case (--n-items 20, --sahni-k-limit 8,
+--weight-params '{"mean":10,"sd":3}'). Flags override the config file, which
+overrides the page defaults.
+
+Difficulty filters are ranges: sahniKMin / sahniKMax, greedyMin / greedyMax
+(greedy value / optimal value) and forgivenessMin / forgivenessMax (Nα share),
+with greedy and share as fractions (0.85 for 85%). Leave either end null to
+keep that side open. Old targetSahniK / sahniK targets and greedyCap /
+forgivenessCap caps are read as the matching ranges.
+
+In dual, batch and specific mode, budget tiers are a list under "tiers"; each
+tier needs a name, budgetMin and budgetMax and may set optMin / optMax,
+minOptVal / maxOptVal, the difficulty ranges and minFeasible. Old configs
+using the low / high keys (budgetLowMin, sahniKHigh, ...) are read as a 'low'
+and a 'high' tier. "tierRelations" ties two tiers' optima together: each
+relation names a lower and an upper tier and may set overlap ('any', 'subset',
+'at_most' with maxShared, 'disjoint') and minBudgetRatio / maxBudgetRatio
+(upper budget / lower budget).
+
+In specific mode, item groups are a list under "groups"; each group needs a
+name and count and takes the same distribution keys as the other modes, plus
+optRanges ({"low": [1, 2]}: how many of its items each tier's optimum may
+hold). Old configs using expCount and exp* / chp* keys are read as an
+'expensive' and a 'cheap' group. onePerGroup: true makes the groups the
+classes of a multiple-choice knapsack: every optimum and statistic holds at
+most one item per group, and items are listed class by class.
+
+In single mode, "resources" adds costs besides the price (a multidimensional
+knapsack): each resource needs a name, budgetMin and budgetMax and may set
+costDist / costParams / costInt like the price distribution. Each attempt
+draws its budget vector from the ranges; items get a "costs" list, one entry
+per resource. Instances are solved exactly, so nItems is at most 40, and
+uniqueOptimum, the Nα-share range and minFeasible must be off.
+
+In batch mode, "strata" splits the batch into difficulty strata: each stratum
+needs a name and a count (its quota) and may set the difficulty ranges and
+minFeasible, which replace those of every tier for its instances. The strata
+take consecutive instances of the one seed stream, in order, and nInstances
+defaults to the quotas' sum.
+
+In batch mode, quantityMode sets how many copies of each regular item a
+solution may take: 'zero_one' (default), 'bounded' (each item's max quantity
+drawn from quantityMin–quantityMax) or 'unbounded'. premiumAsQuantity: true
+makes the premium items one item of quantity premiumCount. With quantities,
+optimal sizes, Sahni-k and the feasible / Nα counts count copies, and each
+tier lists item_quantities instead of item_ids.
+
+In single and batch mode, conflictDensity and precedenceDensity (0–1, default
+0) add item rules: each pair of items conflicts (cannot both be bought) with
+probability conflictDensity, and otherwise one requires the other with
+probability precedenceDensity. Instances with rules are solved exactly, so
+nItems is at most 20, and they must have no resources or quantities.
+
+In single mode, pairDensity (0–1, default 0) makes a quadratic knapsack: each
+pair of items gets a bonus with that probability, drawn from pairDist /
+pairParams / pairInt (default uniform 1–20, integer), which a bundle holding
+both items earns on top of their values. The export adds the n × n
+pair_bonus matrix. These instances are solved exactly, so nItems is at most
+25, and they must have no resources or item rules.
+
+Every mode takes searchMode: 'reroll' (default) only re-rolls the seed;
+'hill_climb' and 'anneal' perturb the values of the first near-miss item set
+for up to searchSteps steps (default 2000) before re-rolling again. The
+perturbed values stay inside the value distribution's range; these modes
+need correlation 'independent'.`;
+
+const OPTION_ALIASES = { m: 'mode', c: 'config', o: 'output', d: 'output-dir', q: 'quiet', h: 'help' };
+const BOOLEAN_OPTIONS = new Set(['quiet', 'help']);
+const CLI_OPTIONS = new Set(['mode', 'config', 'output', 'output-dir', 'quiet', 'help']);
+
+function kebabToCamel(name) {
+    return name.replace(/-([a-z0-9])/gi, (_, c) => c.toUpperCase());
+}
+
+// Flag values arrive as strings; objects and lists are given as JSON
+function parseFlagValue(raw) {
+    if (raw === undefined) return true;
+    if (raw.startsWith('{') || raw.startsWith('[')) return JSON.parse(raw);
+    if (raw === 'null') return null;
+    return raw;
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const overrides = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        let name, value;
+        if (arg.startsWith('--')) {
+            const eq = arg.indexOf('=');
+            name = eq >= 0 ? arg.slice(2, eq) : arg.slice(2);
+            if (eq >= 0) value = arg.slice(eq + 1);
+        } else if (/^-[a-z]$/.test(arg) && OPTION_ALIASES[arg[1]]) {
+            name = OPTION_ALIASES[arg[1]];
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+
+        // A flag with no value (end of args or followed by another flag) is a boolean switch
+        if (value === undefined && !BOOLEAN_OPTIONS.has(name)) {
+            const next = argv[i + 1];
+            if (next !== undefined && !next.startsWith('--') && !/^-[a-z]$/.test(next)) {
+                value = next;
+                i++;
+            }
+        }
+
+        if (CLI_OPTIONS.has(name)) {
+            options[name] = value === undefined ? true : value;
+        } else {
+            overrides[kebabToCamel(name)] = parseFlagValue(value);
+        }
+    }
+    return { options, overrides };
+}
+
+async function readConfigFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.ya?ml$/i.test(file)) {
+        const { parse } = await import('yaml');
+        return parse(text) || {};
+    }
+    return JSON.parse(text);
+}
+
+// Generate for `mode` and return { data, filename } matching the page's downloadJSON()
+function run(mode, config, log) {
+    switch (mode) {
+        case 'single': {
+            const instance = generateInstance(config);
+            return { data: instance, filename: `knapsack_${instance.seed}.json` };
+        }
+        case 'dual': {
+            const exportData = buildDualExport(config, generateDualInstance(config));
+            return { data: exportData, filename: `knapsack_dual_${exportData.seed}.json` };
+        }
+        case 'batch':
+        case 'specific': {
+            const generateOne = mode === 'batch'
+                ? generateBatchInstanceAt
+                : (config, idx) => generateSpecificInstance(config, instanceSeedFor(config.seed, idx));
+            const results = [];
+            for (let idx = 0; idx < config.nInstances; idx++) {
+                log(`Instance ${idx + 1}/${config.nInstances}`);
+                results.push(generateOne(config, idx));
+            }
+            return mode === 'batch'
+                ? { data: buildBatchExport(config, results), filename: `knapsack_batch_${config.seed}_x${results.length}.json` }
+                : { data: buildSpecificExport(config, results), filename: `knapsack_specific_${config.seed}_x${results.length}.json` };
+        }
+    }
+}
+
+async function main(argv) {
+    const { options, overrides } = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const fileConfig = options.config ? await readConfigFile(options.config) : {};
+    const { mode: fileMode, ...fileOverrides } = fileConfig;
+    const mode = options.mode || fileMode || 'single';
+
+    const config = normalizeConfig(mode, { ...fileOverrides, ...overrides });
+    const invalid = validateConfig(mode, config);
+    if (invalid) throw new Error(invalid);
+
+    const log = options.quiet ? () => {} : (msg) => process.stderr.write(msg + '\n');
+    const { data, filename } = run(mode, config, log);
+    const json = JSON.stringify(data, null, 2);
+
+    if (options['output-dir']) {
+        fs.mkdirSync(options['output-dir'], { recursive: true });
+        const file = path.join(options['output-dir'], filename);
+        fs.writeFileSync(file, json);
+        log(`Wrote ${file}`);
+    } else if (options.output && options.output !== '-') {
+        fs.writeFileSync(options.output, json);
+        log(`Wrote ${options.output}`);
+    } else {
+        process.stdout.write(json);
+    }
+    return 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    err => {
+        process.stderr.write(`knapsack-gen: ${err.message}\n`);
+        process.exitCode = 1;
+    }
+);
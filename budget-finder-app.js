@@ -1,118 +1,14 @@
 // ============================================================
 // Budget Pair Finder
 // Given a fixed set of items, search for budget pairs (low/high)
-// that satisfy filters (optimal size, Sahni-k, greedy, N90).
+// that satisfy filters (optimal size, Sahni-k, greedy, Nα).
 // ============================================================
 
-// DP knapsack solver
-function solveKnapsack(items, capacity) {
-    const n = items.length;
-    const dp = Array.from({ length: n + 1 }, () => new Int32Array(capacity + 1));
-
-    for (let i = 1; i <= n; i++) {
-        const w = items[i - 1].weight;
-        const v = items[i - 1].value;
-        for (let c = 0; c <= capacity; c++) {
-            dp[i][c] = dp[i - 1][c];
-            if (w <= c && dp[i - 1][c - w] + v > dp[i][c]) {
-                dp[i][c] = dp[i - 1][c - w] + v;
-            }
-        }
-    }
-
-    const selected = [];
-    let c = capacity;
-    for (let i = n; i >= 1; i--) {
-        if (dp[i][c] !== dp[i - 1][c]) {
-            selected.push(items[i - 1]);
-            c -= items[i - 1].weight;
-        }
-    }
-    selected.reverse();
-
-    return {
-        value: dp[n][capacity],
-        weight: selected.reduce((s, it) => s + it.weight, 0),
-        count: selected.length,
-        items: selected
-    };
-}
-
-// Sahni-k
-function computeSahniK(items, capacity, optimalValue) {
-    const n = items.length;
-    const sortedIndices = items.map((_, i) => i).sort((a, b) =>
-        (items[b].value / items[b].weight) - (items[a].value / items[a].weight)
-    );
-
-    function greedyFill(forced, remCap) {
-        let val = 0;
-        for (const idx of sortedIndices) {
-            if (forced.has(idx)) continue;
-            if (items[idx].weight <= remCap) { val += items[idx].value; remCap -= items[idx].weight; }
-        }
-        return val;
-    }
-
-    if (greedyFill(new Set(), capacity) >= optimalValue) return 0;
-
-    for (let k = 1; k <= Math.min(n, 6); k++) {
-        const subset = new Array(k);
-        let found = false;
-        function enumerate(depth, start) {
-            if (found) return;
-            if (depth === k) {
-                const forced = new Set(subset);
-                let fw = 0, fv = 0;
-                for (const idx of subset) { fw += items[idx].weight; fv += items[idx].value; }
-                if (fw > capacity) return;
-                if (fv + greedyFill(forced, capacity - fw) >= optimalValue) found = true;
-                return;
-            }
-            for (let i = start; i < n; i++) { subset[depth] = i; enumerate(depth + 1, i + 1); if (found) return; }
-        }
-        enumerate(0, 0);
-        if (found) return k;
-    }
-    return '> 6';
-}
-
-// Greedy knapsack
-function greedyValue(items, capacity) {
-    const sorted = items.slice().sort((a, b) => (b.value / b.weight) - (a.value / a.weight));
-    let remCap = capacity;
-    let totalValue = 0;
-    for (const item of sorted) {
-        if (item.weight <= remCap) {
-            totalValue += item.value;
-            remCap -= item.weight;
-        }
-    }
-    return totalValue;
-}
-
-// Count feasible subsets and near-optimal subsets (brute-force bitmask, n<=20)
-function countBundleStats(items, capacity, optValue, alphaPercent) {
-    if (alphaPercent === undefined) alphaPercent = 90;
-    const n = items.length;
-    const threshold = alphaPercent * optValue;
-    let feasible = 0, n90 = 0;
-    const total = 1 << n;
-    for (let mask = 1; mask < total; mask++) {
-        let w = 0, v = 0;
-        for (let i = 0; i < n; i++) {
-            if (mask & (1 << i)) {
-                w += items[i].weight;
-                v += items[i].value;
-            }
-        }
-        if (w <= capacity) {
-            feasible++;
-            if (v * 100 >= threshold) n90++;
-        }
-    }
-    return { feasible, n90 };
-}
+import {
+    computeSahniK, greedyRatio, countBundleStats, alphaLevelsFor, nAlphaShare, budgetTable, checkBudget,
+    countText, sahniKText, nAlphaParts, parsePercentList, parsePercentBound, validateAlphaLevels, validateSahniK, validateDifficultyRanges
+} from './core/index.js';
+import { ESTIMATE_NOTE } from './stats-ui.js';
 
 // ============================================================
 // DOM & UI
@@ -127,11 +23,18 @@ const el = {
     budgetHighMax: document.getElementById('budget_high_max'),
     optimalSizeLow: document.getElementById('optimal_size_low'),
     optimalSizeHigh: document.getElementById('optimal_size_high'),
-    sahniKLow: document.getElementById('sahni_k_low'),
-    sahniKHigh: document.getElementById('sahni_k_high'),
-    greedyCapSelect: document.getElementById('greedyCapSelect'),
-    forgivenessCapSelect: document.getElementById('forgivenessCapSelect'),
+    sahniKLowMin: document.getElementById('sahni_k_low_min'),
+    sahniKLowMax: document.getElementById('sahni_k_low_max'),
+    sahniKHighMin: document.getElementById('sahni_k_high_min'),
+    sahniKHighMax: document.getElementById('sahni_k_high_max'),
+    sahniKLimitInput: document.getElementById('sahniKLimitInput'),
+    greedyMin: document.getElementById('greedy_min'),
+    greedyMax: document.getElementById('greedy_max'),
+    forgivenessMin: document.getElementById('forgiveness_min'),
+    forgivenessMax: document.getElementById('forgiveness_max'),
     minFeasibleInput: document.getElementById('minFeasibleInput'),
+    forgivenessAlphaInput: document.getElementById('forgivenessAlphaInput'),
+    alphaLevelsInput: document.getElementById('alphaLevelsInput'),
     searchBtn: document.getElementById('search_btn'),
     stopBtn: document.getElementById('stop_btn'),
     progressBar: document.getElementById('progress_bar'),
@@ -233,7 +136,7 @@ function parsePastedItems() {
 }
 
 // ============================================================
-// Optimal size dropdown
+// Optimal size dropdowns / Sahni-k range limits
 // ============================================================
 
 function updateOptimalSizeOptions() {
@@ -246,6 +149,13 @@ function updateOptimalSizeOptions() {
     });
 }
 
+// Cap the Sahni-k range inputs at the Sahni-k limit
+function updateSahniKLimit() {
+    const limit = parseInt(el.sahniKLimitInput.value);
+    if (!(limit >= 0)) return;
+    [el.sahniKLowMin, el.sahniKLowMax, el.sahniKHighMin, el.sahniKHighMax].forEach(input => { input.max = limit; });
+}
+
 // ============================================================
 // Search logic
 // ============================================================
@@ -258,29 +168,21 @@ function getSearchConfig() {
         budgetHighMax: parseInt(el.budgetHighMax.value),
         optimalSizeLow: el.optimalSizeLow.value,
         optimalSizeHigh: el.optimalSizeHigh.value,
-        sahniKLow: el.sahniKLow.value,
-        sahniKHigh: el.sahniKHigh.value,
-        greedyCap: el.greedyCapSelect.value,
-        forgivenessCap: el.forgivenessCapSelect.value,
-        minFeasible: el.minFeasibleInput.value ? parseInt(el.minFeasibleInput.value) : null
+        sahniKLowMin: el.sahniKLowMin.value ? parseInt(el.sahniKLowMin.value) : null,
+        sahniKLowMax: el.sahniKLowMax.value ? parseInt(el.sahniKLowMax.value) : null,
+        sahniKHighMin: el.sahniKHighMin.value ? parseInt(el.sahniKHighMin.value) : null,
+        sahniKHighMax: el.sahniKHighMax.value ? parseInt(el.sahniKHighMax.value) : null,
+        sahniKLimit: parseInt(el.sahniKLimitInput.value),
+        greedyMin: parsePercentBound(el.greedyMin.value),
+        greedyMax: parsePercentBound(el.greedyMax.value),
+        forgivenessMin: parsePercentBound(el.forgivenessMin.value),
+        forgivenessMax: parsePercentBound(el.forgivenessMax.value),
+        minFeasible: el.minFeasibleInput.value ? parseInt(el.minFeasibleInput.value) : null,
+        forgivenessAlpha: parseFloat(el.forgivenessAlphaInput.value),
+        alphaLevels: parsePercentList(el.alphaLevelsInput.value)
     };
 }
 
-// Check if a single budget passes the per-budget filters
-function checkBudget(items, cap, targetOptSize, targetSahniK) {
-    const sol = solveKnapsack(items, cap);
-
-    if (targetOptSize !== 'no_filter' && sol.count !== parseInt(targetOptSize)) return null;
-
-    let sahniK = null;
-    if (targetSahniK !== 'no_filter') {
-        sahniK = computeSahniK(items, cap, sol.value);
-        if (sahniK !== parseInt(targetSahniK)) return null;
-    }
-
-    return { capacity: cap, sol, sahniK };
-}
-
 async function search() {
     const items = getItems();
     if (!items) {
@@ -291,6 +193,12 @@ async function search() {
     const config = getSearchConfig();
     if (config.budgetLowMin > config.budgetLowMax) { alert('Low Budget Min must be ≤ Max.'); return; }
     if (config.budgetHighMin > config.budgetHighMax) { alert('High Budget Min must be ≤ Max.'); return; }
+    const alphaError = validateAlphaLevels(config);
+    if (alphaError) { alert(alphaError); return; }
+    const sahniError = validateSahniK(config);
+    if (sahniError) { alert(sahniError); return; }
+    const rangeError = validateDifficultyRanges(config);
+    if (rangeError) { alert(rangeError); return; }
 
     const sumWeights = items.reduce((s, it) => s + it.weight, 0);
     const loLow = Math.max(1, config.budgetLowMin);
@@ -301,23 +209,25 @@ async function search() {
     if (loLow > hiLow) { alert(`Low budget range [${config.budgetLowMin}, ${config.budgetLowMax}] is outside feasible range. Sum of prices = ${sumWeights}.`); return; }
     if (loHigh > hiHigh) { alert(`High budget range [${config.budgetHighMin}, ${config.budgetHighMax}] is outside feasible range. Sum of prices = ${sumWeights}.`); return; }
 
-    const greedyActive = config.greedyCap !== 'no_filter';
-    const greedyThreshold = greedyActive ? parseFloat(config.greedyCap) : 1;
-    const forgivenessActive = config.forgivenessCap !== 'no_filter';
-    const forgivenessShare = forgivenessActive ? parseFloat(config.forgivenessCap) : Infinity;
-    const canBruteForce = items.length <= 20;
+    const greedyActive = config.greedyMin !== null || config.greedyMax !== null;
+    const forgivenessActive = config.forgivenessMin !== null || config.forgivenessMax !== null;
+    const inRange = (v, min, max) => (min === null || v >= min) && (max === null || v <= max);
+    const alphaLevels = alphaLevelsFor(config);
+
+    // One DP table covers every candidate budget
+    const table = budgetTable(items, hiLow, hiHigh);
 
     // Pre-compute valid low budgets
     const validLow = [];
     for (let c = loLow; c <= hiLow; c++) {
-        const result = checkBudget(items, c, config.optimalSizeLow, config.sahniKLow);
+        const result = checkBudget(items, c, config.optimalSizeLow, config.sahniKLowMin, config.sahniKLowMax, table);
         if (result) validLow.push(result);
     }
 
     // Pre-compute valid high budgets
     const validHigh = [];
     for (let c = loHigh; c <= hiHigh; c++) {
-        const result = checkBudget(items, c, config.optimalSizeHigh, config.sahniKHigh);
+        const result = checkBudget(items, c, config.optimalSizeHigh, config.sahniKHighMin, config.sahniKHighMax, table);
         if (result) validHigh.push(result);
     }
 
@@ -362,32 +272,34 @@ async function search() {
 
             // Greedy constraint on both budgets
             if (greedyActive) {
-                const gL = low.sol.value > 0 ? greedyValue(items, low.capacity) / low.sol.value : 0;
-                const gH = high.sol.value > 0 ? greedyValue(items, high.capacity) / high.sol.value : 0;
-                if (gL >= greedyThreshold || gH >= greedyThreshold) { checked++; continue; }
+                const gL = greedyRatio(items, low.capacity, low.sol.value);
+                const gH = greedyRatio(items, high.capacity, high.sol.value);
+                if (!inRange(gL, config.greedyMin, config.greedyMax) || !inRange(gH, config.greedyMin, config.greedyMax)) { checked++; continue; }
             }
 
             // Forgiveness + min feasible
-            if (canBruteForce && (forgivenessActive || config.minFeasible !== null)) {
-                const bsL = countBundleStats(items, low.capacity, low.sol.value, 90);
-                const bsH = countBundleStats(items, high.capacity, high.sol.value, 90);
+            if (forgivenessActive || config.minFeasible !== null) {
+                const bsL = countBundleStats(items, low.capacity, low.sol.value, alphaLevels);
+                const bsH = countBundleStats(items, high.capacity, high.sol.value, alphaLevels);
 
                 if (forgivenessActive) {
-                    const shareLow = bsL.feasible > 0 ? bsL.n90 / bsL.feasible : 0;
-                    const shareHigh = bsH.feasible > 0 ? bsH.n90 / bsH.feasible : 0;
-                    if (shareLow > forgivenessShare || shareHigh > forgivenessShare) { checked++; continue; }
+                    const shareLow = nAlphaShare(bsL, config.forgivenessAlpha);
+                    const shareHigh = nAlphaShare(bsH, config.forgivenessAlpha);
+                    if (!inRange(shareLow, config.forgivenessMin, config.forgivenessMax) || !inRange(shareHigh, config.forgivenessMin, config.forgivenessMax)) { checked++; continue; }
                 }
 
                 if (config.minFeasible !== null && (bsL.feasible < config.minFeasible || bsH.feasible < config.minFeasible)) { checked++; continue; }
             }
 
             // Compute Sahni-k if not already done
-            const sahniLow = low.sahniK !== null ? low.sahniK : computeSahniK(items, low.capacity, low.sol.value);
-            const sahniHigh = high.sahniK !== null ? high.sahniK : computeSahniK(items, high.capacity, high.sol.value);
+            const sahniLow = low.sahniK !== null ? low.sahniK : computeSahniK(items, low.capacity, low.sol.value, config.sahniKLimit);
+            const sahniHigh = high.sahniK !== null ? high.sahniK : computeSahniK(items, high.capacity, high.sol.value, config.sahniKLimit);
 
             foundPairs.push({
                 low: { capacity: low.capacity, sol: low.sol, sahniK: sahniLow },
-                high: { capacity: high.capacity, sol: high.sol, sahniK: sahniHigh }
+                high: { capacity: high.capacity, sol: high.sol, sahniK: sahniHigh },
+                alphaLevels,
+                sahniKLimit: config.sahniKLimit
             });
 
             checked++;
@@ -429,11 +341,11 @@ function renderPairsTable() {
             <td>${pair.low.capacity}</td>
             <td>${pair.low.sol.value}</td>
             <td>${pair.low.sol.count}</td>
-            <td>${pair.low.sahniK}</td>
+            <td>${sahniKText(pair.low.sahniK, pair.sahniKLimit)}</td>
             <td>${pair.high.capacity}</td>
             <td>${pair.high.sol.value}</td>
             <td>${pair.high.sol.count}</td>
-            <td>${pair.high.sahniK}</td>
+            <td>${sahniKText(pair.high.sahniK, pair.sahniKLimit)}</td>
         </tr>
     `).join('');
 
@@ -467,24 +379,19 @@ function showPairDetails(idx) {
 
     const sumWeights = items.reduce((s, it) => s + it.weight, 0);
 
-    // Greedy + N90 for display
-    const greedyRatioLow = optLow.value > 0 ? greedyValue(items, bLow) / optLow.value : 0;
-    const greedyRatioHigh = optHigh.value > 0 ? greedyValue(items, bHigh) / optHigh.value : 0;
-    let n90Low = null, n90High = null, feasibleLow = null, feasibleHigh = null;
-    if (items.length <= 20) {
-        const bsLow = countBundleStats(items, bLow, optLow.value, 90);
-        const bsHigh = countBundleStats(items, bHigh, optHigh.value, 90);
-        n90Low = bsLow.n90; feasibleLow = bsLow.feasible;
-        n90High = bsHigh.n90; feasibleHigh = bsHigh.feasible;
-    }
+    // Greedy + Nα for display
+    const greedyRatioLow = greedyRatio(items, bLow, optLow.value);
+    const greedyRatioHigh = greedyRatio(items, bHigh, optHigh.value);
+    const bsLow = countBundleStats(items, bLow, optLow.value, pair.alphaLevels);
+    const bsHigh = countBundleStats(items, bHigh, optHigh.value, pair.alphaLevels);
 
     // Summary
     el.statsGrid.innerHTML = `
         <div class="stat-card"><div class="label">Sum of Prices</div><div class="value">${sumWeights}</div></div>
     `;
 
-    renderOptimalPanel(el.optimalLow, optLow, sahniLow, bLow, greedyRatioLow, n90Low, feasibleLow);
-    renderOptimalPanel(el.optimalHigh, optHigh, sahniHigh, bHigh, greedyRatioHigh, n90High, feasibleHigh);
+    renderOptimalPanel(el.optimalLow, optLow, sahniKText(sahniLow, pair.sahniKLimit), bLow, greedyRatioLow, bsLow.nAlpha, bsLow.feasible, bsLow.exact);
+    renderOptimalPanel(el.optimalHigh, optHigh, sahniKText(sahniHigh, pair.sahniKLimit), bHigh, greedyRatioHigh, bsHigh.nAlpha, bsHigh.feasible, bsHigh.exact);
 
     // Item table
     const lowIds = new Set(optLow.items.map(it => it.id));
@@ -506,14 +413,17 @@ function showPairDetails(idx) {
         n_items: items.length,
         budget_low: bLow,
         budget_high: bHigh,
-        optimal_low: { budget: bLow, value: optLow.value, weight: optLow.weight, count: optLow.count, sahni_k: sahniLow, item_ids: optLow.items.map(it => it.id) },
-        optimal_high: { budget: bHigh, value: optHigh.value, weight: optHigh.weight, count: optHigh.count, sahni_k: sahniHigh, item_ids: optHigh.items.map(it => it.id) },
+        sahni_k_limit: pair.sahniKLimit,
+        optimal_low: { budget: bLow, value: optLow.value, weight: optLow.weight, count: optLow.count, sahni_k: sahniLow, sahni_k_exceeded: sahniLow === null, item_ids: optLow.items.map(it => it.id) },
+        optimal_high: { budget: bHigh, value: optHigh.value, weight: optHigh.weight, count: optHigh.count, sahni_k: sahniHigh, sahni_k_exceeded: sahniHigh === null, item_ids: optHigh.items.map(it => it.id) },
         greedy_ratio_low: parseFloat(greedyRatioLow.toFixed(4)),
         greedy_ratio_high: parseFloat(greedyRatioHigh.toFixed(4)),
-        feasible_low: feasibleLow,
-        feasible_high: feasibleHigh,
-        n90_low: n90Low,
-        n90_high: n90High,
+        feasible_low: bsLow.feasible,
+        feasible_high: bsHigh.feasible,
+        n_alpha_low: bsLow.nAlpha,
+        n_alpha_high: bsHigh.nAlpha,
+        counts_exact_low: bsLow.exact,
+        counts_exact_high: bsHigh.exact,
         items
     };
 
@@ -522,7 +432,7 @@ function showPairDetails(idx) {
     el.copyJsonBtn.disabled = false;
 }
 
-function renderOptimalPanel(container, optimal, sahniK, budget, greedyRatio, n90, feasibleCount) {
+function renderOptimalPanel(container, optimal, sahniK, budget, greedyRatio, nAlpha, feasibleCount, countsExact) {
     const INLINE_LIMIT = 8;
     const itemChips = optimal.items.map(it =>
         `<span class="item-chip">${it.id} <small>(${it.weight},${it.value})</small></span>`
@@ -534,18 +444,19 @@ function renderOptimalPanel(container, optimal, sahniK, budget, greedyRatio, n90
         { label: 'Items Selected', value: optimal.count },
         { label: 'Total Price', value: optimal.weight },
         { label: 'Total Value', value: optimal.value },
-        { label: 'Sahni-k', value: sahniK !== null ? sahniK : '—', title: 'Minimum k for Sahni\'s algorithm.' }
+        { label: 'Sahni-k', value: sahniK, title: 'Minimum k for Sahni\'s algorithm.' }
     ];
 
     if (greedyRatio !== null && greedyRatio !== undefined) {
         stats.push({ label: 'Greedy Performance', value: `${(greedyRatio * 100).toFixed(1)}%`, title: 'Greedy solution value as % of optimal.' });
     }
     if (feasibleCount !== null && feasibleCount !== undefined) {
-        stats.push({ label: 'Feasible Combinations', value: feasibleCount.toLocaleString(), title: 'Total item subsets fitting within this budget.' });
+        stats.push({ label: 'Feasible Combinations', value: countText(feasibleCount.toLocaleString(), countsExact), title: 'Total item subsets fitting within this budget.' + (countsExact ? '' : ESTIMATE_NOTE) });
     }
-    if (n90 !== null && n90 !== undefined) {
-        const shareStr = feasibleCount > 0 ? ` (${(n90 / feasibleCount * 100).toFixed(1)}%)` : '';
-        stats.push({ label: 'N90 (Forgiveness)', value: `${n90}${shareStr}`, title: 'Feasible subsets achieving ≥ 90% of optimal.' });
+    if (nAlpha) {
+        nAlphaParts(nAlpha, feasibleCount, countsExact).forEach(([label, text]) => {
+            stats.push({ label: `${label} (Forgiveness)`, value: text, title: 'Feasible subsets achieving ≥ α% of optimal, and their share of all feasible combinations.' + (countsExact ? '' : ESTIMATE_NOTE) });
+        });
     }
 
     let html = stats.map(s => `
@@ -636,9 +547,11 @@ el.stopBtn.addEventListener('click', () => { stopRequested = true; });
 el.parseBtn.addEventListener('click', parsePastedItems);
 el.downloadJsonBtn.addEventListener('click', downloadJSON);
 el.copyJsonBtn.addEventListener('click', copyJSON);
+el.sahniKLimitInput.addEventListener('change', updateSahniKLimit);
 
 // Init
 el.downloadJsonBtn.disabled = true;
 el.copyJsonBtn.disabled = true;
 buildItemInputs();
 updateOptimalSizeOptions();
+updateSahniKLimit();
@@ -0,0 +1,277 @@
+// ============================================================
+// Batch budget-tier instance generation (batch.html,
+// batch-specific.html). Each instance is searched independently
+// from its own seed. Difficulty strata split a batch.html run
+// into consecutive blocks of instances, each block generated
+// under its stratum's ranges from the same seed stream.
+// ============================================================
+
+import { distName } from './samplers.js';
+import { generateItems, CORRELATION_NAMES, hasOwnValueDist, correlationParams, spearmanRho, quantityVariant } from './items.js';
+import { solveKnapsack, alphaLevelsFor, quantityOf, hasQuantities } from './solver.js';
+import { MAX_ATTEMPTS } from './capacity.js';
+import { attemptScore, localSearch, searchText } from './search.js';
+import { rejectionTally, recordRejection, diagnoseRejections, rejectionText, rejectionsExport } from './diagnostics.js';
+import { hasItemRules, hasRuleDensity, rulePairs } from './rules.js';
+import { tierChecks, checkTierAttempt, tierResult, tierMidpoint, tierSpecExport, tierResultExport, relationSpecExport, overlapsExport } from './tiers.js';
+
+// Per-instance seed used by both batch pages
+export function instanceSeedFor(baseSeed, idx) {
+    return idx === 0 ? baseSeed : baseSeed + '_inst' + idx;
+}
+
+// Stratum of instance `idx`: the strata fill the batch in order, each with
+// its quota of consecutive instances. null without strata (or past them).
+export function stratumFor(config, idx) {
+    let end = 0;
+    for (const stratum of config.strata || []) {
+        end += stratum.count;
+        if (idx < end) return stratum;
+    }
+    return null;
+}
+
+// Difficulty keys a stratum can set, by range
+const STRATUM_RANGES = [['sahniKMin', 'sahniKMax'], ['greedyMin', 'greedyMax'], ['forgivenessMin', 'forgivenessMax']];
+
+// The config a stratum's instances are generated under: every range the
+// stratum sets (either end) replaces that range on every tier, as does its
+// minFeasible
+export function stratumConfig(config, stratum) {
+    const tiers = config.tiers.map(t => {
+        const tier = { ...t };
+        STRATUM_RANGES.forEach(([min, max]) => {
+            if (stratum[min] !== null || stratum[max] !== null) [tier[min], tier[max]] = [stratum[min], stratum[max]];
+        });
+        if (stratum.minFeasible !== null) tier.minFeasible = stratum.minFeasible;
+        return tier;
+    });
+    return { ...config, tiers };
+}
+
+// Shared attempt loop for the batch pages. `options` supplies the page-specific
+// parts:
+//   generateItems(config, seed)  item generator
+//   acceptItems(items)           optional pre-filter on the raw items
+//   acceptSolutions(sols)        optional filter on the tiers' optima, in tier order
+//   acceptItemsLabel, acceptSolutionsLabel
+//                                their names in the rejection diagnostics
+//   fallbackNote                 appended to the warning when a near-miss is used
+// Returns { seed, items, tiers, sahniKLimit, search?, warning?, rejections? }
+// with one tierResult() per tier. search { mode, steps } tells how the
+// instance was found (steps: local-search perturbations of the seed's items);
+// rejections (diagnoseRejections()) comes with the fallback warning instead.
+export function generateTieredInstance(config, instanceSeed, options) {
+    const alphaLevels = alphaLevelsFor(config);
+    const solved = (items, tier, capacity, sol, sahniK, bundleStats) =>
+        tierResult(items, tier, capacity, sol, sahniK, config.sahniKLimit, alphaLevels, bundleStats);
+    const seedFor = (attempt) => attempt === 0 ? instanceSeed : instanceSeed + '_' + attempt;
+    const checks = tierChecks(config, options);
+    const tally = rejectionTally();
+
+    const score = (items) => attemptScore(checkTierAttempt(items, config, checks, options), checks.all);
+
+    // Track best near-miss: passed structural + value constraints but failed greedy/Nα
+    let bestFallback = null;
+    // The search modes perturb the first near-miss only
+    let searched = config.searchMode === 'reroll';
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const usedSeed = seedFor(attempt);
+        let items = options.generateItems(config, usedSeed);
+        let check = checkTierAttempt(items, config, checks, options);
+        let steps = 0;
+
+        if (check.rejectedBy && check.excess !== undefined && !searched) {
+            searched = true;
+            const local = localSearch(items, score, config, usedSeed);
+            if (local) {
+                ({ items, steps } = local);
+                check = checkTierAttempt(items, config, checks, options);
+            }
+        }
+
+        if (check.rejectedBy) {
+            recordRejection(tally, attempt, check.rejectedBy);
+            // Passed structural + value constraints — remember it as a
+            // potential fallback even though greedy/Nα failed.
+            if (check.found && !bestFallback) bestFallback = { usedSeed, items, found: check.found };
+            continue;
+        }
+
+        const { found, difficulty } = check;
+        return {
+            seed: usedSeed,
+            items,
+            tiers: config.tiers.map((t, i) => solved(items, t, found[i].capacity, found[i].sol, found[i].sahniK, difficulty.bundleStats && difficulty.bundleStats[i])),
+            sahniKLimit: config.sahniKLimit,
+            search: { mode: steps > 0 ? config.searchMode : 'reroll', steps }
+        };
+    }
+
+    const rejections = diagnoseRejections(tally, checks.all, (attempt, relaxed) =>
+        !checkTierAttempt(options.generateItems(config, seedFor(attempt)), config, checks, options, relaxed).rejectedBy);
+
+    // Fallback — prefer a near-miss that at least satisfies the structural constraints
+    const fb = bestFallback;
+    const fbItems = fb ? fb.items : options.generateItems(config, instanceSeed);
+
+    return {
+        seed: fb ? fb.usedSeed : instanceSeed,
+        items: fbItems,
+        tiers: config.tiers.map((t, i) => {
+            if (fb) return solved(fbItems, t, fb.found[i].capacity, fb.found[i].sol, fb.found[i].sahniK);
+            const cap = tierMidpoint(t, fbItems);
+            return solved(fbItems, t, cap, solveKnapsack(fbItems, cap), null);
+        }),
+        sahniKLimit: config.sahniKLimit,
+        warning: 'Could not satisfy all constraints after 10,000 attempts.' + (fb ? options.fallbackNote : '') + ' ' + rejectionText(rejections),
+        rejections
+    };
+}
+
+// Instance `idx` of a batch.html run, from the idx-th seed of the run's
+// seed stream and under its stratum (if any), whose name it carries as
+// `stratum`
+export function generateBatchInstanceAt(config, idx) {
+    const stratum = stratumFor(config, idx);
+    const seed = instanceSeedFor(config.seed, idx);
+    if (!stratum) return generateBatchInstance(config, seed);
+    return { ...generateBatchInstance(stratumConfig(config, stratum), seed), stratum: stratum.name };
+}
+
+// Generate one batch.html instance (regular + premium items)
+export function generateBatchInstance(config, instanceSeed) {
+    return generateTieredInstance(config, instanceSeed, {
+        generateItems,
+        // Max V/P ratio filter (applied to regular items only)
+        acceptItems: config.maxRatio === null ? null
+            : (items) => !items.some(it => !it.premium && (it.value / it.weight) > config.maxRatio),
+        acceptItemsLabel: `V/P ratio ≤ ${config.maxRatio}`,
+        fallbackNote: ' (value cap respected, greedy/Nα relaxed)'
+    });
+}
+
+// " (12.5%)"-style share-of-feasible suffix used by the text blocks
+export function shareText(count, feasible) {
+    return feasible > 0 ? ` (${(count / feasible * 100).toFixed(1)}%)` : '';
+}
+
+// Feasible / Nα count as displayed: "≈" marks an estimate
+export function countText(count, exact) {
+    return (exact ? '' : '≈') + count;
+}
+
+// Sahni-k as displayed: null means the search stopped at the limit
+export function sahniKText(k, limit) {
+    return k === null ? `> ${limit}` : String(k);
+}
+
+// [label, text] per α level, ascending: ['N90', '12 (1.5%)']
+export function nAlphaParts(nAlpha, feasible, exact) {
+    return Object.keys(nAlpha)
+        .sort((a, b) => a - b)
+        .map(alpha => [`N${alpha}`, countText(nAlpha[alpha], exact) + shareText(nAlpha[alpha], feasible)]);
+}
+
+// "# Low budget: 30  |  optimal: 4 items (value 120)  |  ..." line of one
+// tierResult(); `composition` follows the optimal value (group counts)
+export function formatTierLine(tier, sahniKLimit, composition = '') {
+    const label = tier.name.charAt(0).toUpperCase() + tier.name.slice(1);
+    let line = `# ${label} budget: ${tier.budget}  |  optimal: ${tier.opt.count} items (value ${tier.opt.value})${composition}  |  Sahni-k: ${sahniKText(tier.sahniK, sahniKLimit)}  |  Greedy: ${(tier.greedyRatio * 100).toFixed(1)}%`;
+    line += `  |  Feasible: ${countText(tier.feasible, tier.countsExact)}`;
+    nAlphaParts(tier.nAlpha, tier.feasible, tier.countsExact).forEach(([label, text]) => { line += `  |  ${label}: ${text}`; });
+    return line;
+}
+
+// Max quantity as written out: 'inf' for an unbounded item
+function quantityText(item) {
+    return item.quantity === Infinity ? 'inf' : String(quantityOf(item));
+}
+
+// Chosen quantities of a tier's optimum: "3×2, 7×1" (item id × copies)
+function chosenText(tier) {
+    const byId = new Map();
+    tier.opt.items.forEach(it => byId.set(it.id, (byId.get(it.id) || 0) + 1));
+    return [...byId].map(([id, copies]) => `${id}×${copies}`).join(', ');
+}
+
+// Build full text block for one batch.html instance (header + price,value,
+// plus each item's max quantity and each tier's chosen quantities when
+// items may be taken more than once, and the rule pairs when items have rules)
+export function formatBatchInstanceBlock(result, index) {
+    const lines = [];
+    const premiumCount = result.items.filter(it => it.premium).reduce((s, it) => s + quantityOf(it), 0);
+    const search = searchText(result.search);
+    const quantities = hasQuantities(result.items);
+    lines.push(`# Instance ${index + 1}${result.stratum ? '  |  stratum: ' + result.stratum : ''}  |  seed: ${result.seed}${search ? '  |  local search: ' + search : ''}${premiumCount > 0 ? '  |  premium items: ' + premiumCount : ''}`);
+    result.tiers.forEach(t => {
+        lines.push(formatTierLine(t, result.sahniKLimit));
+        if (quantities) lines.push(`# ${t.name} quantities: ${chosenText(t)}`);
+    });
+    if (hasItemRules(result.items)) {
+        const { conflicts, precedences } = rulePairs(result.items);
+        lines.push(`# conflicts: ${conflicts.map(([a, b]) => `${a}-${b}`).join(', ') || 'none'}`);
+        lines.push(`# requires: ${precedences.map(([a, b]) => `${a}>${b}`).join(', ') || 'none'}`);
+    }
+    lines.push(quantities ? '# price,value,quantity' : '# price,value');
+    result.items.forEach(it => lines.push(`${it.weight},${it.value}${quantities ? ',' + quantityText(it) : ''}${it.premium ? '  # premium' : ''}`));
+    return lines.join('\n');
+}
+
+// Export fields of one difficulty stratum
+function stratumSpecExport(stratum) {
+    return {
+        name: stratum.name,
+        count: stratum.count,
+        target_sahni_k: [stratum.sahniKMin, stratum.sahniKMax],
+        greedy_range: [stratum.greedyMin, stratum.greedyMax],
+        forgiveness_range: [stratum.forgivenessMin, stratum.forgivenessMax],
+        min_feasible: stratum.minFeasible
+    };
+}
+
+// Build the JSON export object for a batch.html run
+export function buildBatchExport(config, results, requested = results.length) {
+    const variant = quantityVariant(config);
+    const quantities = variant !== '0/1';
+    return {
+        problem: `${variant} knapsack${hasRuleDensity(config) ? ' with conflicts and precedences' : ''} (batch dual budget)`,
+        n_instances: results.length,
+        // Set when the run was stopped before all requested instances were generated
+        ...(requested > results.length ? { stopped_early: true, n_instances_requested: requested } : {}),
+        n_items: config.nItems,
+        starting_seed: config.seed,
+        tiers: config.tiers.map(tierSpecExport),
+        tier_relations: config.tierRelations.map(relationSpecExport),
+        strata: config.strata.map(stratumSpecExport),
+        sahni_k_limit: config.sahniKLimit,
+        price_dist: { name: distName(config.weightDist, config.weightInt), params: config.weightParams },
+        value_dist: hasOwnValueDist(config.correlation) ? { name: distName(config.valueDist, config.valueInt), params: config.valueParams } : null,
+        correlation: { mode: CORRELATION_NAMES[config.correlation], params: correlationParams(config.correlation, config.weightDist, config.weightParams, config.weightInt, config.valueInt, config.copulaRho) },
+        ratio_spread: config.ratioSpread,
+        integer_ratios: config.integerRatios,
+        fraction_ratios: config.fractionRatios,
+        premium_items: { count: config.premiumCount, price: config.premiumPrice, value: config.premiumValue, as_quantity: config.premiumAsQuantity },
+        // max_quantity_range only for bounded; each item's max_quantity is null when unbounded
+        quantities: { mode: config.quantityMode, max_quantity_range: config.quantityMode === 'bounded' ? [config.quantityMin, config.quantityMax] : null },
+        // Instances list their pairs as conflicts [a, b] and precedences [a, b] (a requires b)
+        item_rules: { conflict_density: config.conflictDensity, precedence_density: config.precedenceDensity },
+        instances: results.map((r, i) => ({
+            instance: i + 1,
+            stratum: r.stratum || null,
+            seed: r.seed,
+            realized_spearman: spearmanRho(r.items),
+            search: r.search || null,
+            tiers: r.tiers.map(t => ({ name: t.name, ...tierResultExport(t, {}, quantities) })),
+            overlaps: overlapsExport(r.tiers),
+            ...(hasItemRules(r.items) ? rulePairs(r.items) : {}),
+            items: r.items.map(it => ({
+                id: it.id, price: it.weight, value: it.value,
+                ...(quantities ? { max_quantity: it.quantity === Infinity ? null : quantityOf(it) } : {}),
+                ...(it.premium ? { premium: true } : {})
+            })),
+            ...(r.warning ? { warning: r.warning, rejections: rejectionsExport(r.rejections) } : {})
+        }))
+    };
+}
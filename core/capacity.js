@@ -0,0 +1,128 @@
+// ============================================================
+// Budget (capacity) search
+// ============================================================
+
+import { buildKnapsackTable, computeSahniK, totalWeight } from './solver.js';
+
+// Seed re-rolls each generator tries before falling back
+export const MAX_ATTEMPTS = 10000;
+
+// DP table covering every budget up to the largest of `budgetMaxes` that
+// can matter for these items (capacities at or above the total price of
+// every copy are never scanned). Share it between the tier scans of one
+// item set.
+export function budgetTable(items, ...budgetMaxes) {
+    const sumWeights = totalWeight(items);
+    const maxCapacity = Math.max(0, Math.floor(Math.min(Math.max(...budgetMaxes), sumWeights - 1)));
+    return buildKnapsackTable(items, maxCapacity);
+}
+
+// Convert an "Items in Optimal Solution" select value ('no_filter' or a
+// number string) into the [optMin, optMax] pair findCapacityInRange expects.
+export function optimalSizeRange(optimalSize) {
+    if (optimalSize === 'no_filter') return [null, null];
+    const size = parseInt(optimalSize);
+    return [size, size];
+}
+
+// Capacities within [budgetMin, budgetMax] whose optimal solution falls in
+// the optimal-size range [optMin, optMax] and optimal value range
+// [minOptVal, maxOptVal], ascending: [{ capacity, sol }]. A null end of
+// either range leaves that side open. `table` as in findCapacityInRange.
+export function capacityCandidates(items, budgetMin, budgetMax, optMin, optMax, minOptVal, maxOptVal, table) {
+    const sumWeights = totalWeight(items);
+    const lo = Math.max(1, budgetMin);
+    const hi = Math.min(budgetMax, sumWeights - 1);
+    if (lo > hi) return [];
+    if (!table || table.maxCapacity < Math.floor(hi)) table = budgetTable(items, hi);
+
+    const hasMinOpt = optMin !== null && optMin !== undefined;
+    const hasMaxOpt = optMax !== null && optMax !== undefined;
+    const hasMinVal = minOptVal !== null && minOptVal !== undefined;
+    const hasMaxVal = maxOptVal !== null && maxOptVal !== undefined;
+
+    const candidates = [];
+    for (let c = lo; c <= hi; c++) {
+        const v = table.valueAt(c);
+        if ((hasMinVal && v < minOptVal) || (hasMaxVal && v > maxOptVal)) continue;
+        const sol = table.solutionAt(c);
+        if ((hasMinOpt && sol.count < optMin) || (hasMaxOpt && sol.count > optMax)) continue;
+        candidates.push({ capacity: c, sol });
+    }
+    return candidates;
+}
+
+// Is Sahni-k within [sahniKMin, sahniKMax]? `sahniKUpTo(maxK)` works it out
+// no further than maxK (null beyond). A null end leaves that side open; both
+// null is no filter. Returns { ok, sahniK }: sahniK is worked out (no
+// further than sahniKMax) only when a Max is set, else null.
+export function sahniKRangeCheck(sahniKUpTo, sahniKMin, sahniKMax) {
+    const hasMin = sahniKMin !== null && sahniKMin !== undefined;
+    if (sahniKMax !== null && sahniKMax !== undefined) {
+        const k = sahniKUpTo(sahniKMax);
+        return { ok: k !== null && (!hasMin || k >= sahniKMin), sahniK: k };
+    }
+    if (!hasMin || sahniKMin <= 0) return { ok: true, sahniK: null };
+    return { ok: sahniKUpTo(sahniKMin - 1) === null, sahniK: null };
+}
+
+// sahniKRangeCheck() at one `capacity`
+export function sahniKInRange(items, capacity, optValue, sahniKMin, sahniKMax) {
+    return sahniKRangeCheck((maxK) => computeSahniK(items, capacity, optValue, maxK), sahniKMin, sahniKMax);
+}
+
+// Find a valid capacity within [budgetMin, budgetMax] that satisfies
+// optimal-size RANGE [optMin, optMax] + Sahni-k range [sahniKMin, sahniKMax]
+// + optional optimal value range [minOptVal, maxOptVal]. A null end of
+// any range leaves that side open.
+// Returns { capacity, sol, sahniK } or null. sahniK is null unless a
+// Sahni-k Max is set.
+// `table` (from budgetTable) may be shared between scans of the same items;
+// one is built when omitted or too small.
+export function findCapacityInRange(items, budgetMin, budgetMax, optMin, optMax, sahniKMin, sahniKMax, minOptVal, maxOptVal, table) {
+    const sumWeights = totalWeight(items);
+    const lo = Math.max(1, budgetMin);
+    const hi = Math.min(budgetMax, sumWeights - 1);
+    if (lo > hi) return null;
+    if (!table || table.maxCapacity < Math.floor(hi)) table = budgetTable(items, hi);
+
+    // No constraints at all: pick the midpoint without scanning
+    const open = (v) => v === null || v === undefined;
+    const sahniOpen = open(sahniKMin) && open(sahniKMax);
+    if (open(optMin) && open(optMax) && open(minOptVal) && open(maxOptVal) && sahniOpen) {
+        const cap = Math.round((lo + hi) / 2);
+        return { capacity: cap, sol: table.solutionAt(cap), sahniK: null };
+    }
+
+    // Collect candidate capacities whose optimal solution falls in range
+    const candidates = capacityCandidates(items, lo, hi, optMin, optMax, minOptVal, maxOptVal, table);
+    if (candidates.length === 0) return null;
+
+    // If no Sahni-k range, take the middle candidate
+    if (sahniOpen) {
+        const mid = candidates[Math.floor(candidates.length / 2)];
+        return { capacity: mid.capacity, sol: mid.sol, sahniK: null };
+    }
+
+    // Check Sahni-k for each candidate capacity, lowest first
+    for (const { capacity, sol } of candidates) {
+        const { ok, sahniK } = sahniKInRange(items, capacity, sol.value, sahniKMin, sahniKMax);
+        if (ok) return { capacity, sol, sahniK };
+    }
+
+    return null;
+}
+
+// Check if a single budget passes the per-budget filters (exact optimal size
+// + Sahni-k range). Returns { capacity, sol, sahniK } or null. Pass a shared
+// `table` (from budgetTable) when checking many budgets of the same items.
+export function checkBudget(items, cap, targetOptSize, sahniKMin, sahniKMax, table) {
+    const sol = table ? table.solutionAt(cap) : buildKnapsackTable(items, cap).solutionAt(cap);
+
+    if (targetOptSize !== 'no_filter' && sol.count !== parseInt(targetOptSize)) return null;
+
+    const { ok, sahniK } = sahniKInRange(items, cap, sol.value, sahniKMin, sahniKMax);
+    if (!ok) return null;
+
+    return { capacity: cap, sol, sahniK };
+}
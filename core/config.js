@@ -0,0 +1,779 @@
+// ============================================================
+// Generator configs outside the browser. Defaults mirror the
+// initial form values of each page, and normalizeConfig() coerces
+// values the same way each page's getConfig() does, so a config
+// file produces exactly the object the page would have built.
+// ============================================================
+
+import { hasOwnValueDist, QUANTITY_MODES } from './items.js';
+import { optimalSizeRange } from './capacity.js';
+import { SEARCH_MODES } from './search.js';
+import { MULTI_MAX_ITEMS } from './multidim.js';
+import { RULES_MAX_ITEMS, hasRuleDensity } from './rules.js';
+import { QUADRATIC_MAX_ITEMS, hasPairDensity } from './quadratic.js';
+
+export const MODES = ['single', 'dual', 'batch', 'specific'];
+
+// Field types: how getConfig() reads each input
+//   int / float      parseInt / parseFloat of the input value
+//   intOrNull        empty input -> null (floatOrNull likewise)
+//   string           select / text value, kept as a string
+//   bool             checkbox state
+//   params           distribution params object, passed through
+//   percentList      list of percentages, as an array or "80, 90, 95" text
+//   groups           list of item groups, each coerced with GROUP_FIELDS
+//   tiers            list of budget tiers, each coerced with TIER_FIELDS
+//   tierRelations    list of relations between two tiers' optima (RELATION_FIELDS)
+//   tierRanges       { [tier name]: [min, max] }, either end may be null
+//   strata           list of difficulty strata, each coerced with STRATUM_FIELDS
+//   resources        list of extra item costs, each coerced with RESOURCE_FIELDS
+const DIST_FIELDS = {
+    weightDist: 'string', weightParams: 'params', weightInt: 'bool',
+    valueDist: 'string', valueParams: 'params', valueInt: 'bool',
+    correlation: 'string', alpha: 'float', noiseSd: 'float', copulaRho: 'float'
+};
+
+// Sahni-k, greedy-ratio and Nα-share ranges. Greedy ratio and share are
+// fractions (0.85 = 85%); a null end leaves that side open.
+const DIFFICULTY_FIELDS = {
+    sahniKMin: 'intOrNull', sahniKMax: 'intOrNull',
+    greedyMin: 'floatOrNull', greedyMax: 'floatOrNull',
+    forgivenessMin: 'floatOrNull', forgivenessMax: 'floatOrNull'
+};
+
+// One budget tier of the dual / batch modes: the budget range it is solved
+// under, the optimal-size and optimal-value ranges, the Sahni-k range and
+// the difficulty filters
+const TIER_FIELDS = {
+    name: 'string', budgetMin: 'int', budgetMax: 'int',
+    optMin: 'intOrNull', optMax: 'intOrNull',
+    minOptVal: 'intOrNull', maxOptVal: 'intOrNull',
+    ...DIFFICULTY_FIELDS, minFeasible: 'intOrNull'
+};
+
+// How the optima of two tiers relate, by tier name: overlap is 'any',
+// 'subset' (lower's optimum a strict subset of upper's), 'at_most'
+// (maxShared items in common) or 'disjoint'; the budget ratio is upper / lower
+const RELATION_FIELDS = {
+    lower: 'string', upper: 'string', overlap: 'string', maxShared: 'intOrNull',
+    minBudgetRatio: 'floatOrNull', maxBudgetRatio: 'floatOrNull'
+};
+
+export const RELATION_OVERLAPS = ['any', 'subset', 'at_most', 'disjoint'];
+
+// One difficulty stratum of the batch mode: `count` instances whose every
+// tier meets the stratum's ranges. A range (or minFeasible) the stratum
+// sets replaces the tier's own; unset ones keep it.
+const STRATUM_FIELDS = {
+    name: 'string', count: 'int',
+    ...DIFFICULTY_FIELDS, minFeasible: 'intOrNull'
+};
+
+// One extra resource of the single page (multidimensional knapsack): each
+// item's cost in it is drawn from its own distribution, and its budget from
+// [budgetMin, budgetMax]
+const RESOURCE_FIELDS = {
+    name: 'string', costDist: 'string', costParams: 'params', costInt: 'bool',
+    budgetMin: 'int', budgetMax: 'int'
+};
+
+const BATCH_FIELDS = {
+    nInstances: 'int', nItems: 'int',
+    tiers: 'tiers', tierRelations: 'tierRelations', sahniKLimit: 'int',
+    forgivenessAlpha: 'float', maxRatio: 'floatOrNull',
+    alphaLevels: 'percentList', uniqueOptimum: 'bool', searchMode: 'string', searchSteps: 'int',
+    seed: 'string', ratioSpread: 'string', integerRatios: 'bool', fractionRatios: 'bool'
+};
+
+// One item group of the specific mode. optRanges bounds how many of its
+// items each tier's optimal solution may hold, keyed by tier name.
+const GROUP_FIELDS = {
+    name: 'string', count: 'int',
+    ...DIST_FIELDS,
+    optRanges: 'tierRanges'
+};
+
+const FIELDS = {
+    single: {
+        nItems: 'int', budgetMin: 'int', budgetMax: 'int', seed: 'string',
+        ...DIST_FIELDS,
+        optimalSize: 'string', ratioSpread: 'string', integerRatios: 'bool', sahniKLimit: 'int',
+        ...DIFFICULTY_FIELDS, forgivenessAlpha: 'float', minFeasible: 'intOrNull',
+        alphaLevels: 'percentList', uniqueOptimum: 'bool', searchMode: 'string', searchSteps: 'int',
+        resources: 'resources', conflictDensity: 'float', precedenceDensity: 'float',
+        pairDensity: 'float', pairDist: 'string', pairParams: 'params', pairInt: 'bool'
+    },
+    dual: {
+        nItems: 'int', tiers: 'tiers', tierRelations: 'tierRelations',
+        seed: 'string',
+        ...DIST_FIELDS,
+        ratioSpread: 'string', integerRatios: 'bool',
+        sahniKLimit: 'int', forgivenessAlpha: 'float', alphaLevels: 'percentList',
+        searchMode: 'string', searchSteps: 'int'
+    },
+    batch: {
+        ...BATCH_FIELDS,
+        strata: 'strata',
+        premiumCount: 'int', premiumPrice: 'int', premiumValue: 'int', premiumAsQuantity: 'bool',
+        quantityMode: 'string', quantityMin: 'int', quantityMax: 'int',
+        conflictDensity: 'float', precedenceDensity: 'float',
+        ...DIST_FIELDS
+    },
+    specific: {
+        ...BATCH_FIELDS,
+        groups: 'groups', onePerGroup: 'bool'
+    }
+};
+
+// Difficulty ranges that are open until set
+const OPEN_DIFFICULTY = {
+    sahniKMin: null, sahniKMax: null, greedyMin: null, greedyMax: null, forgivenessMin: null, forgivenessMax: null
+};
+
+// Tier filters that are off until set
+const OPEN_TIER = {
+    optMin: null, optMax: null, minOptVal: null, maxOptVal: null,
+    ...OPEN_DIFFICULTY, minFeasible: null
+};
+
+// Stratum ranges that keep the tiers' own until set
+const OPEN_STRATUM = { ...OPEN_DIFFICULTY, minFeasible: null };
+
+// Resource cost distribution unless set
+const DEFAULT_RESOURCE = { costDist: 'uniform', costParams: { min: 1, max: 20 }, costInt: true };
+
+// Relation settings that are off until set
+const OPEN_RELATION = { overlap: 'any', maxShared: null, minBudgetRatio: null, maxBudgetRatio: null };
+
+// Initial form values of each page
+export const DEFAULT_CONFIGS = {
+    single: {
+        nItems: 12, budgetMin: 50, budgetMax: 150, seed: '12345',
+        weightDist: 'uniform', weightParams: { min: 1, max: 20 }, weightInt: true,
+        valueDist: 'uniform', valueParams: { min: 1, max: 50 }, valueInt: true,
+        correlation: 'independent', alpha: 2, noiseSd: 5, copulaRho: 0.5,
+        optimalSize: 'no_filter', ratioSpread: 'medium', integerRatios: false, sahniKLimit: 6,
+        ...OPEN_DIFFICULTY, forgivenessAlpha: 90, minFeasible: null,
+        alphaLevels: [90], uniqueOptimum: false, searchMode: 'reroll', searchSteps: 2000,
+        resources: [], conflictDensity: 0, precedenceDensity: 0,
+        pairDensity: 0, pairDist: 'uniform', pairParams: { min: 1, max: 20 }, pairInt: true
+    },
+    dual: {
+        nItems: 12, seed: '12345',
+        tiers: [
+            { ...OPEN_TIER, name: 'low', budgetMin: 20, budgetMax: 60 },
+            { ...OPEN_TIER, name: 'high', budgetMin: 70, budgetMax: 120 }
+        ],
+        tierRelations: [],
+        weightDist: 'uniform', weightParams: { min: 1, max: 20 }, weightInt: true,
+        valueDist: 'uniform', valueParams: { min: 1, max: 50 }, valueInt: true,
+        correlation: 'independent', alpha: 2, noiseSd: 5, copulaRho: 0.5,
+        ratioSpread: 'medium', integerRatios: false,
+        sahniKLimit: 6, forgivenessAlpha: 90, alphaLevels: [90],
+        searchMode: 'reroll', searchSteps: 2000
+    },
+    batch: {
+        nInstances: 4, nItems: 12, premiumCount: 0, premiumPrice: 20, premiumValue: 100, premiumAsQuantity: false,
+        quantityMode: 'zero_one', quantityMin: 2, quantityMax: 4,
+        conflictDensity: 0, precedenceDensity: 0,
+        tiers: [
+            { ...OPEN_TIER, name: 'low', budgetMin: 20, budgetMax: 40, optMin: 3, optMax: 5, sahniKMin: 1, sahniKMax: 1 },
+            { ...OPEN_TIER, name: 'high', budgetMin: 100, budgetMax: 150, optMin: 7, optMax: 9, sahniKMin: 1, sahniKMax: 1 }
+        ],
+        tierRelations: [],
+        strata: [],
+        sahniKLimit: 6, forgivenessAlpha: 90, maxRatio: null,
+        alphaLevels: [90], uniqueOptimum: false, searchMode: 'reroll', searchSteps: 2000,
+        seed: '1234',
+        weightDist: 'uniform', weightParams: { min: 8, max: 40 }, weightInt: true,
+        valueDist: 'uniform', valueParams: { min: 20, max: 90 }, valueInt: true,
+        correlation: 'independent', alpha: 2, noiseSd: 5, copulaRho: 0.5,
+        ratioSpread: 'medium', integerRatios: false, fractionRatios: false
+    },
+    specific: {
+        nInstances: 4, nItems: 12,
+        groups: [
+            {
+                name: 'expensive', count: 3,
+                weightDist: 'uniform', weightParams: { min: 15, max: 30 }, weightInt: true,
+                valueDist: 'uniform', valueParams: { min: 50, max: 90 }, valueInt: true,
+                correlation: 'independent', alpha: 2, noiseSd: 5, copulaRho: 0.5,
+                optRanges: {}
+            },
+            {
+                name: 'cheap', count: 9,
+                weightDist: 'uniform', weightParams: { min: 3, max: 12 }, weightInt: true,
+                valueDist: 'uniform', valueParams: { min: 10, max: 40 }, valueInt: true,
+                correlation: 'independent', alpha: 2, noiseSd: 5, copulaRho: 0.5,
+                optRanges: {}
+            }
+        ],
+        tiers: [
+            { ...OPEN_TIER, name: 'low', budgetMin: 20, budgetMax: 40, optMin: 3, optMax: 5, sahniKMin: 1, sahniKMax: 1 },
+            { ...OPEN_TIER, name: 'high', budgetMin: 100, budgetMax: 150, optMin: 7, optMax: 9, sahniKMin: 1, sahniKMax: 1 }
+        ],
+        tierRelations: [],
+        sahniKLimit: 6, forgivenessAlpha: 90, maxRatio: null,
+        alphaLevels: [90], uniqueOptimum: false, searchMode: 'reroll', searchSteps: 2000,
+        seed: '1234', ratioSpread: 'medium', integerRatios: false, fractionRatios: false,
+        onePerGroup: false
+    }
+};
+
+// "4.99, 12.50 7" -> [4.99, 12.5, 7]; entries that aren't numbers come back
+// as NaN so validateConfig() can reject them
+export function parseNumberList(text) {
+    return String(text).split(/[\s,;]+/).filter(Boolean).map(Number);
+}
+
+// "80, 90 95" -> [80, 90, 95]
+export function parsePercentList(text) {
+    return parseNumberList(text);
+}
+
+// "97" -> 0.97 for a percent input bounding a range; empty -> null (open)
+export function parsePercentBound(text) {
+    return String(text).trim() === '' ? null : parseFloat(text) / 100;
+}
+
+function isEmpty(v) {
+    return v === null || v === undefined || v === '';
+}
+
+// A number field's value; text that isn't a number (or, for int fields,
+// a whole number) is rejected rather than read as NaN
+function toNumber(key, v, integer) {
+    const n = isEmpty(v) || typeof v === 'boolean' ? NaN : Number(v);
+    if (integer ? !Number.isInteger(n) : !Number.isFinite(n)) throw new Error(`${key} must be ${integer ? 'a whole number' : 'a number'}`);
+    return n;
+}
+
+function coerce(key, type, v) {
+    switch (type) {
+        case 'int': return toNumber(key, v, true);
+        case 'float': return toNumber(key, v, false);
+        case 'intOrNull': return isEmpty(v) ? null : toNumber(key, v, true);
+        case 'floatOrNull': return isEmpty(v) ? null : toNumber(key, v, false);
+        case 'string': return String(v);
+        case 'bool':
+            if (v === true || v === 'true') return true;
+            if (v === false || v === 'false') return false;
+            throw new Error(`${key} must be true or false`);
+        case 'percentList':
+            return Array.isArray(v) ? v.map(Number) : parsePercentList(v);
+        case 'params':
+            if (typeof v !== 'object' || v === null) throw new Error(`${key} must be an object`);
+            return v;
+        case 'tierRanges':
+            if (typeof v !== 'object' || v === null || Array.isArray(v)) throw new Error(`${key} must be an object`);
+            return Object.fromEntries(Object.entries(v).map(([tier, range]) => {
+                if (!Array.isArray(range) || range.length !== 2) throw new Error(`${key}.${tier} must be a [min, max] pair`);
+                return [tier, range.map(end => coerce(key, 'intOrNull', end))];
+            }));
+    }
+}
+
+// The distribution-name field that goes with a params field
+// (weightParams -> weightDist, valueParams -> valueDist)
+function distKeyFor(paramsKey) {
+    return paramsKey.replace(/Params$/, 'Dist');
+}
+
+// Merge `overrides` over `defaults` and coerce every field. `label`
+// names the kind of config in unknown-key errors ('batch', 'group').
+function coerceFields(fields, defaults, overrides, label) {
+    for (const key of Object.keys(overrides)) {
+        if (!(key in fields)) throw new Error(`Unknown ${label} config key: ${key}`);
+    }
+
+    const config = {};
+    for (const [key, type] of Object.entries(fields)) {
+        const v = key in overrides ? overrides[key] : defaults[key];
+        config[key] = type in LISTS ? normalizeList(type, v, defaults[key]) : coerce(key, type, v);
+    }
+
+    // Default params only fit the default distribution
+    for (const [key, type] of Object.entries(fields)) {
+        if (type !== 'params') continue;
+        const distKey = distKeyFor(key);
+        if (distKey in overrides && !(key in overrides) && config[distKey] !== defaults[distKey]) {
+            throw new Error(`${key} is required when ${distKey} is '${config[distKey]}'`);
+        }
+    }
+
+    return config;
+}
+
+// List fields: the fields of each entry and the keys every entry must set.
+// Tiers, relations and strata leave unset filters off rather than copy
+// another entry's targets.
+const LISTS = {
+    groups: { fields: GROUP_FIELDS, required: ['name', 'count'], label: 'group' },
+    tiers: { fields: TIER_FIELDS, required: ['name', 'budgetMin', 'budgetMax'], label: 'tier', defaults: [OPEN_TIER] },
+    tierRelations: { fields: RELATION_FIELDS, required: ['lower', 'upper'], label: 'relation', defaults: [OPEN_RELATION] },
+    strata: { fields: STRATUM_FIELDS, required: ['name', 'count'], label: 'stratum', defaults: [OPEN_STRATUM] },
+    resources: { fields: RESOURCE_FIELDS, required: ['name', 'budgetMin', 'budgetMax'], label: 'resource', defaults: [DEFAULT_RESOURCE] }
+};
+
+// Each entry needs the list's required keys; other keys fall back to the
+// page's default entry in the same position (the last one past the end).
+function normalizeList(key, entries, pageDefaults) {
+    const { fields, required, label } = LISTS[key];
+    const defaults = LISTS[key].defaults || pageDefaults;
+    if (!Array.isArray(entries)) throw new Error(`${key} must be a list`);
+    return entries.map((entry, i) => {
+        if (typeof entry !== 'object' || entry === null) throw new Error(`${key}[${i}] must be an object`);
+        if (required.some(k => isEmpty(entry[k]))) throw new Error(`${key}[${i}] needs ${required.join(', ')}`);
+        try {
+            const upgraded = key === 'tiers' ? upgradeLegacyRanges(entry, LEGACY_TIER_RANGES) : entry;
+            return coerceFields(fields, defaults[Math.min(i, defaults.length - 1)], upgraded, label);
+        } catch (err) {
+            throw new Error(`${key}[${i}]${'name' in entry ? ` ('${entry.name}')` : ''}: ${err.message}`);
+        }
+    });
+}
+
+// Difficulty filters from before min / max ranges, by the range each became
+// (a Sahni-k target k is the range [k, k], a greedy or Nα-share cap its Max)
+const LEGACY_SINGLE_RANGES = { targetSahniK: 'sahniK', greedyCap: 'greedy', forgivenessCap: 'forgiveness' };
+const LEGACY_TIER_RANGES = { sahniK: 'sahniK', greedyCap: 'greedy', forgivenessCap: 'forgiveness' };
+
+// Min / max keys of the range an old filter value became; 'no_filter'
+// leaves it open
+function legacyRange(range, v) {
+    const set = !isEmpty(v) && v !== 'no_filter';
+    return { [`${range}Min`]: set && range === 'sahniK' ? v : null, [`${range}Max`]: set ? v : null };
+}
+
+// Replace the old filter keys in `legacyKeys` with their ranges
+function upgradeLegacyRanges(overrides, legacyKeys) {
+    let upgraded = overrides;
+    for (const [key, range] of Object.entries(legacyKeys)) {
+        if (!(key in overrides)) continue;
+        if (`${range}Min` in overrides || `${range}Max` in overrides) throw new Error(`${key} cannot be combined with ${range}Min / ${range}Max`);
+        const { [key]: v, ...rest } = upgraded;
+        upgraded = { ...rest, ...legacyRange(range, v) };
+    }
+    return upgraded;
+}
+
+// Dual / batch keys from before budget tiers, which had a fixed low and
+// high budget: budgetLowMin -> [0, 'budgetMin'], sahniKHigh -> [1, 'sahniK'].
+// optimalSizeLow / High (dual) is handled by the caller.
+function legacyTierKey(key) {
+    const m = key.match(/^(budget|opt)(Low|High)(Min|Max)$/) || key.match(/^(optimalSize|sahniK|minOptVal|maxOptVal)(Low|High)()$/);
+    return m ? [m[2] === 'Low' ? 0 : 1, m[1] + m[3]] : null;
+}
+
+// Difficulty filters that used to apply to both budgets at once
+const LEGACY_TIER_FILTERS = ['greedyCap', 'forgivenessCap', 'minFeasible'];
+
+// Turn the old low / high keys into the page's default 'low' and 'high'
+// tiers. The old shared filters are copied onto both.
+function upgradeLegacyTiers(mode, overrides) {
+    if (mode === 'single') return upgradeLegacyRanges(overrides, LEGACY_SINGLE_RANGES);
+    const legacy = Object.keys(overrides).filter(key => legacyTierKey(key) || LEGACY_TIER_FILTERS.includes(key));
+    if (legacy.length === 0) return overrides;
+    if ('tiers' in overrides) throw new Error('tiers cannot be combined with the old low / high budget keys');
+
+    const tiers = DEFAULT_CONFIGS[mode].tiers.map(t => ({ ...t }));
+    const set = (t, key, v) => key in LEGACY_TIER_RANGES ? Object.assign(t, legacyRange(LEGACY_TIER_RANGES[key], v)) : t[key] = v;
+    const rest = {};
+    for (const [key, v] of Object.entries(overrides)) {
+        const legacyKey = legacyTierKey(key);
+        if (legacyKey && legacyKey[1].startsWith('optimalSize')) {
+            [tiers[legacyKey[0]].optMin, tiers[legacyKey[0]].optMax] = optimalSizeRange(String(v));
+        } else if (legacyKey) {
+            set(tiers[legacyKey[0]], legacyKey[1], v);
+        } else if (LEGACY_TIER_FILTERS.includes(key)) {
+            tiers.forEach(t => set(t, key, v));
+        } else {
+            rest[key] = v;
+        }
+    }
+    return { ...rest, tiers };
+}
+
+// Group keys from before budget tiers bounded the low and high optima
+// (optLowMin ... optHighMax); move them into optRanges under the names of
+// the first two tiers.
+function upgradeLegacyGroupRanges(groups, tierNames) {
+    return groups.map(g => {
+        if (typeof g !== 'object' || g === null) return g;
+        const legacy = Object.keys(g).filter(key => /^opt(Low|High)(Min|Max)$/.test(key));
+        if (legacy.length === 0) return g;
+        if ('optRanges' in g) throw new Error(`group '${g.name}': optRanges cannot be combined with the old optLow* / optHigh* keys`);
+
+        const upgraded = { ...g };
+        const optRanges = {};
+        for (const key of legacy) {
+            const [, level, end] = key.match(/^opt(Low|High)(Min|Max)$/);
+            delete upgraded[key];
+            if (isEmpty(g[key])) continue;
+            const tier = tierNames[level === 'Low' ? 0 : 1] ?? level.toLowerCase();
+            optRanges[tier] = optRanges[tier] || [null, null];
+            optRanges[tier][end === 'Min' ? 0 : 1] = g[key];
+        }
+        return { ...upgraded, optRanges };
+    });
+}
+
+// Specific configs from before item groups used expCount plus exp* / chp*
+// fields; turn those into the 'expensive' and 'cheap' groups.
+function upgradeLegacySpecific(overrides) {
+    let upgraded = overrides;
+    const legacy = Object.keys(overrides).filter(key => key === 'expCount' || /^(exp|chp)[A-Z]/.test(key));
+    if (legacy.length > 0) {
+        if ('groups' in overrides) throw new Error('groups cannot be combined with the old exp* / chp* keys');
+
+        const [expDefaults, chpDefaults] = DEFAULT_CONFIGS.specific.groups;
+        const nItems = 'nItems' in overrides ? parseInt(overrides.nItems) : DEFAULT_CONFIGS.specific.nItems;
+        const expCount = 'expCount' in overrides ? parseInt(overrides.expCount) : expDefaults.count;
+        const groups = [{ name: expDefaults.name, count: expCount }, { name: chpDefaults.name, count: nItems - expCount }];
+        const rest = {};
+        for (const [key, v] of Object.entries(overrides)) {
+            const m = key.match(/^(exp|chp)([A-Z].*)$/);
+            if (m) groups[m[1] === 'exp' ? 0 : 1][m[2].charAt(0).toLowerCase() + m[2].slice(1)] = v;
+            else if (key !== 'expCount') rest[key] = v;
+        }
+        upgraded = { ...rest, groups };
+    }
+
+    if (!Array.isArray(upgraded.groups)) return upgraded;
+    const tiers = Array.isArray(upgraded.tiers) ? upgraded.tiers : DEFAULT_CONFIGS.specific.tiers;
+    return { ...upgraded, groups: upgradeLegacyGroupRanges(upgraded.groups, tiers.map(t => t && t.name)) };
+}
+
+// Merge `overrides` over the page defaults for `mode` and coerce every
+// field the way the page's getConfig() would. Unknown keys are rejected
+// so typos in config files don't silently fall back to defaults.
+export function normalizeConfig(mode, overrides) {
+    const fields = FIELDS[mode];
+    if (!fields) throw new Error(`Unknown mode: ${mode} (expected one of ${MODES.join(', ')})`);
+
+    const upgraded = upgradeLegacyTiers(mode, overrides);
+    if (mode === 'batch') {
+        // Batch: with strata, the instance count defaults to their quotas' sum
+        const config = coerceFields(fields, DEFAULT_CONFIGS.batch, upgraded, mode);
+        if (config.strata.length > 0 && !('nInstances' in upgraded)) config.nInstances = config.strata.reduce((s, st) => s + st.count, 0);
+        return config;
+    }
+    if (mode !== 'specific') return coerceFields(fields, DEFAULT_CONFIGS[mode], upgraded, mode);
+
+    // Specific: total items default to the sum of the group counts
+    const specific = upgradeLegacySpecific(upgraded);
+    const config = coerceFields(fields, DEFAULT_CONFIGS.specific, specific, mode);
+    if (!('nItems' in specific)) config.nItems = config.groups.reduce((s, g) => s + g.count, 0);
+    return config;
+}
+
+// Nα settings shared by every page. Returns an error message or null.
+export function validateAlphaLevels(config) {
+    if (config.alphaLevels.length === 0 || !config.alphaLevels.every(a => a > 0 && a <= 100)) {
+        return 'Near-optimal levels (α) must be numbers between 0 and 100.';
+    }
+    if (!(config.forgivenessAlpha > 0 && config.forgivenessAlpha <= 100)) return 'Forgiveness α must be between 0 and 100.';
+    return null;
+}
+
+// The difficulty ranges of a config with a label prefix: each tier's and
+// stratum's, or the config's own on the single page and the budget finder
+function difficultySets(config) {
+    if (!config.tiers) return [['', config]];
+    return config.tiers.map(t => [`'${t.name}' `, t]).concat((config.strata || []).map(st => [`stratum '${st.name}' `, st]));
+}
+
+// Error text for a [min, max] range that runs backwards or leaves [lo, hi];
+// loText / hiText name the bounds in the message
+function rangeError(label, min, max, lo, hi, loText, hiText) {
+    label = label.charAt(0).toUpperCase() + label.slice(1);
+    if ([min, max].some(v => v !== null && !(v >= lo && v <= hi))) return `${label} must be between ${loText} and ${hiText}.`;
+    if (min !== null && max !== null && min > max) return `${label} Min must be ≤ Max.`;
+    return null;
+}
+
+// Sahni-k limit and ranges shared by every page (the budget finder has a
+// low and a high range). Returns an error message or null.
+export function validateSahniK(config) {
+    if (!(config.sahniKLimit >= 0)) return 'Sahni-k limit must be 0 or more.';
+    const ranges = 'sahniKLowMin' in config
+        ? [['Low ', config.sahniKLowMin, config.sahniKLowMax], ['High ', config.sahniKHighMin, config.sahniKHighMax]]
+        : difficultySets(config).map(([label, f]) => [label, f.sahniKMin, f.sahniKMax]);
+    for (const [label, min, max] of ranges) {
+        const error = rangeError(`${label}Sahni-k`, min, max, 0, config.sahniKLimit, '0', `the Sahni-k limit (${config.sahniKLimit})`);
+        if (error) return error;
+    }
+    return null;
+}
+
+// Greedy-ratio and Nα-share ranges shared by every page. Returns an error
+// message or null.
+export function validateDifficultyRanges(config) {
+    for (const [label, f] of difficultySets(config)) {
+        const error = rangeError(`${label}greedy ratio`, f.greedyMin, f.greedyMax, 0, 1, '0%', '100%')
+            || rangeError(`${label}N${config.forgivenessAlpha} share`, f.forgivenessMin, f.forgivenessMax, 0, 1, '0%', '100%');
+        if (error) return error;
+    }
+    return null;
+}
+
+// Sampled distributions of each mode: [label, dist, params, items drawn].
+// Values are only drawn from their own distribution when independent or copula.
+function distSlots(mode, config) {
+    if (mode === 'specific') {
+        return config.groups.flatMap(g => [
+            [`'${g.name}' price`, g.weightDist, g.weightParams, g.count],
+            [`'${g.name}' value`, g.valueDist, g.valueParams, hasOwnValueDist(g.correlation) ? g.count : 0]
+        ]);
+    }
+    const count = config.nItems - (config.premiumCount || 0);
+    return [
+        ['Price', config.weightDist, config.weightParams, count],
+        ['Value', config.valueDist, config.valueParams, hasOwnValueDist(config.correlation) ? count : 0],
+        ...(config.resources || []).map(r => [`'${r.name}' cost`, r.costDist, r.costParams, count]),
+        ['Pair bonus', config.pairDist, config.pairParams, hasPairDensity(config) ? config.nItems * (config.nItems - 1) / 2 : 0]
+    ];
+}
+
+// Error text for one distribution's params, or null
+function paramsError(dist, params, count) {
+    const positive = (...vs) => vs.every(v => v > 0);
+    switch (dist) {
+        case 'gamma': return positive(params.shape, params.scale) ? null : 'gamma shape and scale must be > 0.';
+        case 'beta':
+            if (!positive(params.a, params.b)) return 'beta a and b must be > 0.';
+            return params.min < params.max ? null : 'beta Min must be < Max.';
+        case 'pareto': return positive(params.xm, params.alpha) ? null : 'Pareto xm and α must be > 0.';
+        case 'empirical':
+            if (!Array.isArray(params.values) || params.values.length === 0 || !params.values.every(v => v > 0)) {
+                return 'empirical list must hold positive numbers.';
+            }
+            if (!params.replace && params.values.length < count) {
+                return `empirical list needs at least ${count} entries to sample without replacement.`;
+            }
+            return null;
+    }
+    return null;
+}
+
+// Parameters of the gamma / beta / Pareto / empirical distributions and
+// the copula target. Returns an error message or null.
+export function validateDistributions(mode, config) {
+    for (const [label, dist, params, count] of distSlots(mode, config)) {
+        if (count <= 0) continue;
+        const error = paramsError(dist, params, count);
+        if (error) return `${label} distribution: ${error}`;
+    }
+    const copulas = mode === 'specific'
+        ? config.groups.map(g => [`'${g.name}' items`, g.correlation, g.copulaRho])
+        : [['', config.correlation, config.copulaRho]];
+    for (const [label, correlation, rho] of copulas) {
+        if (correlation === 'copula' && !(rho >= -1 && rho <= 1)) {
+            return `${label ? label + ': ' : ''}Copula Spearman ρ must be between -1 and 1.`;
+        }
+    }
+    return null;
+}
+
+// Item groups of the specific mode. Returns an error message or null.
+export function validateGroups(config) {
+    if (config.groups.length === 0) return 'Add at least one item group.';
+    const names = new Set();
+    for (const g of config.groups) {
+        if (g.name.trim() === '') return 'Every item group needs a name.';
+        if (names.has(g.name)) return `Item group names must be unique ('${g.name}' is used twice).`;
+        names.add(g.name);
+        if (!(g.count >= 0)) return `'${g.name}' count must be 0 or more.`;
+        for (const [tier, [min, max]] of Object.entries(g.optRanges)) {
+            if (!config.tiers.some(t => t.name === tier)) return `'${g.name}' has an optimal range for '${tier}', which is not a budget tier.`;
+            if (min !== null && max !== null && min > max) return `'${g.name}' ${tier} optimal Min must be ≤ Max.`;
+            if (config.onePerGroup && min !== null && min > 1) return `'${g.name}' ${tier} optimal Min must be ≤ 1 when picking at most one item per group.`;
+        }
+    }
+    const total = config.groups.reduce((s, g) => s + g.count, 0);
+    if (total !== config.nItems) return `Group counts add up to ${total}, not the ${config.nItems} total items.`;
+    if (config.onePerGroup) {
+        // An optimum holds at most one item per group
+        const tooMany = config.tiers.find(t => t.optMin !== null && t.optMin > config.groups.length);
+        if (tooMany) return `'${tooMany.name}' optimal items Min must be ≤ ${config.groups.length} (one per group).`;
+    }
+    return null;
+}
+
+// Budget tiers of the dual / batch modes and the relations between them.
+// Returns an error message or null.
+export function validateTiers(config) {
+    if (config.tiers.length === 0) return 'Add at least one budget tier.';
+    const names = new Set();
+    for (const t of config.tiers) {
+        if (t.name.trim() === '') return 'Every budget tier needs a name.';
+        if (names.has(t.name)) return `Budget tier names must be unique ('${t.name}' is used twice).`;
+        names.add(t.name);
+        if (t.budgetMin > t.budgetMax) return `'${t.name}' budget Min must be ≤ Max.`;
+        if (t.optMin !== null && t.optMax !== null && t.optMin > t.optMax) return `'${t.name}' optimal items Min must be ≤ Max.`;
+        if (t.minOptVal !== null && t.maxOptVal !== null && t.minOptVal > t.maxOptVal) return `'${t.name}' optimal value Min must be ≤ Max.`;
+    }
+    for (const r of config.tierRelations) {
+        for (const name of [r.lower, r.upper]) {
+            if (!names.has(name)) return `Tier relation refers to '${name}', which is not a budget tier.`;
+        }
+        const label = `Tier relation ${r.lower} / ${r.upper}`;
+        if (r.lower === r.upper) return `${label}: pick two different tiers.`;
+        if (!RELATION_OVERLAPS.includes(r.overlap)) return `${label}: overlap must be one of ${RELATION_OVERLAPS.join(', ')}.`;
+        if (r.overlap === 'at_most' && (r.maxShared === null || !(r.maxShared >= 0))) return `${label}: max shared items must be 0 or more.`;
+        if ([r.minBudgetRatio, r.maxBudgetRatio].some(v => v !== null && !(v > 0))) return `${label}: budget ratios must be > 0.`;
+        if (r.minBudgetRatio !== null && r.maxBudgetRatio !== null && r.minBudgetRatio > r.maxBudgetRatio) return `${label}: budget ratio Min must be ≤ Max.`;
+    }
+    return null;
+}
+
+// Difficulty strata of the batch mode (their ranges are checked with the
+// tiers'). Returns an error message or null.
+export function validateStrata(config) {
+    if (config.strata.length === 0) return null;
+    const names = new Set();
+    for (const st of config.strata) {
+        if (st.name.trim() === '') return 'Every difficulty stratum needs a name.';
+        if (names.has(st.name)) return `Stratum names must be unique ('${st.name}' is used twice).`;
+        names.add(st.name);
+        if (!(st.count >= 1)) return `Stratum '${st.name}' quota must be 1 or more.`;
+    }
+    const total = config.strata.reduce((s, st) => s + st.count, 0);
+    if (total !== config.nInstances) return `Stratum quotas add up to ${total}, not the ${config.nInstances} instances.`;
+    return null;
+}
+
+// Item quantities of the batch mode. Returns an error message or null.
+export function validateQuantities(config) {
+    if (!QUANTITY_MODES.includes(config.quantityMode)) return `Quantity mode must be one of ${QUANTITY_MODES.join(', ')}.`;
+    if (config.quantityMode !== 'bounded') return null;
+    if (!(config.quantityMin >= 1)) return 'Max quantity Min must be 1 or more.';
+    if (!(config.quantityMin <= config.quantityMax)) return 'Max quantity Min must be ≤ Max.';
+    return null;
+}
+
+// Conflict / precedence rules of the single and batch modes. Their
+// instances are solved exactly under the rules, so n stays small, and they
+// don't combine with extra resources or item quantities. Returns an error
+// message or null.
+export function validateItemRules(config) {
+    for (const [label, density] of [['Conflict', config.conflictDensity], ['Precedence', config.precedenceDensity]]) {
+        if (!(density >= 0 && density <= 1)) return `${label} density must be between 0 and 1.`;
+    }
+    if (!hasRuleDensity(config)) return null;
+    if (config.nItems > RULES_MAX_ITEMS) return `With conflict or precedence rules, instances are solved exactly and can have at most ${RULES_MAX_ITEMS} items.`;
+    if (config.resources && config.resources.length > 0) return 'Conflict and precedence rules do not combine with extra resources.';
+    if ((config.quantityMode && config.quantityMode !== 'zero_one') || config.premiumAsQuantity) return 'Conflict and precedence rules need 0/1 items (no quantities).';
+    return null;
+}
+
+// Pair bonuses of the single page (quadratic knapsack). Their instances
+// are solved by branch and bound, so n stays small, and they don't combine
+// with extra resources or item rules. Returns an error message or null.
+export function validatePairBonuses(config) {
+    if (!(config.pairDensity >= 0 && config.pairDensity <= 1)) return 'Pair bonus density must be between 0 and 1.';
+    if (!hasPairDensity(config)) return null;
+    if (config.nItems > QUADRATIC_MAX_ITEMS) return `With pair bonuses, instances are solved exactly and can have at most ${QUADRATIC_MAX_ITEMS} items.`;
+    if (config.resources.length > 0) return 'Pair bonuses do not combine with extra resources.';
+    if (hasRuleDensity(config)) return 'Pair bonuses do not combine with conflict and precedence rules.';
+    // The solver's bounds need bonuses of 0 or more
+    if (config.pairDist === 'uniform' && !(config.pairParams.min >= 0 && config.pairParams.min <= config.pairParams.max)) return 'Pair bonus Min must be ≥ 0 and ≤ Max.';
+    return null;
+}
+
+// Extra resources of the single page. Their instances are solved exactly
+// under a budget vector, so n stays small and the filters that count
+// subsets under one budget are off. Returns an error message or null.
+export function validateResources(config) {
+    if (config.resources.length === 0) return null;
+    const names = new Set(['price', 'value']);
+    for (const r of config.resources) {
+        if (r.name.trim() === '') return 'Every resource needs a name.';
+        if (r.name.includes(',')) return `Resource names cannot contain commas ('${r.name}').`;
+        if (names.has(r.name.toLowerCase())) return `Resource names must be unique and not 'price' or 'value' ('${r.name}').`;
+        names.add(r.name.toLowerCase());
+        if (r.budgetMin > r.budgetMax) return `'${r.name}' budget Min must be ≤ Max.`;
+    }
+    if (config.nItems > MULTI_MAX_ITEMS) return `With extra resources, instances are solved exactly and can have at most ${MULTI_MAX_ITEMS} items.`;
+    if (config.uniqueOptimum || config.forgivenessMin !== null || config.forgivenessMax !== null || config.minFeasible !== null) {
+        return 'Unique optimum, Nα share and min feasible filters need a single budget; clear them to add resources.';
+    }
+    return null;
+}
+
+// Item and instance counts and budgets. Returns an error message or null.
+export function validateSizes(mode, config) {
+    if (!(config.nItems >= 1)) return 'Number of items must be 1 or more.';
+    if (mode === 'batch' || mode === 'specific') {
+        if (!(config.nInstances >= 1)) return 'Number of instances must be 1 or more.';
+    }
+    if (mode === 'single') {
+        if (!(config.budgetMin >= 0)) return 'Min Budget must be 0 or more.';
+        for (const r of config.resources) {
+            if (!(r.budgetMin >= 0)) return `'${r.name}' budget Min must be 0 or more.`;
+        }
+    } else {
+        for (const t of config.tiers) {
+            if (!(t.budgetMin >= 0)) return `'${t.name}' budget Min must be 0 or more.`;
+        }
+    }
+    if (mode === 'batch' && !(config.premiumCount >= 0 && config.premiumCount <= config.nItems)) {
+        return `Premium items must be between 0 and the ${config.nItems} total items.`;
+    }
+    return null;
+}
+
+// Local search settings shared by every page. Returns an error message or null.
+export function validateSearch(config) {
+    if (!SEARCH_MODES.includes(config.searchMode)) return `Search mode must be one of ${SEARCH_MODES.join(', ')}.`;
+    if (!(config.searchSteps >= 1)) return 'Search steps must be 1 or more.';
+    // Perturbed values would no longer follow a price / value correlation
+    if (config.searchMode !== 'reroll') {
+        const correlated = (config.groups || [config]).find(g => g.correlation !== 'independent');
+        if (correlated) return `Hill climb and annealing change item values, so they need independent prices and values${config.groups ? ` ('${correlated.name}' items are correlated)` : ''}; use Re-roll seed with a correlation.`;
+    }
+    return null;
+}
+
+// Same sanity checks the pages run (as alerts) before generating.
+// Returns an error message or null.
+export function validateConfig(mode, config) {
+    const sizeError = validateSizes(mode, config);
+    if (sizeError) return sizeError;
+    const alphaError = validateAlphaLevels(config);
+    if (alphaError) return alphaError;
+    if (mode !== 'single') {
+        const tierError = validateTiers(config);
+        if (tierError) return tierError;
+    }
+    const sahniError = validateSahniK(config);
+    if (sahniError) return sahniError;
+    const difficultyError = validateDifficultyRanges(config);
+    if (difficultyError) return difficultyError;
+    if (mode === 'specific') {
+        const groupError = validateGroups(config);
+        if (groupError) return groupError;
+    }
+    if (mode === 'batch') {
+        const strataError = validateStrata(config);
+        if (strataError) return strataError;
+        const quantityError = validateQuantities(config);
+        if (quantityError) return quantityError;
+        const rulesError = validateItemRules(config);
+        if (rulesError) return rulesError;
+    }
+    if (mode === 'single') {
+        const resourceError = validateResources(config);
+        if (resourceError) return resourceError;
+        const rulesError = validateItemRules(config);
+        if (rulesError) return rulesError;
+        const pairError = validatePairBonuses(config);
+        if (pairError) return pairError;
+    }
+    const distError = validateDistributions(mode, config);
+    if (distError) return distError;
+    const searchError = validateSearch(config);
+    if (searchError) return searchError;
+    if (mode === 'single' && config.budgetMin > config.budgetMax) return 'Min Budget must be ≤ Max Budget.';
+    return null;
+}
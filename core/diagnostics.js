@@ -0,0 +1,66 @@
+// ============================================================
+// Rejection diagnostics. Every generator labels the check that
+// rejected each attempt; a run that falls back reports how many
+// attempts each check rejected and which single check, relaxed,
+// would have let the most attempts through.
+// ============================================================
+
+// Rejected attempts replayed when looking for the best relaxation
+const RELAXATION_SAMPLE = 1000;
+
+// Empty tally for one generator run
+export function rejectionTally() {
+    return { counts: new Map(), rejected: [] };
+}
+
+// Attempt number `attempt` was rejected by the check labelled `check`.
+// Only the first RELAXATION_SAMPLE rejections are kept for the replay.
+export function recordRejection(tally, attempt, check) {
+    tally.counts.set(check, (tally.counts.get(check) || 0) + 1);
+    if (tally.rejected.length < RELAXATION_SAMPLE) tally.rejected.push([attempt, check]);
+}
+
+// Funnel and best single relaxation of a failed run. `checks` lists the
+// check labels in the order they run. `retry(attempt, relaxed)` reruns an
+// attempt with the check labelled `relaxed` skipped and returns true when
+// it then passes. A check can only save an attempt when it is the first
+// one to reject it, so each sampled attempt is replayed once.
+// Returns { funnel: [{ check, rejected }], sampled, relaxation: { check, passing } | null }
+export function diagnoseRejections(tally, checks, retry) {
+    const funnel = checks
+        .filter(check => tally.counts.has(check))
+        .map(check => ({ check, rejected: tally.counts.get(check) }));
+
+    const sample = tally.rejected;
+    const passing = new Map();
+    sample.forEach(([attempt, check]) => {
+        if (retry(attempt, check)) passing.set(check, (passing.get(check) || 0) + 1);
+    });
+
+    let relaxation = null;
+    passing.forEach((count, check) => {
+        if (!relaxation || count > relaxation.passing) relaxation = { check, passing: count };
+    });
+    return { funnel, sampled: sample.length, relaxation };
+}
+
+// "9,812 rejected by high greedy < 97%; 188 rejected by low capacity (...).
+// Relaxing high greedy < 97% alone lets 41 of 1,000 replayed attempts through."
+export function rejectionText(diagnosis) {
+    const count = (n) => n.toLocaleString('en-US');
+    const funnel = diagnosis.funnel.map(f => `${count(f.rejected)} rejected by ${f.check}`).join('; ');
+    const { relaxation, sampled } = diagnosis;
+    const suggestion = relaxation
+        ? `Relaxing ${relaxation.check} alone lets ${count(relaxation.passing)} of ${count(sampled)} replayed attempts through.`
+        : `No single relaxation lets any of ${count(sampled)} replayed attempts through.`;
+    return `${funnel}. ${suggestion}`;
+}
+
+// Export fields of diagnoseRejections()
+export function rejectionsExport(diagnosis) {
+    return {
+        funnel: diagnosis.funnel.map(f => ({ check: f.check, rejected: f.rejected })),
+        replayed_attempts: diagnosis.sampled,
+        best_relaxation: diagnosis.relaxation && { check: diagnosis.relaxation.check, passing_attempts: diagnosis.relaxation.passing }
+    };
+}
@@ -0,0 +1,116 @@
+// ============================================================
+// Dual-budget instance generation (dual.html)
+// One item set, solved under each budget tier (low and high by default).
+// ============================================================
+
+import { distName } from './samplers.js';
+import { generateItems, CORRELATION_NAMES, isLinearCorrelation, hasOwnValueDist, correlationParams, spearmanRho } from './items.js';
+import { solveKnapsack, alphaLevelsFor } from './solver.js';
+import { MAX_ATTEMPTS } from './capacity.js';
+import { attemptScore, localSearch } from './search.js';
+import { rejectionTally, recordRejection, diagnoseRejections, rejectionText, rejectionsExport } from './diagnostics.js';
+import { tierChecks, checkTierAttempt, tierResult, tierMidpoint, tierConstraints, tierSpecExport, tierResultExport, relationSpecExport, overlapsExport } from './tiers.js';
+
+// Iterate seeds until one item set satisfies the constraints of every tier.
+// Returns { seed, items, tiers, sahniKLimit, search, warning, rejections? }
+// with one tierResult() per tier. search { mode, steps } tells how the item
+// set was found (null on fallback); rejections (diagnoseRejections()) comes
+// with the warning.
+export function generateDualInstance(config) {
+    const baseSeed = config.seed;
+    const alphaLevels = alphaLevelsFor(config);
+    const seedFor = (attempt) => attempt === 0 ? baseSeed : baseSeed + '_' + attempt;
+    const checks = tierChecks(config);
+    const tally = rejectionTally();
+
+    const score = (candidate) => attemptScore(checkTierAttempt(candidate, config, checks), checks.all);
+
+    let items, found;
+    let usedSeed = baseSeed;
+    let warning = null;
+    let rejections = null;
+    let search = null;
+    // The search modes perturb the first near-miss only
+    let searched = config.searchMode === 'reroll';
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        usedSeed = seedFor(attempt);
+        items = generateItems(config, usedSeed);
+
+        // Valid capacity in every tier's budget range, honouring the tier
+        // relations, then greedy, forgiveness (Nα share) and min feasible
+        let check = checkTierAttempt(items, config, checks);
+        let steps = 0;
+        if (check.rejectedBy && check.excess !== undefined && !searched) {
+            searched = true;
+            const local = localSearch(items, score, config, usedSeed);
+            if (local) {
+                ({ items, steps } = local);
+                check = checkTierAttempt(items, config, checks);
+            }
+        }
+        if (check.rejectedBy) {
+            recordRejection(tally, attempt, check.rejectedBy);
+            continue;
+        }
+
+        found = check.found;
+        search = { mode: steps > 0 ? config.searchMode : 'reroll', steps };
+        break;
+    }
+
+    if (!found) {
+        rejections = diagnoseRejections(tally, checks.all, (attempt, relaxed) =>
+            !checkTierAttempt(generateItems(config, seedFor(attempt)), config, checks, {}, relaxed).rejectedBy);
+
+        // Fallback: use base seed, pick midpoints
+        usedSeed = baseSeed;
+        items = generateItems(config, usedSeed);
+        found = config.tiers.map(t => {
+            const capacity = tierMidpoint(t, items);
+            return { capacity, sol: solveKnapsack(items, capacity), sahniK: null };
+        });
+
+        const constraints = tierConstraints(config.tiers, config.forgivenessAlpha, config.tierRelations);
+        warning = `Could not satisfy constraints (${constraints.join(', ')}) after ${MAX_ATTEMPTS} attempts. Showing result for base seed. ${rejectionText(rejections)}`;
+    }
+
+    return {
+        seed: usedSeed,
+        items,
+        // Sahni-k, greedy ratio and Nα for display
+        tiers: config.tiers.map((t, i) => tierResult(items, t, found[i].capacity, found[i].sol, found[i].sahniK, config.sahniKLimit, alphaLevels)),
+        sahniKLimit: config.sahniKLimit,
+        search,
+        warning,
+        ...(rejections ? { rejections } : {})
+    };
+}
+
+// Build the JSON export object for a dual-budget result
+export function buildDualExport(config, result) {
+    const exportData = {
+        problem: '0/1 knapsack (dual budget)',
+        n_items: config.nItems,
+        seed: result.seed,
+        seed_requested: config.seed,
+        tiers: config.tiers.map((t, i) => ({ ...tierSpecExport(t), optimal: tierResultExport(result.tiers[i]) })),
+        tier_relations: config.tierRelations.map(relationSpecExport),
+        overlaps: overlapsExport(result.tiers),
+        search: result.search,
+        sahni_k_limit: config.sahniKLimit,
+        price_dist: { name: distName(config.weightDist, config.weightInt), params: config.weightParams },
+        value_dist: hasOwnValueDist(config.correlation) ? { name: distName(config.valueDist, config.valueInt), params: config.valueParams } : null,
+        correlation: { mode: CORRELATION_NAMES[config.correlation], alpha: isLinearCorrelation(config.correlation) ? config.alpha : null, noise_sd: isLinearCorrelation(config.correlation) ? config.noiseSd : null, params: correlationParams(config.correlation, config.weightDist, config.weightParams, config.weightInt, config.valueInt, config.copulaRho), realized_spearman: spearmanRho(result.items) },
+        ratio_spread: config.ratioSpread,
+        integer_ratios: config.integerRatios,
+        items: result.items
+    };
+
+    if (result.warning) {
+        exportData.warning = result.warning;
+        exportData.rejections = rejectionsExport(result.rejections);
+    }
+
+    return exportData;
+}
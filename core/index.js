@@ -0,0 +1,54 @@
+// ============================================================
+// Knapsack generator core — the single entry point shared by the
+// HTML pages and Node. Nothing in core/ touches the DOM.
+// ============================================================
+
+export { mulberry32, hashSeed, boxMuller } from './random.js';
+export {
+    sampleUniformInt, sampleNormalInt, sampleLognormalInt,
+    sampleUniformCont, sampleNormalCont, sampleLognormalCont,
+    gammaVariate, betaVariate, sampleGammaInt, sampleGammaCont, sampleBetaInt, sampleBetaCont,
+    sampleParetoInt, sampleParetoCont, empiricalSampler,
+    getSampler, distName
+} from './samplers.js';
+export {
+    CORRELATION_NAMES, QUANTITY_MODES, quantityVariant, isLinearCorrelation, hasOwnValueDist, classParams, correlationParams, spearmanRho, itemSpecExport,
+    generateCategoryItems, applyRatioSpread,
+    applyIntegerRatios, applyFractionRatios, generateItems, generateCategorizedItems
+} from './items.js';
+export {
+    buildKnapsackTable, solveKnapsack, countOptimalSolutions, greedyValue, greedyRatio,
+    computeSahniK, DEFAULT_SAHNI_K_LIMIT, quantityOf, totalWeight, hasChoiceClasses, hasQuantities, countBundleStats, MAX_COUNT_WORK, alphaLevelsFor, nAlphaShare
+} from './solver.js';
+export { MAX_ATTEMPTS, budgetTable, optimalSizeRange, capacityCandidates, sahniKRangeCheck, sahniKInRange, findCapacityInRange, checkBudget } from './capacity.js';
+export {
+    findTierCapacities, tierOverlaps, tierChecks, checkTierAttempt, tierResult, tierMidpoint, tierConstraints, difficultyTexts,
+    tierSpecExport, relationSpecExport, overlapsExport, tierResultExport
+} from './tiers.js';
+export {
+    RULES_MAX_ITEMS, hasRuleDensity, hasItemRules, applyItemRules, rulePairs, itemRulesText, renumberItems,
+    solveRuleKnapsack, ruleKnapsackTable, countRuleOptimal, countRuleBundles, ruleGreedyValue, computeRuleSahniK
+} from './rules.js';
+export {
+    QUADRATIC_MAX_ITEMS, hasPairDensity, hasPairValues, applyPairBonuses, pairBonusMatrix, pairBonusList, itemPairsText, pairBonusExport,
+    pairSubsetValue, solvePairKnapsack, pairKnapsackTable, countPairOptimal, countPairAlpha, pairGreedyValue, computePairSahniK
+} from './quadratic.js';
+export { SEARCH_MODES, missBy, rangeMissBy, attemptScore, localSearch, searchText } from './search.js';
+export { rejectionTally, recordRejection, diagnoseRejections, rejectionText, rejectionsExport } from './diagnostics.js';
+export { generateInstance } from './single.js';
+export {
+    MULTI_MAX_ITEMS, applyResourceCosts, budgetVector, solveMultiKnapsack, multiGreedyValue, multiGreedyRatio,
+    computeMultiSahniK, drawBudgets, generateMultiInstance
+} from './multidim.js';
+export { generateDualInstance, buildDualExport } from './dual.js';
+export {
+    instanceSeedFor, stratumFor, stratumConfig, generateTieredInstance, generateBatchInstanceAt, generateBatchInstance,
+    shareText, countText, sahniKText, nAlphaParts, formatTierLine, formatBatchInstanceBlock, buildBatchExport
+} from './batch.js';
+export {
+    categoryCounts, generateSpecificInstance, formatSpecificInstanceBlock, buildSpecificExport
+} from './specific.js';
+export {
+    MODES, DEFAULT_CONFIGS, RELATION_OVERLAPS, normalizeConfig, validateConfig, validateAlphaLevels, validateSahniK, validateDifficultyRanges, validateDistributions, validateGroups, validateTiers, validateStrata, validateQuantities, validateItemRules, validatePairBonuses, validateResources, validateSizes, validateSearch,
+    parseNumberList, parsePercentList, parsePercentBound
+} from './config.js';
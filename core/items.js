@@ -0,0 +1,417 @@
+// ============================================================
+// Item generation: price/value sampling, correlation, ratio
+// shaping and the premium / item-group variants.
+// ============================================================
+
+import { mulberry32, hashSeed, boxMuller } from './random.js';
+import { getSampler, sampleUniformInt, distName } from './samplers.js';
+import { hasRuleDensity, applyItemRules } from './rules.js';
+import { hasPairDensity, applyPairBonuses } from './quadratic.js';
+
+export const CORRELATION_NAMES = {
+    'independent': 'Independent',
+    'positive': 'PositiveLinear',
+    'negative': 'NegativeLinear',
+    'copula': 'GaussianCopula',
+    'weak': 'WeaklyCorrelated',
+    'strong': 'StronglyCorrelated',
+    'inverse_strong': 'InverseStronglyCorrelated',
+    'almost_strong': 'AlmostStronglyCorrelated',
+    'subset_sum': 'SubsetSum',
+    'similar_weights': 'UncorrelatedSimilarWeights',
+    'spanner_uncorrelated': 'SpannerUncorrelated',
+    'spanner_weak': 'SpannerWeaklyCorrelated',
+    'spanner_strong': 'SpannerStronglyCorrelated',
+    'profit_ceiling': 'ProfitCeiling',
+    'circle': 'Circle'
+};
+
+// How many copies of each item a batch instance may take:
+//   zero_one   one (the 0/1 knapsack)
+//   bounded    up to a max quantity drawn per item from [quantityMin, quantityMax]
+//   unbounded  any number
+export const QUANTITY_MODES = ['zero_one', 'bounded', 'unbounded'];
+
+// Knapsack variant of a batch config: 'unbounded', 'bounded' (also when
+// the premium items collapse into one bounded item) or '0/1'
+export function quantityVariant(config) {
+    if (config.quantityMode === 'unbounded') return 'unbounded';
+    if (config.quantityMode === 'bounded' || (config.premiumAsQuantity && config.premiumCount > 1)) return 'bounded';
+    return '0/1';
+}
+
+// Modes whose values are alpha * price (or maxPrice - price) + noise
+export function isLinearCorrelation(correlation) {
+    return correlation === 'positive' || correlation === 'negative';
+}
+
+// Modes that draw values from the value distribution
+export function hasOwnValueDist(correlation) {
+    return correlation === 'independent' || correlation === 'copula';
+}
+
+// ---- Gaussian copula ----
+
+// Pearson correlation of the latent normals giving Spearman rho
+function copulaNormalCorrelation(rho) {
+    return 2 * Math.sin(Math.PI * rho / 6);
+}
+
+// Ranks 0..n-1 of `xs` (ties broken by position)
+function ranks(xs) {
+    const order = xs.map((_, i) => i).sort((a, b) => xs[a] - xs[b]);
+    const r = new Array(xs.length);
+    order.forEach((idx, k) => { r[idx] = k; });
+    return r;
+}
+
+// Couple independently drawn prices and values through a Gaussian copula:
+// both samples are sorted and handed out by the ranks of correlated normals,
+// so each keeps its own marginal.
+function applyCopula(rng, items, rho) {
+    const r = copulaNormalCorrelation(rho);
+    const z1 = [], z2 = [];
+    for (let i = 0; i < items.length; i++) {
+        const a = boxMuller(rng);
+        z1.push(a);
+        z2.push(r * a + Math.sqrt(1 - r * r) * boxMuller(rng));
+    }
+    const weights = items.map(it => it.weight).sort((a, b) => a - b);
+    const values = items.map(it => it.value).sort((a, b) => a - b);
+    const r1 = ranks(z1), r2 = ranks(z2);
+    items.forEach((it, i) => {
+        it.weight = weights[r1[i]];
+        it.value = values[r2[i]];
+    });
+}
+
+// Spearman rank correlation of price and value (average ranks for ties,
+// 4 decimals); premium items are skipped. Null for fewer than two items or
+// constant prices/values.
+export function spearmanRho(allItems) {
+    const items = allItems.filter(it => !it.premium);
+    const n = items.length;
+    if (n < 2) return null;
+    const avgRanks = (xs) => {
+        const order = xs.map((_, i) => i).sort((a, b) => xs[a] - xs[b]);
+        const r = new Array(n);
+        for (let i = 0; i < n;) {
+            let j = i;
+            while (j + 1 < n && xs[order[j + 1]] === xs[order[i]]) j++;
+            for (let k = i; k <= j; k++) r[order[k]] = (i + j) / 2;
+            i = j + 1;
+        }
+        return r;
+    };
+    const rw = avgRanks(items.map(it => it.weight));
+    const rv = avgRanks(items.map(it => it.value));
+    const mean = (n - 1) / 2;
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxy += (rw[i] - mean) * (rv[i] - mean);
+        sxx += (rw[i] - mean) ** 2;
+        syy += (rv[i] - mean) ** 2;
+    }
+    return sxx > 0 && syy > 0 ? parseFloat((sxy / Math.sqrt(sxx * syy)).toFixed(4)) : null;
+}
+
+// Exported `correlation.params`: copula settings or the Pisinger class
+// parameters; null for the independent / linear modes
+export function correlationParams(correlation, weightDist, weightParams, weightInt, valueInt, copulaRho) {
+    if (correlation === 'copula') return { target_spearman: copulaRho, normal_correlation: parseFloat(copulaNormalCorrelation(copulaRho).toFixed(4)) };
+    return classParams(correlation, weightDist, weightParams, weightInt, valueInt);
+}
+
+// Exported price / value distributions, correlation and ratio shaping of
+// a single-page config, with the realised rank correlation of `items`
+export function itemSpecExport(config, items) {
+    return {
+        price_dist: {
+            name: distName(config.weightDist, config.weightInt),
+            params: config.weightParams
+        },
+        value_dist: hasOwnValueDist(config.correlation) ? {
+            name: distName(config.valueDist, config.valueInt),
+            params: config.valueParams
+        } : null,
+        correlation: {
+            mode: CORRELATION_NAMES[config.correlation],
+            alpha: isLinearCorrelation(config.correlation) ? config.alpha : null,
+            noise_sd: isLinearCorrelation(config.correlation) ? config.noiseSd : null,
+            params: correlationParams(config.correlation, config.weightDist, config.weightParams, config.weightInt, config.valueInt, config.copulaRho),
+            realized_spearman: spearmanRho(items)
+        },
+        ratio_spread: config.ratioSpread,
+        integer_ratios: config.integerRatios
+    };
+}
+
+// ---- Pisinger instance classes ----
+// Standard hard classes from Pisinger, "Where are the hard knapsack
+// problems?" (2005), with the paper's constants. Prices come from the price
+// distribution and play the role of w in [1, R]; R is the top of that range.
+
+const SPANNER_ITEMS = 2;
+const SPANNER_MULTIPLIER_MAX = 10;
+const PROFIT_CEILING_D = 3;
+const CIRCLE_D = 2 / 3;
+
+function round2(x) {
+    return parseFloat(x.toFixed(2));
+}
+
+// R: the upper bound (uniform / beta max, largest empirical entry), mean + 3 sd
+// for normal and gamma, e^(mu + 3 sigma) for lognormal, the 99.9% quantile for Pareto
+function priceRange(weightDist, weightParams, weightInt) {
+    let r;
+    switch (weightDist) {
+        case 'uniform': r = weightParams.max; break;
+        case 'normal': r = weightParams.mean + 3 * weightParams.sd; break;
+        case 'lognormal': r = Math.exp(weightParams.mu + 3 * weightParams.sigma); break;
+        case 'gamma': r = weightParams.shape * weightParams.scale + 3 * Math.sqrt(weightParams.shape) * weightParams.scale; break;
+        case 'beta': r = weightParams.max; break;
+        case 'pareto': r = weightParams.xm * Math.pow(1000, 1 / weightParams.alpha); break;
+        case 'empirical': r = Math.max(...weightParams.values); break;
+    }
+    return weightInt ? Math.round(r) : round2(r);
+}
+
+// Parameters of a Pisinger class as recorded in exports, or null for the
+// independent / linear modes. Offsets and spreads are at least 1 for integer values.
+export function classParams(correlation, weightDist, weightParams, weightInt, valueInt) {
+    if (!(correlation in CORRELATION_NAMES) || hasOwnValueDist(correlation) || isLinearCorrelation(correlation)) return null;
+    const R = priceRange(weightDist, weightParams, weightInt);
+    const step = (x) => valueInt ? Math.max(1, Math.round(x)) : round2(x);
+    const spanner = (base, extra) => ({ range: R, base, spanner_items: SPANNER_ITEMS, multiplier_max: SPANNER_MULTIPLIER_MAX, ...extra });
+    switch (correlation) {
+        case 'weak': return { range: R, spread: step(R / 10) };
+        case 'strong': return { range: R, offset: step(R / 10) };
+        case 'inverse_strong': return { range: R, offset: step(R / 10) };
+        case 'almost_strong': return { range: R, offset: step(R / 10), spread: step(R / 500) };
+        case 'subset_sum': return {};
+        case 'similar_weights': return { range: R, weight_min: 100 * R, weight_max: 100 * R + step(R / 10) };
+        case 'spanner_uncorrelated': return spanner('uncorrelated', {});
+        case 'spanner_weak': return spanner('weak', { spread: step(R / 10) });
+        case 'spanner_strong': return spanner('strong', { offset: step(R / 10) });
+        case 'profit_ceiling': return { d: PROFIT_CEILING_D };
+        case 'circle': return { range: R, d: CIRCLE_D };
+    }
+}
+
+// Items of a Pisinger class; `params` comes from classParams()
+function generateClassItems(rng, count, weightSampler, weightInt, valueInt, correlation, params) {
+    const R = params.range;
+    // Uniform draw in [lo, hi], integer when isInt
+    const between = (lo, hi, isInt) => isInt ? sampleUniformInt(rng, Math.ceil(lo), Math.floor(hi)) : round2(lo + rng() * (hi - lo));
+    // Value for price w under the uncorrelated / weak / strong rule
+    const baseValue = (base, w) => {
+        if (base === 'uncorrelated') return between(1, R, valueInt);
+        if (base === 'weak') return between(w - params.spread, w + params.spread, valueInt);
+        return w + params.offset;
+    };
+    const fix = (x, isInt) => Math.max(isInt ? 1 : 0.01, isInt ? Math.round(x) : round2(x));
+
+    const items = [];
+    if (params.base) {
+        // Spanner: a few normalized spanner items, each item a multiple of one
+        const m = params.multiplier_max;
+        const scale = (x, isInt) => isInt ? Math.ceil(2 * x / m) : Math.max(0.01, round2(2 * x / m));
+        const spanners = [];
+        for (let k = 0; k < params.spanner_items; k++) {
+            const w = weightSampler(rng);
+            spanners.push({ weight: scale(w, weightInt), value: scale(Math.max(1, baseValue(params.base, w)), valueInt) });
+        }
+        for (let i = 0; i < count; i++) {
+            const sp = spanners[Math.floor(rng() * spanners.length)];
+            const a = sampleUniformInt(rng, 1, m);
+            items.push({ id: 0, weight: fix(a * sp.weight, weightInt), value: fix(a * sp.value, valueInt) });
+        }
+        return items;
+    }
+
+    for (let i = 0; i < count; i++) {
+        let w = correlation === 'similar_weights' ? between(params.weight_min, params.weight_max, weightInt) : weightSampler(rng);
+        let value;
+        switch (correlation) {
+            case 'weak': value = baseValue('weak', w); break;
+            case 'strong': value = baseValue('strong', w); break;
+            case 'inverse_strong': value = w; w += params.offset; break;
+            case 'almost_strong': value = between(w + params.offset - params.spread, w + params.offset + params.spread, valueInt); break;
+            case 'subset_sum': value = w; break;
+            case 'similar_weights': value = baseValue('uncorrelated', w); break;
+            case 'profit_ceiling': value = params.d * Math.ceil(w / params.d); break;
+            case 'circle': value = params.d * Math.sqrt(Math.max(0, 4 * R * R - (w - 2 * R) ** 2)); break;
+        }
+        items.push({ id: 0, weight: fix(w, weightInt), value: fix(value, valueInt) });
+    }
+    return items;
+}
+
+// Generate `count` items from one price distribution, with values either drawn
+// independently (optionally coupled through a Gaussian copula), derived from
+// the price (positive / negative linear) or following one of the Pisinger classes.
+export function generateCategoryItems(rng, count, weightDist, weightParams, weightInt, valueDist, valueParams, valueInt, correlation, alpha, noiseSd, copulaRho) {
+    const weightSampler = getSampler(weightDist, weightParams, weightInt);
+
+    const params = classParams(correlation, weightDist, weightParams, weightInt, valueInt);
+    if (params) return generateClassItems(rng, count, weightSampler, weightInt, valueInt, correlation, params);
+
+    const valueSampler = getSampler(valueDist, valueParams, valueInt);
+
+    const items = [];
+    let maxWeight = 0;
+
+    // First pass: generate weights
+    for (let i = 0; i < count; i++) {
+        const weight = weightSampler(rng);
+        items.push({ id: 0, weight, value: 0 });
+        maxWeight = Math.max(maxWeight, weight);
+    }
+
+    // Second pass: generate values based on correlation
+    for (let i = 0; i < count; i++) {
+        let value;
+        if (hasOwnValueDist(correlation)) {
+            value = valueSampler(rng);
+        } else if (correlation === 'positive') {
+            value = alpha * items[i].weight + noiseSd * boxMuller(rng);
+            value = valueInt ? Math.round(value) : parseFloat(value.toFixed(2));
+        } else if (correlation === 'negative') {
+            value = alpha * (maxWeight - items[i].weight) + noiseSd * boxMuller(rng);
+            value = valueInt ? Math.round(value) : parseFloat(value.toFixed(2));
+        }
+        items[i].value = Math.max(valueInt ? 1 : 0.01, value);
+    }
+
+    if (correlation === 'copula') applyCopula(rng, items, copulaRho);
+
+    return items;
+}
+
+// Compress/stretch V/P ratios around their mean (medium = no change)
+export function applyRatioSpread(items, ratioSpread, valueInt) {
+    if (ratioSpread === 'medium' || items.length === 0) return;
+    const lambda = ratioSpread === 'low' ? 0.3 : 2.0;
+    const ratios = items.map(it => it.value / it.weight);
+    const meanRatio = ratios.reduce((a, b) => a + b, 0) / ratios.length;
+
+    for (let i = 0; i < items.length; i++) {
+        const clampedRatio = Math.max(0.01, meanRatio + lambda * (ratios[i] - meanRatio));
+        const newValue = clampedRatio * items[i].weight;
+        items[i].value = valueInt ? Math.max(1, Math.round(newValue)) : Math.max(0.01, parseFloat(newValue.toFixed(2)));
+    }
+}
+
+// Integer ratios: round each value to nearest multiple of its price
+export function applyIntegerRatios(items) {
+    for (let i = 0; i < items.length; i++) {
+        const ratio = Math.max(1, Math.round(items[i].value / items[i].weight));
+        items[i].value = ratio * items[i].weight;
+    }
+}
+
+// Fraction ratios: ensure no item has an integer value/price ratio
+export function applyFractionRatios(items) {
+    for (let i = 0; i < items.length; i++) {
+        const ratio = items[i].value / items[i].weight;
+        if (Number.isInteger(ratio)) {
+            // Nudge value by +1 or -1 to break the integer ratio
+            items[i].value = Math.max(1, items[i].value + 1);
+            // If still integer (unlikely), nudge the other way
+            if (Number.isInteger(items[i].value / items[i].weight)) {
+                items[i].value = Math.max(1, items[i].value - 2);
+            }
+        }
+    }
+}
+
+// Generate raw items (no capacity logic). Optional premium items
+// (config.premiumCount identical copies) are injected at random positions;
+// with config.premiumAsQuantity they are one item of that quantity.
+// config.quantityMode sets the regular items' quantities, and
+// config.conflictDensity / precedenceDensity draw rules between items.
+export function generateItems(config, seedStr) {
+    const rng = mulberry32(hashSeed(seedStr));
+
+    const premiumCount = config.premiumCount || 0;
+    const regularCount = config.nItems - premiumCount;
+
+    const regularItems = generateCategoryItems(
+        rng, regularCount,
+        config.weightDist, config.weightParams, config.weightInt,
+        config.valueDist, config.valueParams, config.valueInt,
+        config.correlation, config.alpha, config.noiseSd, config.copulaRho
+    );
+
+    // Ratio shaping applies to regular items only
+    applyRatioSpread(regularItems, config.ratioSpread, config.valueInt);
+    if (config.integerRatios) applyIntegerRatios(regularItems);
+    if (config.fractionRatios && !config.integerRatios) applyFractionRatios(regularItems);
+
+    // Merge: insert premium items at random positions among regular items
+    const items = [...regularItems];
+    const premiumItems = config.premiumAsQuantity ? Math.min(premiumCount, 1) : premiumCount;
+    for (let i = 0; i < premiumItems; i++) {
+        const pos = Math.floor(rng() * (items.length + 1));
+        const quantity = config.premiumAsQuantity && premiumCount > 1 ? { quantity: premiumCount } : {};
+        items.splice(pos, 0, { id: 0, weight: config.premiumPrice, value: config.premiumValue, premium: true, ...quantity });
+    }
+
+    if (config.quantityMode === 'bounded') {
+        regularItems.forEach(it => { it.quantity = sampleUniformInt(rng, config.quantityMin, config.quantityMax); });
+    } else if (config.quantityMode === 'unbounded') {
+        regularItems.forEach(it => { it.quantity = Infinity; });
+    }
+
+    // Assign final sequential IDs
+    for (let i = 0; i < items.length; i++) {
+        items[i].id = i + 1;
+    }
+
+    if (hasRuleDensity(config)) applyItemRules(items, config, seedStr);
+    if (hasPairDensity(config)) applyPairBonuses(items, config, seedStr);
+    return items;
+}
+
+// Generate items from the config's item groups, each from its own
+// distribution, then shuffle them together. Items carry their group's
+// name as `category`. With config.onePerGroup the groups are the classes
+// of a multiple-choice knapsack: items also carry it as `choiceClass`
+// and stay in group order, one block per class.
+export function generateCategorizedItems(config, seedStr) {
+    const rng = mulberry32(hashSeed(seedStr));
+
+    const groupItems = config.groups.map(g => {
+        const items = generateCategoryItems(
+            rng, g.count,
+            g.weightDist, g.weightParams, g.weightInt,
+            g.valueDist, g.valueParams, g.valueInt,
+            g.correlation, g.alpha, g.noiseSd, g.copulaRho
+        );
+        items.forEach(it => it.category = g.name);
+        return items;
+    });
+
+    // Ratio shaping within each group separately
+    config.groups.forEach((g, i) => applyRatioSpread(groupItems[i], config.ratioSpread, g.valueInt));
+    if (config.integerRatios) groupItems.forEach(applyIntegerRatios);
+    if (config.fractionRatios && !config.integerRatios) groupItems.forEach(applyFractionRatios);
+
+    // Merge and Fisher-Yates shuffle
+    const items = groupItems.flat();
+    if (config.onePerGroup) {
+        items.forEach(it => { it.choiceClass = it.category; });
+    } else {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+    }
+
+    // Assign sequential IDs
+    for (let i = 0; i < items.length; i++) {
+        items[i].id = i + 1;
+    }
+
+    return items;
+}
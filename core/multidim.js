@@ -0,0 +1,344 @@
+// ============================================================
+// Multidimensional 0/1 knapsack (index.html with extra
+// resources). Besides its price, every item costs some amount of
+// each resource (time, calories, ...), the budget becomes one
+// budget per dimension, and a subset is feasible when it fits all
+// of them at once. The exact solver is branch and bound, so the
+// mode is limited to small n.
+// ============================================================
+
+import { mulberry32, hashSeed } from './random.js';
+import { getSampler, sampleUniformInt, distName } from './samplers.js';
+import { generateItems, itemSpecExport } from './items.js';
+import { DEFAULT_SAHNI_K_LIMIT } from './solver.js';
+import { EPS, tidy } from './numeric.js';
+import { optimalSizeRange, sahniKRangeCheck, MAX_ATTEMPTS } from './capacity.js';
+import { rangeMissBy, attemptScore, localSearch } from './search.js';
+import { difficultyTexts } from './tiers.js';
+import { rejectionTally, recordRejection, diagnoseRejections, rejectionText, rejectionsExport } from './diagnostics.js';
+
+// Most items an instance with extra resources may have
+export const MULTI_MAX_ITEMS = 40;
+
+// Item costs drawn from each resource's distribution, as `costs` (one
+// entry per resource). They come from their own seed stream, so prices
+// and values match those of the same seed without resources.
+export function applyResourceCosts(items, resources, seedStr) {
+    const rng = mulberry32(hashSeed(seedStr + '_resources'));
+    const samplers = resources.map(r => getSampler(r.costDist, r.costParams, r.costInt));
+    items.forEach(it => { it.costs = samplers.map(sample => sample(rng)); });
+    return items;
+}
+
+// Budget vector of an exported instance: price, then each resource
+export function budgetVector(instance) {
+    return [instance.budget, ...instance.resources.map(r => r.budget)];
+}
+
+// Costs per dimension (price first) and values of `items`
+function dimensions(items) {
+    return {
+        costs: items.map(it => [it.weight, ...it.costs]),
+        values: items.map(it => it.value)
+    };
+}
+
+function fits(cost, rem) {
+    return cost.every((c, d) => c <= rem[d] + EPS);
+}
+
+// Multi-resource greedy order, best first: value over the item's load,
+// the sum of its costs as shares of each dimension's budget
+function efficiencyOrder(costs, values, budgets) {
+    const load = costs.map(cost => cost.reduce((s, c, d) => s + c / budgets[d], 0));
+    return values.map((_, i) => i).sort((a, b) => values[b] / load[b] - values[a] / load[a]);
+}
+
+// For each dimension, item indices by value per unit of its cost
+function dimensionOrders(costs, values, budgets) {
+    return budgets.map((_, d) => values.map((_, i) => i).sort((a, b) => values[b] / costs[b][d] - values[a] / costs[a][d]));
+}
+
+// Pack the items not in `skip` in `order` wherever they fit in `rem`
+function greedyFill(order, costs, values, rem, skip) {
+    const room = [...rem];
+    let value = 0;
+    for (const i of order) {
+        if (skip[i] || !fits(costs[i], room)) continue;
+        costs[i].forEach((c, d) => { room[d] -= c; });
+        value += values[i];
+    }
+    return value;
+}
+
+// Upper bound on what the items not in `skip` can add within `rem`: the
+// fractional knapsack of each dimension alone, whichever is smallest
+function fractionalBound(dimOrders, costs, values, skip, rem) {
+    let bound = Infinity;
+    dimOrders.forEach((order, d) => {
+        let room = rem[d];
+        let value = 0;
+        for (const i of order) {
+            if (skip[i]) continue;
+            if (costs[i][d] <= room) {
+                value += values[i];
+                room -= costs[i][d];
+            } else {
+                value += values[i] * Math.max(0, room) / costs[i][d];
+                break;
+            }
+        }
+        bound = Math.min(bound, value);
+    });
+    return bound;
+}
+
+// Solve the multidimensional knapsack exactly by branch and bound over the
+// greedy order, pruning with fractionalBound(). `budgets` holds the price
+// budget, then one per resource. Returns { value, weight, costs[], count,
+// items[] } with costs the selected items' total of each resource.
+export function solveMultiKnapsack(items, budgets) {
+    const n = items.length;
+    const { costs, values } = dimensions(items);
+    const order = efficiencyOrder(costs, values, budgets);
+    const dimOrders = dimensionOrders(costs, values, budgets);
+    const decided = new Uint8Array(n);
+    const rem = [...budgets];
+    const chosen = [];
+    let best = -1, bestSet = [];
+
+    // Decide the item at greedy position `pos`: take it first (when it fits), then leave it
+    function branch(pos, value) {
+        if (value > best + EPS) {
+            best = value;
+            bestSet = [...chosen];
+        }
+        if (pos === n) return;
+        if (value + fractionalBound(dimOrders, costs, values, decided, rem) <= best + EPS) return;
+        const i = order[pos];
+        decided[i] = 1;
+        if (fits(costs[i], rem)) {
+            costs[i].forEach((c, d) => { rem[d] -= c; });
+            chosen.push(i);
+            branch(pos + 1, value + values[i]);
+            chosen.pop();
+            costs[i].forEach((c, d) => { rem[d] += c; });
+        }
+        branch(pos + 1, value);
+        decided[i] = 0;
+    }
+    branch(0, 0);
+
+    const selected = bestSet.sort((a, b) => a - b).map(i => items[i]);
+    return {
+        value: tidy(selected.reduce((s, it) => s + it.value, 0)),
+        weight: tidy(selected.reduce((s, it) => s + it.weight, 0)),
+        costs: budgets.slice(1).map((_, r) => tidy(selected.reduce((s, it) => s + it.costs[r], 0))),
+        count: selected.length,
+        items: selected
+    };
+}
+
+// Multi-resource greedy: pack items by value over load (efficiencyOrder())
+// wherever they fit every budget
+export function multiGreedyValue(items, budgets) {
+    const { costs, values } = dimensions(items);
+    return tidy(greedyFill(efficiencyOrder(costs, values, budgets), costs, values, budgets, new Uint8Array(items.length)));
+}
+
+// Greedy value as a fraction of OPT (0 when OPT is 0)
+export function multiGreedyRatio(items, budgets, optValue) {
+    return optValue > 0 ? multiGreedyValue(items, budgets) / optValue : 0;
+}
+
+// Sahni-k with the multi-resource greedy: the minimum k such that forcing
+// some k items into the knapsack and greedily filling the rest reaches the
+// optimal value. Returns null when k would exceed maxK.
+export function computeMultiSahniK(items, budgets, optimalValue, maxK = DEFAULT_SAHNI_K_LIMIT) {
+    const n = items.length;
+    const { costs, values } = dimensions(items);
+    const order = efficiencyOrder(costs, values, budgets);
+    const dimOrders = dimensionOrders(costs, values, budgets);
+    const forced = new Uint8Array(n);
+
+    // Force `left` more items from greedy positions >= start, cutting
+    // branches that don't fit or can't reach the optimum
+    function search(left, start, rem, forcedValue) {
+        if (left === 0) return forcedValue + greedyFill(order, costs, values, rem, forced) >= optimalValue - EPS;
+        if (forcedValue + fractionalBound(dimOrders, costs, values, forced, rem) + EPS < optimalValue) return false;
+        for (let p = start; p <= n - left; p++) {
+            const i = order[p];
+            if (!fits(costs[i], rem)) continue;
+            forced[i] = 1;
+            const found = search(left - 1, p + 1, rem.map((r, d) => r - costs[i][d]), forcedValue + values[i]);
+            forced[i] = 0;
+            if (found) return true;
+        }
+        return false;
+    }
+
+    for (let k = 0; k <= Math.min(n, maxK); k++) {
+        if (search(k, 0, budgets, 0)) return k;
+    }
+    return null;
+}
+
+// Budget ranges of a config: price, then each resource
+function budgetRanges(config) {
+    return [[config.budgetMin, config.budgetMax], ...config.resources.map(r => [r.budgetMin, r.budgetMax])];
+}
+
+// Budget vector of one attempt: each budget drawn uniformly from its range,
+// below the items' total cost in that dimension so it binds. Null when a
+// range lies wholly at or above that total.
+export function drawBudgets(items, config, seedStr) {
+    const rng = mulberry32(hashSeed(seedStr + '_budgets'));
+    const { costs } = dimensions(items);
+    const budgets = [];
+    for (const [d, [min, max]] of budgetRanges(config).entries()) {
+        const total = costs.reduce((s, cost) => s + cost[d], 0);
+        const lo = Math.max(1, min);
+        const hi = Math.min(max, Math.ceil(total) - 1);
+        if (lo > hi) return null;
+        budgets.push(sampleUniformInt(rng, lo, hi));
+    }
+    return budgets;
+}
+
+// generateInstance() for a config with extra resources: iterate seeds until
+// the optimal-size, Sahni-k and greedy filters pass under the attempt's
+// budget vector. Unique-optimum and Nα / feasible filters count subsets
+// under a single budget and are rejected by validateResources().
+export function generateMultiInstance(config) {
+    const baseSeed = config.seed;
+    let usedSeed = baseSeed;
+    let items, budgets, sol;
+    let foundGreedyRatio = null;
+    let warning = null;
+    let found = false;
+
+    const difficulty = difficultyTexts(config, config.forgivenessAlpha);
+    const [optMin, optMax] = optimalSizeRange(config.optimalSize);
+
+    // Checks as named in the rejection diagnostics, in the order they run (null when off)
+    const budgetTexts = [];
+    if (config.optimalSize !== 'no_filter') budgetTexts.push(`optimal = ${config.optimalSize} items`);
+    if (difficulty.sahniK !== null) budgetTexts.push(difficulty.sahniK);
+    const checks = {
+        budgets: `budgets (${budgetTexts.length > 0 ? budgetTexts.join(', ') : 'below the total costs'})`,
+        greedy: difficulty.greedy
+    };
+    const checkOrder = Object.values(checks).filter(c => c !== null);
+    const active = (check, relaxed) => check !== null && check !== relaxed;
+
+    const seedFor = (attempt) => attempt === 0 ? baseSeed : baseSeed + '_' + attempt;
+    const itemsFor = (seed) => applyResourceCosts(generateItems(config, seed), config.resources, seed);
+
+    // Run one item set through the checks under `budgets`, as in
+    // generateInstance(): { rejectedBy, sol, greedyRatio } when every check
+    // passes, else { rejectedBy, excess }
+    const checkAttempt = (items, budgets, relaxed = null) => {
+        const rejected = (check, excess = undefined) => ({ rejectedBy: check, excess });
+        if (!budgets) return rejected(checks.budgets);
+
+        const sol = solveMultiKnapsack(items, budgets);
+        if (active(checks.budgets, relaxed)) {
+            if (optMin !== null && (sol.count < optMin || sol.count > optMax)) return rejected(checks.budgets);
+            const sahni = sahniKRangeCheck((maxK) => computeMultiSahniK(items, budgets, sol.value, maxK), config.sahniKMin, config.sahniKMax);
+            if (!sahni.ok) return rejected(checks.budgets);
+        }
+
+        const ratio = multiGreedyRatio(items, budgets, sol.value);
+        const greedyMiss = active(checks.greedy, relaxed) && sol.value > 0 ? rangeMissBy(ratio, config.greedyMin, config.greedyMax, 0, 1) : null;
+        if (greedyMiss !== null) return rejected(checks.greedy, greedyMiss);
+
+        return { rejectedBy: null, sol, greedyRatio: ratio };
+    };
+
+    const tally = rejectionTally();
+    let search = null;
+    // The search modes perturb the first near-miss only
+    let searched = config.searchMode === 'reroll';
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        usedSeed = seedFor(attempt);
+        items = itemsFor(usedSeed);
+        budgets = drawBudgets(items, config, usedSeed);
+
+        let check = checkAttempt(items, budgets);
+        let steps = 0;
+        if (check.rejectedBy && check.excess !== undefined && !searched) {
+            searched = true;
+            const local = localSearch(items, (candidate) => attemptScore(checkAttempt(candidate, budgets), checkOrder), config, usedSeed);
+            if (local) {
+                ({ items, steps } = local);
+                check = checkAttempt(items, budgets);
+            }
+        }
+        if (check.rejectedBy) {
+            recordRejection(tally, attempt, check.rejectedBy);
+            continue;
+        }
+
+        ({ sol, greedyRatio: foundGreedyRatio } = check);
+        search = { mode: steps > 0 ? config.searchMode : 'reroll', steps };
+        found = true;
+        break;
+    }
+
+    let rejections = null;
+    if (!found) {
+        rejections = diagnoseRejections(tally, checkOrder, (attempt, relaxed) => {
+            const seed = seedFor(attempt);
+            const attemptItems = itemsFor(seed);
+            return !checkAttempt(attemptItems, drawBudgets(attemptItems, config, seed), relaxed).rejectedBy;
+        });
+
+        // Fallback: use base seed, each budget as high in its range as stays below the total
+        usedSeed = baseSeed;
+        items = itemsFor(usedSeed);
+        const { costs } = dimensions(items);
+        budgets = budgetRanges(config).map(([min, max], d) => {
+            const total = costs.reduce((s, cost) => s + cost[d], 0);
+            return Math.max(1, min, Math.min(max, Math.ceil(total) - 1));
+        });
+        sol = solveMultiKnapsack(items, budgets);
+        foundGreedyRatio = multiGreedyRatio(items, budgets, sol.value);
+
+        const constraints = [];
+        if (config.optimalSize !== 'no_filter') constraints.push(`${config.optimalSize} items in optimal`);
+        if (difficulty.sahniK !== null) constraints.push(difficulty.sahniK);
+        if (difficulty.greedy !== null) constraints.push(`${difficulty.greedy} of OPT`);
+        warning = `Could not satisfy constraints (${constraints.join(', ')}) after ${MAX_ATTEMPTS} attempts. Showing result for base seed. ${rejectionText(rejections)}`;
+    }
+
+    const result = {
+        problem: '0/1 multidimensional knapsack',
+        n_items: config.nItems,
+        budget: budgets[0],
+        budget_range: [config.budgetMin, config.budgetMax],
+        // One entry per extra resource, in the order of each item's `costs`
+        resources: config.resources.map((r, i) => ({
+            name: r.name,
+            budget: budgets[i + 1],
+            budget_range: [r.budgetMin, r.budgetMax],
+            cost_dist: { name: distName(r.costDist, r.costInt), params: r.costParams }
+        })),
+        seed: usedSeed,
+        seed_requested: baseSeed,
+        ...itemSpecExport(config, items),
+        target_sahni_k: [config.sahniKMin, config.sahniKMax],
+        sahni_k_limit: config.sahniKLimit,
+        greedy_ratio: foundGreedyRatio,
+        optimal_value: sol.value,
+        // How the item set was found (null on fallback): { mode, steps }
+        search,
+        items
+    };
+
+    if (warning) {
+        result.warning = warning;
+        result.rejections = rejectionsExport(rejections);
+    }
+
+    return result;
+}
@@ -0,0 +1,14 @@
+// ============================================================
+// Float helpers for the solvers that work on 2-decimal prices and
+// values directly instead of scaling them to integers (extra
+// resources, item rules, pair bonuses). A leaf module: it imports
+// nothing, so every solver can use it without import cycles.
+// ============================================================
+
+// Slack for comparing sums of 2-decimal prices, costs and values
+export const EPS = 1e-6;
+
+// Such a sum without the float noise
+export function tidy(x) {
+    return parseFloat(x.toFixed(6));
+}
@@ -0,0 +1,312 @@
+// ============================================================
+// Quadratic knapsack (index.html): pair bonuses. Besides its own
+// value, a pair of items bought together adds a bonus ("worth more
+// together"). Items carry them as `synergies`, a list of [id, bonus]
+// that both items of a pair hold. A subset is worth its items'
+// values plus the bonuses of the pairs inside it. The solver routes
+// these instances here: exact branch and bound, so they are limited
+// to small n.
+// ============================================================
+
+import { mulberry32, hashSeed } from './random.js';
+import { getSampler, distName } from './samplers.js';
+import { EPS, tidy } from './numeric.js';
+
+// Most items an instance with pair bonuses may have
+export const QUADRATIC_MAX_ITEMS = 25;
+
+// Most search nodes the Nα count visits; past it the counts stop early
+// (lower bounds, reported as estimates)
+const MAX_COUNT_NODES = 2000000;
+
+// Does the config ask for pair bonuses?
+export function hasPairDensity(config) {
+    return config.pairDensity > 0;
+}
+
+// Do the items carry pair bonuses?
+export function hasPairValues(items) {
+    return items.some(it => it.synergies !== undefined);
+}
+
+// Random pair bonuses between `items`, from their own seed stream so prices
+// and values match those of the same seed without bonuses. Each pair gets a
+// bonus with probability config.pairDensity, drawn from config.pairDist.
+export function applyPairBonuses(items, config, seedStr) {
+    const rng = mulberry32(hashSeed(seedStr + '_pairs'));
+    const sample = getSampler(config.pairDist, config.pairParams, config.pairInt);
+    items.forEach(it => { it.synergies = []; });
+    items.forEach((a, i) => items.slice(i + 1).forEach(b => {
+        if (rng() < config.pairDensity) {
+            const bonus = sample(rng);
+            a.synergies.push([b.id, bonus]);
+            b.synergies.push([a.id, bonus]);
+        }
+    }));
+    return items;
+}
+
+// Pair bonuses as an n × n symmetric matrix in item order (0 = no bonus)
+export function pairBonusMatrix(items) {
+    const index = new Map(items.map((it, i) => [it.id, i]));
+    const matrix = items.map(() => items.map(() => 0));
+    items.forEach((it, i) => (it.synergies || []).forEach(([id, bonus]) => {
+        matrix[i][index.get(id)] = bonus;
+    }));
+    return matrix;
+}
+
+// Pair bonuses as [a, b, bonus] with a < b, by item id
+export function pairBonusList(items) {
+    const pairs = [];
+    items.forEach(it => (it.synergies || []).forEach(([id, bonus]) => {
+        if (it.id < id) pairs.push([it.id, id, bonus]);
+    }));
+    return pairs.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+}
+
+// One item's bonuses as displayed: "3:+12 7:+5"
+export function itemPairsText(item) {
+    return (item.synergies || []).map(([id, bonus]) => `${id}:+${bonus}`).join(' ');
+}
+
+// JSON export of the bonus settings and matrix (single page)
+export function pairBonusExport(config, items) {
+    return {
+        pair_density: config.pairDensity,
+        pair_dist: { name: distName(config.pairDist, config.pairInt), params: config.pairParams },
+        // pair_bonus[i][j]: bonus of items[i] and items[j] bought together
+        pair_bonus: pairBonusMatrix(items)
+    };
+}
+
+// Index view of an instance, items by potential (value plus every bonus,
+// per price) best first: { order, w, v, adj } with adj[p] the [position,
+// bonus] pairs of position p
+function pairInstance(items) {
+    const bonusSum = (it) => (it.synergies || []).reduce((s, [, bonus]) => s + bonus, 0);
+    const order = items.map((_, i) => i).sort((a, b) =>
+        ((items[b].value + bonusSum(items[b])) / items[b].weight) - ((items[a].value + bonusSum(items[a])) / items[a].weight)
+    );
+    const position = new Map(order.map((idx, p) => [items[idx].id, p]));
+    return {
+        order,
+        w: order.map(idx => items[idx].weight),
+        v: order.map(idx => items[idx].value),
+        adj: order.map(idx => (items[idx].synergies || []).map(([id, bonus]) => [position.get(id), bonus]))
+    };
+}
+
+// Fractional-knapsack bound on what the `open` positions can add in remCap,
+// each worth profit[p] (an upper bound on what it adds to any subset)
+function fillBound(inst, open, profit, remCap) {
+    const sorted = [...open].sort((a, b) => profit[b] / inst.w[b] - profit[a] / inst.w[a]);
+    let value = 0;
+    for (const p of sorted) {
+        if (profit[p] <= 0) continue;
+        if (inst.w[p] <= remCap + EPS) {
+            value += profit[p];
+            remCap -= inst.w[p];
+        } else {
+            return value + profit[p] * Math.max(0, remCap) / inst.w[p];
+        }
+    }
+    return value;
+}
+
+// Depth-first search over the feasible subsets, deciding positions in
+// order: take a position (when it fits), then leave it. gain[p] is what
+// taking p adds (its value plus its bonuses with the taken positions) and
+// rest[p] its bonuses with the undecided ones. A completion adds its
+// positions' gains plus the bonuses of its own pairs, half of each pair
+// going to either end, so gain + rest / 2 per position bounds it. `visit(value, taken)` sees every feasible
+// subset, the empty one included; a branch is cut when its bound falls
+// below `floor(value)`. Returns false when it stopped after maxNodes nodes.
+function searchSubsets(inst, capacity, floor, visit, maxNodes = Infinity) {
+    const n = inst.w.length;
+    const taken = new Uint8Array(n);
+    const gain = Float64Array.from(inst.v);
+    const rest = Float64Array.from(inst.adj.map(list => list.reduce((s, [, bonus]) => s + bonus, 0)));
+    const profit = new Float64Array(n);
+    let nodes = 0;
+
+    function branch(p, value, remCap) {
+        if (++nodes > maxNodes) return false;
+        if (p === n) {
+            visit(value, taken);
+            return true;
+        }
+        const open = [];
+        for (let q = p; q < n; q++) {
+            open.push(q);
+            profit[q] = gain[q] + rest[q] / 2;
+        }
+        if (value + fillBound(inst, open, profit, remCap) + EPS < floor(value)) return true;
+
+        // Either way, p's bonuses with the later positions stop being undecided
+        inst.adj[p].forEach(([q, bonus]) => { rest[q] -= bonus; });
+        let complete = true;
+        if (inst.w[p] <= remCap + EPS) {
+            taken[p] = 1;
+            inst.adj[p].forEach(([q, bonus]) => { gain[q] += bonus; });
+            complete = branch(p + 1, value + gain[p], remCap - inst.w[p]);
+            inst.adj[p].forEach(([q, bonus]) => { gain[q] -= bonus; });
+            taken[p] = 0;
+        }
+        if (complete) complete = branch(p + 1, value, remCap);
+        inst.adj[p].forEach(([q, bonus]) => { rest[q] += bonus; });
+        return complete;
+    }
+    return branch(0, 0, capacity);
+}
+
+// Value of a subset: its items' values plus the bonuses of its pairs
+export function pairSubsetValue(items) {
+    const ids = new Set(items.map(it => it.id));
+    const bonuses = items.reduce((s, it) =>
+        s + (it.synergies || []).reduce((t, [id, bonus]) => t + (ids.has(id) ? bonus : 0), 0), 0);
+    return tidy(items.reduce((s, it) => s + it.value, 0) + bonuses / 2);
+}
+
+// Optimal bundle with pair bonuses: { value, weight, count, items[] }
+export function solvePairKnapsack(items, capacity) {
+    const inst = pairInstance(items);
+    // The greedy value is a floor from the start; anything found is at least as good
+    let best = greedyFill(inst, new Uint8Array(items.length), Float64Array.from(inst.v), capacity) - 2 * EPS;
+    let bestTaken = [];
+    searchSubsets(inst, capacity, () => best, (value, taken) => {
+        if (value > best + EPS) {
+            best = value;
+            bestTaken = inst.order.filter((_, p) => taken[p] === 1);
+        }
+    });
+    const selected = bestTaken.sort((a, b) => a - b).map(i => items[i]);
+    return {
+        value: pairSubsetValue(selected),
+        weight: tidy(selected.reduce((s, it) => s + it.weight, 0)),
+        count: selected.length,
+        items: selected
+    };
+}
+
+// buildKnapsackTable() with pair bonuses: each capacity is solved on first use
+export function pairKnapsackTable(items, maxCapacity) {
+    const solved = new Map();
+    const solutionAt = (capacity) => {
+        if (capacity > maxCapacity) throw new RangeError(`Capacity ${capacity} exceeds table size ${maxCapacity}`);
+        if (!solved.has(capacity)) solved.set(capacity, solvePairKnapsack(items, capacity));
+        return solved.get(capacity);
+    };
+    return {
+        maxCapacity,
+        valueAt: (capacity) => solutionAt(capacity).value,
+        solutionAt
+    };
+}
+
+// Number of feasible subsets reaching the optimal value
+export function countPairOptimal(items, capacity) {
+    const inst = pairInstance(items);
+    const optimal = solvePairKnapsack(items, capacity).value;
+    let count = 0;
+    searchSubsets(inst, capacity, () => optimal, (value) => {
+        if (value >= optimal - EPS) count++;
+    });
+    return count;
+}
+
+// Nα counts with pair bonuses: { nAlpha, exact }. Only the subsets that
+// can reach the lowest α are visited; exact is false when the search hit
+// MAX_COUNT_NODES, the counts then being lower bounds.
+export function countPairAlpha(items, capacity, optValue, alphaPercents) {
+    const inst = pairInstance(items);
+    const reaching = alphaPercents.map(() => 0);
+    const lowest = Math.min(...alphaPercents) * optValue / 100;
+    const exact = alphaPercents.length === 0 || searchSubsets(inst, capacity, () => lowest, (value) => {
+        alphaPercents.forEach((alpha, i) => {
+            if (value * 100 >= alpha * optValue - EPS) reaching[i]++;
+        });
+    }, MAX_COUNT_NODES);
+    // Drop the empty subset (it only reaches an α line that sits at 0)
+    const nAlpha = {};
+    alphaPercents.forEach((alpha, i) => {
+        nAlpha[alpha] = reaching[i] - (alpha * optValue <= EPS ? 1 : 0);
+    });
+    return { nAlpha, exact };
+}
+
+// Pack open positions into remCap, each step taking the one that adds the
+// most per unit of price (its value plus its bonuses with what is taken);
+// returns the value added. `taken` and `gain` are left as they were.
+function greedyFill(inst, taken, gain, remCap) {
+    const n = inst.w.length;
+    const inBag = Uint8Array.from(taken);
+    const adds = Float64Array.from(gain);
+    let value = 0;
+    for (;;) {
+        let best = -1;
+        for (let p = 0; p < n; p++) {
+            if (inBag[p] || inst.w[p] > remCap + EPS) continue;
+            if (best < 0 || adds[p] / inst.w[p] > adds[best] / inst.w[best]) best = p;
+        }
+        if (best < 0) return value;
+        inBag[best] = 1;
+        value += adds[best];
+        remCap -= inst.w[best];
+        inst.adj[best].forEach(([q, bonus]) => { adds[q] += bonus; });
+    }
+}
+
+// Greedy with pair bonuses: repeatedly add the item that fits and adds the
+// most value (own value plus bonuses with the items already in) per price
+export function pairGreedyValue(items, capacity) {
+    const inst = pairInstance(items);
+    return tidy(greedyFill(inst, new Uint8Array(items.length), Float64Array.from(inst.v), capacity));
+}
+
+// Sahni-k with pair bonuses: the minimum k such that forcing k items and
+// filling the rest with pairGreedyValue()'s greedy reaches the optimal
+// value. Returns null when k would exceed maxK.
+export function computePairSahniK(items, capacity, optimalValue, maxK) {
+    const n = items.length;
+    const inst = pairInstance(items);
+    const taken = new Uint8Array(n);
+    const gain = Float64Array.from(inst.v);
+    const setTaken = (p, on) => {
+        taken[p] = on ? 1 : 0;
+        inst.adj[p].forEach(([q, bonus]) => { gain[q] += on ? bonus : -bonus; });
+    };
+
+    // Bound on what the positions not forced can add in remCap
+    const openBound = (remCap) => {
+        const open = [];
+        const profit = new Float64Array(n);
+        for (let p = 0; p < n; p++) {
+            if (taken[p]) continue;
+            open.push(p);
+            profit[p] = gain[p] + inst.adj[p].reduce((s, [q, bonus]) => s + (taken[q] ? 0 : bonus), 0) / 2;
+        }
+        return fillBound(inst, open, profit, remCap);
+    };
+
+    // Force `left` more items from positions >= start, cutting branches
+    // that don't fit or can't reach the optimum
+    function search(left, start, remCap, forcedValue) {
+        if (left === 0) return forcedValue + greedyFill(inst, taken, gain, remCap) >= optimalValue - EPS;
+        if (forcedValue + openBound(remCap) + EPS < optimalValue) return false;
+        for (let p = start; p <= n - left; p++) {
+            if (inst.w[p] > remCap + EPS) continue;
+            const value = gain[p];
+            setTaken(p, true);
+            const found = search(left - 1, p + 1, remCap - inst.w[p], forcedValue + value);
+            setTaken(p, false);
+            if (found) return true;
+        }
+        return false;
+    }
+
+    for (let k = 0; k <= Math.min(n, maxK); k++) {
+        if (search(k, 0, capacity, 0)) return k;
+    }
+    return null;
+}
@@ -0,0 +1,32 @@
+// ============================================================
+// Seeded randomness shared by every generator.
+// ============================================================
+
+// Seeded PRNG (Mulberry32)
+export function mulberry32(seed) {
+    return function() {
+        let t = seed += 0x6D2B79F5;
+        t = Math.imul(t ^ t >>> 15, t | 1);
+        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+// Convert string seed to integer
+export function hashSeed(seed) {
+    if (typeof seed === 'number') return Math.floor(seed);
+    let hash = 0;
+    for (let i = 0; i < seed.length; i++) {
+        const char = seed.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash;
+    }
+    return Math.abs(hash);
+}
+
+// Box-Muller transform for normal distribution
+export function boxMuller(rng) {
+    const u1 = rng();
+    const u2 = rng();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
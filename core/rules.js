@@ -0,0 +1,296 @@
+// ============================================================
+// Item rules (index.html, batch.html): conflicts ("items 3 and 7
+// cannot both be bought") and precedences ("item 5 requires item
+// 2"). Items carry them as `conflicts` and `requires`, lists of
+// item ids. A subset is feasible when it fits the budget, holds
+// no conflicting pair and holds every item its items require.
+// The solver routes rule instances here: exact branch and bound,
+// and counts by enumerating the feasible subsets, so the rules
+// are limited to small n.
+// ============================================================
+
+import { mulberry32, hashSeed } from './random.js';
+import { EPS, tidy } from './numeric.js';
+
+// Most items an instance with rules may have
+export const RULES_MAX_ITEMS = 20;
+
+// Does the config ask for rules?
+export function hasRuleDensity(config) {
+    return config.conflictDensity > 0 || config.precedenceDensity > 0;
+}
+
+// Do the items carry rules?
+export function hasItemRules(items) {
+    return items.some(it => it.conflicts !== undefined);
+}
+
+// Random rules between `items`, from their own seed stream so prices and
+// values match those of the same seed without rules. Each pair of items
+// conflicts with probability config.conflictDensity; each pair that does
+// not is a precedence with probability config.precedenceDensity, the
+// later item of a random order requiring the earlier (so no cycles).
+export function applyItemRules(items, config, seedStr) {
+    const rng = mulberry32(hashSeed(seedStr + '_rules'));
+    const rank = items.map(() => rng());
+    items.forEach(it => {
+        it.conflicts = [];
+        it.requires = [];
+    });
+    items.forEach((a, i) => items.slice(i + 1).forEach((b, k) => {
+        const j = i + 1 + k;
+        if (rng() < config.conflictDensity) {
+            a.conflicts.push(b.id);
+            b.conflicts.push(a.id);
+        } else if (rng() < config.precedenceDensity) {
+            if (rank[i] > rank[j]) a.requires.push(b.id);
+            else b.requires.push(a.id);
+        }
+    }));
+    return items;
+}
+
+// Rules as id pairs: { conflicts: [[a, b]] with a < b, precedences:
+// [[a, b]] where a requires b }
+export function rulePairs(items) {
+    const conflicts = [];
+    const precedences = [];
+    items.forEach(it => {
+        (it.conflicts || []).forEach(id => { if (it.id < id) conflicts.push([it.id, id]); });
+        (it.requires || []).forEach(id => precedences.push([it.id, id]));
+    });
+    conflicts.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+    precedences.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+    return { conflicts, precedences };
+}
+
+// One item's rules as displayed: "✕3 ✕7 →2" (conflicts, then requires)
+export function itemRulesText(item) {
+    return [...(item.conflicts || []).map(id => `✕${id}`), ...(item.requires || []).map(id => `→${id}`)].join(' ');
+}
+
+// Number the items 1..n in their current order, carrying the rules along
+export function renumberItems(items) {
+    const renamed = new Map(items.map((it, j) => [it.id, j + 1]));
+    items.forEach(it => {
+        it.id = renamed.get(it.id);
+        if (it.conflicts) it.conflicts = it.conflicts.map(id => renamed.get(id));
+        if (it.requires) it.requires = it.requires.map(id => renamed.get(id));
+    });
+    return items;
+}
+
+// Index view of an instance, items in greedy (value/price ratio) order:
+// { order, w, v, conflicts, requires, requiredBy } with the rule lists
+// as positions in that order
+function ruleInstance(items) {
+    const order = items.map((_, i) => i).sort((a, b) =>
+        (items[b].value / items[b].weight) - (items[a].value / items[a].weight)
+    );
+    const position = new Map(order.map((idx, p) => [items[idx].id, p]));
+    const at = (ids) => (ids || []).map(id => position.get(id));
+    const requires = order.map(idx => at(items[idx].requires));
+    const requiredBy = order.map(() => []);
+    requires.forEach((list, p) => list.forEach(q => requiredBy[q].push(p)));
+    return {
+        order,
+        w: order.map(idx => items[idx].weight),
+        v: order.map(idx => items[idx].value),
+        conflicts: order.map(idx => at(items[idx].conflicts)),
+        requires,
+        requiredBy
+    };
+}
+
+// Fractional-knapsack bound on what positions >= from, not in `taken`,
+// can add in remCap (the rules relaxed)
+function fillBound(inst, from, remCap, taken) {
+    let value = 0;
+    for (let p = from; p < inst.w.length; p++) {
+        if (taken && taken[p]) continue;
+        if (inst.w[p] <= remCap + EPS) {
+            value += inst.v[p];
+            remCap -= inst.w[p];
+        } else {
+            return value + inst.v[p] * Math.max(0, remCap) / inst.w[p];
+        }
+    }
+    return value;
+}
+
+// Depth-first search over the feasible subsets, deciding positions in
+// greedy order: take a position (when it fits, conflicts with nothing
+// taken and requires nothing left out), then leave it (when nothing taken
+// requires it). `visit(value, taken)` sees every feasible subset, the
+// empty one included; a branch is cut when its fractional bound falls
+// below `floor(value)`.
+function searchSubsets(inst, capacity, floor, visit) {
+    const n = inst.w.length;
+    // 0 undecided, 1 taken, 2 left out
+    const state = new Uint8Array(n);
+    // Taken positions whose requirement is not taken yet
+    let pending = 0;
+
+    function branch(p, value, remCap) {
+        if (p === n) {
+            if (pending === 0) visit(value, state);
+            return;
+        }
+        if (value + fillBound(inst, p, remCap, null) + EPS < floor(value)) return;
+        if (inst.w[p] <= remCap + EPS && !inst.conflicts[p].some(q => state[q] === 1) && !inst.requires[p].some(q => state[q] === 2)) {
+            const opened = inst.requires[p].filter(q => state[q] !== 1).length;
+            const closed = inst.requiredBy[p].filter(q => state[q] === 1).length;
+            state[p] = 1;
+            pending += opened - closed;
+            branch(p + 1, value + inst.v[p], remCap - inst.w[p]);
+            pending -= opened - closed;
+        }
+        if (!inst.requiredBy[p].some(q => state[q] === 1)) {
+            state[p] = 2;
+            branch(p + 1, value, remCap);
+        }
+        state[p] = 0;
+    }
+    branch(0, 0, capacity);
+}
+
+// Optimal bundle under the rules: { value, weight, count, items[] }
+export function solveRuleKnapsack(items, capacity) {
+    const inst = ruleInstance(items);
+    let best = -1, bestTaken = [];
+    searchSubsets(inst, capacity, () => best, (value, state) => {
+        if (value > best + EPS) {
+            best = value;
+            bestTaken = inst.order.filter((_, p) => state[p] === 1);
+        }
+    });
+    const selected = bestTaken.sort((a, b) => a - b).map(i => items[i]);
+    return {
+        value: tidy(selected.reduce((s, it) => s + it.value, 0)),
+        weight: tidy(selected.reduce((s, it) => s + it.weight, 0)),
+        count: selected.length,
+        items: selected
+    };
+}
+
+// buildKnapsackTable() under the rules: each capacity is solved on first use
+export function ruleKnapsackTable(items, maxCapacity) {
+    const solved = new Map();
+    const solutionAt = (capacity) => {
+        if (capacity > maxCapacity) throw new RangeError(`Capacity ${capacity} exceeds table size ${maxCapacity}`);
+        if (!solved.has(capacity)) solved.set(capacity, solveRuleKnapsack(items, capacity));
+        return solved.get(capacity);
+    };
+    return {
+        maxCapacity,
+        valueAt: (capacity) => solutionAt(capacity).value,
+        solutionAt
+    };
+}
+
+// Number of feasible subsets reaching the optimal value
+export function countRuleOptimal(items, capacity) {
+    const inst = ruleInstance(items);
+    const optimal = solveRuleKnapsack(items, capacity).value;
+    let count = 0;
+    searchSubsets(inst, capacity, () => optimal, (value) => {
+        if (value >= optimal - EPS) count++;
+    });
+    return count;
+}
+
+// countBundleStats() under the rules: every feasible subset is visited,
+// so the counts are exact
+export function countRuleBundles(items, capacity, optValue, alphaPercents) {
+    const inst = ruleInstance(items);
+    let feasible = 0;
+    const reaching = alphaPercents.map(() => 0);
+    searchSubsets(inst, capacity, () => 0, (value) => {
+        feasible++;
+        alphaPercents.forEach((alpha, i) => {
+            if (value * 100 >= alpha * optValue - EPS) reaching[i]++;
+        });
+    });
+    // Drop the empty subset (it only reaches an α line that sits at 0)
+    const nAlpha = {};
+    alphaPercents.forEach((alpha, i) => {
+        nAlpha[alpha] = reaching[i] - (alpha * optValue <= EPS ? 1 : 0);
+    });
+    return { feasible: feasible - 1, nAlpha, exact: true };
+}
+
+// Try to add position p to `taken` together with everything it requires
+// (transitively) that is not taken yet: all of it must fit in remCap and
+// conflict with nothing taken or added. Returns the positions added, or
+// null (taken is left as it was).
+function addWithRequirements(inst, p, taken, remCap) {
+    const added = [];
+    const stack = [p];
+    let weight = 0;
+    while (stack.length > 0) {
+        const q = stack.pop();
+        if (taken[q] || added.includes(q)) continue;
+        added.push(q);
+        weight += inst.w[q];
+        stack.push(...inst.requires[q]);
+    }
+    const clash = added.some(q => inst.conflicts[q].some(r => taken[r] || added.includes(r)));
+    if (clash || weight > remCap + EPS) return null;
+    added.forEach(q => { taken[q] = 1; });
+    return added;
+}
+
+// Pack positions in greedy order into remCap, each with its requirements;
+// returns the value added. `taken` is updated.
+function greedyFill(inst, taken, remCap) {
+    let value = 0;
+    for (let p = 0; p < inst.w.length; p++) {
+        if (taken[p]) continue;
+        const added = addWithRequirements(inst, p, taken, remCap);
+        if (!added) continue;
+        added.forEach(q => {
+            value += inst.v[q];
+            remCap -= inst.w[q];
+        });
+    }
+    return value;
+}
+
+// Greedy under the rules: by value/price ratio, each item together with
+// the items it requires, skipping those that conflict or don't fit
+export function ruleGreedyValue(items, capacity) {
+    const inst = ruleInstance(items);
+    return tidy(greedyFill(inst, new Uint8Array(items.length), capacity));
+}
+
+// Sahni-k under the rules: the minimum k such that forcing k items (each
+// with the items it requires) and filling the rest with ruleGreedyValue()'s
+// greedy reaches the optimal value. Returns null when k would exceed maxK.
+export function computeRuleSahniK(items, capacity, optimalValue, maxK) {
+    const n = items.length;
+    const inst = ruleInstance(items);
+    const taken = new Uint8Array(n);
+
+    // Force `left` more items from positions >= start, cutting branches
+    // that don't fit or can't reach the optimum
+    function search(left, start, remCap, forcedValue) {
+        if (left === 0) return forcedValue + greedyFill(inst, Uint8Array.from(taken), remCap) >= optimalValue - EPS;
+        if (forcedValue + fillBound(inst, 0, remCap, taken) + EPS < optimalValue) return false;
+        for (let p = start; p <= n - left; p++) {
+            if (taken[p]) continue;
+            const added = addWithRequirements(inst, p, taken, remCap);
+            if (!added) continue;
+            const weight = added.reduce((s, q) => s + inst.w[q], 0);
+            const value = added.reduce((s, q) => s + inst.v[q], 0);
+            const found = search(left - 1, p + 1, remCap - weight, forcedValue + value);
+            added.forEach(q => { taken[q] = 0; });
+            if (found) return true;
+        }
+        return false;
+    }
+
+    for (let k = 0; k <= Math.min(n, maxK); k++) {
+        if (search(k, 0, capacity, 0)) return k;
+    }
+    return null;
+}
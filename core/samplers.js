@@ -0,0 +1,166 @@
+// ============================================================
+// Price / value distribution samplers
+// ============================================================
+
+import { boxMuller } from './random.js';
+
+// Distribution samplers — integer variants (>= 1)
+export function sampleUniformInt(rng, min, max) {
+    return Math.floor(rng() * (max - min + 1)) + min;
+}
+
+export function sampleNormalInt(rng, mean, sd) {
+    let val;
+    do {
+        val = Math.round(mean + sd * boxMuller(rng));
+    } while (val <= 0);
+    return val;
+}
+
+export function sampleLognormalInt(rng, mu, sigma) {
+    let val;
+    do {
+        const normal = boxMuller(rng);
+        val = Math.round(Math.exp(mu + sigma * normal));
+    } while (val <= 0);
+    return val;
+}
+
+// Distribution samplers — continuous variants (> 0, rounded to 2 dp)
+export function sampleUniformCont(rng, min, max) {
+    const val = min + rng() * (max - min);
+    return Math.max(0.01, parseFloat(val.toFixed(2)));
+}
+
+export function sampleNormalCont(rng, mean, sd) {
+    let val;
+    do {
+        val = mean + sd * boxMuller(rng);
+    } while (val <= 0);
+    return parseFloat(val.toFixed(2));
+}
+
+export function sampleLognormalCont(rng, mu, sigma) {
+    const normal = boxMuller(rng);
+    const val = Math.exp(mu + sigma * normal);
+    return parseFloat(Math.max(0.01, val).toFixed(2));
+}
+
+// ---- Gamma / beta / Pareto / empirical ----
+
+// Gamma(shape, scale) via Marsaglia-Tsang; shape < 1 is boosted to shape + 1
+// and scaled back by U^(1/shape)
+export function gammaVariate(rng, shape, scale) {
+    if (shape < 1) return gammaVariate(rng, shape + 1, scale) * Math.pow(rng(), 1 / shape);
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        let x, v;
+        do {
+            x = boxMuller(rng);
+            v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        if (Math.log(rng()) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v * scale;
+    }
+}
+
+// Beta(a, b) in [0, 1] from two gamma draws
+export function betaVariate(rng, a, b) {
+    const x = gammaVariate(rng, a, 1);
+    const y = gammaVariate(rng, b, 1);
+    return x / (x + y);
+}
+
+export function sampleGammaInt(rng, shape, scale) {
+    let val;
+    do {
+        val = Math.round(gammaVariate(rng, shape, scale));
+    } while (val <= 0);
+    return val;
+}
+
+export function sampleGammaCont(rng, shape, scale) {
+    return parseFloat(Math.max(0.01, gammaVariate(rng, shape, scale)).toFixed(2));
+}
+
+// Beta(a, b) stretched onto [min, max]
+export function sampleBetaInt(rng, a, b, min, max) {
+    return Math.max(1, Math.round(min + (max - min) * betaVariate(rng, a, b)));
+}
+
+export function sampleBetaCont(rng, a, b, min, max) {
+    return parseFloat(Math.max(0.01, min + (max - min) * betaVariate(rng, a, b)).toFixed(2));
+}
+
+// Pareto with scale xm (the minimum) and tail index alpha
+export function sampleParetoInt(rng, xm, alpha) {
+    return Math.max(1, Math.round(xm / Math.pow(1 - rng(), 1 / alpha)));
+}
+
+export function sampleParetoCont(rng, xm, alpha) {
+    return parseFloat(Math.max(0.01, xm / Math.pow(1 - rng(), 1 / alpha)).toFixed(2));
+}
+
+// Draw from a pasted list of prices/values. Without replacement each entry
+// is used at most once per item set (one sampler is built per item set).
+export function empiricalSampler(values, replace, isInt) {
+    const fix = (v) => isInt ? Math.max(1, Math.round(v)) : parseFloat(Math.max(0.01, v).toFixed(2));
+    if (replace) return (rng) => fix(values[Math.floor(rng() * values.length)]);
+    const pool = [...values];
+    return (rng) => {
+        if (pool.length === 0) throw new Error(`Empirical list has only ${values.length} entries; sampling without replacement needs one per item.`);
+        const i = Math.floor(rng() * pool.length);
+        const v = pool[i];
+        pool[i] = pool[pool.length - 1];
+        pool.pop();
+        return fix(v);
+    };
+}
+
+// Get sampler function based on distribution type and integer flag
+export function getSampler(distType, params, isInt) {
+    if (isInt) {
+        switch (distType) {
+            case 'uniform': return (rng) => sampleUniformInt(rng, params.min, params.max);
+            case 'normal':  return (rng) => sampleNormalInt(rng, params.mean, params.sd);
+            case 'lognormal': return (rng) => sampleLognormalInt(rng, params.mu, params.sigma);
+            case 'gamma': return (rng) => sampleGammaInt(rng, params.shape, params.scale);
+            case 'beta': return (rng) => sampleBetaInt(rng, params.a, params.b, params.min, params.max);
+            case 'pareto': return (rng) => sampleParetoInt(rng, params.xm, params.alpha);
+        }
+    } else {
+        switch (distType) {
+            case 'uniform': return (rng) => sampleUniformCont(rng, params.min, params.max);
+            case 'normal':  return (rng) => sampleNormalCont(rng, params.mean, params.sd);
+            case 'lognormal': return (rng) => sampleLognormalCont(rng, params.mu, params.sigma);
+            case 'gamma': return (rng) => sampleGammaCont(rng, params.shape, params.scale);
+            case 'beta': return (rng) => sampleBetaCont(rng, params.a, params.b, params.min, params.max);
+            case 'pareto': return (rng) => sampleParetoCont(rng, params.xm, params.alpha);
+        }
+    }
+    if (distType === 'empirical') return empiricalSampler(params.values, params.replace, isInt);
+    throw new Error(`Unknown distribution: ${distType}`);
+}
+
+// [lowest, highest] value a distribution can draw (highest may be
+// Infinity), or null for an empirical list, whose draws are its entries
+export function distSupport(distType, params, isInt) {
+    const unit = isInt ? 1 : 0.01;
+    switch (distType) {
+        case 'uniform':
+        case 'beta': return [Math.max(unit, params.min), params.max];
+        case 'pareto': return [Math.max(unit, isInt ? Math.round(params.xm) : params.xm), Infinity];
+        case 'empirical': return null;
+    }
+    return [unit, Infinity];
+}
+
+// Distribution name mapping
+export function distName(type, isInt) {
+    const base = {
+        'uniform': 'Uniform', 'normal': 'Normal', 'lognormal': 'Lognormal',
+        'gamma': 'Gamma', 'beta': 'BetaScaled', 'pareto': 'Pareto', 'empirical': 'Empirical'
+    };
+    return base[type] + (isInt ? 'Int' : '');
+}
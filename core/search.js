@@ -0,0 +1,119 @@
+// ============================================================
+// Local search over item sets. Instead of re-rolling the seed
+// until the filters pass, the search modes take the first
+// near-miss item set (every budget scan passed, a difficulty
+// filter did not) and perturb its values until it passes.
+// Perturbations are drawn from the near-miss's seed, so results
+// stay deterministic.
+// ============================================================
+
+import { mulberry32, hashSeed } from './random.js';
+import { applyIntegerRatios, applyFractionRatios } from './items.js';
+import { distSupport } from './samplers.js';
+
+//   reroll      re-roll the seed only
+//   hill_climb  keep a perturbation only when it gets closer to passing
+//   anneal      simulated annealing: sometimes keep a worse one early on
+export const SEARCH_MODES = ['reroll', 'hill_climb', 'anneal'];
+
+// Annealing temperature at the first step, in score units (one check = 1);
+// it falls linearly to 0 at the last step
+const START_TEMPERATURE = 0.05;
+
+// Largest value nudge, as a share of the value
+const NUDGE_SHARE = 0.1;
+
+// How far `value` is past `limit`, as a share of the way from `limit` to
+// `worst`: in (0, 1], for the `excess` of a failed difficulty check
+export function missBy(value, limit, worst) {
+    const span = Math.abs(worst - limit);
+    return span > 0 ? Math.min(1, Math.max(Math.abs(value - limit) / span, 1e-6)) : 1;
+}
+
+// How far `value` falls outside [min, max] (a null end is open): missBy()
+// the broken end, toward `floor` below Min and `ceiling` above Max, or null
+// when it is inside
+export function rangeMissBy(value, min, max, floor, ceiling) {
+    if (min !== null && value < min) return missBy(value, min, floor);
+    if (max !== null && value > max) return missBy(value, max, ceiling);
+    return null;
+}
+
+// How far one checked attempt is from passing: 0 when every check
+// passed, else the number of checks after the failing one plus its
+// `excess`. Checks without an excess (budget scans, relations, item and
+// composition filters) score Infinity — a perturbation must not break them.
+// `checkOrder` lists the check labels in the order they run.
+export function attemptScore(check, checkOrder) {
+    if (!check.rejectedBy) return 0;
+    if (check.excess === undefined) return Infinity;
+    return checkOrder.length - checkOrder.indexOf(check.rejectedBy) - 1 + check.excess;
+}
+
+// Value distribution an item was drawn from: its group's in the specific
+// mode, else the config's
+function valueDistOf(item, config) {
+    const g = config.groups ? config.groups.find(g => g.name === item.category) : config;
+    return distSupport(g.valueDist, g.valueParams, g.valueInt);
+}
+
+// A copy of `items` with one random perturbation: nudge one item's value
+// by up to NUDGE_SHARE, kept inside its value distribution's support, or
+// swap the values of two items of the same group (the only move for an
+// empirical list). Premium items are left alone; integer / fraction ratios
+// are restored.
+function perturb(items, rng, config) {
+    const next = items.map(it => ({ ...it }));
+    const free = next.filter(it => !it.premium);
+    const pick = () => free[Math.floor(rng() * free.length)];
+    const changed = [pick()];
+
+    const partners = free.filter(it => it !== changed[0] && it.category === changed[0].category);
+    const support = valueDistOf(changed[0], config);
+    if ((rng() < 0.5 || !support) && partners.length > 0) {
+        const other = partners[Math.floor(rng() * partners.length)];
+        [changed[0].value, other.value] = [other.value, changed[0].value];
+        changed.push(other);
+    } else {
+        const it = changed[0];
+        const unit = config.integerRatios ? it.weight : Number.isInteger(it.value) ? 1 : 0.01;
+        const step = Math.max(unit, Math.round(it.value * NUDGE_SHARE * rng() / unit) * unit);
+        const value = it.value + (rng() < 0.5 ? -step : step);
+        if (support) it.value = Math.min(support[1], Math.max(support[0], unit, parseFloat(value.toFixed(2))));
+    }
+
+    if (config.integerRatios) applyIntegerRatios(changed);
+    else if (config.fractionRatios) applyFractionRatios(changed);
+    return next;
+}
+
+// Perturb the near-miss `start` for up to config.searchSteps steps under
+// config.searchMode. `score(items)` is attemptScore() of checking them.
+// Returns { items, steps } for the first perturbation that passes every
+// check, or null.
+export function localSearch(start, score, config, seed) {
+    const rng = mulberry32(hashSeed(seed + '_search'));
+    let current = start;
+    let currentScore = score(start);
+
+    for (let step = 1; step <= config.searchSteps; step++) {
+        const candidate = perturb(current, rng, config);
+        const candidateScore = score(candidate);
+        if (candidateScore === 0) return { items: candidate, steps: step };
+
+        const delta = candidateScore - currentScore;
+        const temperature = config.searchMode === 'anneal' ? START_TEMPERATURE * (1 - step / config.searchSteps) : 0;
+        if (delta <= 0 || (temperature > 0 && delta < Infinity && rng() < Math.exp(-delta / temperature))) {
+            current = candidate;
+            currentScore = candidateScore;
+        }
+    }
+    return null;
+}
+
+// "hill climb, 483 steps" for a result's search record, or null when the
+// seed's items were used as generated
+export function searchText(search) {
+    if (!search || search.steps === 0) return null;
+    return `${search.mode.replace('_', ' ')}, ${search.steps} step${search.steps === 1 ? '' : 's'}`;
+}
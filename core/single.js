@@ -0,0 +1,191 @@
+// ============================================================
+// Single-budget instance generation (index.html)
+// ============================================================
+
+import { generateItems, itemSpecExport } from './items.js';
+import { solveKnapsack, countOptimalSolutions, greedyRatio, countBundleStats, alphaLevelsFor, nAlphaShare } from './solver.js';
+import { findCapacityInRange, optimalSizeRange, MAX_ATTEMPTS } from './capacity.js';
+import { missBy, rangeMissBy, attemptScore, localSearch } from './search.js';
+import { difficultyTexts } from './tiers.js';
+import { rejectionTally, recordRejection, diagnoseRejections, rejectionText, rejectionsExport } from './diagnostics.js';
+import { generateMultiInstance } from './multidim.js';
+import { hasItemRules, rulePairs } from './rules.js';
+import { hasPairValues, pairBonusExport } from './quadratic.js';
+
+// Main generation: iterate seeds until all constraints are satisfied.
+// Returns the exported instance object (items + full metadata). Configs
+// with extra resources go to the multidimensional generator.
+export function generateInstance(config) {
+    if (config.resources && config.resources.length > 0) return generateMultiInstance(config);
+    const baseSeed = config.seed;
+    let usedSeed = baseSeed;
+    let items, capacity, optValue;
+    let foundGreedyRatio = null, foundStats = null, foundOptimalCount = null;
+    let warning = null;
+    let found = false;
+
+    // Sahni-k, greedy and forgiveness (Nα share) ranges; null when open
+    const difficulty = difficultyTexts(config, config.forgivenessAlpha);
+    const alphaLevels = alphaLevelsFor(config);
+
+    const [optMin, optMax] = optimalSizeRange(config.optimalSize);
+
+    // Checks as named in the rejection diagnostics, in the order they run (null when off)
+    const capacityTexts = [];
+    if (config.optimalSize !== 'no_filter') capacityTexts.push(`optimal = ${config.optimalSize} items`);
+    if (difficulty.sahniK !== null) capacityTexts.push(difficulty.sahniK);
+    const checks = {
+        capacity: `capacity (${capacityTexts.length > 0 ? capacityTexts.join(', ') : `budget ${config.budgetMin}–${config.budgetMax}`})`,
+        greedy: difficulty.greedy,
+        unique: config.uniqueOptimum ? 'unique optimum' : null,
+        forgiveness: difficulty.forgiveness,
+        minFeasible: config.minFeasible !== null ? `feasible ≥ ${config.minFeasible}` : null
+    };
+    const checkOrder = Object.values(checks).filter(c => c !== null);
+    const active = (check, relaxed) => check !== null && check !== relaxed;
+
+    // Run one item set through the checks, stopping at the first that rejects
+    // it. The check labelled `relaxed` lets it through instead (a relaxed
+    // capacity takes the middle of the budget range). Returns { rejectedBy,
+    // capacity, optValue, greedyRatio, optimalCount, stats } when every
+    // check passes (rejectedBy null; optimalCount and stats are null unless a
+    // check needed them), else { rejectedBy, excess } with excess how far a
+    // failed greedy / unique / Nα / feasible check missed (missBy()).
+    const seedFor = (attempt) => attempt === 0 ? baseSeed : baseSeed + '_' + attempt;
+    const checkAttempt = (items, relaxed = null) => {
+        const rejected = (check, excess = undefined) => ({ rejectedBy: check, excess });
+
+        // Find capacity satisfying optimal-size + Sahni-k constraints
+        let capacityResult = findCapacityInRange(
+            items, config.budgetMin, config.budgetMax,
+            optMin, optMax, config.sahniKMin, config.sahniKMax
+        );
+        if (!capacityResult && checks.capacity === relaxed) {
+            capacityResult = findCapacityInRange(items, config.budgetMin, config.budgetMax, null, null, null, null);
+        }
+        if (!capacityResult) return rejected(checks.capacity);
+        const capacity = capacityResult.capacity;
+        const optValue = capacityResult.sol.value;
+
+        // Greedy constraint
+        const ratio = greedyRatio(items, capacity, optValue);
+        const greedyMiss = active(checks.greedy, relaxed) && optValue > 0 ? rangeMissBy(ratio, config.greedyMin, config.greedyMax, 0, 1) : null;
+        if (greedyMiss !== null) return rejected(checks.greedy, greedyMiss); // reject: greedy outside its range
+
+        // Unique optimum constraint
+        let optimalCount = null;
+        if (active(checks.unique, relaxed)) {
+            optimalCount = countOptimalSolutions(items, capacity);
+            if (optimalCount > 1) return rejected(checks.unique, 1 - 1 / optimalCount);
+        }
+
+        // Forgiveness constraint (Nα share) + feasible count + min feasible
+        let stats = null;
+        if (active(checks.forgiveness, relaxed) || active(checks.minFeasible, relaxed)) {
+            stats = countBundleStats(items, capacity, optValue, alphaLevels);
+            const shareMiss = active(checks.forgiveness, relaxed)
+                ? rangeMissBy(nAlphaShare(stats, config.forgivenessAlpha), config.forgivenessMin, config.forgivenessMax, 0, 1)
+                : null;
+            if (shareMiss !== null) return rejected(checks.forgiveness, shareMiss);
+            if (active(checks.minFeasible, relaxed) && stats.feasible < config.minFeasible) return rejected(checks.minFeasible, missBy(stats.feasible, config.minFeasible, 0));
+        }
+
+        return { rejectedBy: null, capacity, optValue, greedyRatio: ratio, optimalCount, stats };
+    };
+
+    const tally = rejectionTally();
+    let search = null;
+    // The search modes perturb the first near-miss only
+    let searched = config.searchMode === 'reroll';
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        usedSeed = seedFor(attempt);
+        items = generateItems(config, usedSeed);
+
+        let check = checkAttempt(items);
+        let steps = 0;
+        if (check.rejectedBy && check.excess !== undefined && !searched) {
+            searched = true;
+            const local = localSearch(items, (candidate) => attemptScore(checkAttempt(candidate), checkOrder), config, usedSeed);
+            if (local) {
+                ({ items, steps } = local);
+                check = checkAttempt(items);
+            }
+        }
+        if (check.rejectedBy) {
+            recordRejection(tally, attempt, check.rejectedBy);
+            continue;
+        }
+
+        ({ capacity, optValue, greedyRatio: foundGreedyRatio, optimalCount: foundOptimalCount, stats: foundStats } = check);
+        search = { mode: steps > 0 ? config.searchMode : 'reroll', steps };
+        found = true;
+        break;
+    }
+
+    let rejections = null;
+    if (!found) {
+        rejections = diagnoseRejections(tally, checkOrder, (attempt, relaxed) =>
+            !checkAttempt(generateItems(config, seedFor(attempt)), relaxed).rejectedBy);
+
+        // Fallback: use base seed, pick a capacity in range
+        usedSeed = baseSeed;
+        items = generateItems(config, usedSeed);
+        const sumWeights = items.reduce((s, it) => s + it.weight, 0);
+        capacity = Math.min(config.budgetMax, sumWeights - 1);
+        capacity = Math.max(config.budgetMin, capacity);
+        if (capacity < 1) capacity = 1;
+
+        const sol = solveKnapsack(items, capacity);
+        optValue = sol.value;
+        foundGreedyRatio = greedyRatio(items, capacity, sol.value);
+        foundStats = countBundleStats(items, capacity, sol.value, alphaLevels);
+        foundOptimalCount = countOptimalSolutions(items, capacity);
+
+        const constraints = [];
+        if (config.optimalSize !== 'no_filter') constraints.push(`${config.optimalSize} items in optimal`);
+        if (difficulty.sahniK !== null) constraints.push(difficulty.sahniK);
+        if (difficulty.greedy !== null) constraints.push(`${difficulty.greedy} of OPT`);
+        if (difficulty.forgiveness !== null) constraints.push(difficulty.forgiveness);
+        if (config.minFeasible !== null) constraints.push(`feasible ≥ ${config.minFeasible}`);
+        if (config.uniqueOptimum) constraints.push('unique optimum');
+        warning = `Could not satisfy constraints (${constraints.join(', ')}) after ${MAX_ATTEMPTS} attempts. Showing result for base seed. ${rejectionText(rejections)}`;
+    }
+
+    // Feasible / Nα counts for display when no filter needed them
+    if (!foundStats) foundStats = countBundleStats(items, capacity, optValue, alphaLevels);
+    if (foundOptimalCount === null) foundOptimalCount = countOptimalSolutions(items, capacity);
+
+    // Build output object with full metadata
+    const rules = hasItemRules(items);
+    const pairs = hasPairValues(items);
+    const result = {
+        problem: rules ? '0/1 knapsack with conflicts and precedences' : pairs ? 'quadratic knapsack (pair bonuses)' : '0/1 knapsack',
+        n_items: config.nItems,
+        budget: capacity,
+        budget_range: [config.budgetMin, config.budgetMax],
+        seed: usedSeed,
+        seed_requested: baseSeed,
+        ...itemSpecExport(config, items),
+        target_sahni_k: [config.sahniKMin, config.sahniKMax],
+        sahni_k_limit: config.sahniKLimit,
+        greedy_ratio: foundGreedyRatio,
+        n_alpha: foundStats.nAlpha,
+        feasible_count: foundStats.feasible,
+        counts_exact: foundStats.exact,
+        n_optimal_solutions: foundOptimalCount,
+        // How the item set was found (null on fallback): { mode, steps }
+        search,
+        // Conflict pairs [a, b] and precedence pairs [a, b] (a requires b), by item id
+        ...(rules ? { conflict_density: config.conflictDensity, precedence_density: config.precedenceDensity, ...rulePairs(items) } : {}),
+        // Pair bonus settings and the n × n bonus matrix, in item order
+        ...(pairs ? pairBonusExport(config, items) : {}),
+        items
+    };
+
+    if (warning) {
+        result.warning = warning;
+        result.rejections = rejectionsExport(rejections);
+    }
+
+    return result;
+}
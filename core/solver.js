@@ -0,0 +1,560 @@
+// ============================================================
+// Knapsack solvers and hardness metrics
+// ============================================================
+
+import { hasItemRules, ruleKnapsackTable, countRuleOptimal, ruleGreedyValue, computeRuleSahniK, countRuleBundles } from './rules.js';
+import { hasPairValues, pairKnapsackTable, countPairOptimal, pairGreedyValue, computePairSahniK, countPairAlpha } from './quadratic.js';
+
+// ---- Decimal prices and values ----
+// The continuous samplers round prices and values to 2 decimals. The
+// exact algorithms below work on integers, so each call scales the
+// instance by the smallest power of ten that makes every price and
+// value integral, then scales results back. Integer instances get
+// scale 1 and run exactly as before.
+
+// Number of digits after the decimal point (handles 1e-7 style output)
+function decimalPlaces(x) {
+    if (Number.isInteger(x)) return 0;
+    const [mantissa, exp] = String(x).split('e');
+    const frac = (mantissa.split('.')[1] || '').length;
+    return Math.max(0, frac - (exp ? parseInt(exp) : 0));
+}
+
+function scaleFor(numbers) {
+    let places = 0;
+    for (const x of numbers) places = Math.max(places, decimalPlaces(x));
+    return Math.pow(10, places);
+}
+
+// Scaled capacity: floor, since items can only fill whole scaled units.
+// The epsilon absorbs float noise such as 1.15 * 100 = 114.99999999999999.
+function scaleCapacity(capacity, weightScale) {
+    return Math.floor(capacity * weightScale + 1e-9);
+}
+
+// ---- Multiple-choice classes and quantities ----
+// Items tagged with a `choiceClass` form a multiple-choice knapsack: at
+// most one item of each class may be picked. Items with a `quantity`
+// may be picked more than once: up to that many copies (bounded), or
+// any number with quantity Infinity (unbounded). The DP algorithms below
+// run in stages, one per class (an item without a class is a stage of
+// its own), and try every option of a stage — one item, some number of
+// copies — against the columns the stage started from. Without classes
+// or quantities each item is a stage with one option and they run the
+// plain 0/1 recurrences.
+
+// How many copies of an item may be picked (1 for a 0/1 item)
+export function quantityOf(item) {
+    return item.quantity === undefined ? 1 : item.quantity;
+}
+
+// Total price of every copy of every item (Infinity when one is unbounded)
+export function totalWeight(items) {
+    return items.reduce((s, it) => s + it.weight * quantityOf(it), 0);
+}
+
+// Options by stage, classes in order of their first item: { i, copies,
+// w, v } per way to take an item of the stage (its index, how many
+// copies, their weight and value). Copies stop at what fits in `cap`.
+function choiceStages(items, weights, values, cap) {
+    const stages = [];
+    const byClass = new Map();
+    items.forEach((it, i) => {
+        let stage;
+        if (it.choiceClass === undefined) {
+            stage = [];
+            stages.push(stage);
+        } else {
+            if (!byClass.has(it.choiceClass)) {
+                byClass.set(it.choiceClass, []);
+                stages.push(byClass.get(it.choiceClass));
+            }
+            stage = byClass.get(it.choiceClass);
+        }
+        const copies = Math.max(1, Math.min(quantityOf(it), Math.floor(cap / Math.max(1, weights[i]))));
+        for (let k = 1; k <= copies; k++) stage.push({ i, copies: k, w: k * weights[i], v: k * values[i] });
+    });
+    return stages;
+}
+
+// Do any items carry a multiple-choice class?
+export function hasChoiceClasses(items) {
+    return items.some(it => it.choiceClass !== undefined);
+}
+
+// May any item be picked more than once?
+export function hasQuantities(items) {
+    return items.some(it => quantityOf(it) > 1);
+}
+
+// Integer view of an instance: { weights, values, quantities, capacity,
+// weightScale, valueScale }
+function toIntegerInstance(items, capacity) {
+    const weightScale = scaleFor(items.map(it => it.weight));
+    const valueScale = scaleFor(items.map(it => it.value));
+    return {
+        weights: items.map(it => Math.round(it.weight * weightScale)),
+        values: items.map(it => Math.round(it.value * valueScale)),
+        quantities: items.map(quantityOf),
+        capacity: scaleCapacity(capacity, weightScale),
+        weightScale,
+        valueScale
+    };
+}
+
+// Fill one DP table for every capacity up to maxCapacity. Column c only
+// depends on columns <= c, so solutionAt(c) returns exactly what
+// solveKnapsack(items, c) would, without rebuilding the table. Items with
+// rules (conflicts / precedences) get ruleKnapsackTable() instead, items
+// with pair bonuses pairKnapsackTable().
+export function buildKnapsackTable(items, maxCapacity) {
+    if (hasItemRules(items)) return ruleKnapsackTable(items, maxCapacity);
+    if (hasPairValues(items)) return pairKnapsackTable(items, maxCapacity);
+    const { weights, values, capacity: maxCap, weightScale, valueScale } = toIntegerInstance(items, maxCapacity);
+    const stages = choiceStages(items, weights, values, maxCap);
+    const n = stages.length;
+    // Scaled values can outgrow Int32; Float64 is exact for integers up to 2^53
+    const Row = valueScale === 1 ? Int32Array : Float64Array;
+    // dp[s][w] = best value using stages 0..s-1 with capacity w
+    const dp = Array.from({ length: n + 1 }, () => new Row(maxCap + 1));
+
+    for (let s = 1; s <= n; s++) {
+        const stage = stages[s - 1];
+        const prev = dp[s - 1];
+        const row = dp[s];
+        for (let c = 0; c <= maxCap; c++) {
+            row[c] = prev[c];
+            for (const o of stage) {
+                if (o.w <= c && prev[c - o.w] + o.v > row[c]) {
+                    row[c] = prev[c - o.w] + o.v;
+                }
+            }
+        }
+    }
+
+    function column(capacity) {
+        const c = scaleCapacity(capacity, weightScale);
+        if (c > maxCap) throw new RangeError(`Capacity ${capacity} exceeds table size ${maxCapacity}`);
+        return c;
+    }
+
+    return {
+        maxCapacity,
+
+        // Optimal value at `capacity`, no backtracking
+        valueAt(capacity) {
+            return dp[n][column(capacity)] / valueScale;
+        },
+
+        // Optimal bundle at `capacity`: { value, weight, count, items[] },
+        // an item listed once per copy picked
+        solutionAt(capacity) {
+            const cap = column(capacity);
+            // Backtrack to find selected items
+            const selected = [];
+            let c = cap;
+            let selectedWeight = 0;
+            for (let s = n; s >= 1; s--) {
+                if (dp[s][c] === dp[s - 1][c]) continue;
+                const o = stages[s - 1].find(o => o.w <= c && dp[s - 1][c - o.w] + o.v === dp[s][c]);
+                for (let k = 0; k < o.copies; k++) selected.push(items[o.i]);
+                c -= o.w;
+                selectedWeight += o.w;
+            }
+            selected.reverse();
+
+            return {
+                value: dp[n][cap] / valueScale,
+                weight: selectedWeight / weightScale,
+                count: selected.length,
+                items: selected
+            };
+        }
+    };
+}
+
+// Solve the knapsack with DP, return { value, weight, count, items[] }
+export function solveKnapsack(items, capacity) {
+    return buildKnapsackTable(items, capacity).solutionAt(capacity);
+}
+
+// Number of distinct subsets (quantity vectors, with quantities) that reach
+// the optimal value within capacity (1 = unique optimum). DP over exact
+// total weight, keeping the best value at each weight and how many subsets
+// reach it. Columns are updated from the highest down, so every option of
+// a stage reads columns the stage has not touched yet.
+export function countOptimalSolutions(items, capacity) {
+    if (hasItemRules(items)) return countRuleOptimal(items, capacity);
+    if (hasPairValues(items)) return countPairOptimal(items, capacity);
+    const { weights, values, capacity: cap } = toIntegerInstance(items, capacity);
+    if (cap < 0) return 0;
+    const best = new Float64Array(cap + 1).fill(-Infinity);
+    const ways = new Float64Array(cap + 1);
+    best[0] = 0;
+    ways[0] = 1;
+    for (const stage of choiceStages(items, weights, values, cap)) {
+        const minWeight = Math.min(...stage.map(o => o.w));
+        for (let c = cap; c >= minWeight; c--) {
+            for (const o of stage) {
+                if (o.w > c || best[c - o.w] === -Infinity) continue;
+                const v = best[c - o.w] + o.v;
+                if (v > best[c]) {
+                    best[c] = v;
+                    ways[c] = ways[c - o.w];
+                } else if (v === best[c]) {
+                    ways[c] += ways[c - o.w];
+                }
+            }
+        }
+    }
+
+    let opt = -Infinity, count = 0;
+    for (let c = 0; c <= cap; c++) {
+        if (best[c] > opt) {
+            opt = best[c];
+            count = ways[c];
+        } else if (best[c] === opt) {
+            count += ways[c];
+        }
+    }
+    return count;
+}
+
+// Item indices by value/price ratio, best first (greedy order)
+function ratioOrder(items) {
+    return items.map((_, i) => i).sort((a, b) =>
+        (items[b].value / items[b].weight) - (items[a].value / items[a].weight)
+    );
+}
+
+// Greedy knapsack: sort by value/weight ratio descending, pack as many
+// copies of each item as fit, skipping items whose choice class is
+// already picked
+export function greedyValue(items, capacity) {
+    if (hasItemRules(items)) return ruleGreedyValue(items, capacity);
+    if (hasPairValues(items)) return pairGreedyValue(items, capacity);
+    const { weights, values, quantities, capacity: cap, valueScale } = toIntegerInstance(items, capacity);
+    const picked = new Set();
+    let remCap = cap;
+    let totalValue = 0;
+    for (const idx of ratioOrder(items)) {
+        const cls = items[idx].choiceClass;
+        const copies = Math.min(quantities[idx], Math.floor(remCap / weights[idx]));
+        if (copies > 0 && !picked.has(cls)) {
+            totalValue += copies * values[idx];
+            remCap -= copies * weights[idx];
+            if (cls !== undefined) picked.add(cls);
+        }
+    }
+    return totalValue / valueScale;
+}
+
+// Greedy value as a fraction of OPT (0 when OPT is 0)
+export function greedyRatio(items, capacity, optValue) {
+    return optValue > 0 ? greedyValue(items, capacity) / optValue : 0;
+}
+
+// Largest Sahni-k computed unless a caller asks for more
+export const DEFAULT_SAHNI_K_LIMIT = 6;
+
+// Compute Sahni-k: minimum k such that forcing some subset of k items into
+// the knapsack and greedily filling the rest achieves the optimal value.
+// Each forced copy of an item counts towards k. Forced items take up their
+// choice classes like greedy picks do. Returns null when k would exceed maxK.
+export function computeSahniK(items, capacity, optimalValue, maxK = DEFAULT_SAHNI_K_LIMIT) {
+    if (hasItemRules(items)) return computeRuleSahniK(items, capacity, optimalValue, maxK);
+    if (hasPairValues(items)) return computePairSahniK(items, capacity, optimalValue, maxK);
+    const n = items.length;
+    const { weights, values, quantities, capacity: cap, valueScale } = toIntegerInstance(items, capacity);
+    const optimal = Math.round(optimalValue * valueScale);
+    // Work in greedy (value/price ratio) order throughout
+    const order = ratioOrder(items);
+    const w = order.map(idx => weights[idx]);
+    const v = order.map(idx => values[idx]);
+    const q = order.map(idx => quantities[idx]);
+    const cls = order.map(idx => items[idx].choiceClass);
+    // Copies forced so far, per position
+    const forced = new Float64Array(n);
+    // copiesFrom[i] = copies at positions >= i
+    const copiesFrom = new Float64Array(n + 1);
+    for (let i = n - 1; i >= 0; i--) copiesFrom[i] = copiesFrom[i + 1] + q[i];
+    // Choice class -> position of the forced item holding it
+    const taken = new Map();
+    const blocked = (i) => cls[i] !== undefined && taken.has(cls[i]) && taken.get(cls[i]) !== i;
+
+    // Greedily add the copies not forced that fit in remCap
+    function greedyFill(remCap) {
+        const picked = new Map(taken);
+        let val = 0;
+        for (let i = 0; i < n; i++) {
+            if (cls[i] !== undefined && picked.has(cls[i]) && picked.get(cls[i]) !== i) continue;
+            const copies = Math.min(q[i] - forced[i], Math.floor(remCap / w[i]));
+            if (copies > 0) {
+                val += copies * v[i];
+                remCap -= copies * w[i];
+                if (cls[i] !== undefined) picked.set(cls[i], i);
+            }
+        }
+        return val;
+    }
+
+    // Fractional-knapsack bound on what the copies not forced can add in
+    // remCap (classes the forced items hold are out; the rest are relaxed)
+    function fillBound(remCap) {
+        let val = 0;
+        for (let i = 0; i < n; i++) {
+            const left = q[i] - forced[i];
+            if (left === 0 || blocked(i)) continue;
+            if (w[i] * left <= remCap) {
+                val += v[i] * left;
+                remCap -= w[i] * left;
+            } else {
+                return val + v[i] * remCap / w[i];
+            }
+        }
+        return val;
+    }
+
+    // Force `left` more copies from positions >= start. A branch is cut when
+    // its forced copies don't fit, or when even the fractional bound on the
+    // rest can't reach the optimum (forcing more copies only lowers it).
+    function search(left, start, remCap, forcedValue) {
+        if (left === 0) return forcedValue + greedyFill(remCap) >= optimal;
+        if (forcedValue + fillBound(remCap) + 1e-6 < optimal) return false;
+        for (let i = start; i < n && copiesFrom[i] >= left; i++) {
+            if (w[i] > remCap || blocked(i) || forced[i] === q[i]) continue;
+            forced[i]++;
+            const claims = cls[i] !== undefined && !taken.has(cls[i]);
+            if (claims) taken.set(cls[i], i);
+            // Start again at i: more copies of the same item may be forced
+            const found = search(left - 1, i, remCap - w[i], forcedValue + v[i]);
+            forced[i]--;
+            if (claims) taken.delete(cls[i]);
+            if (found) return true;
+        }
+        return false;
+    }
+
+    for (let k = 0; k <= Math.min(n, maxK); k++) {
+        if (search(k, 0, cap, 0)) return k;
+    }
+    return null;
+}
+
+// ---- Feasible / Nα counting ----
+// Nα = number of feasible subsets worth at least α% of the optimal value.
+// Three exact counters, whichever is cheaper for the instance: a DP over
+// (weight, value clipped at the highest α line), meet-in-the-middle over
+// the subsets of each half of the items, or enumerating every choice per
+// stage. When all would exceed this many steps, the DP runs on coarsened
+// weights/values and the counts are estimates.
+export const MAX_COUNT_WORK = 5e7;
+
+// counts[c * row + x] = subsets of total weight c and value x, with every
+// value >= top collected in cell top (top = highest of minValues).
+// Returns { feasible, reaching[] } where reaching[i] counts subsets worth
+// at least minValues[i]; the empty subset is included. `stages` as in
+// choiceStages(); columns go from the highest down as in
+// countOptimalSolutions().
+function countByTable(stages, cap, minValues) {
+    const top = Math.max(0, ...minValues);
+    const row = top + 1;
+    const counts = new Float64Array((cap + 1) * row);
+    counts[0] = 1;
+    for (const stage of stages) {
+        const minWeight = Math.min(...stage.map(o => o.w));
+        for (let c = cap; c >= minWeight; c--) {
+            const dst = c * row;
+            for (const o of stage) {
+                const w = o.w;
+                const v = o.v;
+                if (w > c) continue;
+                const src = (c - w) * row;
+                for (let x = 0; x <= top; x++) {
+                    if (counts[src + x] !== 0) counts[dst + Math.min(top, x + v)] += counts[src + x];
+                }
+            }
+        }
+    }
+    // atLeast[x] = feasible subsets worth x or more
+    const atLeast = new Float64Array(row + 1);
+    for (let c = 0; c <= cap; c++) {
+        for (let x = 0; x <= top; x++) atLeast[x] += counts[c * row + x];
+    }
+    for (let x = top - 1; x >= 0; x--) atLeast[x] += atLeast[x + 1];
+    return { feasible: atLeast[0], reaching: minValues.map(m => atLeast[Math.max(0, m)]) };
+}
+
+// Every subset of items [from, to) as parallel weight/value arrays
+function subsetSums(weights, values, from, to) {
+    const size = 1 << (to - from);
+    const w = new Float64Array(size);
+    const v = new Float64Array(size);
+    let filled = 1;
+    for (let i = from; i < to; i++) {
+        for (let k = 0; k < filled; k++) {
+            w[filled + k] = w[k] + weights[i];
+            v[filled + k] = v[k] + values[i];
+        }
+        filled *= 2;
+    }
+    return { w, v };
+}
+
+// Meet in the middle: pair each left-half subset with the right-half
+// subsets that fit next to it (weight), counting those that also reach
+// each of minValues with a Fenwick tree over right-half values. Same
+// return shape as countByTable().
+function countBySplit(weights, values, cap, minValues) {
+    const half = weights.length >> 1;
+    const left = subsetSums(weights, values, 0, half);
+    const right = subsetSums(weights, values, half, weights.length);
+
+    // Right subsets by weight; left subsets by remaining room, smallest first
+    const rightOrder = Array.from(right.w.keys()).sort((a, b) => right.w[a] - right.w[b]);
+    const leftOrder = Array.from(left.w.keys())
+        .filter(k => left.w[k] <= cap)
+        .sort((a, b) => left.w[b] - left.w[a]);
+
+    // Fenwick tree over right values, indexed by rank
+    const rankValues = Float64Array.from(new Set(right.v)).sort();
+    const tree = new Float64Array(rankValues.length + 1);
+    // Number of ranks with value < x
+    function ranksBelow(x) {
+        let lo = 0, hi = rankValues.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (rankValues[mid] < x) lo = mid + 1; else hi = mid;
+        }
+        return lo;
+    }
+
+    let feasible = 0, added = 0, next = 0;
+    const reaching = minValues.map(() => 0);
+    for (const k of leftOrder) {
+        const room = cap - left.w[k];
+        while (next < rightOrder.length && right.w[rightOrder[next]] <= room) {
+            for (let r = ranksBelow(right.v[rightOrder[next]]) + 1; r < tree.length; r += r & -r) tree[r]++;
+            added++;
+            next++;
+        }
+        feasible += added;
+        // Added right subsets with value >= minValue - left value
+        minValues.forEach((minValue, i) => {
+            let below = 0;
+            for (let r = ranksBelow(minValue - left.v[k]); r > 0; r -= r & -r) below += tree[r];
+            reaching[i] += added - below;
+        });
+    }
+    return { feasible, reaching };
+}
+
+// Walk every way to take nothing or one option from each stage, pruning
+// once the weight passes cap. Cost does not depend on how finely prices
+// and values are scaled, so it stays exact for small decimal instances
+// with choice classes. Same return shape as countByTable().
+function countByEnumeration(stages, cap, minValues) {
+    let feasible = 0;
+    const reaching = minValues.map(() => 0);
+    function visit(s, weight, value) {
+        if (s === stages.length) {
+            feasible++;
+            minValues.forEach((minValue, i) => { if (value >= minValue) reaching[i]++; });
+            return;
+        }
+        visit(s + 1, weight, value);
+        for (const o of stages[s]) {
+            if (weight + o.w <= cap) visit(s + 1, weight + o.w, value + o.v);
+        }
+    }
+    visit(0, 0, 0);
+    return { feasible, reaching };
+}
+
+// Count feasible subsets and near-optimal subsets at one or more α levels
+// (with quantities, subsets are quantity vectors).
+// Returns { feasible, nAlpha, exact } where feasible = non-empty subsets
+// fitting in capacity, nAlpha = { [α]: subsets with value >= α% of optimal }
+// and exact = false when the counts are estimates.
+export function countBundleStats(items, capacity, optValue, alphaPercents) {
+    if (alphaPercents === undefined) alphaPercents = [90];
+    if (!Array.isArray(alphaPercents)) alphaPercents = [alphaPercents];
+    if (hasItemRules(items)) return countRuleBundles(items, capacity, optValue, alphaPercents);
+    if (hasPairValues(items)) {
+        // Feasibility does not depend on values: count it without the bonuses
+        const { feasible, exact } = countBundleStats(items.map(({ synergies, ...it }) => it), capacity, 0, []);
+        const pairs = countPairAlpha(items, capacity, optValue, alphaPercents);
+        return { feasible, nAlpha: pairs.nAlpha, exact: exact && pairs.exact };
+    }
+    const n = items.length;
+    const { weights, values, capacity: cap, valueScale } = toIntegerInstance(items, capacity);
+    if (cap < 0) return { feasible: 0, nAlpha: Object.fromEntries(alphaPercents.map(a => [a, 0])), exact: true };
+    const optimal = Math.round(optValue * valueScale);
+
+    // Smallest subset value reaching each level (value * 100 >= alpha * optimal)
+    const minValues = alphaPercents.map(alpha => {
+        const threshold = alpha * optimal;
+        let minValue = Math.max(0, Math.ceil(threshold / 100));
+        while (minValue > 0 && (minValue - 1) * 100 >= threshold) minValue--;
+        while (minValue * 100 < threshold) minValue++;
+        return minValue;
+    });
+    const top = Math.max(0, ...minValues);
+
+    const stages = choiceStages(items, weights, values, cap);
+    const options = stages.reduce((s, stage) => s + stage.length, 0);
+    const tableWork = options * (cap + 1) * (top + 1);
+    // Meet in the middle enumerates plain subsets, so not with choice classes or quantities
+    const splitWork = options === n && stages.length === n ? n * Math.pow(2, Math.ceil(n / 2)) : Infinity;
+    const enumWork = stages.reduce((p, stage) => p * (stage.length + 1), 1);
+
+    let counts = null;
+    let countedMinValues = minValues;
+    let exact = true;
+    const leastWork = Math.min(tableWork, splitWork, enumWork);
+    if (leastWork <= MAX_COUNT_WORK) {
+        if (leastWork === tableWork) counts = countByTable(stages, cap, minValues);
+        else if (leastWork === splitWork) counts = countBySplit(weights, values, cap, minValues);
+        else counts = countByEnumeration(stages, cap, minValues);
+    }
+
+    if (!counts) {
+        // Estimate: halve the longer axis until the table fits
+        let weightBucket = 1, valueBucket = 1;
+        while (options * (Math.floor(cap / weightBucket) + 1) * (Math.round(top / valueBucket) + 1) > MAX_COUNT_WORK) {
+            if (top / valueBucket >= cap / weightBucket) valueBucket *= 2;
+            else weightBucket *= 2;
+        }
+        countedMinValues = minValues.map(m => Math.round(m / valueBucket));
+        const coarseCap = Math.floor(cap / weightBucket);
+        const coarseStages = choiceStages(
+            items,
+            weights.map(w => Math.max(1, Math.round(w / weightBucket))),
+            values.map(v => Math.round(v / valueBucket)),
+            coarseCap
+        );
+        counts = countByTable(coarseStages, coarseCap, countedMinValues);
+        exact = false;
+    }
+
+    // Drop the empty subset (it only reaches an α line that sits at 0)
+    const feasible = counts.feasible - 1;
+    const nAlpha = {};
+    alphaPercents.forEach((alpha, i) => {
+        nAlpha[alpha] = counts.reaching[i] - (countedMinValues[i] === 0 ? 1 : 0);
+    });
+    // Float64 counts are exact while every total stays below 2^53
+    if (feasible + 1 > Number.MAX_SAFE_INTEGER) exact = false;
+    return { feasible, nAlpha, exact };
+}
+
+// α levels to count for a config: the reported levels plus the one the
+// forgiveness cap targets, ascending
+export function alphaLevelsFor(config) {
+    return [...new Set([...config.alphaLevels, config.forgivenessAlpha])].sort((a, b) => a - b);
+}
+
+// Share of feasible subsets that reach α (0 when nothing is feasible)
+export function nAlphaShare(stats, alpha) {
+    return stats.feasible > 0 ? stats.nAlpha[alpha] / stats.feasible : 0;
+}
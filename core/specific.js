@@ -0,0 +1,121 @@
+// ============================================================
+// Batch specific generation (batch-specific.html): named item
+// groups, each with its own distributions and per-tier
+// optimal-composition ranges.
+// ============================================================
+
+import { distName } from './samplers.js';
+import { generateCategorizedItems, CORRELATION_NAMES, hasOwnValueDist, correlationParams, spearmanRho } from './items.js';
+import { generateTieredInstance, formatTierLine } from './batch.js';
+import { rejectionsExport } from './diagnostics.js';
+import { searchText } from './search.js';
+import { tierSpecExport, tierResultExport, relationSpecExport, overlapsExport } from './tiers.js';
+
+// Count items per group in a list of items: { [group name]: count },
+// in the order of `groupNames`
+export function categoryCounts(items, groupNames) {
+    const counts = {};
+    groupNames.forEach(name => { counts[name] = 0; });
+    items.forEach(it => { counts[it.category]++; });
+    return counts;
+}
+
+// { expensive: 3, cheap: 9 } -> "3 expensive + 9 cheap"
+function countsText(counts, separator = ' + ') {
+    return Object.entries(counts).map(([name, n]) => `${n} ${name}`).join(separator);
+}
+
+function checkCategoryRange(count, min, max) {
+    if (min !== null && count < min) return false;
+    if (max !== null && count > max) return false;
+    return true;
+}
+
+// Generate one batch-specific instance, honouring the per-group
+// optimal-composition ranges of every tier. With config.onePerGroup every
+// solver and statistic works under the one-item-per-group rule.
+export function generateSpecificInstance(config, instanceSeed) {
+    const groupNames = config.groups.map(g => g.name);
+    const bounded = config.groups.filter(g => Object.keys(g.optRanges).length > 0);
+
+    const result = generateTieredInstance(config, instanceSeed, {
+        generateItems: generateCategorizedItems,
+        // Max V/P ratio filter
+        acceptItems: config.maxRatio === null ? null
+            : (items) => !items.some(it => (it.value / it.weight) > config.maxRatio),
+        acceptItemsLabel: `V/P ratio ≤ ${config.maxRatio}`,
+        // Group composition filter
+        acceptSolutions: bounded.length === 0 ? null : (sols) => {
+            const inOpt = sols.map(sol => categoryCounts(sol.items, groupNames));
+            return bounded.every(g => config.tiers.every((t, i) => {
+                const range = g.optRanges[t.name];
+                return !range || checkCategoryRange(inOpt[i][g.name], range[0], range[1]);
+            }));
+        },
+        acceptSolutionsLabel: 'group composition',
+        fallbackNote: ' (structural constraints respected, greedy/Nα relaxed)'
+    });
+    // Group order for the text block and page badges
+    result.groupNames = groupNames;
+    result.onePerGroup = config.onePerGroup;
+    return result;
+}
+
+// Build full text block for one batch-specific instance
+export function formatSpecificInstanceBlock(result, index) {
+    const lines = [];
+    const all = categoryCounts(result.items, result.groupNames);
+
+    const search = searchText(result.search);
+    const choice = result.onePerGroup ? '  |  at most one per group' : '';
+    lines.push(`# Instance ${index + 1}  |  seed: ${result.seed}${search ? '  |  local search: ' + search : ''}  |  ${countsText(all, ', ')}${choice}`);
+    result.tiers.forEach(t => {
+        lines.push(formatTierLine(t, result.sahniKLimit, `  [${countsText(categoryCounts(t.opt.items, result.groupNames))}]`));
+    });
+    lines.push('# price,value');
+    result.items.forEach(it => lines.push(`${it.weight},${it.value}  # ${it.category}`));
+    return lines.join('\n');
+}
+
+// Build the JSON export object for a batch-specific run
+export function buildSpecificExport(config, results, requested = results.length) {
+    return {
+        problem: config.onePerGroup ? 'multiple-choice knapsack (batch specific dual budget)' : '0/1 knapsack (batch specific dual budget)',
+        n_instances: results.length,
+        // Set when the run was stopped before all requested instances were generated
+        ...(requested > results.length ? { stopped_early: true, n_instances_requested: requested } : {}),
+        n_items: config.nItems,
+        starting_seed: config.seed,
+        tiers: config.tiers.map(tierSpecExport),
+        tier_relations: config.tierRelations.map(relationSpecExport),
+        sahni_k_limit: config.sahniKLimit,
+        // Groups are multiple-choice classes: an optimum holds at most one item of each
+        one_per_group: config.onePerGroup,
+        groups: config.groups.map(g => ({
+            name: g.name,
+            count: g.count,
+            price_dist: { name: distName(g.weightDist, g.weightInt), params: g.weightParams },
+            value_dist: hasOwnValueDist(g.correlation) ? { name: distName(g.valueDist, g.valueInt), params: g.valueParams } : null,
+            correlation: { mode: CORRELATION_NAMES[g.correlation], params: correlationParams(g.correlation, g.weightDist, g.weightParams, g.weightInt, g.valueInt, g.copulaRho) },
+            target_in_optimal: g.optRanges
+        })),
+        ratio_spread: config.ratioSpread,
+        integer_ratios: config.integerRatios,
+        fraction_ratios: config.fractionRatios,
+        instances: results.map((r, idx) => {
+            const realized = {};
+            r.groupNames.forEach(name => { realized[name] = spearmanRho(r.items.filter(it => it.category === name)); });
+
+            return {
+                instance: idx + 1,
+                seed: r.seed,
+                realized_spearman: realized,
+                search: r.search || null,
+                tiers: r.tiers.map(t => ({ name: t.name, ...tierResultExport(t, { in_opt: categoryCounts(t.opt.items, r.groupNames) }) })),
+                overlaps: overlapsExport(r.tiers),
+                items: r.items.map(it => ({ id: it.id, price: it.weight, value: it.value, category: it.category })),
+                ...(r.warning ? { warning: r.warning, rejections: rejectionsExport(r.rejections) } : {})
+            };
+        })
+    };
+}
@@ -0,0 +1,368 @@
+// ============================================================
+// Budget tiers (dual.html, batch.html, batch-specific.html).
+// One item set is solved under every tier's budget range; each
+// tier has its own optimal-size / optimal-value ranges, Sahni-k
+// range and difficulty filters. Tier relations tie the optima
+// of two tiers together (shared items, budget ratio).
+// ============================================================
+
+import { countOptimalSolutions, computeSahniK, greedyRatio, countBundleStats, alphaLevelsFor, nAlphaShare, totalWeight } from './solver.js';
+import { findCapacityInRange, capacityCandidates, budgetTable, sahniKInRange } from './capacity.js';
+import { missBy, rangeMissBy } from './search.js';
+
+// Budget combinations tried per item set before giving up on the relations
+const MAX_RELATION_STEPS = 20000;
+
+// Items the two optimal solutions have in common (copies count once per
+// copy both hold)
+function sharedCount(solA, solB) {
+    const inA = new Map();
+    solA.items.forEach(it => inA.set(it, (inA.get(it) || 0) + 1));
+    return solB.items.filter(it => {
+        if (!inA.get(it)) return false;
+        inA.set(it, inA.get(it) - 1);
+        return true;
+    }).length;
+}
+
+// Does the pair of { capacity, sol } satisfy `relation`? overlap:
+//   any       no item constraint
+//   subset    lower's optimum is a strict subset of upper's
+//   at_most   the optima share at most maxShared items
+//   disjoint  the optima share no items
+// The budget ratio is upper / lower.
+function relationHolds(relation, lower, upper) {
+    const ratio = upper.capacity / lower.capacity;
+    if (relation.minBudgetRatio !== null && ratio < relation.minBudgetRatio) return false;
+    if (relation.maxBudgetRatio !== null && ratio > relation.maxBudgetRatio) return false;
+    if (relation.overlap === 'any') return true;
+    const shared = sharedCount(lower.sol, upper.sol);
+    switch (relation.overlap) {
+        case 'subset': return shared === lower.sol.count && lower.sol.count < upper.sol.count;
+        case 'at_most': return shared <= relation.maxShared;
+        case 'disjoint': return shared === 0;
+    }
+    return true;
+}
+
+// Does the tier filter on Sahni-k?
+function hasSahniKRange(t) {
+    return t.sahniKMin !== null || t.sahniKMax !== null;
+}
+
+// A tier's candidate budgets in the order findCapacityInRange() would pick
+// them: middle first then outwards, or ascending under a Sahni-k range
+function preferredOrder(candidates, tier) {
+    if (hasSahniKRange(tier)) return candidates;
+    const mid = Math.floor(candidates.length / 2);
+    const ordered = [candidates[mid]];
+    for (let d = 1; ordered.length < candidates.length; d++) {
+        if (mid + d < candidates.length) ordered.push(candidates[mid + d]);
+        if (mid - d >= 0) ordered.push(candidates[mid - d]);
+    }
+    return ordered;
+}
+
+// Scan every tier's budget range over one item set, sharing one DP table.
+// Returns { found, failedTier }: found holds one findCapacityInRange()
+// result per tier, or is null when a tier has no valid budget (failedTier,
+// its index) or no combination of budgets satisfies the relations
+// (failedTier null). With `relations` the tiers' budgets are chosen together
+// so that every relation holds, preferring each tier's own pick.
+export function findTierCapacities(items, tiers, relations = []) {
+    const table = budgetTable(items, ...tiers.map(t => t.budgetMax));
+    const failed = (failedTier) => ({ found: null, failedTier });
+    if (relations.length === 0) {
+        const found = [];
+        for (const [i, t] of tiers.entries()) {
+            const r = findCapacityInRange(items, t.budgetMin, t.budgetMax, t.optMin, t.optMax, t.sahniKMin, t.sahniKMax, t.minOptVal, t.maxOptVal, table);
+            if (!r) return failed(i);
+            found.push(r);
+        }
+        return { found, failedTier: null };
+    }
+
+    const candidates = [];
+    for (const [i, t] of tiers.entries()) {
+        const list = capacityCandidates(items, t.budgetMin, t.budgetMax, t.optMin, t.optMax, t.minOptVal, t.maxOptVal, table);
+        if (list.length === 0) return failed(i);
+        candidates.push(preferredOrder(list, t).map(c => ({ ...c, sahniK: null })));
+    }
+
+    // Sahni-k is only worked out for candidates the search reaches
+    const sahniOk = (t, c) => {
+        if (!hasSahniKRange(t)) return true;
+        if (c.sahniOk === undefined) {
+            const { ok, sahniK } = sahniKInRange(items, c.capacity, c.sol.value, t.sahniKMin, t.sahniKMax);
+            c.sahniOk = ok;
+            if (ok) c.sahniK = sahniK;
+        }
+        return c.sahniOk;
+    };
+
+    // Relations checked once tier i is placed: those between i and an earlier tier
+    const index = new Map(tiers.map((t, i) => [t.name, i]));
+    const checksAt = tiers.map((_, i) => relations
+        .map(r => ({ relation: r, lower: index.get(r.lower), upper: index.get(r.upper) }))
+        .filter(r => Math.max(r.lower, r.upper) === i));
+
+    const chosen = [];
+    let steps = 0;
+    const place = (i) => {
+        if (i === tiers.length) return true;
+        for (const c of candidates[i]) {
+            if (++steps > MAX_RELATION_STEPS) return false;
+            if (!sahniOk(tiers[i], c)) continue;
+            chosen[i] = c;
+            if (!checksAt[i].every(r => relationHolds(r.relation, chosen[r.lower], chosen[r.upper]))) continue;
+            if (place(i + 1)) return true;
+        }
+        return false;
+    };
+    // On failure, blame the first tier without a budget in its Sahni-k range
+    if (!place(0)) {
+        const noBudget = tiers.findIndex((t, i) => !candidates[i].some(c => sahniOk(t, c)));
+        return failed(noBudget >= 0 ? noBudget : null);
+    }
+    return { found: chosen.map(({ capacity, sol, sahniK }) => ({ capacity, sol, sahniK })), failedTier: null };
+}
+
+// Measured relation of every pair of tier results, lower tier first:
+// [{ lower, upper, shared, budgetRatio }]
+export function tierOverlaps(tierResults) {
+    const pairs = [];
+    tierResults.forEach((lower, i) => tierResults.slice(i + 1).forEach(upper => {
+        pairs.push({ lower: lower.name, upper: upper.name, shared: sharedCount(lower.opt, upper.opt), budgetRatio: upper.budget / lower.budget });
+    }));
+    return pairs;
+}
+
+// A tier with its budget-scan filters (optimal size / value, Sahni-k) removed
+function openTier(t) {
+    return { ...t, optMin: null, optMax: null, minOptVal: null, maxOptVal: null, sahniKMin: null, sahniKMax: null };
+}
+
+// Labels of the checks checkTierAttempt() runs, for rejection diagnostics:
+// { items, capacity, relations, solutions, unique, greedy, forgiveness,
+// minFeasible, all }. capacity and the difficulty filters hold one label
+// per tier; inactive checks are null. `all` lists the active ones in the
+// order they run. `options` as in checkTierAttempt().
+export function tierChecks(config, options = {}) {
+    const texts = config.tiers.map(t => filterTexts(t, config.forgivenessAlpha));
+    const named = (t, text) => text !== null ? `${t.name} ${text}` : null;
+    const relations = config.tierRelations.flatMap(relationTexts);
+    const checks = {
+        items: options.acceptItems ? options.acceptItemsLabel : null,
+        capacity: config.tiers.map((t, i) => `${t.name} capacity (${texts[i].capacity.length > 0 ? texts[i].capacity.join(', ') : `budget ${t.budgetMin}–${t.budgetMax}`})`),
+        relations: config.tierRelations.length > 0 ? `tier relations${relations.length > 0 ? ` (${relations.join(', ')})` : ''}` : null,
+        solutions: options.acceptSolutions ? options.acceptSolutionsLabel : null,
+        unique: config.uniqueOptimum ? 'unique optimum' : null,
+        greedy: config.tiers.map((t, i) => named(t, texts[i].greedy)),
+        forgiveness: config.tiers.map((t, i) => named(t, texts[i].forgiveness)),
+        minFeasible: config.tiers.map((t, i) => named(t, texts[i].minFeasible))
+    };
+    checks.all = [checks.items, ...checks.capacity, checks.relations, checks.solutions, checks.unique,
+        ...checks.greedy, ...checks.forgiveness, ...checks.minFeasible].filter(c => c !== null);
+    return checks;
+}
+
+// Run one item set through the checks of tierChecks() in order, stopping at
+// the first that rejects it:
+//   options.acceptItems(items)       optional pre-filter on the raw items
+//   each tier's budget scan, then the tier relations (findTierCapacities)
+//   options.acceptSolutions(sols)    optional filter on the tiers' optima, in tier order
+//   unique optimum at every budget
+//   greedy, Nα-share and min-feasible filters, each on all tiers before the
+//   next one (greedy is cheap, bundle counting is not)
+// The check labelled `relaxed` lets the item set through instead: a relaxed
+// budget scan takes the tier's whole budget range, relaxed relations each
+// tier's own pick.
+// Returns { rejectedBy, found, difficulty, excess }: rejectedBy is the
+// failing check's label (null when all pass), found the tiers' { capacity,
+// sol, sahniK } once the checks before greedy pass, difficulty
+// { greedyRatios, bundleStats } when all pass (bundleStats null when no
+// tier filters on it), and excess how far a failed unique-optimum or
+// difficulty check missed (missBy(), for the local search).
+export function checkTierAttempt(items, config, checks, options = {}, relaxed = null) {
+    const { tiers } = config;
+    const active = (check) => check !== null && check !== relaxed;
+    const rejected = (check, found = null, excess = undefined) => ({ rejectedBy: check, found, difficulty: null, excess });
+    const scanFailure = (scan) => scan.failedTier !== null ? checks.capacity[scan.failedTier] : checks.relations;
+
+    if (options.acceptItems && active(checks.items) && !options.acceptItems(items)) return rejected(checks.items);
+
+    let scan = findTierCapacities(items, tiers, config.tierRelations);
+    if (!scan.found) {
+        if (scanFailure(scan) !== relaxed) return rejected(scanFailure(scan));
+        scan = scan.failedTier !== null
+            ? findTierCapacities(items, tiers.map((t, i) => i === scan.failedTier ? openTier(t) : t), config.tierRelations)
+            : findTierCapacities(items, tiers);
+        if (!scan.found) return rejected(scanFailure(scan));
+    }
+    const found = scan.found;
+
+    if (options.acceptSolutions && active(checks.solutions) && !options.acceptSolutions(found.map(f => f.sol))) return rejected(checks.solutions);
+    if (active(checks.unique)) {
+        const optimalCounts = found.map(f => countOptimalSolutions(items, f.capacity));
+        const most = Math.max(...optimalCounts);
+        if (most > 1) return rejected(checks.unique, null, 1 - 1 / most);
+    }
+
+    const greedyRatios = found.map(f => greedyRatio(items, f.capacity, f.sol.value));
+    const greedyMiss = tiers.map((t, i) => active(checks.greedy[i]) ? rangeMissBy(greedyRatios[i], t.greedyMin, t.greedyMax, 0, 1) : null);
+    const greedyFail = greedyMiss.findIndex(miss => miss !== null);
+    if (greedyFail >= 0) return rejected(checks.greedy[greedyFail], found, greedyMiss[greedyFail]);
+
+    let bundleStats = null;
+    if (tiers.some((t, i) => active(checks.forgiveness[i]) || active(checks.minFeasible[i]))) {
+        const alphaLevels = alphaLevelsFor(config);
+        bundleStats = found.map(f => countBundleStats(items, f.capacity, f.sol.value, alphaLevels));
+        const shareMiss = tiers.map((t, i) => active(checks.forgiveness[i])
+            ? rangeMissBy(nAlphaShare(bundleStats[i], config.forgivenessAlpha), t.forgivenessMin, t.forgivenessMax, 0, 1)
+            : null);
+        const shareFail = shareMiss.findIndex(miss => miss !== null);
+        if (shareFail >= 0) return rejected(checks.forgiveness[shareFail], found, shareMiss[shareFail]);
+        const feasibleFail = tiers.findIndex((t, i) => active(checks.minFeasible[i]) && bundleStats[i].feasible < t.minFeasible);
+        if (feasibleFail >= 0) return rejected(checks.minFeasible[feasibleFail], found, missBy(bundleStats[feasibleFail].feasible, tiers[feasibleFail].minFeasible, 0));
+    }
+    return { rejectedBy: null, found, difficulty: { greedyRatios, bundleStats } };
+}
+
+// Result entry of one tier solved at `capacity`:
+// { name, budget, opt, sahniK, greedyRatio, nOptimal, nAlpha, feasible, countsExact }.
+// Sahni-k (null unless a Sahni-k range found it) and bundle stats are computed when not passed in.
+export function tierResult(items, tier, capacity, sol, sahniK, sahniKLimit, alphaLevels, bundleStats = null) {
+    const bs = bundleStats || countBundleStats(items, capacity, sol.value, alphaLevels);
+    return {
+        name: tier.name,
+        budget: capacity,
+        opt: sol,
+        sahniK: sahniK !== null ? sahniK : computeSahniK(items, capacity, sol.value, sahniKLimit),
+        greedyRatio: greedyRatio(items, capacity, sol.value),
+        nOptimal: countOptimalSolutions(items, capacity),
+        nAlpha: bs.nAlpha,
+        feasible: bs.feasible,
+        countsExact: bs.exact
+    };
+}
+
+// Fallback budget of a tier: the middle of its range, kept below the total price
+export function tierMidpoint(tier, items) {
+    const sumWeights = totalWeight(items);
+    return Math.max(1, Math.min(Math.round((tier.budgetMin + tier.budgetMax) / 2), sumWeights - 1));
+}
+
+// "= 4", "3–5", "≥ 3" or "≤ 5"
+export function rangeText(min, max) {
+    if (min !== null && max !== null) return min === max ? `= ${min}` : `${min}–${max}`;
+    return min !== null ? `≥ ${min}` : `≤ ${max}`;
+}
+
+// One tier relation as text: 'low ⊂ high', 'high / low budget ≥ 1.5'
+function relationTexts(r) {
+    const parts = [];
+    if (r.overlap === 'subset') parts.push(`${r.lower} ⊂ ${r.upper}`);
+    if (r.overlap === 'at_most') parts.push(`${r.lower} ∩ ${r.upper} ≤ ${r.maxShared} items`);
+    if (r.overlap === 'disjoint') parts.push(`${r.lower} ∩ ${r.upper} = ∅`);
+    if (r.minBudgetRatio !== null || r.maxBudgetRatio !== null) {
+        parts.push(`${r.upper} / ${r.lower} budget ${rangeText(r.minBudgetRatio, r.maxBudgetRatio)}`);
+    }
+    return parts;
+}
+
+// Sahni-k, greedy and Nα-share ranges of a tier or single config as text:
+// { sahniK: 'Sahni-k 2–3', greedy: 'greedy 85%–93%', forgiveness:
+// 'N90 share ≤ 3%' } (null when open)
+export function difficultyTexts(f, forgivenessAlpha) {
+    const percent = (v) => v !== null ? `${parseFloat((v * 100).toFixed(2))}%` : null;
+    const text = (label, min, max) => min !== null || max !== null ? `${label} ${rangeText(min, max)}` : null;
+    return {
+        sahniK: text('Sahni-k', f.sahniKMin, f.sahniKMax),
+        greedy: text('greedy', percent(f.greedyMin), percent(f.greedyMax)),
+        forgiveness: text(`N${forgivenessAlpha} share`, percent(f.forgivenessMin), percent(f.forgivenessMax))
+    };
+}
+
+// Active filters of one tier as text: { capacity: [budget-scan filters],
+// greedy, forgiveness, minFeasible } (null when off)
+function filterTexts(t, forgivenessAlpha) {
+    const difficulty = difficultyTexts(t, forgivenessAlpha);
+    const capacity = [];
+    if (t.optMin !== null || t.optMax !== null) capacity.push(`optimal ${rangeText(t.optMin, t.optMax)} items`);
+    if (difficulty.sahniK !== null) capacity.push(difficulty.sahniK);
+    if (t.minOptVal !== null || t.maxOptVal !== null) capacity.push(`optimal value ${rangeText(t.minOptVal, t.maxOptVal)}`);
+    return {
+        capacity,
+        greedy: difficulty.greedy,
+        forgiveness: difficulty.forgiveness,
+        minFeasible: t.minFeasible !== null ? `feasible ≥ ${t.minFeasible}` : null
+    };
+}
+
+// Active filters of every tier and the tier relations as text, for fallback
+// warnings: ['low optimal = 4 items', 'high greedy ≤ 97%', 'low ⊂ high', ...]
+export function tierConstraints(tiers, forgivenessAlpha, relations = []) {
+    return tiers.flatMap(t => {
+        const texts = filterTexts(t, forgivenessAlpha);
+        return [...texts.capacity, texts.greedy, texts.forgiveness, texts.minFeasible]
+            .filter(p => p !== null)
+            .map(p => `${t.name} ${p}`);
+    }).concat(relations.flatMap(relationTexts));
+}
+
+// Export fields of one tier's settings
+export function tierSpecExport(tier) {
+    return {
+        name: tier.name,
+        budget_range: [tier.budgetMin, tier.budgetMax],
+        target_optimal: [tier.optMin, tier.optMax],
+        target_sahni_k: [tier.sahniKMin, tier.sahniKMax],
+        optimal_value_range: [tier.minOptVal, tier.maxOptVal],
+        greedy_range: [tier.greedyMin, tier.greedyMax],
+        forgiveness_range: [tier.forgivenessMin, tier.forgivenessMax],
+        min_feasible: tier.minFeasible
+    };
+}
+
+// Export fields of one tier relation
+export function relationSpecExport(r) {
+    return {
+        lower: r.lower,
+        upper: r.upper,
+        overlap: r.overlap,
+        max_shared: r.overlap === 'at_most' ? r.maxShared : null,
+        budget_ratio_range: [r.minBudgetRatio, r.maxBudgetRatio]
+    };
+}
+
+// Export fields of tierOverlaps()
+export function overlapsExport(tierResults) {
+    return tierOverlaps(tierResults).map(o => ({
+        lower: o.lower,
+        upper: o.upper,
+        shared_items: o.shared,
+        budget_ratio: parseFloat(o.budgetRatio.toFixed(3))
+    }));
+}
+
+// Chosen quantity of each item of an optimum, in item order: [{ id, quantity }]
+function quantitiesExport(sol) {
+    const byId = new Map();
+    sol.items.forEach(it => byId.set(it.id, (byId.get(it.id) || 0) + 1));
+    return [...byId].map(([id, quantity]) => ({ id, quantity }));
+}
+
+// Export fields of one tierResult(); `extra` goes before the item ids.
+// With `quantities` the optimum is listed as item_quantities instead.
+export function tierResultExport(r, extra = {}, quantities = false) {
+    return {
+        budget: r.budget,
+        count: r.opt.count, value: r.opt.value, weight: r.opt.weight,
+        sahni_k: r.sahniK, sahni_k_exceeded: r.sahniK === null,
+        greedy_ratio: parseFloat((r.greedyRatio * 100).toFixed(1)),
+        n_optimal_solutions: r.nOptimal,
+        feasible: r.feasible, n_alpha: r.nAlpha, counts_exact: r.countsExact,
+        ...extra,
+        ...(quantities ? { item_quantities: quantitiesExport(r.opt) } : { item_ids: r.opt.items.map(it => it.id) })
+    };
+}
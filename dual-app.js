@@ -1,229 +1,7 @@
-// ============================================================
-// Dual-Budget Knapsack Generator
-// Reuses core logic from app.js but with two budget levels.
-// ============================================================
-
-// Seeded PRNG (Mulberry32)
-function mulberry32(seed) {
-    return function() {
-        let t = seed += 0x6D2B79F5;
-        t = Math.imul(t ^ t >>> 15, t | 1);
-        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-        return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
-}
-
-function hashSeed(seed) {
-    if (typeof seed === 'number') return Math.floor(seed);
-    let hash = 0;
-    for (let i = 0; i < seed.length; i++) {
-        const char = seed.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
-    }
-    return Math.abs(hash);
-}
-
-function boxMuller(rng) {
-    const u1 = rng();
-    const u2 = rng();
-    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-}
-
-// Distribution samplers — integer
-function sampleUniformInt(rng, min, max) { return Math.floor(rng() * (max - min + 1)) + min; }
-function sampleNormalInt(rng, mean, sd) { let v; do { v = Math.round(mean + sd * boxMuller(rng)); } while (v <= 0); return v; }
-function sampleLognormalInt(rng, mu, sigma) { let v; do { v = Math.round(Math.exp(mu + sigma * boxMuller(rng))); } while (v <= 0); return v; }
-
-// Distribution samplers — continuous
-function sampleUniformCont(rng, min, max) { return Math.max(0.01, parseFloat((min + rng() * (max - min)).toFixed(2))); }
-function sampleNormalCont(rng, mean, sd) { let v; do { v = mean + sd * boxMuller(rng); } while (v <= 0); return parseFloat(v.toFixed(2)); }
-function sampleLognormalCont(rng, mu, sigma) { return parseFloat(Math.max(0.01, Math.exp(mu + sigma * boxMuller(rng))).toFixed(2)); }
-
-function getSampler(distType, params, isInt) {
-    if (isInt) {
-        switch (distType) {
-            case 'uniform': return (rng) => sampleUniformInt(rng, params.min, params.max);
-            case 'normal':  return (rng) => sampleNormalInt(rng, params.mean, params.sd);
-            case 'lognormal': return (rng) => sampleLognormalInt(rng, params.mu, params.sigma);
-        }
-    } else {
-        switch (distType) {
-            case 'uniform': return (rng) => sampleUniformCont(rng, params.min, params.max);
-            case 'normal':  return (rng) => sampleNormalCont(rng, params.mean, params.sd);
-            case 'lognormal': return (rng) => sampleLognormalCont(rng, params.mu, params.sigma);
-        }
-    }
-}
-
-function distName(type, isInt) {
-    const base = { 'uniform': 'Uniform', 'normal': 'Normal', 'lognormal': 'Lognormal' };
-    return base[type] + (isInt ? 'Int' : '');
-}
-
-const CORRELATION_NAMES = { 'independent': 'Independent', 'positive': 'PositiveLinear', 'negative': 'NegativeLinear' };
-
-// Generate items (identical to main generator)
-function generateItems(config, seedStr) {
-    const rng = mulberry32(hashSeed(seedStr));
-    const weightSampler = getSampler(config.weightDist, config.weightParams, config.weightInt);
-    const valueSampler = getSampler(config.valueDist, config.valueParams, config.valueInt);
-
-    const items = [];
-    let maxWeight = 0;
-
-    for (let i = 0; i < config.nItems; i++) {
-        const weight = weightSampler(rng);
-        items.push({ id: i + 1, weight, value: 0 });
-        maxWeight = Math.max(maxWeight, weight);
-    }
-
-    for (let i = 0; i < config.nItems; i++) {
-        let value;
-        if (config.correlation === 'independent') {
-            value = valueSampler(rng);
-        } else if (config.correlation === 'positive') {
-            value = config.alpha * items[i].weight + config.noiseSd * boxMuller(rng);
-            value = config.valueInt ? Math.round(value) : parseFloat(value.toFixed(2));
-        } else if (config.correlation === 'negative') {
-            value = config.alpha * (maxWeight - items[i].weight) + config.noiseSd * boxMuller(rng);
-            value = config.valueInt ? Math.round(value) : parseFloat(value.toFixed(2));
-        }
-        items[i].value = Math.max(config.valueInt ? 1 : 0.01, value);
-    }
-
-    // Ratio spread
-    if (config.ratioSpread !== 'medium') {
-        const lambda = config.ratioSpread === 'low' ? 0.3 : 2.0;
-        const ratios = items.map(it => it.value / it.weight);
-        const meanR = ratios.reduce((a, b) => a + b, 0) / ratios.length;
-        for (let i = 0; i < items.length; i++) {
-            const nr = Math.max(0.01, meanR + lambda * (ratios[i] - meanR));
-            let nv = nr * items[i].weight;
-            items[i].value = config.valueInt ? Math.max(1, Math.round(nv)) : Math.max(0.01, parseFloat(nv.toFixed(2)));
-        }
-    }
-
-    // Integer ratios
-    if (config.integerRatios) {
-        for (let i = 0; i < items.length; i++) {
-            const ratio = Math.max(1, Math.round(items[i].value / items[i].weight));
-            items[i].value = ratio * items[i].weight;
-        }
-    }
-
-    return items;
-}
-
-// DP knapsack solver
-function solveKnapsack(items, capacity) {
-    const n = items.length;
-    const dp = Array.from({ length: n + 1 }, () => new Int32Array(capacity + 1));
-
-    for (let i = 1; i <= n; i++) {
-        const w = items[i - 1].weight;
-        const v = items[i - 1].value;
-        for (let c = 0; c <= capacity; c++) {
-            dp[i][c] = dp[i - 1][c];
-            if (w <= c && dp[i - 1][c - w] + v > dp[i][c]) {
-                dp[i][c] = dp[i - 1][c - w] + v;
-            }
-        }
-    }
-
-    const selected = [];
-    let c = capacity;
-    for (let i = n; i >= 1; i--) {
-        if (dp[i][c] !== dp[i - 1][c]) {
-            selected.push(items[i - 1]);
-            c -= items[i - 1].weight;
-        }
-    }
-    selected.reverse();
-
-    return {
-        value: dp[n][capacity],
-        weight: selected.reduce((s, it) => s + it.weight, 0),
-        count: selected.length,
-        items: selected
-    };
-}
-
-// Sahni-k
-function computeSahniK(items, capacity, optimalValue) {
-    const n = items.length;
-    const sortedIndices = items.map((_, i) => i).sort((a, b) =>
-        (items[b].value / items[b].weight) - (items[a].value / items[a].weight)
-    );
-
-    function greedyFill(forced, remCap) {
-        let val = 0;
-        for (const idx of sortedIndices) {
-            if (forced.has(idx)) continue;
-            if (items[idx].weight <= remCap) { val += items[idx].value; remCap -= items[idx].weight; }
-        }
-        return val;
-    }
-
-    if (greedyFill(new Set(), capacity) >= optimalValue) return 0;
-
-    for (let k = 1; k <= Math.min(n, 6); k++) {
-        const subset = new Array(k);
-        let found = false;
-        function enumerate(depth, start) {
-            if (found) return;
-            if (depth === k) {
-                const forced = new Set(subset);
-                let fw = 0, fv = 0;
-                for (const idx of subset) { fw += items[idx].weight; fv += items[idx].value; }
-                if (fw > capacity) return;
-                if (fv + greedyFill(forced, capacity - fw) >= optimalValue) found = true;
-                return;
-            }
-            for (let i = start; i < n; i++) { subset[depth] = i; enumerate(depth + 1, i + 1); if (found) return; }
-        }
-        enumerate(0, 0);
-        if (found) return k;
-    }
-    return '> 6';
-}
-
-// Greedy knapsack: sort by value/weight ratio descending, pack greedily
-function greedyValue(items, capacity) {
-    const sorted = items.slice().sort((a, b) => (b.value / b.weight) - (a.value / a.weight));
-    let remCap = capacity;
-    let totalValue = 0;
-    for (const item of sorted) {
-        if (item.weight <= remCap) {
-            totalValue += item.value;
-            remCap -= item.weight;
-        }
-    }
-    return totalValue;
-}
-
-// Count feasible subsets and near-optimal subsets (brute-force bitmask, n<=20)
-function countBundleStats(items, capacity, optValue, alphaPercent) {
-    if (alphaPercent === undefined) alphaPercent = 90;
-    const n = items.length;
-    const threshold = alphaPercent * optValue;
-    let feasible = 0, n90 = 0;
-    const total = 1 << n;
-    for (let mask = 1; mask < total; mask++) {
-        let w = 0, v = 0;
-        for (let i = 0; i < n; i++) {
-            if (mask & (1 << i)) {
-                w += items[i].weight;
-                v += items[i].value;
-            }
-        }
-        if (w <= capacity) {
-            feasible++;
-            if (v * 100 >= threshold) n90++;
-        }
-    }
-    return { feasible, n90 };
-}
+// Dual-budget page UI. Generation and solving live in core/.
+import { generateDualInstance, buildDualExport, tierOverlaps, isLinearCorrelation, hasOwnValueDist, spearmanRho, countText, sahniKText, nAlphaParts, parseNumberList, parsePercentList, validateAlphaLevels, validateSahniK, validateDifficultyRanges, validateTiers, validateSizes, validateDistributions, validateSearch, searchText } from './core/index.js';
+import { ESTIMATE_NOTE } from './stats-ui.js';
+import { tierColor, initTierEditor, updateTierSahniKLimit, readTiers, initRelationEditor, syncRelationTiers, readRelations, tierMembership, tierMarks, tierLegend } from './tiers-ui.js';
 
 // ============================================================
 // DOM & UI
@@ -231,10 +9,10 @@ function countBundleStats(items, capacity, optValue, alphaPercent) {
 
 const el = {
     nItems: document.getElementById('n_items'),
-    budgetLowMin: document.getElementById('budget_low_min'),
-    budgetLowMax: document.getElementById('budget_low_max'),
-    budgetHighMin: document.getElementById('budget_high_min'),
-    budgetHighMax: document.getElementById('budget_high_max'),
+    tiersContainer: document.getElementById('tiers_container'),
+    addTierBtn: document.getElementById('add_tier_btn'),
+    relationsContainer: document.getElementById('relations_container'),
+    addRelationBtn: document.getElementById('add_relation_btn'),
     seed: document.getElementById('seed'),
     weightDist: document.getElementById('weight_dist'),
     valueDist: document.getElementById('value_dist'),
@@ -247,30 +25,49 @@ const el = {
     weightSd: document.getElementById('weight_sd'),
     weightMu: document.getElementById('weight_mu'),
     weightSigma: document.getElementById('weight_sigma'),
+    weightShape: document.getElementById('weight_shape'),
+    weightScale: document.getElementById('weight_scale'),
+    weightBetaA: document.getElementById('weight_beta_a'),
+    weightBetaB: document.getElementById('weight_beta_b'),
+    weightBetaMin: document.getElementById('weight_beta_min'),
+    weightBetaMax: document.getElementById('weight_beta_max'),
+    weightXm: document.getElementById('weight_xm'),
+    weightParetoAlpha: document.getElementById('weight_pareto_alpha'),
+    weightEmpirical: document.getElementById('weight_empirical'),
+    weightEmpiricalReplace: document.getElementById('weight_empirical_replace'),
     valueMin: document.getElementById('value_min'),
     valueMax: document.getElementById('value_max'),
     valueMean: document.getElementById('value_mean'),
     valueSd: document.getElementById('value_sd'),
     valueMu: document.getElementById('value_mu'),
     valueSigma: document.getElementById('value_sigma'),
+    valueShape: document.getElementById('value_shape'),
+    valueScale: document.getElementById('value_scale'),
+    valueBetaA: document.getElementById('value_beta_a'),
+    valueBetaB: document.getElementById('value_beta_b'),
+    valueBetaMin: document.getElementById('value_beta_min'),
+    valueBetaMax: document.getElementById('value_beta_max'),
+    valueXm: document.getElementById('value_xm'),
+    valueParetoAlpha: document.getElementById('value_pareto_alpha'),
+    valueEmpirical: document.getElementById('value_empirical'),
+    valueEmpiricalReplace: document.getElementById('value_empirical_replace'),
     alpha: document.getElementById('alpha'),
     noiseSd: document.getElementById('noise_sd'),
+    copulaRho: document.getElementById('copula_rho'),
     ratioSpread: document.getElementById('ratio_spread'),
     integerRatios: document.getElementById('integer_ratios'),
-    optimalSizeLow: document.getElementById('optimal_size_low'),
-    optimalSizeHigh: document.getElementById('optimal_size_high'),
-    sahniKLow: document.getElementById('sahni_k_low'),
-    sahniKHigh: document.getElementById('sahni_k_high'),
-    greedyCapSelect: document.getElementById('greedyCapSelect'),
-    forgivenessCapSelect: document.getElementById('forgivenessCapSelect'),
-    minFeasibleInput: document.getElementById('minFeasibleInput'),
+    sahniKLimitInput: document.getElementById('sahniKLimitInput'),
+    forgivenessAlphaInput: document.getElementById('forgivenessAlphaInput'),
+    alphaLevelsInput: document.getElementById('alphaLevelsInput'),
+    searchMode: document.getElementById('search_mode'),
+    searchSteps: document.getElementById('search_steps'),
     generateBtn: document.getElementById('generate_btn'),
     downloadJsonBtn: document.getElementById('download_json_btn'),
     copyJsonBtn: document.getElementById('copy_json_btn'),
     outputSection: document.getElementById('output_section'),
     statsGrid: document.getElementById('stats_grid'),
-    optimalLow: document.getElementById('optimal_low'),
-    optimalHigh: document.getElementById('optimal_high'),
+    tierPanels: document.getElementById('tier_panels'),
+    tierLegend: document.getElementById('tier_legend'),
     previewBody: document.getElementById('preview_body'),
     weightParams: document.getElementById('weight_params'),
     valueParams: document.getElementById('value_params'),
@@ -291,8 +88,9 @@ function updateCorrelationParams() {
     const corrDiv = el.correlationParams.querySelector('.correlation-params');
     const vDistG = el.valueDist.closest('.form-group');
     const vParamsG = el.valueParams;
-    if (corr === 'independent') { corrDiv.classList.add('hidden'); vDistG.classList.remove('hidden'); vParamsG.classList.remove('hidden'); }
-    else { corrDiv.classList.remove('hidden'); vDistG.classList.add('hidden'); vParamsG.classList.add('hidden'); }
+    el.correlationParams.querySelector('.copula-params').classList.toggle('hidden', corr !== 'copula');
+    if (hasOwnValueDist(corr)) { corrDiv.classList.add('hidden'); vDistG.classList.remove('hidden'); vParamsG.classList.remove('hidden'); }
+    else { corrDiv.classList.toggle('hidden', !isLinearCorrelation(corr)); vDistG.classList.add('hidden'); vParamsG.classList.add('hidden'); }
 }
 
 function getConfig() {
@@ -304,38 +102,44 @@ function getConfig() {
         case 'uniform': weightParams = { min: parseInt(el.weightMin.value), max: parseInt(el.weightMax.value) }; break;
         case 'normal': weightParams = { mean: parseFloat(el.weightMean.value), sd: parseFloat(el.weightSd.value) }; break;
         case 'lognormal': weightParams = { mu: parseFloat(el.weightMu.value), sigma: parseFloat(el.weightSigma.value) }; break;
+        case 'gamma': weightParams = { shape: parseFloat(el.weightShape.value), scale: parseFloat(el.weightScale.value) }; break;
+        case 'beta': weightParams = { a: parseFloat(el.weightBetaA.value), b: parseFloat(el.weightBetaB.value), min: parseFloat(el.weightBetaMin.value), max: parseFloat(el.weightBetaMax.value) }; break;
+        case 'pareto': weightParams = { xm: parseFloat(el.weightXm.value), alpha: parseFloat(el.weightParetoAlpha.value) }; break;
+        case 'empirical': weightParams = { values: parseNumberList(el.weightEmpirical.value), replace: el.weightEmpiricalReplace.checked }; break;
     }
     switch (valueDist) {
         case 'uniform': valueParams = { min: parseInt(el.valueMin.value), max: parseInt(el.valueMax.value) }; break;
         case 'normal': valueParams = { mean: parseFloat(el.valueMean.value), sd: parseFloat(el.valueSd.value) }; break;
         case 'lognormal': valueParams = { mu: parseFloat(el.valueMu.value), sigma: parseFloat(el.valueSigma.value) }; break;
+        case 'gamma': valueParams = { shape: parseFloat(el.valueShape.value), scale: parseFloat(el.valueScale.value) }; break;
+        case 'beta': valueParams = { a: parseFloat(el.valueBetaA.value), b: parseFloat(el.valueBetaB.value), min: parseFloat(el.valueBetaMin.value), max: parseFloat(el.valueBetaMax.value) }; break;
+        case 'pareto': valueParams = { xm: parseFloat(el.valueXm.value), alpha: parseFloat(el.valueParetoAlpha.value) }; break;
+        case 'empirical': valueParams = { values: parseNumberList(el.valueEmpirical.value), replace: el.valueEmpiricalReplace.checked }; break;
     }
 
     return {
         nItems: parseInt(el.nItems.value),
-        budgetLowMin: parseInt(el.budgetLowMin.value),
-        budgetLowMax: parseInt(el.budgetLowMax.value),
-        budgetHighMin: parseInt(el.budgetHighMin.value),
-        budgetHighMax: parseInt(el.budgetHighMax.value),
+        tiers: readTiers(el.tiersContainer),
+        tierRelations: readRelations(el.relationsContainer, el.tiersContainer),
         seed: el.seed.value,
         weightDist, weightParams, weightInt: el.weightInt.checked,
         valueDist, valueParams, valueInt: el.valueInt.checked,
         correlation: el.correlation.value,
         alpha: parseFloat(el.alpha.value),
         noiseSd: parseFloat(el.noiseSd.value),
+        copulaRho: parseFloat(el.copulaRho.value),
         ratioSpread: el.ratioSpread.value,
         integerRatios: el.integerRatios.checked,
-        optimalSizeLow: el.optimalSizeLow.value,
-        optimalSizeHigh: el.optimalSizeHigh.value,
-        sahniKLow: el.sahniKLow.value,
-        sahniKHigh: el.sahniKHigh.value,
-        greedyCap: el.greedyCapSelect.value,
-        forgivenessCap: el.forgivenessCapSelect.value,
-        minFeasible: el.minFeasibleInput.value ? parseInt(el.minFeasibleInput.value) : null
+        sahniKLimit: parseInt(el.sahniKLimitInput.value),
+        forgivenessAlpha: parseFloat(el.forgivenessAlphaInput.value),
+        alphaLevels: parsePercentList(el.alphaLevelsInput.value),
+        searchMode: el.searchMode.value,
+        searchSteps: parseInt(el.searchSteps.value)
     };
 }
 
-function renderOptimalPanel(container, optimal, sahniK, budget, greedyRatio, n90, feasibleCount) {
+// `extraStats` ({ label, value, title }) go after the standard cards
+function renderOptimalPanel(container, optimal, sahniK, budget, greedyRatio, nAlpha, feasibleCount, countsExact, optimalCount, extraStats = []) {
     const INLINE_LIMIT = 8;
     const itemChips = optimal.items.map(it =>
         `<span class="item-chip">${it.id} <small>(${it.weight},${it.value})</small></span>`
@@ -353,13 +157,18 @@ function renderOptimalPanel(container, optimal, sahniK, budget, greedyRatio, n90
     if (greedyRatio !== null && greedyRatio !== undefined) {
         stats.push({ label: 'Greedy Performance', value: `${(greedyRatio * 100).toFixed(1)}%`, title: 'Greedy solution value as % of optimal.' });
     }
+    if (optimalCount !== null && optimalCount !== undefined) {
+        stats.push({ label: 'Optimal Bundles', value: optimalCount.toLocaleString(), title: 'Distinct item subsets reaching the optimal value. 1 = unique optimum.' });
+    }
     if (feasibleCount !== null && feasibleCount !== undefined) {
-        stats.push({ label: 'Feasible Combinations', value: feasibleCount.toLocaleString(), title: 'Total item subsets fitting within this budget.' });
+        stats.push({ label: 'Feasible Combinations', value: countText(feasibleCount.toLocaleString(), countsExact), title: 'Total item subsets fitting within this budget.' + (countsExact ? '' : ESTIMATE_NOTE) });
     }
-    if (n90 !== null && n90 !== undefined) {
-        const shareStr = feasibleCount > 0 ? ` (${(n90 / feasibleCount * 100).toFixed(1)}%)` : '';
-        stats.push({ label: 'N90 (Forgiveness)', value: `${n90}${shareStr}`, title: 'Feasible subsets achieving \u2265 90% of optimal, and their share of all feasible combinations.' });
+    if (nAlpha) {
+        nAlphaParts(nAlpha, feasibleCount, countsExact).forEach(([label, text]) => {
+            stats.push({ label: `${label} (Forgiveness)`, value: text, title: 'Feasible subsets achieving \u2265 α% of optimal, and their share of all feasible combinations.' + (countsExact ? '' : ESTIMATE_NOTE) });
+        });
     }
+    stats.push(...extraStats);
 
     let html = stats.map(s => `
         <div class="stat-card optimal" ${s.title ? `title="${s.title}"` : ''}>
@@ -386,201 +195,72 @@ function renderOptimalPanel(container, optimal, sahniK, budget, greedyRatio, n90
     container.innerHTML = html;
 }
 
-// Populate optimal-size dropdowns based on current n_items
-function updateOptimalSizeOptions() {
-    const n = parseInt(el.nItems.value) || 1;
-    [el.optimalSizeLow, el.optimalSizeHigh].forEach(select => {
-        const current = select.value;
-        select.innerHTML = '<option value="no_filter">No filter</option>';
-        for (let i = 1; i < n; i++) {
-            select.innerHTML += `<option value="${i}"${current === String(i) ? ' selected' : ''}>${i}</option>`;
-        }
-    });
+// Cap the tiers' Sahni-k range inputs at the Sahni-k limit
+function updateSahniKLimit() {
+    updateTierSahniKLimit(el.tiersContainer, parseInt(el.sahniKLimitInput.value));
 }
 
-// Find a valid capacity within [lo, hi] that satisfies optimal size + Sahni-k targets.
-// Returns { capacity, sol, sahniK } or null.
-function findCapacityInRange(items, budgetMin, budgetMax, targetOptSize, targetSahniK) {
-    const sumWeights = items.reduce((s, it) => s + it.weight, 0);
-    const lo = Math.max(1, budgetMin);
-    const hi = Math.min(budgetMax, sumWeights - 1);
-    if (lo > hi) return null;
-
-    // Collect candidate capacities
-    let candidates = [];
-
-    if (targetOptSize === 'no_filter') {
-        if (targetSahniK === 'no_filter') {
-            // No constraints: pick midpoint
-            const cap = Math.round((lo + hi) / 2);
-            const sol = solveKnapsack(items, cap);
-            return { capacity: cap, sol, sahniK: null };
-        }
-        // Only Sahni-k targeted: scan all capacities
-        for (let c = lo; c <= hi; c++) candidates.push(c);
-    } else {
-        // Scan for capacities that give the target optimal count
-        const target = parseInt(targetOptSize);
-        for (let c = lo; c <= hi; c++) {
-            const sol = solveKnapsack(items, c);
-            if (sol.count === target) candidates.push(c);
-        }
+function generate() {
+    const config = getConfig();
+    const sizeError = validateSizes('dual', config);
+    if (sizeError) {
+        alert(sizeError);
+        return;
     }
-
-    if (candidates.length === 0) return null;
-
-    // If no Sahni-k target, take the middle candidate
-    if (targetSahniK === 'no_filter') {
-        const cap = candidates[Math.floor(candidates.length / 2)];
-        const sol = solveKnapsack(items, cap);
-        return { capacity: cap, sol, sahniK: null };
+    const tierError = validateTiers(config);
+    if (tierError) {
+        alert(tierError);
+        return;
     }
-
-    // Check Sahni-k for each candidate capacity
-    const targetK = parseInt(targetSahniK);
-    for (const c of candidates) {
-        const sol = solveKnapsack(items, c);
-        const k = computeSahniK(items, c, sol.value);
-        if (k === targetK) {
-            return { capacity: c, sol, sahniK: k };
-        }
+    const alphaError = validateAlphaLevels(config);
+    if (alphaError) {
+        alert(alphaError);
+        return;
     }
-
-    return null;
-}
-
-function generate() {
-    const config = getConfig();
-    if (config.budgetLowMin > config.budgetLowMax) {
-        alert('Low Budget Min must be ≤ Low Budget Max.');
+    const sahniError = validateSahniK(config);
+    if (sahniError) {
+        alert(sahniError);
         return;
     }
-    if (config.budgetHighMin > config.budgetHighMax) {
-        alert('High Budget Min must be ≤ High Budget Max.');
+    const rangeError = validateDifficultyRanges(config);
+    if (rangeError) {
+        alert(rangeError);
+        return;
+    }
+    const distError = validateDistributions('dual', config);
+    if (distError) {
+        alert(distError);
+        return;
+    }
+    const searchError = validateSearch(config);
+    if (searchError) {
+        alert(searchError);
         return;
     }
 
     el.generateBtn.textContent = 'Generating…';
     el.generateBtn.disabled = true;
 
-    const MAX_ATTEMPTS = 10000;
-    const baseSeed = config.seed;
-
-    const greedyActive = config.greedyCap !== 'no_filter';
-    const greedyThreshold = greedyActive ? parseFloat(config.greedyCap) : 1;
-    const forgivenessActive = config.forgivenessCap !== 'no_filter';
-    const forgivenessShare = forgivenessActive ? parseFloat(config.forgivenessCap) : Infinity;
-    const canBruteForceN90 = config.nItems <= 20;
-
     setTimeout(() => {
-        let items, bLow, bHigh, optLow, optHigh, sahniLow, sahniHigh;
-        let greedyRatioLow = null, greedyRatioHigh = null, n90Low = null, n90High = null;
-        let feasibleLow = null, feasibleHigh = null;
-        let usedSeed = baseSeed;
-        let warning = null;
-        let found = false;
-
-        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
-            usedSeed = attempt === 0 ? baseSeed : baseSeed + '_' + attempt;
-            items = generateItems(config, usedSeed);
-
-            // Find a valid capacity in the low budget range
-            const lowResult = findCapacityInRange(
-                items, config.budgetLowMin, config.budgetLowMax,
-                config.optimalSizeLow, config.sahniKLow
-            );
-            if (!lowResult) continue;
-
-            // Find a valid capacity in the high budget range
-            const highResult = findCapacityInRange(
-                items, config.budgetHighMin, config.budgetHighMax,
-                config.optimalSizeHigh, config.sahniKHigh
-            );
-            if (!highResult) continue;
-
-            const capLow = lowResult.capacity;
-            const capHigh = highResult.capacity;
-            const solLow = lowResult.sol || solveKnapsack(items, capLow);
-            const solHigh = highResult.sol || solveKnapsack(items, capHigh);
-
-            // Greedy constraint — check BOTH budgets
-            if (greedyActive) {
-                const gLow = solLow.value > 0 ? greedyValue(items, capLow) / solLow.value : 0;
-                const gHigh = solHigh.value > 0 ? greedyValue(items, capHigh) / solHigh.value : 0;
-                if (gLow >= greedyThreshold || gHigh >= greedyThreshold) continue;
-            }
-
-            // Forgiveness constraint (N90 share) + min feasible — check BOTH budgets
-            if (canBruteForceN90) {
-                const bsL = countBundleStats(items, capLow, solLow.value, 90);
-                const bsH = countBundleStats(items, capHigh, solHigh.value, 90);
-                if (forgivenessActive) {
-                    const shareLow = bsL.feasible > 0 ? bsL.n90 / bsL.feasible : 0;
-                    const shareHigh = bsH.feasible > 0 ? bsH.n90 / bsH.feasible : 0;
-                    if (shareLow > forgivenessShare || shareHigh > forgivenessShare) continue;
-                }
-                if (config.minFeasible !== null && (bsL.feasible < config.minFeasible || bsH.feasible < config.minFeasible)) continue;
-            }
-
-            // Both satisfied
-            bLow = capLow;
-            bHigh = capHigh;
-            optLow = solLow;
-            optHigh = solHigh;
-            sahniLow = lowResult.sahniK;
-            sahniHigh = highResult.sahniK;
-            found = true;
-            break;
-        }
-
-        if (!found) {
-            // Fallback: use base seed, pick midpoints
-            usedSeed = baseSeed;
-            items = generateItems(config, usedSeed);
-            const sumWeights = items.reduce((s, it) => s + it.weight, 0);
-            bLow = Math.max(1, Math.min(Math.round((config.budgetLowMin + config.budgetLowMax) / 2), sumWeights - 1));
-            bHigh = Math.max(1, Math.min(Math.round((config.budgetHighMin + config.budgetHighMax) / 2), sumWeights - 1));
-            optLow = solveKnapsack(items, bLow);
-            optHigh = solveKnapsack(items, bHigh);
-            sahniLow = null;
-            sahniHigh = null;
-
-            const constraints = [];
-            if (config.optimalSizeLow !== 'no_filter') constraints.push(`low optimal = ${config.optimalSizeLow} items`);
-            if (config.sahniKLow !== 'no_filter') constraints.push(`low Sahni-k = ${config.sahniKLow}`);
-            if (config.optimalSizeHigh !== 'no_filter') constraints.push(`high optimal = ${config.optimalSizeHigh} items`);
-            if (config.sahniKHigh !== 'no_filter') constraints.push(`high Sahni-k = ${config.sahniKHigh}`);
-            if (greedyActive) constraints.push(`greedy < ${(greedyThreshold * 100).toFixed(0)}%`);
-            if (forgivenessActive) constraints.push(`N90 share ≤ ${(forgivenessShare * 100).toFixed(1)}%`);
-            if (config.minFeasible !== null) constraints.push(`feasible ≥ ${config.minFeasible}`);
-            warning = `Could not satisfy constraints (${constraints.join(', ')}) after ${MAX_ATTEMPTS} attempts. Showing result for base seed. Try loosening constraints, widening budget ranges, or changing seed.`;
-        }
-
-        // Compute Sahni-k if not already done
-        if (sahniLow === null) sahniLow = computeSahniK(items, bLow, optLow.value);
-        if (sahniHigh === null) sahniHigh = computeSahniK(items, bHigh, optHigh.value);
-
-        // Compute greedy ratio and N90 for display
-        greedyRatioLow = optLow.value > 0 ? greedyValue(items, bLow) / optLow.value : 0;
-        greedyRatioHigh = optHigh.value > 0 ? greedyValue(items, bHigh) / optHigh.value : 0;
-        if (canBruteForceN90) {
-            const bsLow = countBundleStats(items, bLow, optLow.value, 90);
-            const bsHigh = countBundleStats(items, bHigh, optHigh.value, 90);
-            n90Low = bsLow.n90;
-            n90High = bsHigh.n90;
-            feasibleLow = bsLow.feasible;
-            feasibleHigh = bsHigh.feasible;
-        }
+        const result = generateDualInstance(config);
+        const { items, tiers, warning } = result;
 
         const sumWeights = items.reduce((s, it) => s + it.weight, 0);
+        const rho = spearmanRho(items);
 
         // Summary stats
         let statsHtml = [
-            { label: 'Sum of Prices', value: sumWeights }
+            { label: 'Sum of Prices', value: sumWeights },
+            { label: 'Spearman ρ', value: rho === null ? '—' : rho.toFixed(3) + (config.correlation === 'copula' ? ` (target ${config.copulaRho})` : '') }
         ].map(s => `<div class="stat-card"><div class="label">${s.label}</div><div class="value">${s.value}</div></div>`).join('');
 
-        if (usedSeed !== baseSeed) {
-            statsHtml += `<div class="stat-card" title="Seed was adjusted to satisfy constraints."><div class="label">Seed Used</div><div class="value">${usedSeed}</div></div>`;
+        if (result.seed !== config.seed) {
+            statsHtml += `<div class="stat-card" title="Seed was adjusted to satisfy constraints."><div class="label">Seed Used</div><div class="value">${result.seed}</div></div>`;
+        }
+
+        const search = searchText(result.search);
+        if (search) {
+            statsHtml += `<div class="stat-card" title="Item values were perturbed from the seed's items to meet the difficulty filters."><div class="label">Local Search</div><div class="value">${search}</div></div>`;
         }
 
         if (warning) {
@@ -589,49 +269,37 @@ function generate() {
 
         el.statsGrid.innerHTML = statsHtml;
 
-        renderOptimalPanel(el.optimalLow, optLow, sahniLow, bLow, greedyRatioLow, n90Low, feasibleLow);
-        renderOptimalPanel(el.optimalHigh, optHigh, sahniHigh, bHigh, greedyRatioHigh, n90High, feasibleHigh);
-
-        // Preview table with dual highlighting
-        const lowIds = new Set(optLow.items.map(it => it.id));
-        const highIds = new Set(optHigh.items.map(it => it.id));
+        // One panel per tier; each reports its overlap with the tiers before it
+        const overlaps = tierOverlaps(tiers);
+        el.tierPanels.innerHTML = '';
+        tiers.forEach((t, i) => {
+            const overlapStats = overlaps.filter(o => o.upper === t.name).map(o => ({
+                label: `Shared with ${o.lower}`,
+                value: `${o.shared} (budget ×${o.budgetRatio.toFixed(2)})`,
+                title: `Items in both the ${o.lower} and ${t.name} optimal solutions, and ${t.name} budget / ${o.lower} budget.`
+            }));
+            const panel = document.createElement('div');
+            panel.className = 'dual-panel';
+            panel.style.setProperty('--tier-color', tierColor(i));
+            panel.innerHTML = `<h3>${t.name} budget</h3><div class="stats-grid"></div>`;
+            renderOptimalPanel(panel.querySelector('.stats-grid'), t.opt, sahniKText(t.sahniK, result.sahniKLimit), t.budget, t.greedyRatio, t.nAlpha, t.feasible, t.countsExact, t.nOptimal, overlapStats);
+            el.tierPanels.appendChild(panel);
+        });
+
+        // Preview table, rows highlighted by tier
+        const names = tiers.map(t => t.name);
+        const membership = tierMembership(result);
+        el.tierLegend.innerHTML = tierLegend(names);
 
         const previewItems = items.slice(0, 25);
         el.previewBody.innerHTML = previewItems.map(item => {
-            const inLow = lowIds.has(item.id);
-            const inHigh = highIds.has(item.id);
-            let cls = '';
-            if (inLow && inHigh) cls = ' class="optimal-both"';
-            else if (inLow) cls = ' class="optimal-low"';
-            else if (inHigh) cls = ' class="optimal-high"';
-            return `<tr${cls}><td>${item.id}</td><td>${item.weight}</td><td>${item.value}</td><td>${(item.value / item.weight).toFixed(2)}</td></tr>`;
+            const tierIdxs = membership.get(item.id) || [];
+            const attrs = tierIdxs.length > 0 ? ` class="in-tier" style="--tier-color: ${tierColor(tierIdxs[0])}"` : '';
+            return `<tr${attrs}><td>${item.id}${tierMarks(tierIdxs, names)}</td><td>${item.weight}</td><td>${item.value}</td><td>${(item.value / item.weight).toFixed(2)}</td></tr>`;
         }).join('');
 
         // Store for export
-        currentResult = {
-            problem: '0/1 knapsack (dual budget)',
-            n_items: config.nItems,
-            seed: usedSeed,
-            seed_requested: baseSeed,
-            budget_low: bLow,
-            budget_low_range: [config.budgetLowMin, config.budgetLowMax],
-            budget_high: bHigh,
-            budget_high_range: [config.budgetHighMin, config.budgetHighMax],
-            target_optimal_size_low: config.optimalSizeLow,
-            target_optimal_size_high: config.optimalSizeHigh,
-            target_sahni_k_low: config.sahniKLow,
-            target_sahni_k_high: config.sahniKHigh,
-            price_dist: { name: distName(config.weightDist, config.weightInt), params: config.weightParams },
-            value_dist: config.correlation === 'independent' ? { name: distName(config.valueDist, config.valueInt), params: config.valueParams } : null,
-            correlation: { mode: CORRELATION_NAMES[config.correlation], alpha: config.correlation !== 'independent' ? config.alpha : null, noise_sd: config.correlation !== 'independent' ? config.noiseSd : null },
-            ratio_spread: config.ratioSpread,
-            integer_ratios: config.integerRatios,
-            optimal_low: { budget: bLow, value: optLow.value, weight: optLow.weight, count: optLow.count, sahni_k: sahniLow, item_ids: optLow.items.map(it => it.id) },
-            optimal_high: { budget: bHigh, value: optHigh.value, weight: optHigh.weight, count: optHigh.count, sahni_k: sahniHigh, item_ids: optHigh.items.map(it => it.id) },
-            items
-        };
-
-        if (warning) currentResult.warning = warning;
+        currentResult = buildDualExport(config, result);
 
         el.outputSection.classList.remove('hidden');
         el.downloadJsonBtn.disabled = false;
@@ -681,15 +349,17 @@ function fallbackCopy(text) {
 el.weightDist.addEventListener('change', () => updateDistParams('weight_dist', 'weight_params'));
 el.valueDist.addEventListener('change', () => updateDistParams('value_dist', 'value_params'));
 el.correlation.addEventListener('change', updateCorrelationParams);
-el.nItems.addEventListener('input', updateOptimalSizeOptions);
+el.sahniKLimitInput.addEventListener('change', updateSahniKLimit);
 el.generateBtn.addEventListener('click', generate);
 el.downloadJsonBtn.addEventListener('click', downloadJSON);
 el.copyJsonBtn.addEventListener('click', copyJSON);
 
 // Init
+initTierEditor(el.tiersContainer, el.addTierBtn, () => syncRelationTiers(el.relationsContainer, el.tiersContainer));
+initRelationEditor(el.relationsContainer, el.addRelationBtn, el.tiersContainer);
 el.downloadJsonBtn.disabled = true;
 el.copyJsonBtn.disabled = true;
 updateDistParams('weight_dist', 'weight_params');
 updateDistParams('value_dist', 'value_params');
 updateCorrelationParams();
-updateOptimalSizeOptions();
+updateSahniKLimit();
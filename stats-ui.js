@@ -0,0 +1,7 @@
+// ============================================================
+// Stat panels shared by the single, dual and budget finder pages.
+// Count formatting itself (countText, nAlphaParts) lives in core/.
+// ============================================================
+
+// Tooltip suffix for Feasible / Nα counts that are estimates
+export const ESTIMATE_NOTE = ' ≈ marks an estimate: the instance is too large to count exactly.';
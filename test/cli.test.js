@@ -0,0 +1,46 @@
+// knapsack-gen against stored golden exports, one or more per mode. The
+// CLI must match the pages byte for byte, so any change to these outputs
+// is a change to what the pages generate too. After an intended change,
+// regenerate with UPDATE_GOLDEN=1 npm test and review the diff.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/knapsack-gen.js', import.meta.url));
+const golden = (name) => fileURLToPath(new URL(`./golden/${name}.json`, import.meta.url));
+
+// Golden name -> knapsack-gen arguments
+const CASES = {
+    'single': ['--mode', 'single'],
+    'single-decimal': ['--mode', 'single', '--weight-int', 'false', '--value-int', 'false', '--seed', 'decimal'],
+    'single-resources': ['--mode', 'single', '--n-items', '10', '--resources', '[{"name":"time","budgetMin":10,"budgetMax":30}]'],
+    'single-rules': ['--mode', 'single', '--conflict-density', '0.2', '--precedence-density', '0.1'],
+    'single-pairs': ['--mode', 'single', '--n-items', '10', '--pair-density', '0.3'],
+    'dual': ['--mode', 'dual'],
+    'batch': ['--mode', 'batch', '--n-instances', '2'],
+    'batch-quantities': ['--mode', 'batch', '--n-instances', '2', '--quantity-mode', 'bounded'],
+    'specific': ['--mode', 'specific', '--n-instances', '2'],
+    'specific-one-per-group': [
+        '--mode', 'specific', '--n-instances', '2', '--one-per-group', 'true',
+        '--groups', '[{"name":"a","count":3},{"name":"b","count":3},{"name":"c","count":3},{"name":"d","count":3}]',
+        '--tiers', '[{"name":"low","budgetMin":20,"budgetMax":40},{"name":"high","budgetMin":40,"budgetMax":80}]'
+    ]
+};
+
+for (const [name, args] of Object.entries(CASES)) {
+    test(`knapsack-gen matches golden/${name}.json`, () => {
+        const output = execFileSync(process.execPath, [CLI, '--quiet', ...args], { encoding: 'utf8' });
+        if (process.env.UPDATE_GOLDEN) writeFileSync(golden(name), output);
+        assert.equal(output, readFileSync(golden(name), 'utf8'));
+    });
+}
+
+test('knapsack-gen rejects values that are not numbers', () => {
+    assert.throws(
+        () => execFileSync(process.execPath, [CLI, '--quiet', '--mode', 'single', '--n-items', 'abc'], { stdio: 'pipe' }),
+        (err) => err.status === 1 && /nItems must be a whole number/.test(err.stderr)
+    );
+});
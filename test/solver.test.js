@@ -0,0 +1,371 @@
+// Cross-checks of the exact solvers against brute force on small random
+// instances, one suite per solver variant. The reference side works in
+// integer cents, so decimal instances are compared without float noise.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mulberry32 } from '../core/random.js';
+import { solveKnapsack, countOptimalSolutions, countBundleStats, computeSahniK } from '../core/solver.js';
+import { solveMultiKnapsack, computeMultiSahniK } from '../core/multidim.js';
+
+const ALPHAS = [50, 90, 100];
+const MAX_K = 12;
+
+// Random instance with integer (scale 1) or 2-decimal (scale 100) prices,
+// values and capacity. `extra(rng, i, n)` adds variant fields to each item.
+function randomInstance(rng, { n, scale, extra = () => ({}) }) {
+    const unit = scale === 1 ? 1 : 100;
+    const draw = (lo, hi) => Math.round((lo + rng() * (hi - lo)) * unit) / unit;
+    const items = [];
+    for (let i = 0; i < n; i++) {
+        items.push({ id: i + 1, weight: draw(1, 15), value: draw(1, 30), ...extra(rng, i, n) });
+    }
+    const total = items.reduce((s, it) => s + it.weight * Math.min(it.quantity || 1, 3), 0);
+    const capacity = Math.round(total * (0.25 + rng() * 0.5) * unit) / unit;
+    return { items, capacity };
+}
+
+const cents = (x) => Math.round(x * 100);
+
+// Every selection as a copies vector, respecting quantities, choice
+// classes, conflicts and precedences (capacity is not checked here)
+function selections(items, capacity) {
+    const out = [];
+    const copies = new Array(items.length).fill(0);
+    function visit(i) {
+        if (i === items.length) {
+            if (allowed(items, copies)) out.push([...copies]);
+            return;
+        }
+        const it = items[i];
+        const most = Math.min(it.quantity === undefined ? 1 : it.quantity, Math.floor(capacity / it.weight) + 1);
+        for (let c = 0; c <= most; c++) {
+            copies[i] = c;
+            visit(i + 1);
+        }
+        copies[i] = 0;
+    }
+    visit(0);
+    return out;
+}
+
+function allowed(items, copies) {
+    const index = new Map(items.map((it, i) => [it.id, i]));
+    const classes = new Set();
+    for (let i = 0; i < items.length; i++) {
+        if (copies[i] === 0) continue;
+        const it = items[i];
+        if (it.choiceClass !== undefined) {
+            if (classes.has(it.choiceClass)) return false;
+            classes.add(it.choiceClass);
+        }
+        if ((it.conflicts || []).some(id => copies[index.get(id)] > 0)) return false;
+        if ((it.requires || []).some(id => copies[index.get(id)] === 0)) return false;
+    }
+    return true;
+}
+
+function weightOf(items, copies) {
+    return copies.reduce((s, c, i) => s + c * cents(items[i].weight), 0);
+}
+
+function valueOf(items, copies) {
+    const index = new Map(items.map((it, i) => [it.id, i]));
+    let value = 0, bonuses = 0;
+    copies.forEach((c, i) => {
+        if (c === 0) return;
+        value += c * cents(items[i].value);
+        (items[i].synergies || []).forEach(([id, bonus]) => { if (copies[index.get(id)] > 0) bonuses += cents(bonus); });
+    });
+    return value + bonuses / 2;
+}
+
+// Optimum, optimal count, feasible count and Nα counts by enumeration
+function bruteForce(items, capacity) {
+    const cap = cents(capacity);
+    const feasible = selections(items, capacity).filter(s => weightOf(items, s) <= cap);
+    const values = feasible.map(s => valueOf(items, s));
+    const opt = Math.max(...values);
+    const nonEmpty = feasible.map((s, i) => [s, values[i]]).filter(([s]) => s.some(c => c > 0));
+    return {
+        opt,
+        optCount: values.filter(v => v === opt).length,
+        feasible: nonEmpty.length,
+        nAlpha: Object.fromEntries(ALPHAS.map(a => [a, nonEmpty.filter(([, v]) => v * 100 >= a * opt).length]))
+    };
+}
+
+// Smallest size of a forced selection whose greedy completion reaches opt,
+// or null past MAX_K. `forcedSets` yields [k, copies] pairs; `complete`
+// returns the value greedy adds to a forced copies vector.
+function bruteSahniK(opt, forcedSets, complete, valueOfForced) {
+    let best = null;
+    for (const [k, copies] of forcedSets) {
+        if (k > MAX_K || (best !== null && k >= best)) continue;
+        if (valueOfForced(copies) + complete(copies) >= opt - 1e-6) best = k;
+    }
+    return best;
+}
+
+// Greedy order of the plain solvers: value / price ratio, best first, stable
+function ratioOrder(items) {
+    return items.map((_, i) => i).sort((a, b) => items[b].value / items[b].weight - items[a].value / items[a].weight);
+}
+
+// computeSahniK()'s greedy: copies in ratio order, one item per choice class
+function plainComplete(items, capacity) {
+    const order = ratioOrder(items);
+    return (forced) => {
+        let rem = cents(capacity) - weightOf(items, forced);
+        const picked = new Map();
+        forced.forEach((c, i) => { if (c > 0 && items[i].choiceClass !== undefined) picked.set(items[i].choiceClass, i); });
+        let value = 0;
+        for (const i of order) {
+            const cls = items[i].choiceClass;
+            if (cls !== undefined && picked.has(cls) && picked.get(cls) !== i) continue;
+            const q = items[i].quantity === undefined ? 1 : items[i].quantity;
+            const copies = Math.min(q - forced[i], Math.floor(rem / cents(items[i].weight)));
+            if (copies > 0) {
+                value += copies * cents(items[i].value);
+                rem -= copies * cents(items[i].weight);
+                if (cls !== undefined) picked.set(cls, i);
+            }
+        }
+        return value;
+    };
+}
+
+// Check every counter against brute force on `trials` instances
+function crossCheck(rng, trials, shape) {
+    for (let trial = 0; trial < trials; trial++) {
+        const { items, capacity } = randomInstance(rng, shape);
+        const ref = bruteForce(items, capacity);
+        const label = `trial ${trial}: ${JSON.stringify({ items, capacity })}`;
+
+        const solution = solveKnapsack(items, capacity);
+        assert.equal(cents(solution.value), ref.opt, `optimum, ${label}`);
+        assert.ok(cents(solution.weight) <= cents(capacity), `optimal bundle fits, ${label}`);
+        assert.equal(countOptimalSolutions(items, capacity), ref.optCount, `optimal count, ${label}`);
+
+        const stats = countBundleStats(items, capacity, solution.value, ALPHAS);
+        assert.equal(stats.exact, true, `counts exact, ${label}`);
+        assert.equal(stats.feasible, ref.feasible, `feasible count, ${label}`);
+        assert.deepEqual(stats.nAlpha, ref.nAlpha, `Nα counts, ${label}`);
+
+        shape.sahni(items, capacity, ref.opt, solution.value, label);
+    }
+}
+
+// Sahni-k for the plain, decimal, multiple-choice and quantity variants
+function plainSahni(items, capacity, opt, optValue, label) {
+    const cap = cents(capacity);
+    const forcedSets = selections(items, capacity)
+        .filter(s => weightOf(items, s) <= cap)
+        .map(s => [s.reduce((a, b) => a + b, 0), s]);
+    const expected = bruteSahniK(opt, forcedSets, plainComplete(items, capacity), s => valueOf(items, s));
+    assert.equal(computeSahniK(items, capacity, optValue, MAX_K), expected, `Sahni-k, ${label}`);
+}
+
+test('0/1 knapsack with integer prices and values', () => {
+    crossCheck(mulberry32(1), 40, { n: 10, scale: 1, sahni: plainSahni });
+});
+
+test('0/1 knapsack with 2-decimal prices and values', () => {
+    crossCheck(mulberry32(2), 40, { n: 9, scale: 100, sahni: plainSahni });
+});
+
+test('multiple-choice classes', () => {
+    const extra = (rng) => rng() < 0.8 ? { choiceClass: Math.floor(rng() * 3) } : {};
+    crossCheck(mulberry32(3), 30, { n: 9, scale: 1, extra, sahni: plainSahni });
+    crossCheck(mulberry32(4), 30, { n: 9, scale: 100, extra, sahni: plainSahni });
+});
+
+test('bounded and unbounded quantities', () => {
+    const extra = (rng) => {
+        const r = rng();
+        return r < 0.4 ? { quantity: 2 + Math.floor(rng() * 2) } : r < 0.6 ? { quantity: Infinity } : {};
+    };
+    crossCheck(mulberry32(5), 30, { n: 6, scale: 1, extra, sahni: plainSahni });
+});
+
+// ---- Conflicts and precedences ----
+
+// Every item id that `ids` require, transitively, with them
+function closure(items, ids) {
+    const byId = new Map(items.map(it => [it.id, it]));
+    const out = new Set();
+    const stack = [...ids];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (out.has(id)) continue;
+        out.add(id);
+        stack.push(...byId.get(id).requires);
+    }
+    return out;
+}
+
+// computeRuleSahniK()'s greedy: ratio order, each item with what it requires
+function ruleComplete(items, capacity) {
+    const order = ratioOrder(items);
+    const byId = new Map(items.map(it => [it.id, it]));
+    return (forced) => {
+        const taken = new Set(items.filter((_, i) => forced[i] > 0).map(it => it.id));
+        let rem = cents(capacity) - [...taken].reduce((s, id) => s + cents(byId.get(id).weight), 0);
+        let value = 0;
+        for (const i of order) {
+            if (taken.has(items[i].id)) continue;
+            const added = [...closure(items, [items[i].id])].filter(id => !taken.has(id));
+            const weight = added.reduce((s, id) => s + cents(byId.get(id).weight), 0);
+            const clash = added.some(id => byId.get(id).conflicts.some(c => taken.has(c) || added.includes(c)));
+            if (clash || weight > rem) continue;
+            added.forEach(id => taken.add(id));
+            rem -= weight;
+            value += added.reduce((s, id) => s + cents(byId.get(id).value), 0);
+        }
+        return value;
+    };
+}
+
+function ruleSahni(items, capacity, opt, optValue, label) {
+    const cap = cents(capacity);
+    const forcedSets = [];
+    for (let mask = 0; mask < 1 << items.length; mask++) {
+        const ids = items.filter((_, i) => mask >> i & 1).map(it => it.id);
+        const closed = closure(items, ids);
+        const copies = items.map(it => closed.has(it.id) ? 1 : 0);
+        if (!allowed(items, copies) || weightOf(items, copies) > cap) continue;
+        forcedSets.push([ids.length, copies]);
+    }
+    const expected = bruteSahniK(opt, forcedSets, ruleComplete(items, capacity), s => valueOf(items, s));
+    assert.equal(computeSahniK(items, capacity, optValue, MAX_K), expected, `Sahni-k, ${label}`);
+}
+
+// Conflicts and precedences as applyItemRules() draws them (no cycles)
+function ruleExtras(n, rng) {
+    const rules = Array.from({ length: n }, () => ({ conflicts: [], requires: [] }));
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            if (rng() < 0.15) {
+                rules[i].conflicts.push(j + 1);
+                rules[j].conflicts.push(i + 1);
+            } else if (rng() < 0.15) {
+                rules[j].requires.push(i + 1);
+            }
+        }
+    }
+    return rules;
+}
+
+test('conflict and precedence rules', () => {
+    const rng = mulberry32(6);
+    for (const scale of [1, 100]) {
+        let rules = null;
+        const extra = (r, i, n) => {
+            if (i === 0) rules = ruleExtras(n, r);
+            return rules[i];
+        };
+        crossCheck(rng, 25, { n: 9, scale, extra, sahni: ruleSahni });
+    }
+});
+
+// ---- Pair bonuses ----
+
+// computePairSahniK()'s greedy: repeatedly the item adding the most value
+// (with its bonuses to what is in) per price, ties to the best potential
+function pairComplete(items, capacity) {
+    const potential = (it) => (it.value + it.synergies.reduce((s, [, b]) => s + b, 0)) / it.weight;
+    const order = items.map((_, i) => i).sort((a, b) => potential(items[b]) - potential(items[a]));
+    const index = new Map(items.map((it, i) => [it.id, i]));
+    return (forced) => {
+        const inBag = [...forced];
+        let rem = cents(capacity) - weightOf(items, forced);
+        let value = 0;
+        for (;;) {
+            let best = -1, bestAdds = 0;
+            for (const i of order) {
+                if (inBag[i] || cents(items[i].weight) > rem) continue;
+                const adds = cents(items[i].value) + items[i].synergies.reduce((s, [id, b]) => s + (inBag[index.get(id)] ? cents(b) : 0), 0);
+                if (best < 0 || adds / items[i].weight > bestAdds / items[best].weight) {
+                    best = i;
+                    bestAdds = adds;
+                }
+            }
+            if (best < 0) return value;
+            inBag[best] = 1;
+            value += bestAdds;
+            rem -= cents(items[best].weight);
+        }
+    };
+}
+
+function pairSahni(items, capacity, opt, optValue, label) {
+    const cap = cents(capacity);
+    const forcedSets = selections(items, capacity)
+        .filter(s => weightOf(items, s) <= cap)
+        .map(s => [s.reduce((a, b) => a + b, 0), s]);
+    const expected = bruteSahniK(opt, forcedSets, pairComplete(items, capacity), s => valueOf(items, s));
+    assert.equal(computeSahniK(items, capacity, optValue, MAX_K), expected, `Sahni-k, ${label}`);
+}
+
+test('pair bonuses (quadratic knapsack)', () => {
+    const rng = mulberry32(7);
+    for (const scale of [1, 100]) {
+        let synergies = null;
+        const extra = (r, i, n) => {
+            if (i === 0) {
+                synergies = Array.from({ length: n }, () => []);
+                for (let a = 0; a < n; a++) {
+                    for (let b = a + 1; b < n; b++) {
+                        if (r() >= 0.3) continue;
+                        const bonus = Math.round((1 + r() * 10) * scale) / scale;
+                        synergies[a].push([b + 1, bonus]);
+                        synergies[b].push([a + 1, bonus]);
+                    }
+                }
+            }
+            return { synergies: synergies[i] };
+        };
+        crossCheck(rng, 25, { n: 9, scale, extra, sahni: pairSahni });
+    }
+});
+
+// ---- Extra resources ----
+
+test('extra resources (multidimensional knapsack)', () => {
+    const rng = mulberry32(8);
+    for (let trial = 0; trial < 40; trial++) {
+        const n = 9;
+        const scale = trial % 2 === 0 ? 1 : 100;
+        const { items, capacity } = randomInstance(rng, { n, scale });
+        items.forEach(it => { it.costs = [Math.round((1 + rng() * 10) * scale) / scale, Math.round((1 + rng() * 10) * scale) / scale]; });
+        const budgets = [capacity, ...[0, 1].map(r => Math.round(items.reduce((s, it) => s + it.costs[r], 0) * (0.3 + rng() * 0.4) * scale) / scale)];
+        const costs = items.map(it => [it.weight, ...it.costs].map(cents));
+        const fitsAll = (set) => budgets.every((b, d) => set.reduce((s, i) => s + costs[i][d], 0) <= cents(b));
+        const label = `trial ${trial}: ${JSON.stringify({ items, budgets })}`;
+
+        const subsets = [];
+        for (let mask = 0; mask < 1 << n; mask++) {
+            const set = items.map((_, i) => i).filter(i => mask >> i & 1);
+            if (fitsAll(set)) subsets.push(set);
+        }
+        const valueOfSet = (set) => set.reduce((s, i) => s + cents(items[i].value), 0);
+        const opt = Math.max(...subsets.map(valueOfSet));
+        const solution = solveMultiKnapsack(items, budgets);
+        assert.equal(cents(solution.value), opt, `optimum, ${label}`);
+        assert.ok(fitsAll(solution.items.map(it => items.indexOf(it))), `optimal bundle fits, ${label}`);
+
+        // computeMultiSahniK()'s greedy: value over load, wherever it fits
+        const load = costs.map(c => c.reduce((s, x, d) => s + x / cents(budgets[d]), 0));
+        const order = items.map((_, i) => i).sort((a, b) => items[b].value / load[b] - items[a].value / load[a]);
+        let expected = null;
+        for (const set of subsets) {
+            if (set.length > MAX_K || (expected !== null && set.length >= expected)) continue;
+            const bag = [...set];
+            for (const i of order) {
+                if (!bag.includes(i) && fitsAll([...bag, i])) bag.push(i);
+            }
+            if (valueOfSet(bag) >= opt) expected = set.length;
+        }
+        assert.equal(computeMultiSahniK(items, budgets, solution.value, MAX_K), expected, `Sahni-k, ${label}`);
+    }
+});
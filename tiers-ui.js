@@ -0,0 +1,228 @@
+// ============================================================
+// Budget tiers on the dual and batch pages: the tier editor (one
+// .tier-row per tier in the tiers container, input ids prefixed
+// with the row's data-prefix), the tier relation rows and the
+// per-tier colours that mark optimal items in the results.
+// ============================================================
+
+import { parsePercentBound } from './core/index.js';
+
+// Tier colours, by position
+const TIER_COLORS = ['#3498db', '#27ae60', '#e67e22', '#8e44ad', '#c0392b', '#16a085', '#d35400', '#2c3e50'];
+
+export function tierColor(index) {
+    return TIER_COLORS[index % TIER_COLORS.length];
+}
+
+export function tierRows(container) {
+    return [...container.querySelectorAll('.tier-row')];
+}
+
+// Colours and remove buttons after tiers change
+function refreshTiers(container) {
+    const rows = tierRows(container);
+    rows.forEach((row, i) => row.style.setProperty('--tier-color', tierColor(i)));
+    rows.forEach(row => { row.querySelector('.remove-tier-btn').disabled = rows.length === 1; });
+}
+
+// New tier: a copy of the last one (current values included) under a fresh prefix
+function addTier(container) {
+    const rows = tierRows(container);
+    const source = rows.at(-1);
+    const oldPrefix = source.dataset.prefix;
+    const prefix = `t${Math.max(...rows.map(row => parseInt(row.dataset.prefix.slice(1)))) + 1}`;
+    const row = source.cloneNode(true);
+    row.dataset.prefix = prefix;
+    row.querySelectorAll('[id]').forEach(node => { node.id = node.id.replace(`${oldPrefix}_`, `${prefix}_`); });
+    row.querySelectorAll('label[for]').forEach(node => { node.htmlFor = node.htmlFor.replace(`${oldPrefix}_`, `${prefix}_`); });
+
+    const names = new Set(rows.map(r => r.querySelector('.tier-name').value.trim()));
+    let n = rows.length + 1;
+    while (names.has(`tier ${n}`)) n++;
+    row.querySelector('.tier-name').value = `tier ${n}`;
+
+    container.appendChild(row);
+    refreshTiers(container);
+}
+
+// Wire the remove buttons, the add button and renames. `onChange()` runs
+// after a tier is added, removed or renamed.
+export function initTierEditor(container, addBtn, onChange = () => {}) {
+    container.addEventListener('click', (e) => {
+        const btn = e.target.closest('.remove-tier-btn');
+        if (!btn || btn.disabled) return;
+        btn.closest('.tier-row').remove();
+        refreshTiers(container);
+        onChange();
+    });
+    container.addEventListener('input', (e) => {
+        if (e.target.classList.contains('tier-name')) onChange();
+    });
+    addBtn.addEventListener('click', () => {
+        addTier(container);
+        onChange();
+    });
+    refreshTiers(container);
+}
+
+// Cap every tier's Sahni-k range inputs at the Sahni-k limit
+export function updateTierSahniKLimit(container, limit) {
+    if (!(limit >= 0)) return;
+    container.querySelectorAll('.tier-sahni-k').forEach(input => { input.max = limit; });
+}
+
+// The config's tiers list, read from the editor rows
+export function readTiers(container) {
+    return tierRows(container).map(row => {
+        const field = (name) => document.getElementById(`${row.dataset.prefix}_${name}`);
+        const optional = (name) => field(name).value !== '' ? parseInt(field(name).value) : null;
+        const percent = (name) => parsePercentBound(field(name).value);
+        return {
+            name: field('name').value.trim(),
+            budgetMin: parseInt(field('budget_min').value),
+            budgetMax: parseInt(field('budget_max').value),
+            optMin: optional('opt_min'),
+            optMax: optional('opt_max'),
+            minOptVal: optional('min_opt_val'),
+            maxOptVal: optional('max_opt_val'),
+            sahniKMin: optional('sahni_k_min'),
+            sahniKMax: optional('sahni_k_max'),
+            greedyMin: percent('greedy_min'),
+            greedyMax: percent('greedy_max'),
+            forgivenessMin: percent('forgiveness_min'),
+            forgivenessMax: percent('forgiveness_max'),
+            minFeasible: optional('min_feasible')
+        };
+    });
+}
+
+// Item id -> indexes of the tiers whose optimum holds it
+export function tierMembership(result) {
+    const membership = new Map();
+    result.tiers.forEach((t, i) => t.opt.items.forEach(it => {
+        if (!membership.has(it.id)) membership.set(it.id, []);
+        // Copies of an item sit next to each other in the optimum
+        if (membership.get(it.id).at(-1) !== i) membership.get(it.id).push(i);
+    }));
+    return membership;
+}
+
+// One small marker per tier an item is optimal in
+export function tierMarks(tierIdxs, names) {
+    return tierIdxs.map(i => `<span class="tier-mark" style="--tier-color: ${tierColor(i)}" title="${names[i]} optimal"></span>`).join('');
+}
+
+// Legend entries for the row highlights
+export function tierLegend(names) {
+    return names.map((name, i) => `<span><span class="tier-dot" style="--tier-color: ${tierColor(i)}"></span> ${name} optimal</span>`).join('')
+        + (names.length > 1 ? '<span>Rows take the colour of the first tier they are optimal in; markers list every tier.</span>' : '');
+}
+
+// ============================================================
+// Tier relations — one .relation-row per relation, ids prefixed
+// r1, r2, ... Their tier selects hold tier prefixes, so renaming
+// a tier keeps its relations.
+// ============================================================
+
+function relationRows(container) {
+    return [...container.querySelectorAll('.relation-row')];
+}
+
+function relationRow(prefix) {
+    const row = document.createElement('div');
+    row.className = 'form-row relation-row';
+    row.dataset.prefix = prefix;
+    row.innerHTML = `
+        <div class="form-group compact">
+            <label for="${prefix}_lower">Lower Tier</label>
+            <select class="relation-tier" id="${prefix}_lower"></select>
+        </div>
+        <div class="form-group compact">
+            <label for="${prefix}_upper">Upper Tier</label>
+            <select class="relation-tier" id="${prefix}_upper"></select>
+        </div>
+        <div class="form-group">
+            <label for="${prefix}_overlap">Optimal Bundles <span class="info-icon" tabindex="0">ⓘ<div class="info-tooltip">How the two tiers' optimal solutions must relate.<br><strong>Subset:</strong> every item of the lower tier's optimum is in the upper tier's, which holds more.<br><strong>Share at most k:</strong> the optima have at most k items in common.<br><strong>No shared items:</strong> the optima are disjoint.</div></span></label>
+            <select id="${prefix}_overlap">
+                <option value="any">Any overlap</option>
+                <option value="subset">Lower ⊂ upper</option>
+                <option value="at_most">Share at most k items</option>
+                <option value="disjoint">No shared items</option>
+            </select>
+        </div>
+        <div class="form-group compact relation-max-shared hidden">
+            <label for="${prefix}_max_shared">Max Shared (k)</label>
+            <input type="number" id="${prefix}_max_shared" value="1" min="0">
+        </div>
+        <div class="form-group compact">
+            <label for="${prefix}_min_ratio">Budget Ratio Min <span class="info-icon" tabindex="0">ⓘ<div class="info-tooltip">Upper tier's budget divided by the lower tier's.<br><strong>No limit:</strong> leave empty.</div></span></label>
+            <input type="number" id="${prefix}_min_ratio" placeholder="Any" min="0" step="0.1">
+        </div>
+        <div class="form-group compact">
+            <label for="${prefix}_max_ratio">Budget Ratio Max</label>
+            <input type="number" id="${prefix}_max_ratio" placeholder="Any" min="0" step="0.1">
+        </div>
+        <button type="button" class="remove-relation-btn" title="Remove this relation">✕</button>`;
+    return row;
+}
+
+// Refill every relation's tier selects from the current tiers. Relations
+// whose tier was removed go with it.
+export function syncRelationTiers(container, tiersContainer) {
+    const tiers = tierRows(tiersContainer).map(row => [row.dataset.prefix, row.querySelector('.tier-name').value.trim()]);
+    const prefixes = tiers.map(([prefix]) => prefix);
+    relationRows(container).forEach(row => {
+        const selects = [...row.querySelectorAll('.relation-tier')];
+        if (selects.some(select => select.value !== '' && !prefixes.includes(select.value))) {
+            row.remove();
+            return;
+        }
+        selects.forEach((select, i) => {
+            const current = select.value || prefixes[Math.min(i, prefixes.length - 1)];
+            select.innerHTML = tiers.map(([prefix, name]) => `<option value="${prefix}"${prefix === current ? ' selected' : ''}>${name}</option>`).join('');
+        });
+    });
+}
+
+// Wire the relation add / remove buttons and the k input toggle
+export function initRelationEditor(container, addBtn, tiersContainer) {
+    container.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-relation-btn')) e.target.closest('.relation-row').remove();
+    });
+    container.addEventListener('change', (e) => {
+        if (!e.target.id.endsWith('_overlap')) return;
+        e.target.closest('.relation-row').querySelector('.relation-max-shared').classList.toggle('hidden', e.target.value !== 'at_most');
+    });
+    addBtn.addEventListener('click', () => {
+        const rows = relationRows(container);
+        const n = rows.length === 0 ? 1 : Math.max(...rows.map(row => parseInt(row.dataset.prefix.slice(1)))) + 1;
+        container.appendChild(relationRow(`r${n}`));
+        syncRelationTiers(container, tiersContainer);
+    });
+}
+
+// The config's tierRelations list, tiers given by name
+export function readRelations(container, tiersContainer) {
+    const names = new Map(tierRows(tiersContainer).map(row => [row.dataset.prefix, row.querySelector('.tier-name').value.trim()]));
+    return relationRows(container).map(row => {
+        const field = (name) => document.getElementById(`${row.dataset.prefix}_${name}`);
+        const optional = (name) => field(name).value !== '' ? parseFloat(field(name).value) : null;
+        const overlap = field('overlap').value;
+        return {
+            lower: names.get(field('lower').value),
+            upper: names.get(field('upper').value),
+            overlap,
+            maxShared: overlap === 'at_most' ? parseInt(field('max_shared').value) : null,
+            minBudgetRatio: optional('min_ratio'),
+            maxBudgetRatio: optional('max_ratio')
+        };
+    });
+}
+
+// "Shared with low: 3 items (budget ×3.13)" for each tier below `name`,
+// from tierOverlaps()
+export function overlapTexts(overlaps, name) {
+    return overlaps
+        .filter(o => o.upper === name)
+        .map(o => `Shared with ${o.lower}: ${o.shared} item${o.shared === 1 ? '' : 's'} (budget ×${o.budgetRatio.toFixed(2)})`);
+}